@@ -60,7 +60,20 @@ test('login as ADMIN and open Admin Portal', async ({ page }) => {
     await route.fulfill({
       status: 200,
       contentType: 'application/json',
-      body: JSON.stringify(products),
+      body: JSON.stringify({
+        products,
+        pagination: { page: 1, limit: 4, total: products.length, totalPages: 1, hasMore: false },
+        facets: {
+          categories: [],
+          sizes: [],
+          colors: [],
+          styles: [],
+          fits: [],
+          fabrics: [],
+          priceRange: { min: 100, max: 130 },
+        },
+        sort: 'newest',
+      }),
     });
   });
 
@@ -6,8 +6,14 @@ import { ShopPage } from "./pages/ShopPage";
 import { ProductDetailPage } from "./pages/ProductDetailPage";
 import { AdminDashboard } from "./pages/AdminDashboard";
 import { UnauthorizedPage } from "./pages/UnauthorizedPage";
+import { CheckoutPage } from "./pages/CheckoutPage";
+import { OrdersPage } from "./pages/OrdersPage";
+import { OrderDetailPage } from "./pages/OrderDetailPage";
+import { WishlistPage } from "./pages/WishlistPage";
+import { ProfilePage } from "./pages/ProfilePage";
 import { CartProvider } from "./components/cart/CartSheet";
 import { AuthProvider, useAuth } from "./contexts/AuthContext";
+import { WishlistProvider } from "./contexts/WishlistContext";
 import { NewsletterPopup } from "./components/marketing/NewsletterSignup";
 
 /**
@@ -35,6 +41,27 @@ function AdminRoute({ children }) {
   return children;
 }
 
+/**
+ * Protected Route wrapper for pages that require a signed-in user
+ */
+function AuthRoute({ children }) {
+  const { user, loading } = useAuth();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-pulse text-zinc-400">Loading...</div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/?auth=login" replace />;
+  }
+
+  return children;
+}
+
 /**
  * Main App component - Luxury Apparel E-commerce
  * Features routing for Home, Shop, Product Detail, and Admin pages
@@ -53,6 +80,32 @@ function AppContent() {
         <Route path="/shop" element={<ShopPage />} />
         <Route path="/products/:slug" element={<ProductDetailPage />} />
         <Route path="/unauthorized" element={<UnauthorizedPage />} />
+        <Route path="/checkout" element={<CheckoutPage />} />
+        <Route path="/wishlist" element={<WishlistPage />} />
+        <Route
+          path="/profile"
+          element={
+            <AuthRoute>
+              <ProfilePage />
+            </AuthRoute>
+          }
+        />
+        <Route
+          path="/orders"
+          element={
+            <AuthRoute>
+              <OrdersPage />
+            </AuthRoute>
+          }
+        />
+        <Route
+          path="/orders/:orderNumber"
+          element={
+            <AuthRoute>
+              <OrderDetailPage />
+            </AuthRoute>
+          }
+        />
         
         {/* Admin Routes - Protected */}
         <Route
@@ -79,7 +132,9 @@ function App() {
     <Router>
       <AuthProvider>
         <CartProvider>
-          <AppContent />
+          <WishlistProvider>
+            <AppContent />
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </Router>
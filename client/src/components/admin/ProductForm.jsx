@@ -48,6 +48,7 @@ const productSchema = z.object({
   description: z.string().optional(),
   price: z.number().min(0.01, 'Price must be greater than 0'),
   originalPrice: z.number().nullable().optional(),
+  vipPrice: z.number().positive('VIP price must be greater than 0').nullable().optional(),
   category: z.string().min(1, 'Category is required'),
   images: z.array(imageSchema).min(1, 'At least one image is required'),
   variants: z.array(variantSchema).min(1, 'At least one variant is required'),
@@ -59,6 +60,9 @@ const productSchema = z.object({
   }).optional(),
   status: z.enum(['draft', 'published']).default('draft'),
   isFeatured: z.boolean().default(false),
+}).refine(data => data.vipPrice == null || data.vipPrice < data.price, {
+  message: 'VIP price must be below the regular price',
+  path: ['vipPrice'],
 });
 
 const CATEGORIES = ['Outerwear', 'Tops', 'Bottoms', 'Knitwear', 'Accessories'];
@@ -96,6 +100,7 @@ export function ProductForm({ open, onOpenChange, onSuccess, editProduct = null
       description: editProduct.description || '',
       price: editProduct.price,
       originalPrice: editProduct.originalPrice,
+      vipPrice: editProduct.vipPrice ?? null,
       category: editProduct.category,
       images: editProduct.images || [],
       variants: editProduct.variants || editProduct.inventory || [],
@@ -107,6 +112,7 @@ export function ProductForm({ open, onOpenChange, onSuccess, editProduct = null
       description: '',
       price: 0,
       originalPrice: null,
+      vipPrice: null,
       category: 'Tops',
       images: [],
       variants: [{ size: 'M', color: 'Black', colorValue: '#1A1A1A', stock: 10, price: null }],
@@ -266,6 +272,22 @@ export function ProductForm({ open, onOpenChange, onSuccess, editProduct = null
                 />
               </div>
 
+              <div>
+                <label className="text-sm text-zinc-400">VIP Price</label>
+                <Input
+                  type="number"
+                  step="0.01"
+                  {...register('vipPrice', {
+                    setValueAs: (v) => (v === '' || v == null ? null : Number(v))
+                  })}
+                  className="mt-1 bg-zinc-800 border-zinc-700"
+                  placeholder="No VIP tier"
+                />
+                {errors.vipPrice && (
+                  <p className="text-rose-400 text-xs mt-1">{errors.vipPrice.message}</p>
+                )}
+              </div>
+
               <div>
                 <label className="text-sm text-zinc-400">Category *</label>
                 <select
@@ -0,0 +1,311 @@
+/**
+ * PromotionForm Component
+ * Create/edit promo codes: discount, scope, eligibility, limits and validity window
+ * Uses react-hook-form with zod validation (the API re-validates everything)
+ */
+
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { format, parseISO } from 'date-fns';
+import { Tag, Loader2 } from 'lucide-react';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle
+} from '../ui/Dialog';
+import { useAuth } from '../../contexts/AuthContext';
+
+const promotionSchema = z.object({
+  code: z.string().regex(/^[A-Za-z0-9_-]{3,32}$/, '3-32 letters, digits, "-" or "_"'),
+  description: z.string().optional(),
+  type: z.enum(['percentage', 'fixed']),
+  value: z.number({ error: 'Value is required' }).positive('Value must be greater than 0'),
+  minSubtotal: z.string().optional(),
+  categories: z.array(z.string()).default([]),
+  productIds: z.array(z.string()).default([]),
+  vipOnly: z.boolean().default(false),
+  usageLimit: z.string().optional(),
+  perUserLimit: z.string().optional(),
+  startsAt: z.string().optional(),
+  endsAt: z.string().optional(),
+  isActive: z.boolean().default(true),
+}).refine(data => data.type !== 'percentage' || data.value <= 100, {
+  message: 'Percentage cannot exceed 100',
+  path: ['value'],
+});
+
+const CATEGORIES = ['Outerwear', 'Tops', 'Bottoms', 'Knitwear', 'Accessories'];
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (date) => (date ? format(parseISO(date), "yyyy-MM-dd'T'HH:mm") : '');
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+export function PromotionForm({ open, onOpenChange, onSuccess, products = [], editPromotion = null }) {
+  const { getAuthHeaders } = useAuth();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const isEditing = !!editPromotion;
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    resolver: zodResolver(promotionSchema),
+    defaultValues: editPromotion ? {
+      code: editPromotion.code,
+      description: editPromotion.description,
+      type: editPromotion.type,
+      value: editPromotion.value,
+      minSubtotal: String(editPromotion.minSubtotal || ''),
+      categories: editPromotion.categories,
+      productIds: editPromotion.productIds,
+      vipOnly: editPromotion.vipOnly,
+      usageLimit: editPromotion.usageLimit ? String(editPromotion.usageLimit) : '',
+      perUserLimit: editPromotion.perUserLimit ? String(editPromotion.perUserLimit) : '',
+      startsAt: toLocalInput(editPromotion.startsAt),
+      endsAt: toLocalInput(editPromotion.endsAt),
+      isActive: editPromotion.isActive,
+    } : {
+      code: '',
+      description: '',
+      type: 'percentage',
+      value: 10,
+      minSubtotal: '',
+      categories: [],
+      productIds: [],
+      vipOnly: false,
+      usageLimit: '',
+      perUserLimit: '',
+      startsAt: '',
+      endsAt: '',
+      isActive: true,
+    }
+  });
+
+  const type = watch('type');
+
+  const onSubmit = async (data) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const promotionData = {
+        ...data,
+        minSubtotal: data.minSubtotal || 0,
+        usageLimit: data.usageLimit || null,
+        perUserLimit: data.perUserLimit || null,
+        startsAt: fromLocalInput(data.startsAt),
+        endsAt: fromLocalInput(data.endsAt),
+      };
+
+      const url = isEditing
+        ? `/api/admin/promotions/${editPromotion.id}`
+        : '/api/admin/promotions';
+
+      const response = await fetch(url, {
+        method: isEditing ? 'PATCH' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders()
+        },
+        body: JSON.stringify(promotionData)
+      });
+
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.details?.join(', ') || err.error || 'Failed to save promotion');
+      }
+
+      onSuccess?.();
+      onOpenChange(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto bg-zinc-900 border-zinc-800">
+        <DialogHeader>
+          <DialogTitle className="text-xl font-serif text-zinc-100 flex items-center gap-2">
+            <Tag className="w-5 h-5" />
+            {isEditing ? `Edit ${editPromotion.code}` : 'New Promo Code'}
+          </DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6 mt-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-sm text-zinc-400">Code *</label>
+              <Input
+                {...register('code')}
+                className="mt-1 bg-zinc-800 border-zinc-700 uppercase"
+                placeholder="SPRING15"
+              />
+              {errors.code && (
+                <p className="text-rose-400 text-xs mt-1">{errors.code.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="text-sm text-zinc-400">Description</label>
+              <Input
+                {...register('description')}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+                placeholder="15% off the spring edit"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-zinc-400">Discount Type</label>
+              <select
+                {...register('type')}
+                className="mt-1 w-full p-2 bg-zinc-800 border border-zinc-700 rounded-lg text-zinc-100"
+              >
+                <option value="percentage">Percentage off</option>
+                <option value="fixed">Fixed amount off</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="text-sm text-zinc-400">
+                {type === 'percentage' ? 'Percent Off *' : 'Amount Off ($) *'}
+              </label>
+              <Input
+                type="number"
+                step="0.01"
+                {...register('value', { valueAsNumber: true })}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+              />
+              {errors.value && (
+                <p className="text-rose-400 text-xs mt-1">{errors.value.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="text-sm text-zinc-400">Minimum Subtotal ($)</label>
+              <Input
+                type="number"
+                step="0.01"
+                {...register('minSubtotal')}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+                placeholder="No minimum"
+              />
+            </div>
+
+            <div className="flex items-end gap-6 pb-2">
+              <label className="flex items-center gap-2 text-sm text-zinc-300">
+                <input type="checkbox" {...register('vipOnly')} className="accent-emerald-500" />
+                VIP only
+              </label>
+              <label className="flex items-center gap-2 text-sm text-zinc-300">
+                <input type="checkbox" {...register('isActive')} className="accent-emerald-500" />
+                Active
+              </label>
+            </div>
+          </div>
+
+          {/* Scope */}
+          <section className="space-y-3">
+            <h3 className="text-sm font-medium text-zinc-400">
+              Applies To <span className="text-zinc-500 font-normal">(leave empty for the whole order)</span>
+            </h3>
+            <div className="flex flex-wrap gap-4">
+              {CATEGORIES.map(cat => (
+                <label key={cat} className="flex items-center gap-2 text-sm text-zinc-300">
+                  <input type="checkbox" value={cat} {...register('categories')} className="accent-emerald-500" />
+                  {cat}
+                </label>
+              ))}
+            </div>
+            <select
+              multiple
+              {...register('productIds')}
+              className="w-full h-32 p-2 bg-zinc-800 border border-zinc-700 rounded-lg text-zinc-100 text-sm"
+            >
+              {products.map(product => (
+                <option key={product.id} value={product.id}>{product.name}</option>
+              ))}
+            </select>
+          </section>
+
+          {/* Limits & Window */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-sm text-zinc-400">Total Uses</label>
+              <Input
+                type="number"
+                min="1"
+                {...register('usageLimit')}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+                placeholder="Unlimited"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-zinc-400">Uses Per Customer</label>
+              <Input
+                type="number"
+                min="1"
+                {...register('perUserLimit')}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+                placeholder="Unlimited"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-zinc-400">Starts</label>
+              <Input
+                type="datetime-local"
+                {...register('startsAt')}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-zinc-400">Ends</label>
+              <Input
+                type="datetime-local"
+                {...register('endsAt')}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+              />
+            </div>
+          </div>
+
+          {error && (
+            <p className="text-rose-400 text-sm">{error}</p>
+          )}
+
+          {/* Submit Button */}
+          <div className="flex justify-end gap-3 pt-4 border-t border-zinc-800">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => onOpenChange(false)}
+              className="border-zinc-700"
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={loading}
+              className="bg-emerald-500 hover:bg-emerald-600"
+            >
+              {loading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {isEditing ? 'Save Changes' : 'Create Code'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default PromotionForm;
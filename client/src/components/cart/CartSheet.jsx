@@ -1,9 +1,22 @@
-import { useState, createContext, useContext } from "react";
+import { useState, useEffect, useCallback, createContext, useContext } from "react";
 import { Link } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
-import { ShoppingBag, Minus, Plus, X, Truck, Gift } from "lucide-react";
+import { ShoppingBag, Minus, Plus, X, Truck, Gift, Tag, Loader2 } from "lucide-react";
 import { cn } from "../../lib/utils";
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  mergeCart,
+  getCartSummary,
+  getPricingConfig,
+  applyPromoCode,
+  removePromoCode,
+} from "../../lib/api";
+import { useAuth } from "../../contexts/AuthContext";
 import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
 import {
   Sheet,
   SheetContent,
@@ -12,31 +25,47 @@ import {
   SheetTrigger,
 } from "../ui/Sheet";
 
-const FREE_SHIPPING_THRESHOLD = 200;
-
-// Mock cart data - in a real app, this would come from state management
-const initialCartItems = [
-  {
-    id: "1",
-    name: "Oversized Wool Coat",
-    price: 580,
-    size: "M",
-    color: "Charcoal",
-    quantity: 1,
-    image: "https://images.unsplash.com/photo-1539533018447-63fcce2678e3?w=200&h=250&fit=crop",
-    slug: "oversized-wool-coat",
-  },
-  {
-    id: "2",
-    name: "Silk Blend Relaxed Shirt",
-    price: 220,
-    size: "L",
-    color: "Ivory",
-    quantity: 2,
-    image: "https://images.unsplash.com/photo-1596755094514-f87e34085b2c?w=200&h=250&fit=crop",
-    slug: "silk-blend-shirt",
-  },
-];
+// Used until /api/config/pricing responds
+const DEFAULT_PRICING = { freeShippingThreshold: 200, flatShippingRate: 15 };
+const GUEST_CART_KEY = "atelier_guest_cart";
+
+// Guest carts live in localStorage until the shopper signs in
+function loadGuestCart() {
+  try {
+    return JSON.parse(localStorage.getItem(GUEST_CART_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveGuestCart(items) {
+  if (items.length > 0) {
+    localStorage.setItem(GUEST_CART_KEY, JSON.stringify(items));
+  } else {
+    localStorage.removeItem(GUEST_CART_KEY);
+  }
+}
+
+/**
+ * Normalize a /api/cart line to the flat shape the drawer renders.
+ */
+function fromServerItem(item) {
+  return {
+    id: item.id,
+    productId: item.product.id,
+    name: item.product.name,
+    price: item.unitPrice ?? item.product.price,
+    image: item.product.images?.[0],
+    slug: item.product.slug,
+    size: item.size,
+    color: item.color?.name,
+    colorValue: item.color?.value,
+    quantity: item.quantity,
+    availableStock: item.availableStock,
+    previousPrice: item.previousPrice,
+    flags: item.flags || {},
+  };
+}
 
 // Cart Context for global state
 const CartContext = createContext(null);
@@ -51,30 +80,246 @@ export function useCart() {
 
 /**
  * Cart Provider component for managing cart state.
+ * Guests keep their cart in localStorage; signed-in users use /api/cart.
+ * On login/register the guest cart is merged into the server cart.
  */
 export function CartProvider({ children }) {
-  const [items, setItems] = useState(initialCartItems);
+  const { user, loading: authLoading, getAuthHeaders } = useAuth();
+  const [items, setItems] = useState(loadGuestCart);
   const [isOpen, setIsOpen] = useState(false);
+  const [pricing, setPricing] = useState(DEFAULT_PRICING);
+  const [serverSummary, setServerSummary] = useState(null);
+  const userId = user?.id;
 
-  const updateQuantity = (id, delta) => {
-    setItems((prev) =>
-      prev.map((item) =>
-        item.id === id
-          ? { ...item, quantity: Math.max(1, item.quantity + delta) }
-          : item
-      )
-    );
+  useEffect(() => {
+    getPricingConfig()
+      .then((data) => setPricing({ ...DEFAULT_PRICING, ...data }))
+      .catch((err) => console.error("Failed to fetch pricing config:", err));
+  }, []);
+
+  const refreshCart = useCallback(async () => {
+    try {
+      const data = await getCart(getAuthHeaders());
+      setItems(data.map(fromServerItem));
+    } catch (err) {
+      console.error("Failed to fetch cart:", err);
+    }
+  }, [getAuthHeaders]);
+
+  // Switch between guest and server cart when the user signs in or out
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!userId) {
+      setItems(loadGuestCart());
+      return;
+    }
+
+    let cancelled = false;
+
+    async function syncServerCart() {
+      // Take the guest cart out of storage first so it is only merged once
+      const guestItems = loadGuestCart();
+      saveGuestCart([]);
+
+      try {
+        const data = guestItems.length > 0
+          ? (await mergeCart(
+              guestItems.map(({ productId, quantity, size, color, colorValue }) => ({
+                productId,
+                quantity,
+                size,
+                color: { name: color, value: colorValue },
+              })),
+              getAuthHeaders()
+            )).items
+          : await getCart(getAuthHeaders());
+
+        if (!cancelled) setItems(data.map(fromServerItem));
+      } catch (err) {
+        console.error("Failed to sync cart:", err);
+        saveGuestCart(guestItems);
+      }
+    }
+
+    syncServerCart();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, authLoading, getAuthHeaders]);
+
+  // Signed-in carts are priced by the server; refetch whenever the lines change
+  useEffect(() => {
+    if (!userId || items.length === 0) {
+      setServerSummary(null);
+      return;
+    }
+
+    let cancelled = false;
+    getCartSummary({}, getAuthHeaders())
+      .then((data) => {
+        if (!cancelled) setServerSummary(data);
+      })
+      .catch((err) => console.error("Failed to fetch cart summary:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, items, getAuthHeaders]);
+
+  // Update guest items and persist them in one step
+  const setGuestItems = (updater) => {
+    setItems((prev) => {
+      const next = updater(prev);
+      saveGuestCart(next);
+      return next;
+    });
+  };
+
+  /**
+   * Add a product variant to the cart and open the drawer.
+   * @param {Object} line - { product, size, color: { name, value }, quantity }
+   */
+  const addItem = async ({ product, size, color, quantity = 1 }) => {
+    const productId = product.id || product._id;
+
+    if (userId) {
+      try {
+        const data = await addToCart({ productId, quantity, size, color }, getAuthHeaders());
+        await refreshCart();
+        setIsOpen(true);
+        return { success: true, clamped: data.clamped, message: data.message };
+      } catch (err) {
+        console.error("Failed to add to cart:", err);
+        return { success: false, error: err.message };
+      }
+    } else {
+      const id = `${productId}:${size}:${color.name}`;
+      // Guests can't exceed the variant stock we know about; the server re-validates on merge
+      const variant = (product.variants || product.inventory || []).find(
+        (v) => v.size === size && v.color === color.name
+      );
+      const availableStock = variant?.stock;
+      const clamp = (qty) => (availableStock != null ? Math.min(qty, availableStock) : qty);
+
+      setGuestItems((prev) =>
+        prev.some((item) => item.id === id)
+          ? prev.map((item) =>
+              item.id === id ? { ...item, quantity: clamp(item.quantity + quantity) } : item
+            )
+          : [
+              ...prev,
+              {
+                id,
+                productId,
+                name: product.name,
+                price: product.price,
+                image: product.images?.[0],
+                slug: product.slug,
+                size,
+                color: color.name,
+                colorValue: color.value,
+                quantity: clamp(quantity),
+                availableStock,
+              },
+            ]
+      );
+    }
+
+    setIsOpen(true);
+    return { success: true };
+  };
+
+  const updateQuantity = async (id, delta) => {
+    const item = items.find((i) => i.id === id);
+    if (!item) return;
+    const quantity = Math.max(1, item.quantity + delta);
+
+    if (!userId) {
+      setGuestItems((prev) =>
+        prev.map((i) => (i.id === id ? { ...i, quantity } : i))
+      );
+      return;
+    }
+
+    setItems((prev) => prev.map((i) => (i.id === id ? { ...i, quantity } : i)));
+    try {
+      const data = await updateCartItem(id, quantity, getAuthHeaders());
+      // Server clamps to available stock
+      if (data.clamped) await refreshCart();
+    } catch (err) {
+      console.error("Failed to update cart item:", err);
+      await refreshCart();
+    }
   };
 
-  const removeItem = (id) => {
+  const removeItem = async (id) => {
+    if (!userId) {
+      setGuestItems((prev) => prev.filter((item) => item.id !== id));
+      return;
+    }
+
     setItems((prev) => prev.filter((item) => item.id !== id));
+    try {
+      await removeFromCart(id, getAuthHeaders());
+    } catch (err) {
+      console.error("Failed to remove cart item:", err);
+      await refreshCart();
+    }
   };
 
-  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  /**
+   * Apply a promo code (signed-in users only - codes are validated server-side).
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const applyCode = async (code) => {
+    try {
+      const data = await applyPromoCode(code, getAuthHeaders());
+      setServerSummary(data.summary);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const removeCode = async () => {
+    try {
+      const data = await removePromoCode(getAuthHeaders());
+      setServerSummary(data.summary);
+    } catch (err) {
+      console.error("Failed to remove promo code:", err);
+    }
+  };
+
+  // Called after checkout - the server has already emptied the cart
+  const resetCart = () => setItems([]);
+
+  // Lines that can't be ordered as-is (server-side flags)
+  const hasBlockingIssues = items.some(
+    (item) => item.flags?.unavailable || item.flags?.outOfStock || item.flags?.insufficientStock
+  );
+
   const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
-  const freeShippingProgress = Math.min((subtotal / FREE_SHIPPING_THRESHOLD) * 100, 100);
-  const amountToFreeShipping = Math.max(FREE_SHIPPING_THRESHOLD - subtotal, 0);
-  const hasFreeShipping = subtotal >= FREE_SHIPPING_THRESHOLD;
+
+  // Guests get a local estimate from the public pricing config (no tax until checkout)
+  const localSubtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const localShipping = localSubtotal >= pricing.freeShippingThreshold ? 0 : pricing.flatShippingRate;
+  const summary = serverSummary || {
+    subtotal: localSubtotal,
+    discounts: [],
+    discountTotal: 0,
+    promoCode: null,
+    promoError: null,
+    shipping: localShipping,
+    freeShippingThreshold: pricing.freeShippingThreshold,
+    amountToFreeShipping: Math.max(pricing.freeShippingThreshold - localSubtotal, 0),
+    tax: 0,
+    total: localSubtotal + localShipping,
+  };
+
+  const { subtotal, freeShippingThreshold, amountToFreeShipping } = summary;
+  const freeShippingProgress = Math.min((subtotal / freeShippingThreshold) * 100, 100);
+  const hasFreeShipping = amountToFreeShipping === 0;
 
   return (
     <CartContext.Provider
@@ -82,11 +327,19 @@ export function CartProvider({ children }) {
         items,
         itemCount,
         subtotal,
+        summary,
+        addItem,
         updateQuantity,
         removeItem,
+        refreshCart,
+        resetCart,
+        applyCode,
+        removeCode,
+        hasBlockingIssues,
         isOpen,
         setIsOpen,
         freeShippingProgress,
+        freeShippingThreshold,
         amountToFreeShipping,
         hasFreeShipping,
       }}
@@ -99,7 +352,7 @@ export function CartProvider({ children }) {
 /**
  * Free Shipping Progress Bar component.
  */
-function FreeShippingBar({ progress, amountRemaining, hasFreeShipping }) {
+function FreeShippingBar({ progress, threshold, amountRemaining, hasFreeShipping }) {
   return (
     <div className="p-4 bg-muted/30 border-b border-border">
       {hasFreeShipping ? (
@@ -118,7 +371,7 @@ function FreeShippingBar({ progress, amountRemaining, hasFreeShipping }) {
           <div className="flex items-center justify-between text-sm mb-2">
             <span className="flex items-center gap-2 text-muted-foreground">
               <Truck className="w-4 h-4" />
-              Free shipping on orders over ${FREE_SHIPPING_THRESHOLD}
+              Free shipping on orders over ${threshold}
             </span>
           </div>
           <div className="relative h-2 bg-muted rounded-full overflow-hidden">
@@ -138,6 +391,116 @@ function FreeShippingBar({ progress, amountRemaining, hasFreeShipping }) {
   );
 }
 
+/**
+ * Availability / price-change notice for a cart line.
+ */
+function CartItemNotice({ item }) {
+  const { flags = {} } = item;
+  let message = null;
+
+  if (flags.unavailable) {
+    message = "No longer available - please remove";
+  } else if (flags.outOfStock) {
+    message = "Sold out in this size";
+  } else if (flags.insufficientStock) {
+    message = `Only ${item.availableStock} left - reduce quantity`;
+  } else if (flags.priceChanged && item.previousPrice != null) {
+    message = `Price changed from $${item.previousPrice.toFixed(2)}`;
+  }
+
+  if (!message) return null;
+
+  return (
+    <p
+      className={cn(
+        "text-xs mt-1",
+        flags.priceChanged && !flags.unavailable && !flags.outOfStock && !flags.insufficientStock
+          ? "text-amber-400"
+          : "text-red-400"
+      )}
+    >
+      {message}
+    </p>
+  );
+}
+
+/**
+ * Promo code entry / applied code chip (signed-in users).
+ */
+function PromoCodeForm() {
+  const { isAuthenticated } = useAuth();
+  const { summary, applyCode, removeCode } = useCart();
+  const [code, setCode] = useState("");
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!isAuthenticated) {
+    return (
+      <p className="text-xs text-muted-foreground">
+        Sign in to use a promo code
+      </p>
+    );
+  }
+
+  if (summary.promoCode) {
+    return (
+      <div>
+        <div className="flex items-center justify-between text-sm">
+          <span className="flex items-center gap-2">
+            <Tag className="w-4 h-4 text-accent" />
+            {summary.promoCode}
+          </span>
+          <button
+            onClick={removeCode}
+            className="text-xs text-muted-foreground hover:text-foreground underline"
+          >
+            Remove
+          </button>
+        </div>
+        {summary.promoError && (
+          <p className="text-xs text-red-400 mt-1">{summary.promoError}</p>
+        )}
+      </div>
+    );
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setApplying(true);
+    setError(null);
+    const result = await applyCode(code.trim());
+    if (result.success) {
+      setCode("");
+    } else {
+      setError(result.error);
+    }
+    setApplying(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <Input
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value.toUpperCase());
+            setError(null);
+          }}
+          placeholder="Promo code"
+          aria-label="Promo code"
+          className="h-9"
+        />
+        <Button type="submit" variant="outline" size="sm" disabled={applying || !code.trim()}>
+          {applying ? <Loader2 className="w-4 h-4 animate-spin" /> : "Apply"}
+        </Button>
+      </div>
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+    </form>
+  );
+}
+
 /**
  * Cart Item component with quantity controls.
  */
@@ -184,6 +547,8 @@ function CartItem({ item, onUpdateQuantity, onRemove }) {
           {item.color} / {item.size}
         </p>
 
+        <CartItemNotice item={item} />
+
         <div className="flex items-center justify-between mt-3">
           {/* Quantity Controls */}
           <div className="flex items-center border border-border">
@@ -200,7 +565,8 @@ function CartItem({ item, onUpdateQuantity, onRemove }) {
             </span>
             <button
               onClick={() => onUpdateQuantity(item.id, 1)}
-              className="w-8 h-8 flex items-center justify-center hover:bg-muted transition-colors"
+              disabled={item.availableStock != null && item.quantity >= item.availableStock}
+              className="w-8 h-8 flex items-center justify-center hover:bg-muted transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
               aria-label="Increase quantity"
             >
               <Plus className="w-3 h-3" />
@@ -223,17 +589,17 @@ function CartItem({ item, onUpdateQuantity, onRemove }) {
 function CartSheetContent() {
   const {
     items,
-    subtotal,
+    summary,
     updateQuantity,
     removeItem,
     freeShippingProgress,
+    freeShippingThreshold,
     amountToFreeShipping,
     hasFreeShipping,
+    hasBlockingIssues,
+    setIsOpen,
   } = useCart();
 
-  const shipping = hasFreeShipping ? 0 : 15;
-  const total = subtotal + shipping;
-
   if (items.length === 0) {
     return (
       <div className="flex-1 flex flex-col items-center justify-center p-6 text-center">
@@ -256,6 +622,7 @@ function CartSheetContent() {
       {/* Free Shipping Progress */}
       <FreeShippingBar
         progress={freeShippingProgress}
+        threshold={freeShippingThreshold}
         amountRemaining={amountToFreeShipping}
         hasFreeShipping={hasFreeShipping}
       />
@@ -276,34 +643,56 @@ function CartSheetContent() {
 
       {/* Cart Summary */}
       <div className="border-t border-border p-6 space-y-4 bg-zinc-900/50">
+        <PromoCodeForm />
+
         <div className="space-y-2 text-sm">
           <div className="flex justify-between">
             <span className="text-muted-foreground">Subtotal</span>
-            <span>${subtotal.toFixed(2)}</span>
+            <span>${summary.subtotal.toFixed(2)}</span>
           </div>
+          {summary.discountTotal > 0 && (
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Discount ({summary.promoCode})</span>
+              <span className="text-accent">-${summary.discountTotal.toFixed(2)}</span>
+            </div>
+          )}
           <div className="flex justify-between">
             <span className="text-muted-foreground">Shipping</span>
-            <span className={cn(hasFreeShipping && "text-accent")}>
-              {hasFreeShipping ? "FREE" : `$${shipping.toFixed(2)}`}
+            <span className={cn(summary.shipping === 0 && "text-accent")}>
+              {summary.shipping === 0 ? "FREE" : `$${summary.shipping.toFixed(2)}`}
             </span>
           </div>
+          {summary.tax > 0 && (
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Estimated tax</span>
+              <span>${summary.tax.toFixed(2)}</span>
+            </div>
+          )}
         </div>
 
         <div className="flex justify-between text-lg font-medium pt-2 border-t border-border">
           <span>Total</span>
-          <span>${total.toFixed(2)}</span>
+          <span>${summary.total.toFixed(2)}</span>
         </div>
 
-        <Button className="w-full" size="lg">
-          Checkout
-        </Button>
+        {hasBlockingIssues ? (
+          <Button className="w-full" size="lg" disabled>
+            Review items to checkout
+          </Button>
+        ) : (
+          <Button className="w-full" size="lg" asChild>
+            <Link to="/checkout" onClick={() => setIsOpen(false)}>
+              Checkout
+            </Link>
+          </Button>
+        )}
 
         <Button variant="outline" className="w-full" asChild>
           <Link to="/cart">View Full Cart</Link>
         </Button>
 
         <p className="text-xs text-center text-muted-foreground">
-          Taxes calculated at checkout
+          Tax for your shipping address is calculated at checkout
         </p>
       </div>
     </>
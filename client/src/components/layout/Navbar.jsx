@@ -2,7 +2,6 @@ import { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import {
-  Search,
   User,
   Menu,
   ChevronDown,
@@ -10,26 +9,24 @@ import {
   LogOut,
   Settings,
   Shield,
+  Package,
+  Heart,
+  Ruler,
 } from "lucide-react";
 import { cn } from "../../lib/utils";
 import { Button } from "../ui/Button";
-import {
-  Dialog,
-  DialogContent,
-  DialogHeader,
-  DialogTitle,
-  DialogTrigger,
-} from "../ui/Dialog";
 import {
   Sheet,
   SheetContent,
   SheetHeader,
   SheetTitle,
 } from "../ui/Sheet";
-import { Input } from "../ui/Input";
 import { CartTrigger } from "../cart/CartSheet";
 import { useAuth } from "../../contexts/AuthContext";
+import { useWishlist } from "../../contexts/WishlistContext";
 import { AuthModal } from "../personalization/AuthModal";
+import { PromoBanner } from "../marketing/PromoBanner";
+import { SearchDialog } from "./SearchDialog";
 
 const navLinks = [
   { name: "New Arrivals", href: "/shop?status=new", hasMegaMenu: true },
@@ -96,6 +93,7 @@ export function Navbar() {
   const [showAuthModal, setShowAuthModal] = useState(false);
   const navigate = useNavigate();
   const { user, isAuthenticated, isVIP, isAdmin, logout } = useAuth();
+  const { count: wishlistCount } = useWishlist();
 
   useEffect(() => {
     const handleScroll = () => {
@@ -132,6 +130,7 @@ export function Navbar() {
           setShowUserMenu(false);
         }}
       >
+        <PromoBanner />
         <div className="container">
           <nav className="flex items-center justify-between h-20">
             {/* Mobile Menu Button */}
@@ -185,40 +184,7 @@ export function Navbar() {
             {/* Right Actions */}
             <div className="flex items-center gap-2">
               {/* Search Dialog */}
-              <Dialog>
-                <DialogTrigger asChild>
-                  <Button variant="ghost" size="icon" aria-label="Search">
-                    <Search className="w-5 h-5" />
-                  </Button>
-                </DialogTrigger>
-                <DialogContent className="sm:max-w-2xl">
-                  <DialogHeader>
-                    <DialogTitle>Search</DialogTitle>
-                  </DialogHeader>
-                  <div className="mt-4">
-                    <Input
-                      placeholder="Search for products, collections..."
-                      autoFocus
-                      className="text-lg h-14"
-                    />
-                  </div>
-                  <div className="mt-6">
-                    <p className="text-sm text-muted-foreground mb-3">
-                      Popular Searches
-                    </p>
-                    <div className="flex flex-wrap gap-2">
-                      {["Jackets", "Minimalist", "Linen", "Summer"].map((term) => (
-                        <button
-                          key={term}
-                          className="px-4 py-2 text-sm border border-border hover:bg-muted transition-colors"
-                        >
-                          {term}
-                        </button>
-                      ))}
-                    </div>
-                  </div>
-                </DialogContent>
-              </Dialog>
+              <SearchDialog />
 
               {/* User Menu */}
               <div 
@@ -302,6 +268,22 @@ export function Navbar() {
                             Admin Dashboard
                           </Link>
                         )}
+                        <Link
+                          to="/orders"
+                          className="flex items-center gap-3 px-3 py-2 text-sm text-zinc-300 hover:bg-zinc-800 rounded-md transition-colors"
+                          onClick={() => setShowUserMenu(false)}
+                        >
+                          <Package className="w-4 h-4" />
+                          Orders
+                        </Link>
+                        <Link
+                          to="/profile"
+                          className="flex items-center gap-3 px-3 py-2 text-sm text-zinc-300 hover:bg-zinc-800 rounded-md transition-colors"
+                          onClick={() => setShowUserMenu(false)}
+                        >
+                          <Ruler className="w-4 h-4" />
+                          Profile & Sizes
+                        </Link>
                         <button
                           onClick={handleLogout}
                           className="w-full flex items-center gap-3 px-3 py-2 text-sm text-red-400 hover:bg-red-500/10 rounded-md transition-colors"
@@ -315,6 +297,22 @@ export function Navbar() {
                 </AnimatePresence>
               </div>
 
+              {/* Wishlist */}
+              <Button variant="ghost" size="icon" className="relative" aria-label="Wishlist" asChild>
+                <Link to="/wishlist">
+                  <Heart className="w-5 h-5" />
+                  {wishlistCount > 0 && (
+                    <motion.span
+                      initial={{ scale: 0 }}
+                      animate={{ scale: 1 }}
+                      className="absolute -top-1 -right-1 w-5 h-5 bg-accent text-accent-foreground text-xs flex items-center justify-center rounded-full"
+                    >
+                      {wishlistCount}
+                    </motion.span>
+                  )}
+                </Link>
+              </Button>
+
               {/* Cart */}
               <CartTrigger />
             </div>
@@ -416,6 +414,34 @@ export function Navbar() {
               </Link>
             ))}
 
+            <Link
+              to="/wishlist"
+              className="py-3 text-lg border-b border-border/50 hover:text-accent transition-colors"
+              onClick={() => setIsMobileMenuOpen(false)}
+            >
+              Wishlist{wishlistCount > 0 && ` (${wishlistCount})`}
+            </Link>
+
+            {isAuthenticated && (
+              <Link
+                to="/orders"
+                className="py-3 text-lg border-b border-border/50 hover:text-accent transition-colors"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Orders
+              </Link>
+            )}
+
+            {isAuthenticated && (
+              <Link
+                to="/profile"
+                className="py-3 text-lg border-b border-border/50 hover:text-accent transition-colors"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Profile
+              </Link>
+            )}
+
             {isAdmin() && (
               <Link
                 to="/admin"
@@ -0,0 +1,374 @@
+import { useState, useEffect, useRef } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Search, Loader2, Shirt, LayoutGrid, Sparkles } from "lucide-react";
+import {
+  searchProducts,
+  getSuggestions,
+  getPopularSearches,
+  recordSearchClick,
+} from "../../lib/api";
+import { getThumbnailUrl } from "../../lib/cloudinary";
+import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "../ui/Dialog";
+import { useAuth } from "../../contexts/AuthContext";
+
+// Shown until there is enough search history to rank real terms
+const FALLBACK_POPULAR_SEARCHES = ["Jackets", "Minimalist", "Linen", "Summer"];
+const SEARCH_DEBOUNCE_MS = 250;
+const SUGGEST_DEBOUNCE_MS = 100;
+const SUGGESTIONS_ID = "search-suggestions";
+
+const SUGGESTION_ICONS = {
+  product: Shirt,
+  category: LayoutGrid,
+  style: Sparkles,
+};
+
+const SUGGESTION_LABELS = {
+  product: "Product",
+  category: "Category",
+  style: "Style",
+};
+
+/**
+ * Id grouping the queries typed while the dialog is open into one logged search.
+ */
+function newSearchSessionId() {
+  return globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+}
+
+/**
+ * Where a suggestion leads: the product page, or the shop filtered by it.
+ */
+function suggestionPath(suggestion) {
+  if (suggestion.type === "product") return `/products/${suggestion.slug}`;
+  const param = suggestion.type === "category" ? "category" : "style";
+  return `/shop?${new URLSearchParams({ [param]: suggestion.text })}`;
+}
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Render highlight segments from the search API, marking matched words.
+ */
+function Highlighted({ segments }) {
+  return segments.map((segment, i) =>
+    segment.match ? (
+      <mark key={i} className="bg-transparent text-accent font-medium">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={i}>{segment.text}</span>
+    )
+  );
+}
+
+/**
+ * Navbar search: live, debounced results from /api/products/search, with
+ * typo-tolerant suggestions from /api/products/suggest above them.
+ * Arrow keys move through the suggestions and Enter opens the active one
+ * (or the top result when none is active).
+ */
+export function SearchDialog() {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [popularSearches, setPopularSearches] = useState(FALLBACK_POPULAR_SEARCHES);
+  const sessionIdRef = useRef(newSearchSessionId());
+  const navigate = useNavigate();
+  const { getAuthHeaders } = useAuth();
+
+  const trimmed = query.trim();
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    getPopularSearches()
+      .then((data) => {
+        if (!cancelled && data.terms.length > 0) setPopularSearches(data.terms);
+      })
+      .catch((err) => console.error("Failed to fetch popular searches:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  useEffect(() => {
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setSearch(null);
+      setLoading(false);
+      return;
+    }
+
+    // Ignore responses for queries the user has already typed past
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchProducts(
+          trimmed,
+          { sessionId: sessionIdRef.current },
+          getAuthHeaders()
+        );
+        if (!cancelled) {
+          setSearch(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          console.error("Search failed:", err);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmed, getAuthHeaders]);
+
+  useEffect(() => {
+    setActiveIndex(-1);
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await getSuggestions(trimmed, {}, getAuthHeaders());
+        if (!cancelled) {
+          setSuggestions(data.suggestions);
+          setActiveIndex(-1);
+        }
+      } catch (err) {
+        // Suggestions are a nicety; full results still show below
+        if (!cancelled) {
+          console.error("Suggestions failed:", err);
+          setSuggestions([]);
+        }
+      }
+    }, SUGGEST_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmed, getAuthHeaders]);
+
+  const handleOpenChange = (nextOpen) => {
+    setOpen(nextOpen);
+    if (nextOpen) {
+      sessionIdRef.current = newSearchSessionId();
+    } else {
+      setQuery("");
+      setSearch(null);
+      setError(null);
+      setSuggestions([]);
+      setActiveIndex(-1);
+    }
+  };
+
+  // Click-through analytics; never blocks navigation
+  const trackResultClick = (product) => {
+    if (!search?.logId) return;
+    recordSearchClick(search.logId, product.id).catch((err) =>
+      console.error("Failed to record search click:", err)
+    );
+  };
+
+  const openSuggestion = (suggestion) => {
+    handleOpenChange(false);
+    navigate(suggestionPath(suggestion));
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => (i <= 0 ? suggestions.length : i) - 1);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const active = suggestions[activeIndex];
+    if (active) {
+      openSuggestion(active);
+      return;
+    }
+
+    const first = search?.results[0];
+    if (first) {
+      trackResultClick(first);
+      handleOpenChange(false);
+      navigate(`/products/${first.slug}`);
+    }
+  };
+
+  const results = search?.results || [];
+  const showSuggestions = trimmed.length >= MIN_QUERY_LENGTH && suggestions.length > 0;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="icon" aria-label="Search">
+          <Search className="w-5 h-5" />
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Search</DialogTitle>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="mt-4 relative">
+          <Input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search for products, collections..."
+            autoFocus
+            className="text-lg h-14 pr-12"
+            aria-label="Search products"
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls={SUGGESTIONS_ID}
+            aria-activedescendant={
+              activeIndex >= 0 ? `${SUGGESTIONS_ID}-${activeIndex}` : undefined
+            }
+          />
+          {loading && (
+            <Loader2 className="absolute right-4 top-1/2 -translate-y-1/2 w-5 h-5 animate-spin text-muted-foreground" />
+          )}
+        </form>
+
+        {showSuggestions && (
+          <ul
+            id={SUGGESTIONS_ID}
+            role="listbox"
+            aria-label="Suggestions"
+            className="mt-2 -mx-2 border-b border-border pb-2"
+          >
+            {suggestions.map((suggestion, i) => {
+              const Icon = SUGGESTION_ICONS[suggestion.type];
+              return (
+                <li
+                  key={`${suggestion.type}-${suggestion.id || suggestion.text}`}
+                  id={`${SUGGESTIONS_ID}-${i}`}
+                  role="option"
+                  aria-selected={i === activeIndex}
+                  onMouseEnter={() => setActiveIndex(i)}
+                  onClick={() => openSuggestion(suggestion)}
+                  className={`flex items-center gap-3 px-2 py-2 cursor-pointer transition-colors ${
+                    i === activeIndex ? "bg-muted" : ""
+                  }`}
+                >
+                  <Icon className="w-4 h-4 shrink-0 text-muted-foreground" />
+                  <span className="truncate flex-1">{suggestion.text}</span>
+                  <span className="text-xs text-muted-foreground uppercase tracking-wide">
+                    {SUGGESTION_LABELS[suggestion.type]}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {trimmed.length < MIN_QUERY_LENGTH ? (
+          <div className="mt-6">
+            <p className="text-sm text-muted-foreground mb-3">
+              Popular Searches
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {popularSearches.map((term) => (
+                <button
+                  key={term}
+                  onClick={() => setQuery(term)}
+                  className="px-4 py-2 text-sm border border-border hover:bg-muted transition-colors"
+                >
+                  {term}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : error ? (
+          <p className="mt-6 text-sm text-red-400">{error}</p>
+        ) : search && results.length === 0 ? (
+          <p className="mt-6 text-sm text-muted-foreground">
+            No products match &ldquo;{search.query}&rdquo;.
+          </p>
+        ) : results.length > 0 && (
+          <div className="mt-4 max-h-[60vh] overflow-y-auto -mx-2">
+            <p className="px-2 mb-2 text-xs text-muted-foreground">
+              {search.total} {search.total === 1 ? "result" : "results"}
+            </p>
+            <ul>
+              {results.map((product) => (
+                <li key={product.id}>
+                  <Link
+                    to={`/products/${product.slug}`}
+                    onClick={() => {
+                      trackResultClick(product);
+                      handleOpenChange(false);
+                    }}
+                    className="flex gap-4 p-2 hover:bg-muted transition-colors"
+                  >
+                    <div className="w-14 h-[4.5rem] shrink-0 bg-muted overflow-hidden">
+                      {product.image && (
+                        <img
+                          src={getThumbnailUrl(product.image)}
+                          alt={product.name}
+                          className="w-full h-full object-cover"
+                          loading="lazy"
+                        />
+                      )}
+                    </div>
+                    <div className="min-w-0 flex-1">
+                      <div className="flex items-baseline justify-between gap-4">
+                        <p className="truncate">
+                          <Highlighted segments={product.highlights.name} />
+                        </p>
+                        <span className="text-sm shrink-0">${product.price}</span>
+                      </div>
+                      <p className="text-xs text-muted-foreground uppercase tracking-wide">
+                        {product.category}
+                        {product.earlyAccess && (
+                          <span className="ml-2 text-amber-400 normal-case">VIP Early Access</span>
+                        )}
+                      </p>
+                      <p className="text-sm text-muted-foreground line-clamp-2 mt-1">
+                        <Highlighted segments={product.highlights.description} />
+                      </p>
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default SearchDialog;
@@ -0,0 +1,48 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+
+/**
+ * Announcement bar shown above the navigation.
+ * Content comes from /api/config/promo_banner; when the banner advertises
+ * a promo code the API only returns it while that code is live.
+ */
+export function PromoBanner() {
+  const [banner, setBanner] = useState(null);
+
+  useEffect(() => {
+    async function fetchBanner() {
+      try {
+        const response = await fetch('/api/config/promo_banner');
+        if (response.ok) {
+          setBanner(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch promo banner:', error);
+      }
+    }
+    fetchBanner();
+  }, []);
+
+  if (!banner?.enabled) return null;
+
+  return (
+    <div
+      className="text-center text-xs py-2 px-4"
+      style={{ backgroundColor: banner.backgroundColor, color: banner.textColor }}
+    >
+      {banner.text}
+      {banner.promoCode && (
+        <span className="ml-2">
+          Use code <span className="font-semibold tracking-wider">{banner.promoCode}</span>
+        </span>
+      )}
+      {banner.link && banner.linkText && (
+        <Link to={banner.link} className="ml-2 underline">
+          {banner.linkText}
+        </Link>
+      )}
+    </div>
+  );
+}
+
+export default PromoBanner;
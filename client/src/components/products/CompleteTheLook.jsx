@@ -0,0 +1,107 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { Loader2, Plus } from "lucide-react";
+import { getRelatedProducts } from "../../lib/api";
+import { getThumbnailUrl } from "../../lib/cloudinary";
+import { getVipPrice } from "../../lib/utils";
+import { useAuth } from "../../contexts/AuthContext";
+import { useCart } from "../cart/CartSheet";
+import { Button } from "../ui/Button";
+
+/**
+ * "Complete the look" row: products frequently bought with this one (or
+ * similar pieces). Each can be added together with the selected variant
+ * in one click, or on its own until a size is picked.
+ * @param {Object} currentItem - { product, size, color, price } when the
+ *   selected variant is in stock, otherwise null
+ */
+export function CompleteTheLook({ productId, currentItem, className }) {
+  const { user, isVIP, getAuthHeaders } = useAuth();
+  const { addItem } = useCart();
+  const [data, setData] = useState({ products: [], source: null });
+  const [addingId, setAddingId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getRelatedProducts(productId, getAuthHeaders())
+      .then((result) => !cancelled && setData(result))
+      .catch((err) => console.error("Failed to fetch related products:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, user, getAuthHeaders]);
+
+  if (data.products.length === 0) return null;
+
+  const priceOf = (product) => {
+    const vipPrice = getVipPrice(product);
+    return vipPrice != null && isVIP() ? vipPrice : product.price;
+  };
+
+  const handleAdd = async (related) => {
+    setAddingId(related.id);
+    const items = [
+      ...(currentItem ? [currentItem] : []),
+      { product: related, size: related.pairVariant.size, color: related.pairVariant.color },
+    ];
+    for (const item of items) {
+      const result = await addItem(item);
+      if (!result.success) {
+        alert(result.error);
+        break;
+      }
+    }
+    setAddingId(null);
+  };
+
+  return (
+    <section className={className}>
+      <h2 className="font-serif text-2xl md:text-3xl mb-2">Complete the Look</h2>
+      <p className="text-sm text-muted-foreground mb-8">
+        {data.source === "orders"
+          ? "Frequently bought together"
+          : "Pieces that pair well with this one"}
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+        {data.products.map((related) => (
+          <article key={related.id} className="flex flex-col">
+            <Link
+              to={`/products/${related.slug}`}
+              className="block relative aspect-[3/4] overflow-hidden bg-muted mb-3"
+            >
+              <img
+                src={getThumbnailUrl(related.images[0])}
+                alt={related.name}
+                className="absolute inset-0 w-full h-full object-cover"
+                loading="lazy"
+              />
+            </Link>
+            <Link to={`/products/${related.slug}`} className="text-sm font-medium hover:text-accent">
+              {related.name}
+            </Link>
+            <p className="text-xs text-muted-foreground mb-3">
+              ${priceOf(related)} · {related.pairVariant.size} · {related.pairVariant.color.name}
+            </p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mt-auto"
+              disabled={addingId !== null}
+              onClick={() => handleAdd(related)}
+            >
+              {addingId === related.id ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Plus className="w-4 h-4 mr-2" />
+              )}
+              {currentItem ? `Add Both · $${currentItem.price + priceOf(related)}` : "Add to Bag"}
+            </Button>
+          </article>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default CompleteTheLook;
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { Bell, Check } from "lucide-react";
+import { subscribeToRestock } from "../../lib/api";
+import { useAuth } from "../../contexts/AuthContext";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/Dialog";
+import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
+
+/**
+ * Back-in-stock signup for one sold-out variant (SKU).
+ * Signed-in shoppers get their account email prefilled.
+ */
+export function NotifyMeDialog({ open, onOpenChange, product, variant }) {
+  const { user, getAuthHeaders } = useAuth();
+  const [email, setEmail] = useState(user?.email || "");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [subscribedSku, setSubscribedSku] = useState(null);
+
+  const subscribed = !!variant && subscribedSku === variant.sku;
+
+  const handleOpenChange = (nextOpen) => {
+    onOpenChange(nextOpen);
+    if (nextOpen) {
+      setEmail((current) => current || user?.email || "");
+      setError(null);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await subscribeToRestock(
+        product.id,
+        { sku: variant.sku, email: email.trim() },
+        getAuthHeaders()
+      );
+      setSubscribedSku(variant.sku);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!variant) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Bell className="w-5 h-5 text-amber-400" />
+            Notify When Available
+          </DialogTitle>
+        </DialogHeader>
+
+        <p className="text-sm text-muted-foreground mt-2">
+          {product.name} in {variant.color}, size {variant.size}
+        </p>
+
+        {subscribed ? (
+          <p className="mt-6 flex items-center gap-2 text-emerald-400">
+            <Check className="w-5 h-5" />
+            We&apos;ll email {email.trim()} as soon as it&apos;s back.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+            <Input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Your email"
+              aria-label="Email"
+              required
+            />
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <Button type="submit" className="w-full" disabled={submitting}>
+              {submitting ? "Saving..." : "Email Me When It's Back"}
+            </Button>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default NotifyMeDialog;
@@ -1,8 +1,8 @@
 import { useState } from "react";
 import { Link } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
-import { Eye, ShoppingBag, Sparkles, Info, Cloud } from "lucide-react";
-import { cn } from "../../lib/utils";
+import { Eye, ShoppingBag, Sparkles, Info, Cloud, Crown } from "lucide-react";
+import { cn, getVipPrice } from "../../lib/utils";
 import { Button } from "../ui/Button";
 import { Badge } from "../ui/Badge";
 import {
@@ -13,15 +13,19 @@ import {
   DialogTrigger,
 } from "../ui/Dialog";
 import { getThumbnailUrl, isCloudinaryUrl } from "../../lib/cloudinary";
+import { useAuth } from "../../contexts/AuthContext";
+import { StarRating } from "./StarRating";
 
 /**
  * ProductCard component with hover image transitions and quick view.
  * Supports personalization with matchReason tooltip.
+ * VIPs see their tier price; everyone else sees it as a hint.
  */
 export function ProductCard({ product, index = 0, showMatchReason = false }) {
   const [isHovered, setIsHovered] = useState(false);
   const [selectedSize, setSelectedSize] = useState(null);
   const [showTooltip, setShowTooltip] = useState(false);
+  const { isVIP } = useAuth();
 
   const statusVariant = {
     new: "new",
@@ -34,6 +38,9 @@ export function ProductCard({ product, index = 0, showMatchReason = false }) {
     ? Math.round((1 - product.price / product.originalPrice) * 100)
     : 0;
 
+  const vipPrice = getVipPrice(product);
+  const showVipPrice = vipPrice != null && isVIP();
+
   return (
     <motion.article
       initial={{ opacity: 0, y: 30 }}
@@ -76,13 +83,18 @@ export function ProductCard({ product, index = 0, showMatchReason = false }) {
         )}
 
         {/* Status Badge */}
-        {product.status && (
-          <div className="absolute top-4 left-4 z-10">
-            <Badge variant={statusVariant}>
-              {product.status === "new" && "New"}
-              {product.status === "limited" && "Limited Edition"}
-              {product.status === "sale" && `${discountPercent}% Off`}
-            </Badge>
+        {(product.status || product.earlyAccess) && (
+          <div className="absolute top-4 left-4 z-10 flex flex-col items-start gap-2">
+            {product.earlyAccess && (
+              <Badge variant="limited">VIP Early Access</Badge>
+            )}
+            {product.status && (
+              <Badge variant={statusVariant}>
+                {product.status === "new" && "New"}
+                {product.status === "limited" && "Limited Edition"}
+                {product.status === "sale" && `${discountPercent}% Off`}
+              </Badge>
+            )}
           </div>
         )}
 
@@ -168,8 +180,15 @@ export function ProductCard({ product, index = 0, showMatchReason = false }) {
                         {product.category}
                       </p>
                       <div className="flex items-baseline gap-3 mb-4">
-                        <span className="text-2xl font-medium">${product.price}</span>
-                        {hasDiscount && (
+                        <span className={cn("text-2xl font-medium", showVipPrice && "text-amber-400")}>
+                          ${showVipPrice ? vipPrice : product.price}
+                        </span>
+                        {showVipPrice && (
+                          <span className="text-muted-foreground line-through">
+                            ${product.price}
+                          </span>
+                        )}
+                        {!showVipPrice && hasDiscount && (
                           <span className="text-muted-foreground line-through">
                             ${product.originalPrice}
                           </span>
@@ -241,14 +260,37 @@ export function ProductCard({ product, index = 0, showMatchReason = false }) {
         >
           {product.name}
         </Link>
+        {product.ratingCount > 0 && (
+          <div className="flex items-center gap-1.5">
+            <StarRating value={product.ratingAverage} size="w-3.5 h-3.5" />
+            <span className="text-xs text-muted-foreground">({product.ratingCount})</span>
+          </div>
+        )}
         <div className="flex items-baseline gap-2">
-          <span className={cn(hasDiscount && "text-rose-400")}>
-            ${product.price}
-          </span>
-          {hasDiscount && (
-            <span className="text-sm text-muted-foreground line-through">
-              ${product.originalPrice}
-            </span>
+          {showVipPrice ? (
+            <>
+              <span className="flex items-center gap-1 text-amber-400">
+                <Crown className="w-3.5 h-3.5" />
+                ${vipPrice}
+              </span>
+              <span className="text-sm text-muted-foreground line-through">
+                ${product.price}
+              </span>
+            </>
+          ) : (
+            <>
+              <span className={cn(hasDiscount && "text-rose-400")}>
+                ${product.price}
+              </span>
+              {hasDiscount && (
+                <span className="text-sm text-muted-foreground line-through">
+                  ${product.originalPrice}
+                </span>
+              )}
+              {vipPrice != null && (
+                <span className="text-xs text-amber-400/80">VIP ${vipPrice}</span>
+              )}
+            </>
           )}
         </div>
 
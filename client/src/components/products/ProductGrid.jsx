@@ -1,5 +1,6 @@
 import { motion } from "framer-motion";
 import { ProductCard } from "./ProductCard";
+import { cn } from "../../lib/utils";
 
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -29,7 +30,7 @@ export function ProductGrid({ products, className = "" }) {
       initial="hidden"
       whileInView="visible"
       viewport={{ once: true, margin: "-50px" }}
-      className={`grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 md:gap-8 ${className}`}
+      className={cn("grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 md:gap-8", className)}
     >
       {products.map((product, index) => (
         <ProductCard key={product.id} product={product} index={index} />
@@ -0,0 +1,289 @@
+import { useState, useEffect, useCallback } from "react";
+import { BadgeCheck, Loader2 } from "lucide-react";
+import { getProductReviews, createReview } from "../../lib/api";
+import { useAuth } from "../../contexts/AuthContext";
+import { cn } from "../../lib/utils";
+import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
+import { StarRating, StarRatingInput } from "./StarRating";
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "highest", label: "Highest Rated" },
+  { value: "lowest", label: "Lowest Rated" },
+];
+
+const FIT_LABELS = {
+  small: "Runs small",
+  true: "True to size",
+  large: "Runs large",
+};
+
+/**
+ * Review list, rating summary and (for verified buyers) the review form.
+ */
+export function ProductReviews({ productId }) {
+  const { user, getAuthHeaders } = useAuth();
+  const [data, setData] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [sort, setSort] = useState("newest");
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadReviews = useCallback(async (nextPage) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await getProductReviews(productId, { sort, page: nextPage }, getAuthHeaders());
+      setData(result);
+      setReviews((prev) => (nextPage === 1 ? result.reviews : [...prev, ...result.reviews]));
+      setPage(nextPage);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, sort, getAuthHeaders]);
+
+  // Refetch on sign-in/out too, so userReview and canReview stay current
+  useEffect(() => {
+    loadReviews(1);
+  }, [loadReviews, user]);
+
+  const handleSubmitted = (review) => {
+    setData((prev) => ({ ...prev, userReview: review, canReview: false }));
+  };
+
+  const summary = data?.summary;
+  const fitVotes = summary ? Object.values(summary.fitFeedback).reduce((a, b) => a + b, 0) : 0;
+  const topFit = fitVotes > 0
+    ? Object.entries(summary.fitFeedback).sort((a, b) => b[1] - a[1])[0][0]
+    : null;
+
+  return (
+    <section id="reviews" className="mt-20 pt-12 border-t border-border">
+      <h2 className="font-serif text-2xl md:text-3xl mb-8">Reviews</h2>
+
+      {error && <p className="text-sm text-red-400 mb-6">{error}</p>}
+
+      {summary && (
+        <div className="grid md:grid-cols-[16rem_1fr] gap-10">
+          {/* Summary */}
+          <div className="space-y-6">
+            <div>
+              <p className="text-4xl font-medium">
+                {summary.ratingCount > 0 ? summary.ratingAverage.toFixed(1) : "–"}
+              </p>
+              <StarRating value={summary.ratingAverage} className="mt-2" />
+              <p className="text-sm text-muted-foreground mt-1">
+                {summary.ratingCount} review{summary.ratingCount === 1 ? "" : "s"}
+              </p>
+            </div>
+
+            {summary.ratingCount > 0 && (
+              <div className="space-y-1.5">
+                {[5, 4, 3, 2, 1].map((stars) => {
+                  const count = summary.distribution[stars] || 0;
+                  return (
+                    <div key={stars} className="flex items-center gap-2 text-xs">
+                      <span className="w-3 text-muted-foreground">{stars}</span>
+                      <div className="flex-1 h-1.5 bg-zinc-800 overflow-hidden">
+                        <div
+                          className="h-full bg-amber-400"
+                          style={{ width: `${(count / summary.ratingCount) * 100}%` }}
+                        />
+                      </div>
+                      <span className="w-6 text-right text-muted-foreground">{count}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {topFit && (
+              <div>
+                <p className="text-xs text-muted-foreground uppercase tracking-wider mb-1">Fit</p>
+                <p className="text-sm">
+                  {FIT_LABELS[topFit]}{" "}
+                  <span className="text-muted-foreground">
+                    ({Math.round((summary.fitFeedback[topFit] / fitVotes) * 100)}% of {fitVotes})
+                  </span>
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* List + form */}
+          <div>
+            {data.userReview?.status === "pending" && (
+              <p className="text-sm text-amber-400 mb-6">
+                Thanks for your review — it will appear once it has been approved.
+              </p>
+            )}
+
+            {data.canReview && (
+              <ReviewForm productId={productId} onSubmitted={handleSubmitted} />
+            )}
+
+            {!user && (
+              <p className="text-sm text-muted-foreground mb-6">
+                Sign in to review products you&apos;ve received.
+              </p>
+            )}
+
+            {reviews.length > 0 && (
+              <div className="flex items-center justify-end mb-4">
+                <select
+                  value={sort}
+                  onChange={(e) => setSort(e.target.value)}
+                  className="bg-transparent border border-border px-3 py-2 text-sm"
+                  aria-label="Sort reviews"
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value} className="bg-zinc-900">
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {!loading && reviews.length === 0 && (
+              <p className="text-muted-foreground">No reviews yet.</p>
+            )}
+
+            <ul className="divide-y divide-border">
+              {reviews.map((review) => (
+                <li key={review.id} className="py-6 first:pt-0">
+                  <div className="flex items-center gap-3 mb-2">
+                    <StarRating value={review.rating} size="w-3.5 h-3.5" />
+                    {review.title && <p className="font-medium">{review.title}</p>}
+                  </div>
+                  <p className="text-sm text-muted-foreground leading-relaxed">{review.body}</p>
+                  <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-xs text-muted-foreground">
+                    <span className="text-foreground">{review.author}</span>
+                    {review.verifiedPurchase && (
+                      <span className="flex items-center gap-1 text-emerald-400">
+                        <BadgeCheck className="w-3.5 h-3.5" />
+                        Verified purchase
+                      </span>
+                    )}
+                    {review.size && <span>Size {review.size}</span>}
+                    {review.fit && <span>{FIT_LABELS[review.fit]}</span>}
+                    <span>{new Date(review.createdAt).toLocaleDateString()}</span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {data.pagination.hasMore && (
+              <Button
+                variant="outline"
+                className="mt-6"
+                disabled={loading}
+                onClick={() => loadReviews(page + 1)}
+              >
+                {loading ? "Loading..." : "Load More Reviews"}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {!summary && loading && (
+        <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+      )}
+    </section>
+  );
+}
+
+/**
+ * Star rating, optional title, text and fit feedback. Mirrors the
+ * server's validation so most mistakes are caught before submitting.
+ */
+function ReviewForm({ productId, onSubmitted }) {
+  const { getAuthHeaders } = useAuth();
+  const [rating, setRating] = useState(0);
+  const [title, setTitle] = useState("");
+  const [body, setBody] = useState("");
+  const [fit, setFit] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (rating < 1) {
+      setError("Choose a star rating");
+      return;
+    }
+    if (body.trim().length < 10) {
+      setError("Review text must be at least 10 characters");
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const { review } = await createReview(
+        productId,
+        { rating, title: title.trim(), body: body.trim(), fit },
+        getAuthHeaders()
+      );
+      onSubmitted(review);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-10 p-6 border border-border space-y-4">
+      <p className="font-medium">Write a review</p>
+      <StarRatingInput value={rating} onChange={setRating} />
+      <Input
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Title (optional)"
+        aria-label="Review title"
+        maxLength={120}
+      />
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder="What did you think?"
+        aria-label="Review"
+        rows={4}
+        maxLength={2000}
+        className="w-full border border-border bg-transparent px-4 py-3 text-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:border-accent"
+      />
+      <div>
+        <p className="text-sm mb-2">How did it fit?</p>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(FIT_LABELS).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setFit(fit === value ? null : value)}
+              className={cn(
+                "h-9 px-3 text-sm border transition-all",
+                fit === value
+                  ? "border-accent bg-accent/10 text-accent"
+                  : "border-border hover:border-foreground/40"
+              )}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      <Button type="submit" disabled={submitting}>
+        {submitting ? "Submitting..." : "Submit Review"}
+      </Button>
+    </form>
+  );
+}
+
+export default ProductReviews;
@@ -0,0 +1,50 @@
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { useAuth } from "../../contexts/AuthContext";
+import { loadRecentlyViewed } from "../../lib/recentlyViewed";
+import { Carousel } from "../ui/Carousel";
+import { ProductCard } from "./ProductCard";
+
+/**
+ * "Recently viewed" carousel. Renders nothing until there is history.
+ */
+export function RecentlyViewed({ excludeProductId, className }) {
+  const { user, loading: authLoading, getAuthHeaders } = useAuth();
+  const [products, setProducts] = useState([]);
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+
+    loadRecentlyViewed(Boolean(userId), getAuthHeaders(), { exclude: excludeProductId })
+      .then((data) => !cancelled && setProducts(data))
+      .catch((err) => console.error("Failed to fetch recently viewed:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, authLoading, excludeProductId, getAuthHeaders]);
+
+  if (products.length === 0) return null;
+
+  return (
+    <section className={className}>
+      <motion.h2
+        initial={{ opacity: 0, y: 20 }}
+        whileInView={{ opacity: 1, y: 0 }}
+        viewport={{ once: true }}
+        className="font-serif text-2xl md:text-3xl mb-8"
+      >
+        Recently Viewed
+      </motion.h2>
+      <Carousel
+        items={products}
+        getKey={(product) => product.id}
+        renderItem={(product) => <ProductCard product={product} />}
+      />
+    </section>
+  );
+}
+
+export default RecentlyViewed;
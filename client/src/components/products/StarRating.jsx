@@ -0,0 +1,57 @@
+import { Star } from "lucide-react";
+import { cn } from "../../lib/utils";
+
+/**
+ * Read-only star rating; fractional averages fill part of a star.
+ */
+export function StarRating({ value = 0, size = "w-4 h-4", className }) {
+  return (
+    <span
+      className={cn("inline-flex items-center gap-0.5", className)}
+      role="img"
+      aria-label={`Rated ${value} out of 5`}
+    >
+      {[1, 2, 3, 4, 5].map((star) => {
+        const fill = Math.min(Math.max(value - star + 1, 0), 1);
+        return (
+          <span key={star} className={cn("relative", size)}>
+            <Star className={cn("absolute inset-0 text-zinc-600", size)} />
+            <span className="absolute inset-0 overflow-hidden" style={{ width: `${fill * 100}%` }}>
+              <Star className={cn("text-amber-400 fill-amber-400", size)} />
+            </span>
+          </span>
+        );
+      })}
+    </span>
+  );
+}
+
+/**
+ * Clickable 1-5 star picker for review forms.
+ */
+export function StarRatingInput({ value, onChange, size = "w-6 h-6" }) {
+  return (
+    <div className="flex gap-1" role="radiogroup" aria-label="Rating">
+      {[1, 2, 3, 4, 5].map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={value === star}
+          aria-label={`${star} star${star > 1 ? "s" : ""}`}
+          onClick={() => onChange(star)}
+          className="p-0.5"
+        >
+          <Star
+            className={cn(
+              size,
+              star <= value ? "text-amber-400 fill-amber-400" : "text-zinc-600 hover:text-amber-400/70"
+            )}
+          />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default StarRating;
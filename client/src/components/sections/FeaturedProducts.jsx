@@ -29,8 +29,8 @@ export function FeaturedProducts() {
     async function fetchFeatured() {
       try {
         setLoading(true);
-        const data = await getFeaturedProducts();
-        setProducts(data.slice(0, 4)); // Limit to 4 products
+        const data = await getFeaturedProducts({ limit: 4 });
+        setProducts(data);
       } catch (err) {
         console.error('Failed to fetch featured products:', err);
         setError(err.message);
@@ -1,6 +1,7 @@
 /**
  * Recommended Products Section
  * Displays personalized product recommendations based on user preferences
+ * and shopping activity
  * Uses MongoDB Aggregation Pipeline for scoring
  */
 
@@ -15,6 +16,7 @@ import { Dialog, DialogContent } from '../ui/Dialog';
 import { StyleQuiz } from '../personalization/StyleQuiz';
 import { useAuth } from '../../contexts/AuthContext';
 import { cn } from '../../lib/utils';
+import { getAnonymousId, trackRecommendationClick } from '../../lib/recommendationTracking';
 
 /**
  * Style Discovery Banner for guests
@@ -135,6 +137,7 @@ export function RecommendedProducts() {
   const [loading, setLoading] = useState(true);
   const [isPersonalized, setIsPersonalized] = useState(false);
   const [reason, setReason] = useState(null);
+  const [impressionId, setImpressionId] = useState(null);
   const [showQuizModal, setShowQuizModal] = useState(false);
 
   const hasCompletedQuiz = user?.preferences?.hasCompletedQuiz;
@@ -142,7 +145,11 @@ export function RecommendedProducts() {
   useEffect(() => {
     async function fetchRecommendations() {
       try {
-        const headers = isAuthenticated ? getAuthHeaders() : {};
+        // Guests are assigned an A/B variant by anonymous ID
+        const headers = {
+          'X-Anonymous-Id': getAnonymousId(),
+          ...(isAuthenticated ? getAuthHeaders() : {})
+        };
         const response = await fetch('/api/products/recommended', { headers });
         
         if (response.ok) {
@@ -150,6 +157,7 @@ export function RecommendedProducts() {
           setProducts(data.products || []);
           setIsPersonalized(data.personalized || false);
           setReason(data.reason || null);
+          setImpressionId(data.impressionId || null);
         }
       } catch (error) {
         console.error('Failed to fetch recommendations:', error);
@@ -204,8 +212,8 @@ export function RecommendedProducts() {
     );
   }
 
-  // Show Style Discovery for logged-in users without quiz
-  if (!loading && isAuthenticated && !hasCompletedQuiz) {
+  // Show Style Discovery for logged-in users without quiz or shopping history
+  if (!loading && isAuthenticated && !hasCompletedQuiz && !isPersonalized) {
     return (
       <>
         <StyleDiscoveryBanner onStartQuiz={() => setShowQuizModal(true)} />
@@ -295,6 +303,13 @@ export function RecommendedProducts() {
                 whileInView={{ opacity: 1, y: 0 }}
                 viewport={{ once: true }}
                 transition={{ delay: index * 0.1 }}
+                // Count opening the product page, not the quick view / size
+                // buttons that sit inside the card link
+                onClickCapture={(e) => {
+                  if (impressionId && e.target.closest('a') && !e.target.closest('button')) {
+                    trackRecommendationClick(impressionId, product.id);
+                  }
+                }}
               >
                 <ProductCard 
                   product={product} 
@@ -1,13 +1,97 @@
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { ChevronLeft, ChevronRight } from "lucide-react";
 import { cn } from "../../lib/utils";
 import { Button } from "./Button";
 
 /**
- * Image carousel component with thumbnails and navigation.
+ * Carousel component. Shows product images one at a time with thumbnails,
+ * or, given `items` and `renderItem`, a horizontally scrolling row of cards.
  */
-export function Carousel({
+export function Carousel({ items, renderItem, ...props }) {
+  if (renderItem) {
+    return <ItemCarousel items={items} renderItem={renderItem} {...props} />;
+  }
+  return <ImageCarousel {...props} />;
+}
+
+/**
+ * Row of cards that scrolls a page at a time with the arrows
+ * (and freely by touch/trackpad).
+ */
+function ItemCarousel({ items = [], renderItem, getKey = (item, index) => index, className, itemClassName }) {
+  const trackRef = useRef(null);
+  const [canScroll, setCanScroll] = useState({ back: false, forward: false });
+
+  const updateScrollState = useCallback(() => {
+    const track = trackRef.current;
+    if (!track) return;
+    setCanScroll({
+      back: track.scrollLeft > 0,
+      forward: track.scrollLeft + track.clientWidth < track.scrollWidth - 1,
+    });
+  }, []);
+
+  useEffect(() => {
+    updateScrollState();
+    window.addEventListener("resize", updateScrollState);
+    return () => window.removeEventListener("resize", updateScrollState);
+  }, [items.length, updateScrollState]);
+
+  const scrollPage = (direction) => {
+    const track = trackRef.current;
+    track?.scrollBy({ left: direction * track.clientWidth, behavior: "smooth" });
+  };
+
+  if (items.length === 0) return null;
+
+  return (
+    <div className={cn("relative", className)}>
+      <div
+        ref={trackRef}
+        onScroll={updateScrollState}
+        className="flex gap-6 overflow-x-auto no-scrollbar snap-x snap-mandatory"
+      >
+        {items.map((item, index) => (
+          <div
+            key={getKey(item, index)}
+            className={cn("shrink-0 snap-start w-[70%] sm:w-[45%] lg:w-[calc(25%-1.125rem)]", itemClassName)}
+          >
+            {renderItem(item, index)}
+          </div>
+        ))}
+      </div>
+
+      {canScroll.back && (
+        <Button
+          variant="ghost"
+          size="icon"
+          className="absolute -left-4 top-1/3 -translate-y-1/2 bg-background/80 backdrop-blur-sm hover:bg-background"
+          onClick={() => scrollPage(-1)}
+          aria-label="Scroll back"
+        >
+          <ChevronLeft className="h-5 w-5" />
+        </Button>
+      )}
+      {canScroll.forward && (
+        <Button
+          variant="ghost"
+          size="icon"
+          className="absolute -right-4 top-1/3 -translate-y-1/2 bg-background/80 backdrop-blur-sm hover:bg-background"
+          onClick={() => scrollPage(1)}
+          aria-label="Scroll forward"
+        >
+          <ChevronRight className="h-5 w-5" />
+        </Button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Image carousel with thumbnails and navigation.
+ */
+function ImageCarousel({
   images = [],
   className,
   showThumbnails = true,
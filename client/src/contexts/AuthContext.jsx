@@ -163,29 +163,6 @@ export function AuthProvider({ children }) {
     }
   };
 
-  // Upgrade to VIP (demo)
-  const upgradeToVIP = async () => {
-    try {
-      const response = await fetch(`${API_BASE}/api/auth/upgrade-vip`, {
-        method: 'POST',
-        headers: getAuthHeaders()
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || 'Upgrade failed');
-      }
-
-      localStorage.setItem(TOKEN_KEY, data.token);
-      localStorage.setItem(USER_KEY, JSON.stringify(data.user));
-      setUser(data.user);
-      return { success: true };
-    } catch (err) {
-      return { success: false, error: err.message };
-    }
-  };
-
   // Initialize auth on mount
   useEffect(() => {
     fetchUser();
@@ -204,7 +181,6 @@ export function AuthProvider({ children }) {
     register,
     logout,
     updatePreferences,
-    upgradeToVIP,
     getAuthHeaders,
   };
 
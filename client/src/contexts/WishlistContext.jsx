@@ -0,0 +1,241 @@
+/**
+ * Wishlist Context
+ * Guests keep their wishlist in localStorage; signed-in users use /api/wishlist.
+ * On login/register the guest wishlist is merged into the server wishlist.
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  mergeWishlist,
+} from '../lib/api';
+import { useAuth } from './AuthContext';
+import { useCart } from '../components/cart/CartSheet';
+
+const WishlistContext = createContext(null);
+
+const GUEST_WISHLIST_KEY = 'atelier_guest_wishlist';
+
+function loadGuestWishlist() {
+  try {
+    return JSON.parse(localStorage.getItem(GUEST_WISHLIST_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveGuestWishlist(items) {
+  if (items.length > 0) {
+    localStorage.setItem(GUEST_WISHLIST_KEY, JSON.stringify(items));
+  } else {
+    localStorage.removeItem(GUEST_WISHLIST_KEY);
+  }
+}
+
+/**
+ * Normalize a /api/wishlist entry to the flat shape the UI renders.
+ */
+function fromServerItem(item) {
+  return {
+    productId: item.product.id,
+    name: item.product.name,
+    price: item.unitPrice ?? item.product.price,
+    image: item.product.images?.[0],
+    slug: item.product.slug,
+    category: item.product.category,
+    variants: item.product.variants || [],
+    size: item.size,
+    color: item.color?.name || null,
+    colorValue: item.color?.value || null,
+    flags: item.flags || {},
+  };
+}
+
+export function WishlistProvider({ children }) {
+  const { user, loading: authLoading, getAuthHeaders } = useAuth();
+  const { addItem: addToCart } = useCart();
+  const [items, setItems] = useState(loadGuestWishlist);
+  const userId = user?.id;
+
+  const refreshWishlist = useCallback(async () => {
+    try {
+      const data = await getWishlist(getAuthHeaders());
+      setItems(data.map(fromServerItem));
+    } catch (err) {
+      console.error('Failed to fetch wishlist:', err);
+    }
+  }, [getAuthHeaders]);
+
+  // Switch between guest and server wishlist when the user signs in or out
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!userId) {
+      setItems(loadGuestWishlist());
+      return;
+    }
+
+    let cancelled = false;
+
+    async function syncServerWishlist() {
+      // Take the guest wishlist out of storage first so it is only merged once
+      const guestItems = loadGuestWishlist();
+      saveGuestWishlist([]);
+
+      try {
+        const data = guestItems.length > 0
+          ? (await mergeWishlist(
+              guestItems.map(({ productId, size, color }) => ({ productId, size, color })),
+              getAuthHeaders()
+            )).items
+          : await getWishlist(getAuthHeaders());
+
+        if (!cancelled) setItems(data.map(fromServerItem));
+      } catch (err) {
+        console.error('Failed to sync wishlist:', err);
+        saveGuestWishlist(guestItems);
+      }
+    }
+
+    syncServerWishlist();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, authLoading, getAuthHeaders]);
+
+  // Update guest items and persist them in one step
+  const setGuestItems = (updater) => {
+    setItems((prev) => {
+      const next = updater(prev);
+      saveGuestWishlist(next);
+      return next;
+    });
+  };
+
+  const isWishlisted = (productId) => items.some((item) => item.productId === productId);
+
+  /**
+   * Save a product, optionally with a preferred variant.
+   * Saving it again updates the preferred variant.
+   * @param {Object} entry - { product, size?, color?: { name, value } }
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const addItem = async ({ product, size = null, color = null }) => {
+    const productId = product.id || product._id;
+
+    if (userId) {
+      try {
+        const data = await addToWishlist(
+          { productId, size, color: color?.name },
+          getAuthHeaders()
+        );
+        setItems(data.items.map(fromServerItem));
+        return { success: true };
+      } catch (err) {
+        console.error('Failed to add to wishlist:', err);
+        return { success: false, error: err.message };
+      }
+    }
+
+    const entry = {
+      productId,
+      name: product.name,
+      price: product.price,
+      image: product.images?.[0],
+      slug: product.slug,
+      category: product.category,
+      variants: (product.variants || product.inventory || []).map((v) => ({
+        size: v.size,
+        color: v.color,
+        colorValue: v.colorValue,
+        stock: v.stock || 0,
+      })),
+      size,
+      color: color?.name || null,
+      colorValue: color?.value || null,
+      flags: {},
+    };
+    setGuestItems((prev) => [entry, ...prev.filter((item) => item.productId !== productId)]);
+    return { success: true };
+  };
+
+  const removeItem = async (productId) => {
+    if (!userId) {
+      setGuestItems((prev) => prev.filter((item) => item.productId !== productId));
+      return;
+    }
+
+    setItems((prev) => prev.filter((item) => item.productId !== productId));
+    try {
+      await removeFromWishlist(productId, getAuthHeaders());
+    } catch (err) {
+      console.error('Failed to remove wishlist item:', err);
+      await refreshWishlist();
+    }
+  };
+
+  /**
+   * Toggle a product from a heart button.
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const toggleItem = async (entry) => {
+    const productId = entry.product.id || entry.product._id;
+    if (isWishlisted(productId)) {
+      await removeItem(productId);
+      return { success: true };
+    }
+    return addItem(entry);
+  };
+
+  /**
+   * Add a saved product to the cart (validated like any other add) and
+   * remove it from the wishlist once the cart accepts it.
+   * @param {Object} item - Wishlist item
+   * @param {Object} variant - { size, color: { name, value } }
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const moveToCart = async (item, { size, color }) => {
+    const result = await addToCart({
+      product: {
+        id: item.productId,
+        name: item.name,
+        price: item.price,
+        images: item.image ? [item.image] : [],
+        slug: item.slug,
+        variants: item.variants,
+      },
+      size,
+      color,
+      quantity: 1,
+    });
+
+    if (result.success) await removeItem(item.productId);
+    return result;
+  };
+
+  return (
+    <WishlistContext.Provider
+      value={{
+        items,
+        count: items.length,
+        isWishlisted,
+        addItem,
+        removeItem,
+        toggleItem,
+        moveToCart,
+      }}
+    >
+      {children}
+    </WishlistContext.Provider>
+  );
+}
+
+export function useWishlist() {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+}
@@ -13,16 +13,20 @@ async function fetchAPI(endpoint, options = {}) {
   const url = `${API_URL}${endpoint}`;
   
   const response = await fetch(url, {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers,
     },
-    ...options,
   });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Request failed' }));
-    throw new Error(error.error || `HTTP ${response.status}`);
+    const err = new Error(error.error || `HTTP ${response.status}`);
+    // Keep the status and body so callers can show details (e.g. stock shortages)
+    err.status = response.status;
+    err.details = error;
+    throw err;
   }
 
   return response.json();
@@ -31,58 +35,167 @@ async function fetchAPI(endpoint, options = {}) {
 // ============ Products API ============
 
 /**
- * Fetch all products with optional filters
+ * Fetch a page of products with filters, sort and facet counts
+ * Array values become repeated params (e.g. { size: ['M', 'L'] })
+ * Pass auth headers so VIPs also get early-access products
+ * @returns {Promise<{products: Array, pagination: Object, facets: Object, sort: string}>}
  */
-export async function getProducts(params = {}) {
+export async function getProducts(params = {}, authHeaders = {}) {
   const searchParams = new URLSearchParams();
-  
-  if (params.featured) searchParams.set('featured', 'true');
-  if (params.category) searchParams.set('category', params.category);
-  if (params.status) searchParams.set('status', params.status);
+
+  Object.entries(params).forEach(([key, value]) => {
+    [].concat(value ?? []).forEach((v) => {
+      if (v !== '' && v !== false) searchParams.append(key, String(v));
+    });
+  });
 
   const query = searchParams.toString();
-  return fetchAPI(`/api/products${query ? `?${query}` : ''}`);
+  return fetchAPI(`/api/products${query ? `?${query}` : ''}`, { headers: authHeaders });
 }
 
 /**
  * Fetch a single product by slug or ID
  */
-export async function getProduct(slugOrId) {
-  return fetchAPI(`/api/products/${slugOrId}`);
+export async function getProduct(slugOrId, authHeaders = {}) {
+  return fetchAPI(`/api/products/${slugOrId}`, { headers: authHeaders });
+}
+
+/**
+ * Relevance-ranked product search with highlighted matches
+ * Pass auth headers so VIPs also find early-access products
+ * sessionId groups live-typed queries into one logged search
+ */
+export async function searchProducts(q, { limit = 8, sessionId } = {}, authHeaders = {}) {
+  const searchParams = new URLSearchParams({ q, limit: String(limit) });
+  if (sessionId) searchParams.set('sessionId', sessionId);
+  return fetchAPI(`/api/products/search?${searchParams}`, { headers: authHeaders });
+}
+
+/**
+ * Report that a search result was opened (search click-through analytics)
+ */
+export async function recordSearchClick(logId, productId) {
+  return fetchAPI('/api/products/search/click', {
+    method: 'POST',
+    body: JSON.stringify({ logId, productId }),
+  });
+}
+
+/**
+ * Report a click or add-to-cart on a recommended product (A/B test analytics)
+ * @param {string} type - 'click' | 'add_to_cart'
+ */
+export async function recordRecommendationEvent(impressionId, productId, type) {
+  return fetchAPI('/api/products/recommended/events', {
+    method: 'POST',
+    body: JSON.stringify({ impressionId, productId, type }),
+  });
+}
+
+/**
+ * Fetch the most searched terms that found products
+ */
+export async function getPopularSearches() {
+  return fetchAPI('/api/products/search/popular');
+}
+
+/**
+ * Fetch typo-tolerant autocomplete suggestions (products, categories, styles)
+ */
+export async function getSuggestions(q, { limit = 6 } = {}, authHeaders = {}) {
+  const searchParams = new URLSearchParams({ q, limit: String(limit) });
+  return fetchAPI(`/api/products/suggest?${searchParams}`, { headers: authHeaders });
+}
+
+/**
+ * Fetch scheduled products VIPs can already buy (VIP/ADMIN only)
+ */
+export async function getEarlyAccessProducts(authHeaders = {}) {
+  return fetchAPI('/api/products/early-access', { headers: authHeaders });
+}
+
+/**
+ * Fetch approved reviews, the rating summary and (when signed in) the
+ * user's own review and whether they can write one
+ */
+export async function getProductReviews(productId, { sort = 'newest', page = 1 } = {}, authHeaders = {}) {
+  const searchParams = new URLSearchParams({ sort, page: String(page) });
+  return fetchAPI(`/api/products/${productId}/reviews?${searchParams}`, { headers: authHeaders });
+}
+
+/**
+ * Review a product the user has received (held for moderation)
+ */
+export async function createReview(productId, { rating, title, body, fit }, authHeaders = {}) {
+  return fetchAPI(`/api/products/${productId}/reviews`, {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ rating, title, body, fit }),
+  });
+}
+
+/**
+ * Suggested size from the user's measurements / usual size and reviewers' fit feedback
+ */
+export async function getSizeRecommendation(productId, authHeaders = {}) {
+  return fetchAPI(`/api/products/${productId}/size-recommendation`, { headers: authHeaders });
+}
+
+/**
+ * "Complete the look": frequently bought together, or similar products as a fallback
+ */
+export async function getRelatedProducts(productId, authHeaders = {}) {
+  return fetchAPI(`/api/products/${productId}/related`, { headers: authHeaders });
+}
+
+/**
+ * Ask to be emailed when a sold-out variant (SKU) is back in stock
+ * Signed-in shoppers may omit email to use their account email
+ */
+export async function subscribeToRestock(productId, { sku, email }, authHeaders = {}) {
+  return fetchAPI(`/api/products/${productId}/notify-me`, {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ sku, email }),
+  });
 }
 
 /**
  * Fetch featured products for homepage
  */
-export async function getFeaturedProducts() {
-  return getProducts({ featured: true });
+export async function getFeaturedProducts({ limit = 4 } = {}) {
+  const { products } = await getProducts({ featured: true, limit });
+  return products;
 }
 
 // ============ Cart API ============
+// All cart routes require auth; pass headers from AuthContext getAuthHeaders()
 
 /**
- * Fetch cart items for a user
+ * Fetch the current user's cart items
  */
-export async function getCart(userId) {
-  return fetchAPI(`/api/cart?userId=${userId}`);
+export async function getCart(authHeaders = {}) {
+  return fetchAPI('/api/cart', { headers: authHeaders });
 }
 
 /**
  * Add item to cart
  */
-export async function addToCart({ userId, productId, quantity = 1, size, color }) {
+export async function addToCart({ productId, quantity = 1, size, color }, authHeaders = {}) {
   return fetchAPI('/api/cart', {
     method: 'POST',
-    body: JSON.stringify({ userId, productId, quantity, size, color }),
+    headers: authHeaders,
+    body: JSON.stringify({ productId, quantity, size, color }),
   });
 }
 
 /**
  * Update cart item quantity
  */
-export async function updateCartItem(itemId, quantity) {
+export async function updateCartItem(itemId, quantity, authHeaders = {}) {
   return fetchAPI(`/api/cart/${itemId}`, {
     method: 'PATCH',
+    headers: authHeaders,
     body: JSON.stringify({ quantity }),
   });
 }
@@ -90,18 +203,162 @@ export async function updateCartItem(itemId, quantity) {
 /**
  * Remove item from cart
  */
-export async function removeFromCart(itemId) {
+export async function removeFromCart(itemId, authHeaders = {}) {
   return fetchAPI(`/api/cart/${itemId}`, {
     method: 'DELETE',
+    headers: authHeaders,
   });
 }
 
 /**
  * Clear entire cart
  */
-export async function clearCart(userId) {
-  return fetchAPI(`/api/cart?userId=${userId}`, {
+export async function clearCart(authHeaders = {}) {
+  return fetchAPI('/api/cart', {
     method: 'DELETE',
+    headers: authHeaders,
+  });
+}
+
+/**
+ * Merge guest cart lines into the current user's cart
+ */
+export async function mergeCart(items, authHeaders = {}) {
+  return fetchAPI('/api/cart/merge', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ items }),
+  });
+}
+
+/**
+ * Price breakdown of the current user's cart (subtotal, shipping, tax, total)
+ * @param {Object} destination - { country, state } used for the tax rate
+ * @param {Object} authHeaders - Headers from AuthContext getAuthHeaders()
+ */
+export async function getCartSummary({ country, state } = {}, authHeaders = {}) {
+  const searchParams = new URLSearchParams();
+  if (country) searchParams.set('country', country);
+  if (state) searchParams.set('state', state);
+  const query = searchParams.toString();
+
+  return fetchAPI(`/api/cart/summary${query ? `?${query}` : ''}`, {
+    headers: authHeaders,
+  });
+}
+
+/**
+ * Apply a promo code to the current user's cart
+ * Responds with the discount and the updated cart summary
+ */
+export async function applyPromoCode(code, authHeaders = {}) {
+  return fetchAPI('/api/cart/apply-code', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ code }),
+  });
+}
+
+/**
+ * Remove the promo code applied to the current user's cart
+ */
+export async function removePromoCode(authHeaders = {}) {
+  return fetchAPI('/api/cart/apply-code', {
+    method: 'DELETE',
+    headers: authHeaders,
+  });
+}
+
+/**
+ * Fetch public shipping/tax configuration
+ */
+export async function getPricingConfig() {
+  return fetchAPI('/api/config/pricing');
+}
+
+// ============ Wishlist API ============
+// All wishlist routes require auth; guests keep a localStorage wishlist
+
+/**
+ * Fetch the current user's wishlist with product details
+ */
+export async function getWishlist(authHeaders = {}) {
+  return fetchAPI('/api/wishlist', { headers: authHeaders });
+}
+
+/**
+ * Save a product (optionally with a preferred size/color) to the wishlist
+ * Responds with the updated wishlist
+ */
+export async function addToWishlist({ productId, size, color }, authHeaders = {}) {
+  return fetchAPI('/api/wishlist', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ productId, size, color }),
+  });
+}
+
+/**
+ * Remove a product from the wishlist
+ */
+export async function removeFromWishlist(productId, authHeaders = {}) {
+  return fetchAPI(`/api/wishlist/${productId}`, {
+    method: 'DELETE',
+    headers: authHeaders,
+  });
+}
+
+/**
+ * Merge guest wishlist entries into the current user's wishlist
+ */
+export async function mergeWishlist(items, authHeaders = {}) {
+  return fetchAPI('/api/wishlist/merge', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ items }),
+  });
+}
+
+// ============ Orders API ============
+
+/**
+ * Place an order from the current user's cart
+ */
+export async function checkout(shippingAddress, authHeaders = {}) {
+  return fetchAPI('/api/orders/checkout', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ shippingAddress }),
+  });
+}
+
+/**
+ * Fetch the current user's orders (paginated, newest first)
+ * @param {Object} params - { page, limit }
+ * @param {Object} authHeaders - Headers from AuthContext getAuthHeaders()
+ */
+export async function getOrders({ page = 1, limit = 10 } = {}, authHeaders = {}) {
+  return fetchAPI(`/api/orders?page=${page}&limit=${limit}`, {
+    headers: authHeaders,
+  });
+}
+
+/**
+ * Fetch a single order of the current user by order number
+ */
+export async function getOrder(orderNumber, authHeaders = {}) {
+  return fetchAPI(`/api/orders/${encodeURIComponent(orderNumber)}`, {
+    headers: authHeaders,
+  });
+}
+
+/**
+ * Cancel a pending order of the current user
+ */
+export async function cancelOrder(orderNumber, authHeaders = {}) {
+  return fetchAPI(`/api/orders/${encodeURIComponent(orderNumber)}/cancel`, {
+    method: 'POST',
+    headers: authHeaders,
   });
 }
 
@@ -133,3 +390,44 @@ export async function loginUser({ email, password }) {
 export async function getUser(userId) {
   return fetchAPI(`/api/users/${userId}`);
 }
+
+/**
+ * Fetch the signed-in user's recently viewed products, most recent first
+ */
+export async function getRecentlyViewed({ limit = 12, exclude } = {}, authHeaders = {}) {
+  const searchParams = new URLSearchParams({ limit: String(limit) });
+  if (exclude) searchParams.set('exclude', exclude);
+  return fetchAPI(`/api/users/me/recently-viewed?${searchParams}`, { headers: authHeaders });
+}
+
+/**
+ * Record a product view for the signed-in user
+ */
+export async function recordProductView(productId, authHeaders = {}) {
+  return fetchAPI('/api/users/me/recently-viewed', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ productId }),
+  });
+}
+
+/**
+ * Merge a guest's recently viewed products into the account after login
+ * @param {Array<{productId: string, viewedAt: string}>} items
+ */
+export async function mergeRecentlyViewed(items, authHeaders = {}) {
+  return fetchAPI('/api/users/me/recently-viewed/merge', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ items }),
+  });
+}
+
+// ============ VIP API ============
+
+/**
+ * Fetch the signed-in user's VIP status and progress towards the spend threshold
+ */
+export async function getVipStatus(authHeaders = {}) {
+  return fetchAPI('/api/auth/vip-status', { headers: authHeaders });
+}
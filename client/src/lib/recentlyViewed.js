@@ -0,0 +1,101 @@
+/**
+ * Recently viewed products
+ * Signed-in users' views are stored by the API; guests keep a capped list
+ * of product snapshots in localStorage, merged into their account on login.
+ */
+
+import { getRecentlyViewed, recordProductView, mergeRecentlyViewed } from './api';
+
+const GUEST_RECENTLY_VIEWED_KEY = 'atelier_recently_viewed';
+const MAX_GUEST_VIEWS = 20;
+
+function loadGuestViews() {
+  try {
+    return JSON.parse(localStorage.getItem(GUEST_RECENTLY_VIEWED_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveGuestViews(views) {
+  if (views.length > 0) {
+    localStorage.setItem(GUEST_RECENTLY_VIEWED_KEY, JSON.stringify(views));
+  } else {
+    localStorage.removeItem(GUEST_RECENTLY_VIEWED_KEY);
+  }
+}
+
+/**
+ * Record a product view (API for signed-in users, localStorage for guests).
+ * Failures are logged only; tracking never interrupts browsing.
+ * @param {Object} product - Product from the API
+ * @param {boolean} signedIn
+ * @param {Object} authHeaders
+ */
+export async function trackProductView(product, signedIn, authHeaders) {
+  if (signedIn) {
+    try {
+      await recordProductView(product.id, authHeaders);
+    } catch (err) {
+      console.error('Failed to record product view:', err);
+    }
+    return;
+  }
+
+  // Enough of the product to render a card without another request
+  const snapshot = {
+    id: product.id,
+    slug: product.slug,
+    name: product.name,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    vipPrice: product.vipPrice,
+    category: product.category,
+    images: product.images?.slice(0, 2) || [],
+    hoverImage: product.images?.[1] || product.images?.[0],
+    sizes: product.sizes || [],
+    colors: product.colors || [],
+    ratingAverage: product.ratingAverage,
+    ratingCount: product.ratingCount,
+    viewedAt: new Date().toISOString(),
+  };
+
+  const views = loadGuestViews().filter((view) => view.id !== product.id);
+  saveGuestViews([snapshot, ...views].slice(0, MAX_GUEST_VIEWS));
+}
+
+/**
+ * Recently viewed products for the current shopper, most recent first.
+ * Merges (then clears) any guest views the first time a signed-in user asks.
+ * @param {boolean} signedIn
+ * @param {Object} authHeaders
+ * @param {Object} [options]
+ * @param {string} [options.exclude] - Product ID to leave out
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+export async function loadRecentlyViewed(signedIn, authHeaders, { exclude, limit = 12 } = {}) {
+  if (!signedIn) {
+    return loadGuestViews()
+      .filter((view) => view.id !== exclude)
+      .slice(0, limit);
+  }
+
+  const guestViews = loadGuestViews();
+  if (guestViews.length > 0) {
+    // Take the guest list out of storage first so it is only merged once
+    saveGuestViews([]);
+    try {
+      await mergeRecentlyViewed(
+        guestViews.map(({ id, viewedAt }) => ({ productId: id, viewedAt })),
+        authHeaders
+      );
+    } catch (err) {
+      console.error('Failed to merge recently viewed:', err);
+      saveGuestViews(guestViews);
+    }
+  }
+
+  const { products } = await getRecentlyViewed({ limit, exclude }, authHeaders);
+  return products;
+}
@@ -0,0 +1,59 @@
+/**
+ * Recommendation A/B test tracking
+ * Guests get a random anonymous ID so their variant stays the same across
+ * visits. Products opened from recommendations are remembered for the tab
+ * session, so adding one to the bag later counts for its impression.
+ */
+
+import { recordRecommendationEvent } from './api';
+
+const ANONYMOUS_ID_KEY = 'atelier_anonymous_id';
+const RECOMMENDATION_CLICKS_KEY = 'atelier_recommendation_clicks';
+
+/**
+ * Stable per-browser ID for experiment assignment
+ * @returns {string}
+ */
+export function getAnonymousId() {
+  let id = localStorage.getItem(ANONYMOUS_ID_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(ANONYMOUS_ID_KEY, id);
+  }
+  return id;
+}
+
+function loadClicks() {
+  try {
+    return JSON.parse(sessionStorage.getItem(RECOMMENDATION_CLICKS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record that a recommended product was opened
+ * @param {string} impressionId - From the recommendations response
+ * @param {string} productId
+ */
+export function trackRecommendationClick(impressionId, productId) {
+  sessionStorage.setItem(
+    RECOMMENDATION_CLICKS_KEY,
+    JSON.stringify({ ...loadClicks(), [productId]: impressionId })
+  );
+  recordRecommendationEvent(impressionId, productId, 'click').catch((err) =>
+    console.error('Failed to record recommendation click:', err)
+  );
+}
+
+/**
+ * Record an add-to-cart if the product was opened from recommendations
+ * @param {string} productId
+ */
+export function trackRecommendedAddToCart(productId) {
+  const impressionId = loadClicks()[productId];
+  if (!impressionId) return;
+  recordRecommendationEvent(impressionId, productId, 'add_to_cart').catch((err) =>
+    console.error('Failed to record recommendation add-to-cart:', err)
+  );
+}
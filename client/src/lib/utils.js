@@ -9,3 +9,27 @@ import { twMerge } from "tailwind-merge";
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
+
+/**
+ * VIP tier price for a product (or one of its variants), mirroring the server:
+ * variant vipPrice, then product vipPrice, only when lower than the regular price.
+ * @param {Object} product - Product from the API
+ * @param {Object} [variant] - Selected variant
+ * @returns {number|null} VIP price, or null when there is no VIP tier
+ */
+export function getVipPrice(product, variant) {
+  const price = variant?.price ?? product.price;
+  const vipPrice = variant?.vipPrice ?? product.vipPrice;
+  return vipPrice != null && vipPrice < price ? vipPrice : null;
+}
+
+/**
+ * A shopper's preferred size for a product category, mirroring the server:
+ * the per-category size, then their usual size from the style quiz.
+ * @param {Object|null} preferences - user.preferences
+ * @param {string} category
+ * @returns {string|null}
+ */
+export function getPreferredSize(preferences, category) {
+  return preferences?.preferredSizes?.[category] || preferences?.preferredSize || null;
+}
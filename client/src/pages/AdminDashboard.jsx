@@ -3,13 +3,13 @@
  * Protected admin-only area with full management capabilities
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { 
   Users, Package, ShoppingBag, Crown, DollarSign,
   TrendingUp, TrendingDown, Settings, LogOut, BarChart3, Home,
   ChevronRight, Eye, EyeOff, Edit, Trash2, Plus, Calendar,
-  Check, X, Loader2, Image as ImageIcon, AlertCircle, Layers, Boxes
+  Check, X, Loader2, Image as ImageIcon, AlertCircle, Layers, Boxes, Tag, Search, Star, Sparkles
 } from 'lucide-react';
 import { Link, Routes, Route, NavLink, useNavigate } from 'react-router-dom';
 import { Button } from '../components/ui/Button';
@@ -27,6 +27,8 @@ import {
 import { format, parseISO } from 'date-fns';
 import { InventoryTable } from '../components/admin/InventoryTable';
 import { ProductForm } from '../components/admin/ProductForm';
+import { PromotionForm } from '../components/admin/PromotionForm';
+import { StarRating } from '../components/products/StarRating';
 
 // ============================================
 // SIDEBAR NAVIGATION
@@ -42,6 +44,9 @@ function AdminSidebar() {
     { name: 'Inventory', path: '/admin/inventory', icon: Boxes },
     { name: 'Orders', path: '/admin/orders', icon: ShoppingBag },
     { name: 'Customers', path: '/admin/customers', icon: Users },
+    { name: 'Reviews', path: '/admin/reviews', icon: Star },
+    { name: 'Promotions', path: '/admin/promotions', icon: Tag },
+    { name: 'Recommendations', path: '/admin/recommendations', icon: Sparkles },
     { name: 'Settings', path: '/admin/settings', icon: Settings },
   ];
 
@@ -191,19 +196,25 @@ function ChartTooltip({ active, payload, label }) {
 function DashboardOverview() {
   const [stats, setStats] = useState(null);
   const [analytics, setAnalytics] = useState(null);
+  const [searchAnalytics, setSearchAnalytics] = useState(null);
+  const [experimentAnalytics, setExperimentAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
   const { getAuthHeaders } = useAuth();
 
   useEffect(() => {
     async function fetchData() {
       try {
-        const [statsRes, analyticsRes] = await Promise.all([
+        const [statsRes, analyticsRes, searchRes, experimentRes] = await Promise.all([
           fetch('/api/admin/stats', { headers: getAuthHeaders() }),
-          fetch('/api/admin/analytics?days=30', { headers: getAuthHeaders() })
+          fetch('/api/admin/analytics?days=30', { headers: getAuthHeaders() }),
+          fetch('/api/admin/analytics/search?days=30&limit=5', { headers: getAuthHeaders() }),
+          fetch('/api/admin/analytics/recommendations?days=30', { headers: getAuthHeaders() })
         ]);
         
         if (statsRes.ok) setStats(await statsRes.json());
         if (analyticsRes.ok) setAnalytics(await analyticsRes.json());
+        if (searchRes.ok) setSearchAnalytics(await searchRes.json());
+        if (experimentRes.ok) setExperimentAnalytics(await experimentRes.json());
       } catch (error) {
         console.error('Failed to fetch admin data:', error);
       } finally {
@@ -418,6 +429,156 @@ function DashboardOverview() {
           )}
         </div>
       </div>
+
+      <SearchInsights data={searchAnalytics} />
+      <RecommendationExperiment data={experimentAnalytics} />
+    </div>
+  );
+}
+
+/**
+ * Recommendation A/B Test Card
+ * Quiz-only vs. quiz + behavior scoring: how often a shown list leads to a
+ * product click or an add-to-cart
+ */
+function RecommendationExperiment({ data }) {
+  const variantLabels = {
+    quiz: 'Style quiz only',
+    behavior: 'Quiz + shopping behavior',
+  };
+  const hasData = data?.variants.some((v) => v.impressions > 0);
+  const bestRate = hasData ? Math.max(...data.variants.map((v) => v.addToCartRate)) : null;
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6">
+      <div className="mb-6">
+        <h3 className="text-lg font-medium text-zinc-100 flex items-center gap-2">
+          <Sparkles className="w-5 h-5 text-emerald-400" />
+          Recommendation A/B Test
+        </h3>
+        <p className="text-sm text-zinc-500">Last 30 days · {data?.experiment}</p>
+      </div>
+
+      {hasData ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-zinc-500 border-b border-zinc-700/50">
+                <th className="pb-3 font-medium">Variant</th>
+                <th className="pb-3 font-medium text-right">Shoppers</th>
+                <th className="pb-3 font-medium text-right">Impressions</th>
+                <th className="pb-3 font-medium text-right">Personalized</th>
+                <th className="pb-3 font-medium text-right">Clicks</th>
+                <th className="pb-3 font-medium text-right">Click-through</th>
+                <th className="pb-3 font-medium text-right">Add to Bag</th>
+                <th className="pb-3 font-medium text-right">Add-to-bag Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.variants.map((v) => (
+                <tr key={v.variant} className="border-b border-zinc-800 last:border-0">
+                  <td className="py-3 text-zinc-100">{variantLabels[v.variant] || v.variant}</td>
+                  <td className="py-3 text-right text-zinc-400">{v.shoppers}</td>
+                  <td className="py-3 text-right text-zinc-400">{v.impressions.toLocaleString()}</td>
+                  <td className="py-3 text-right text-zinc-400">{v.personalizedRate}%</td>
+                  <td className="py-3 text-right text-zinc-400">{v.clicks}</td>
+                  <td className="py-3 text-right text-zinc-100">{v.clickThroughRate}%</td>
+                  <td className="py-3 text-right text-zinc-400">{v.addToCarts}</td>
+                  <td className={cn(
+                    "py-3 text-right font-medium",
+                    v.impressions > 0 && v.addToCartRate === bestRate ? "text-emerald-400" : "text-zinc-100"
+                  )}>
+                    {v.addToCartRate}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-zinc-500 text-center py-8">No recommendation impressions yet</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Search Insights Card
+ * What customers search for, what finds nothing, and how often a search
+ * leads to a product click
+ */
+function SearchInsights({ data }) {
+  const totals = data?.totals;
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-medium text-zinc-100 flex items-center gap-2">
+            <Search className="w-5 h-5 text-emerald-400" />
+            Search Insights
+          </h3>
+          <p className="text-sm text-zinc-500">Last 30 days</p>
+        </div>
+        {totals && (
+          <div className="flex gap-8 text-right">
+            <div>
+              <p className="text-2xl font-semibold text-zinc-100">{totals.searches.toLocaleString()}</p>
+              <p className="text-xs text-zinc-500">Searches</p>
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-emerald-400">{totals.clickThroughRate}%</p>
+              <p className="text-xs text-zinc-500">Click-through</p>
+            </div>
+            <div>
+              <p className={cn(
+                "text-2xl font-semibold",
+                totals.zeroResultRate > 10 ? "text-rose-400" : "text-zinc-100"
+              )}>
+                {totals.zeroResultRate}%
+              </p>
+              <p className="text-xs text-zinc-500">No results</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {totals?.searches > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div>
+            <p className="text-sm font-medium text-zinc-300 mb-3">Top Terms</p>
+            <div className="space-y-2">
+              {data.topTerms.map((term) => (
+                <div key={term.term} className="flex items-center justify-between text-sm">
+                  <span className="text-zinc-100 truncate">{term.term}</span>
+                  <span className="text-zinc-400 shrink-0 ml-4">
+                    {term.searches} searches · {term.clickThroughRate}% CTR
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-zinc-300 mb-3">Zero-Result Terms</p>
+            {data.zeroResultTerms.length > 0 ? (
+              <div className="space-y-2">
+                {data.zeroResultTerms.map((term) => (
+                  <div key={term.term} className="flex items-center justify-between text-sm">
+                    <span className="text-rose-400 truncate">{term.term}</span>
+                    <span className="text-zinc-400 shrink-0 ml-4">
+                      {term.searches} searches · last {format(parseISO(term.lastSearchedAt), 'MMM d')}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-zinc-500">Every search found something</p>
+            )}
+          </div>
+        </div>
+      ) : (
+        <p className="text-zinc-500 text-center py-8">No searches yet</p>
+      )}
     </div>
   );
 }
@@ -1096,10 +1257,21 @@ function OrdersManagement() {
         body: JSON.stringify({ status: newStatus })
       });
 
+      const data = await response.json();
+
       if (response.ok) {
         setOrders(orders.map(o => 
-          o.id === orderId ? { ...o, status: newStatus } : o
+          o.id === orderId
+            ? {
+                ...o,
+                status: data.order.status,
+                statusHistory: data.order.statusHistory,
+                allowedStatuses: data.order.allowedStatuses,
+              }
+            : o
         ));
+      } else {
+        alert(data.error || 'Failed to update order status');
       }
     } catch (error) {
       console.error('Failed to update order:', error);
@@ -1158,21 +1330,22 @@ function OrdersManagement() {
                 <p className="text-xl font-semibold text-zinc-100">
                   ${order.totalAmount?.toFixed(2)}
                 </p>
+                {/* Only offer the legal next states */}
                 <select
                   value={order.status}
                   onChange={(e) => updateStatus(order.id, e.target.value)}
-                  disabled={updating === order.id}
+                  disabled={updating === order.id || !order.allowedStatuses?.length}
                   className={cn(
-                    'mt-2 px-3 py-1 rounded-full text-sm border',
+                    'mt-2 px-3 py-1 rounded-full text-sm border capitalize',
                     statusColors[order.status],
-                    'bg-transparent cursor-pointer'
+                    'bg-transparent cursor-pointer disabled:cursor-default'
                   )}
                 >
-                  <option value="pending">Pending</option>
-                  <option value="processing">Processing</option>
-                  <option value="shipped">Shipped</option>
-                  <option value="delivered">Delivered</option>
-                  <option value="cancelled">Cancelled</option>
+                  {[order.status, ...(order.allowedStatuses || [])].map((status) => (
+                    <option key={status} value={status} className="capitalize">
+                      {status}
+                    </option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -1205,6 +1378,30 @@ function OrdersManagement() {
                 </p>
               </div>
             )}
+
+            {/* Status History */}
+            {order.statusHistory?.length > 0 && (
+              <div className="mt-4 pt-4 border-t border-zinc-700/50">
+                <p className="text-sm text-zinc-400 mb-2">History:</p>
+                <div className="space-y-1">
+                  {order.statusHistory.map((entry, i) => (
+                    <div key={i} className="flex items-center justify-between text-xs">
+                      <span className="text-zinc-300 capitalize">
+                        {entry.from ? `${entry.from} → ${entry.status}` : entry.status}
+                        {entry.changedBy && (
+                          <span className="text-zinc-500 normal-case">
+                            {' '}by {entry.changedBy.name} ({entry.changedBy.role})
+                          </span>
+                        )}
+                      </span>
+                      <span className="text-zinc-500">
+                        {format(parseISO(entry.at), 'MMM d, yyyy HH:mm')}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </motion.div>
         ))}
       </div>
@@ -1299,6 +1496,11 @@ function CustomersManagement() {
                   )}>
                     {user.role}
                   </span>
+                  {user.role === 'VIP' && user.vipSource && (
+                    <span className="ml-2 text-xs text-zinc-500">
+                      {user.vipSource === 'spend' ? 'earned' : 'granted'}
+                    </span>
+                  )}
                 </td>
                 <td className="p-4 text-zinc-400 text-sm">
                   {new Date(user.createdAt).toLocaleDateString()}
@@ -1312,6 +1514,732 @@ function CustomersManagement() {
   );
 }
 
+// ============================================
+// REVIEWS MODERATION
+// ============================================
+
+function ReviewsManagement() {
+  const [status, setStatus] = useState('pending');
+  const [reviews, setReviews] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, approved: 0, rejected: 0 });
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(null);
+  const { getAuthHeaders } = useAuth();
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/admin/reviews?status=${status}`, {
+        headers: getAuthHeaders()
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setReviews(data.reviews);
+        setCounts(data.counts);
+      }
+    } catch (error) {
+      console.error('Failed to fetch reviews:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, getAuthHeaders]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const moderate = async (reviewId, newStatus) => {
+    setUpdating(reviewId);
+    try {
+      const response = await fetch(`/api/admin/reviews/${reviewId}`, {
+        method: newStatus ? 'PATCH' : 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders()
+        },
+        body: newStatus ? JSON.stringify({ status: newStatus }) : undefined
+      });
+
+      if (response.ok) {
+        await fetchReviews();
+      } else {
+        const data = await response.json();
+        alert(data.error || 'Failed to update review');
+      }
+    } catch (error) {
+      console.error('Failed to update review:', error);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const fitLabels = { small: 'Runs small', true: 'True to size', large: 'Runs large' };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-serif text-zinc-100">Reviews</h2>
+
+      {/* Status tabs */}
+      <div className="flex gap-2">
+        {['pending', 'approved', 'rejected'].map((s) => (
+          <button
+            key={s}
+            onClick={() => setStatus(s)}
+            className={cn(
+              'px-4 py-2 rounded-lg text-sm font-medium capitalize transition-colors',
+              status === s
+                ? 'bg-emerald-500/10 text-emerald-400'
+                : 'text-zinc-400 hover:text-zinc-100 hover:bg-zinc-800/50'
+            )}
+          >
+            {s} ({counts[s]})
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="space-y-4">
+          {[...Array(3)].map((_, i) => (
+            <Skeleton key={i} className="h-32 bg-zinc-800" />
+          ))}
+        </div>
+      ) : reviews.length === 0 ? (
+        <p className="text-zinc-500">No {status} reviews.</p>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <div
+              key={review.id}
+              className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6"
+            >
+              <div className="flex items-start justify-between gap-6">
+                <div className="flex gap-4 min-w-0">
+                  {review.product?.image && (
+                    <img
+                      src={review.product.image}
+                      alt={review.product.name}
+                      className="w-14 h-18 object-cover rounded"
+                    />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm text-zinc-400">
+                      {review.product?.name || 'Deleted product'}
+                    </p>
+                    <div className="flex items-center gap-2 mt-1">
+                      <StarRating value={review.rating} />
+                      {review.title && <span className="font-medium text-zinc-100">{review.title}</span>}
+                    </div>
+                    <p className="text-sm text-zinc-300 mt-2">{review.body}</p>
+                    <p className="text-xs text-zinc-500 mt-2">
+                      {review.author}
+                      {review.size && ` · Size ${review.size}`}
+                      {review.fit && ` · ${fitLabels[review.fit]}`}
+                      {' · '}{format(parseISO(review.createdAt), 'MMM d, yyyy')}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="flex gap-2 shrink-0">
+                  {review.status !== 'approved' && (
+                    <Button
+                      size="sm"
+                      onClick={() => moderate(review.id, 'approved')}
+                      disabled={updating === review.id}
+                      className="bg-emerald-600 hover:bg-emerald-700"
+                    >
+                      <Check className="w-4 h-4 mr-1" />
+                      Approve
+                    </Button>
+                  )}
+                  {review.status !== 'rejected' && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => moderate(review.id, 'rejected')}
+                      disabled={updating === review.id}
+                      className="border-zinc-700"
+                    >
+                      <X className="w-4 h-4 mr-1" />
+                      Reject
+                    </Button>
+                  )}
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => {
+                      if (confirm('Delete this review permanently?')) moderate(review.id, null);
+                    }}
+                    disabled={updating === review.id}
+                    className="border-zinc-700 text-red-400 hover:text-red-300"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// PROMOTIONS MANAGEMENT
+// ============================================
+
+function PromotionsManagement() {
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const { getAuthHeaders } = useAuth();
+
+  const fetchPromotions = useCallback(async () => {
+    try {
+      const response = await fetch('/api/admin/promotions', {
+        headers: getAuthHeaders()
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setPromotions(data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch promotions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [getAuthHeaders]);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [fetchPromotions]);
+
+  // Products for the scope picker
+  useEffect(() => {
+    async function fetchProducts() {
+      try {
+        const response = await fetch('/api/admin/products', {
+          headers: getAuthHeaders()
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setProducts(data);
+        }
+      } catch (error) {
+        console.error('Failed to fetch products:', error);
+      }
+    }
+    fetchProducts();
+  }, [getAuthHeaders]);
+
+  const deletePromotion = async (promotion) => {
+    if (!confirm(`Delete code ${promotion.code}?`)) return;
+
+    try {
+      const response = await fetch(`/api/admin/promotions/${promotion.id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to delete promotion');
+        return;
+      }
+      // Used codes are deactivated rather than deleted
+      if (data.message !== 'Promotion deleted') alert(data.message);
+      fetchPromotions();
+    } catch (error) {
+      console.error('Failed to delete promotion:', error);
+    }
+  };
+
+  const formatWindow = (promotion) => {
+    if (!promotion.startsAt && !promotion.endsAt) return 'Always';
+    const from = promotion.startsAt ? format(parseISO(promotion.startsAt), 'MMM d, yyyy') : 'Now';
+    const to = promotion.endsAt ? format(parseISO(promotion.endsAt), 'MMM d, yyyy') : 'No end';
+    return `${from} – ${to}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="space-y-4">
+        {[...Array(5)].map((_, i) => (
+          <Skeleton key={i} className="h-16 bg-zinc-800" />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-serif text-zinc-100">Promotions</h2>
+        <Button
+          onClick={() => {
+            setEditingPromotion(null);
+            setShowForm(true);
+          }}
+          className="bg-emerald-500 hover:bg-emerald-600"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Code
+        </Button>
+      </div>
+
+      {showForm && (
+        <PromotionForm
+          key={editingPromotion?.id || 'new'}
+          open={showForm}
+          onOpenChange={(open) => {
+            setShowForm(open);
+            if (!open) setEditingPromotion(null);
+          }}
+          onSuccess={fetchPromotions}
+          products={products}
+          editPromotion={editingPromotion}
+        />
+      )}
+
+      <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl overflow-hidden">
+        <table className="w-full">
+          <thead>
+            <tr className="border-b border-zinc-700">
+              <th className="text-left p-4 text-sm font-medium text-zinc-400">Code</th>
+              <th className="text-left p-4 text-sm font-medium text-zinc-400">Discount</th>
+              <th className="text-left p-4 text-sm font-medium text-zinc-400">Scope</th>
+              <th className="text-left p-4 text-sm font-medium text-zinc-400">Used</th>
+              <th className="text-left p-4 text-sm font-medium text-zinc-400">Valid</th>
+              <th className="text-left p-4 text-sm font-medium text-zinc-400">Status</th>
+              <th className="text-right p-4 text-sm font-medium text-zinc-400">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {promotions.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="p-8 text-center text-zinc-500">
+                  No promo codes yet
+                </td>
+              </tr>
+            ) : promotions.map((promotion) => (
+              <tr key={promotion.id} className="border-b border-zinc-700/50 last:border-0">
+                <td className="p-4">
+                  <div className="flex items-center gap-2">
+                    <span className="font-mono font-medium text-zinc-100">{promotion.code}</span>
+                    {promotion.vipOnly && <Crown className="w-4 h-4 text-amber-400" />}
+                  </div>
+                  {promotion.description && (
+                    <p className="text-xs text-zinc-500">{promotion.description}</p>
+                  )}
+                </td>
+                <td className="p-4 text-zinc-300">
+                  {promotion.type === 'percentage' ? `${promotion.value}%` : `$${promotion.value}`}
+                  {promotion.minSubtotal > 0 && (
+                    <span className="block text-xs text-zinc-500">over ${promotion.minSubtotal}</span>
+                  )}
+                </td>
+                <td className="p-4 text-zinc-400 text-sm">
+                  {promotion.categories.length === 0 && promotion.productIds.length === 0
+                    ? 'Entire order'
+                    : [
+                        ...promotion.categories,
+                        promotion.productIds.length > 0 && `${promotion.productIds.length} products`
+                      ].filter(Boolean).join(', ')}
+                </td>
+                <td className="p-4 text-zinc-300 text-sm">
+                  {promotion.usageCount}
+                  {promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                  {promotion.perUserLimit && (
+                    <span className="block text-xs text-zinc-500">{promotion.perUserLimit} per customer</span>
+                  )}
+                </td>
+                <td className="p-4 text-zinc-400 text-sm">{formatWindow(promotion)}</td>
+                <td className="p-4">
+                  <span className={cn(
+                    'text-xs px-2 py-1 rounded-full',
+                    promotion.isLive
+                      ? 'bg-emerald-500/10 text-emerald-400'
+                      : 'bg-zinc-700 text-zinc-400'
+                  )}>
+                    {promotion.isLive ? 'live' : promotion.isActive ? 'scheduled / ended' : 'inactive'}
+                  </span>
+                </td>
+                <td className="p-4">
+                  <div className="flex items-center justify-end gap-2">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => {
+                        setEditingPromotion(promotion);
+                        setShowForm(true);
+                      }}
+                      className="text-zinc-400 hover:text-zinc-100"
+                    >
+                      <Edit className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => deletePromotion(promotion)}
+                      className="text-zinc-400 hover:text-rose-400"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// RECOMMENDATIONS
+// ============================================
+
+const WEIGHT_FIELDS = [
+  { key: 'style', label: 'Style match' },
+  { key: 'category', label: 'Fit → category match' },
+  { key: 'color', label: 'Per palette color' },
+  { key: 'featured', label: 'Featured product' },
+  { key: 'sale', label: 'On sale (quality priority)' },
+  { key: 'behaviorCategory', label: 'Top category from activity' },
+  { key: 'behaviorColor', label: 'Top color from activity' },
+];
+
+function RecommendationSettings() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [options, setOptions] = useState(null);
+  const [customers, setCustomers] = useState([]);
+  const [sample, setSample] = useState({
+    favoriteStyle: 'minimalist',
+    colorPalette: 'neutrals',
+    preferredFit: 'regular',
+    wardrobePriority: 'quality',
+  });
+  const [sampleUserId, setSampleUserId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const { getAuthHeaders } = useAuth();
+
+  useEffect(() => {
+    async function fetchConfig() {
+      try {
+        const [configResponse, usersResponse] = await Promise.all([
+          fetch('/api/admin/recommendations/config', { headers: getAuthHeaders() }),
+          fetch('/api/admin/users', { headers: getAuthHeaders() })
+        ]);
+        if (configResponse.ok) {
+          const data = await configResponse.json();
+          setConfig(data.config);
+          setDefaults(data.defaults);
+          setOptions(data.options);
+        }
+        if (usersResponse.ok) {
+          setCustomers(await usersResponse.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch recommendation settings:', error);
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchConfig();
+  }, [getAuthHeaders]);
+
+  const updateMapping = (field, key, value) => {
+    setConfig({ ...config, [field]: { ...config[field], [key]: value } });
+  };
+
+  const toggleFitCategory = (fit, category) => {
+    const current = config.fitCategoryMapping[fit] || [];
+    updateMapping(
+      'fitCategoryMapping',
+      fit,
+      current.includes(category) ? current.filter(c => c !== category) : [...current, category]
+    );
+  };
+
+  // Inputs hold text while editing; the API takes numbers and name lists
+  const toPayload = () => ({
+    weights: Object.fromEntries(
+      Object.entries(config.weights).map(([key, value]) => [key, parseFloat(value) || 0])
+    ),
+    colorMapping: Object.fromEntries(
+      Object.entries(config.colorMapping).map(([palette, colors]) => [
+        palette,
+        (Array.isArray(colors) ? colors : colors.split(',')).map(c => c.trim()).filter(Boolean)
+      ])
+    ),
+    fitCategoryMapping: config.fitCategoryMapping,
+    styleTagMapping: config.styleTagMapping,
+  });
+
+  const runPreview = async () => {
+    setPreviewing(true);
+    try {
+      const response = await fetch('/api/admin/recommendations/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({
+          config: toPayload(),
+          preferences: sample,
+          userId: sampleUserId || null
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to preview recommendations');
+        return;
+      }
+      setPreview(data);
+    } catch (error) {
+      console.error('Failed to preview recommendations:', error);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const saveConfig = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch('/api/admin/settings/recommendations', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify(toPayload())
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to save recommendation settings');
+        return;
+      }
+      alert('Recommendation settings saved!');
+    } catch (error) {
+      console.error('Failed to save recommendation settings:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !config) {
+    return (
+      <div className="space-y-4">
+        {[...Array(6)].map((_, i) => (
+          <Skeleton key={i} className="h-12 bg-zinc-800" />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-serif text-zinc-100">Recommendations</h2>
+        <Button
+          variant="outline"
+          onClick={() => setConfig(defaults)}
+          className="border-zinc-700 text-zinc-300"
+        >
+          Reset to Defaults
+        </Button>
+      </div>
+
+      {/* Weights */}
+      <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6">
+        <div className="mb-6">
+          <h3 className="text-lg font-medium text-zinc-100">Score Weights</h3>
+          <p className="text-sm text-zinc-500">
+            Points a product earns for each match. Activity weights apply to the customer&apos;s
+            strongest category and color from orders, wishlist, cart and views; weaker ones earn less.
+          </p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {WEIGHT_FIELDS.map(({ key, label }) => (
+            <div key={key}>
+              <label className="text-sm text-zinc-400">{label}</label>
+              <Input
+                type="number"
+                min="0"
+                max="100"
+                value={config.weights[key]}
+                onChange={(e) => updateMapping('weights', key, e.target.value)}
+                className="mt-1 bg-zinc-800 border-zinc-700"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Mappings */}
+      <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6 space-y-8">
+        <div>
+          <h3 className="text-lg font-medium text-zinc-100">Color Palettes</h3>
+          <p className="text-sm text-zinc-500 mb-4">Product color names that count for each quiz palette (comma separated).</p>
+          <div className="space-y-3">
+            {options.colorPalettes.map((palette) => (
+              <div key={palette} className="flex items-center gap-4">
+                <span className="w-28 text-sm text-zinc-300 capitalize">{palette}</span>
+                <Input
+                  value={Array.isArray(config.colorMapping[palette])
+                    ? config.colorMapping[palette].join(', ')
+                    : config.colorMapping[palette]}
+                  onChange={(e) => updateMapping('colorMapping', palette, e.target.value)}
+                  className="bg-zinc-800 border-zinc-700"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-lg font-medium text-zinc-100">Fit → Categories</h3>
+          <p className="text-sm text-zinc-500 mb-4">Categories that suit each fit preference.</p>
+          <div className="space-y-3">
+            {options.fits.map((fit) => (
+              <div key={fit} className="flex items-center gap-4">
+                <span className="w-28 text-sm text-zinc-300 capitalize">{fit}</span>
+                <div className="flex flex-wrap gap-2">
+                  {options.categories.map((category) => {
+                    const selected = config.fitCategoryMapping[fit]?.includes(category);
+                    return (
+                      <button
+                        key={category}
+                        type="button"
+                        onClick={() => toggleFitCategory(fit, category)}
+                        className={cn(
+                          'px-3 py-1 rounded-full text-xs border transition-colors',
+                          selected
+                            ? 'bg-emerald-500/10 border-emerald-500/30 text-emerald-400'
+                            : 'border-zinc-700 text-zinc-500 hover:text-zinc-300'
+                        )}
+                      >
+                        {category}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-lg font-medium text-zinc-100">Style Tags</h3>
+          <p className="text-sm text-zinc-500 mb-4">Product style tag matched for each quiz style.</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {options.styles.map((style) => (
+              <div key={style} className="flex items-center gap-4">
+                <span className="w-28 text-sm text-zinc-300 capitalize">{style}</span>
+                <Input
+                  value={config.styleTagMapping[style]}
+                  onChange={(e) => updateMapping('styleTagMapping', style, e.target.value)}
+                  className="bg-zinc-800 border-zinc-700"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Preview */}
+      <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6">
+        <div className="mb-6">
+          <h3 className="text-lg font-medium text-zinc-100">Preview</h3>
+          <p className="text-sm text-zinc-500">
+            Top 8 for sample quiz answers with the settings above, before saving.
+            Pick a customer to include their shopping activity.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          {[
+            ['favoriteStyle', 'Style', options.styles],
+            ['colorPalette', 'Palette', options.colorPalettes],
+            ['preferredFit', 'Fit', options.fits],
+            ['wardrobePriority', 'Priority', options.priorities],
+          ].map(([field, label, choices]) => (
+            <div key={field}>
+              <label className="text-sm text-zinc-400">{label}</label>
+              <select
+                value={sample[field]}
+                onChange={(e) => setSample({ ...sample, [field]: e.target.value })}
+                className="mt-1 w-full h-10 px-3 rounded-md bg-zinc-800 border border-zinc-700 text-zinc-100 text-sm capitalize"
+              >
+                {choices.map((choice) => (
+                  <option key={choice} value={choice}>{choice}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <div>
+            <label className="text-sm text-zinc-400">Customer</label>
+            <select
+              value={sampleUserId}
+              onChange={(e) => setSampleUserId(e.target.value)}
+              className="mt-1 w-full h-10 px-3 rounded-md bg-zinc-800 border border-zinc-700 text-zinc-100 text-sm"
+            >
+              <option value="">None</option>
+              {customers.map((customer) => (
+                <option key={customer.id} value={customer.id}>{customer.email}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="mt-6 flex justify-end gap-3">
+          <Button
+            variant="outline"
+            onClick={runPreview}
+            disabled={previewing}
+            className="border-zinc-700 text-zinc-300"
+          >
+            {previewing ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <Eye className="w-4 h-4 mr-2" />}
+            Preview
+          </Button>
+          <Button
+            onClick={saveConfig}
+            disabled={saving}
+            className="bg-emerald-500 hover:bg-emerald-600"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+            Save Recommendations
+          </Button>
+        </div>
+
+        {preview && (
+          <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+            {preview.products.map((product, index) => (
+              <div key={product.id} className="bg-zinc-900 border border-zinc-800 rounded-lg overflow-hidden">
+                <img
+                  src={product.images?.[0]}
+                  alt={product.name}
+                  className="w-full aspect-[3/4] object-cover"
+                />
+                <div className="p-3">
+                  <p className="text-sm text-zinc-100 truncate">{index + 1}. {product.name}</p>
+                  <p className="text-xs text-zinc-500">{product.category}</p>
+                  {product.matchScore != null && (
+                    <p className="text-xs text-emerald-400 mt-1">
+                      {product.matchScore} pts · {product.matchReason}
+                    </p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // ============================================
 // SITE SETTINGS
 // ============================================
@@ -1334,7 +2262,18 @@ function SiteSettings() {
     backgroundColor: '#10B981',
     textColor: '#FFFFFF',
     link: '',
-    linkText: ''
+    linkText: '',
+    promoCode: ''
+  });
+  // Tax rates are edited as percentages and stored as fractions
+  const [pricingData, setPricingData] = useState({
+    freeShippingThreshold: 200,
+    flatShippingRate: 15,
+    taxRates: [{ region: 'default', rate: 0 }]
+  });
+  const [vipData, setVipData] = useState({
+    spendThreshold: 1000,
+    earlyAccessHours: 48
   });
   const { getAuthHeaders } = useAuth();
 
@@ -1364,7 +2303,24 @@ function SiteSettings() {
               backgroundColor: data.promo_banner.backgroundColor || '#10B981',
               textColor: data.promo_banner.textColor || '#FFFFFF',
               link: data.promo_banner.link || '',
-              linkText: data.promo_banner.linkText || ''
+              linkText: data.promo_banner.linkText || '',
+              promoCode: data.promo_banner.promoCode || ''
+            });
+          }
+          if (data.pricing) {
+            setPricingData({
+              freeShippingThreshold: data.pricing.freeShippingThreshold ?? 200,
+              flatShippingRate: data.pricing.flatShippingRate ?? 15,
+              taxRates: Object.entries(data.pricing.taxRates || { default: 0 }).map(([region, rate]) => ({
+                region,
+                rate: Math.round(rate * 100000) / 1000
+              }))
+            });
+          }
+          if (data.vip) {
+            setVipData({
+              spendThreshold: data.vip.spendThreshold ?? 1000,
+              earlyAccessHours: data.vip.earlyAccessHours ?? 48
             });
           }
         }
@@ -1396,11 +2352,16 @@ function SiteSettings() {
   const savePromo = async () => {
     setSaving('promo');
     try {
-      await fetch('/api/admin/settings/promo_banner', {
+      const response = await fetch('/api/admin/settings/promo_banner', {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
         body: JSON.stringify(promoData)
       });
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to save promo banner');
+        return;
+      }
       alert('Promo banner saved!');
     } catch (error) {
       console.error('Failed to save promo:', error);
@@ -1409,6 +2370,75 @@ function SiteSettings() {
     }
   };
 
+  const updateTaxRate = (index, field, value) => {
+    setPricingData({
+      ...pricingData,
+      taxRates: pricingData.taxRates.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    });
+  };
+
+  const savePricing = async () => {
+    setSaving('pricing');
+    try {
+      const taxRates = {};
+      pricingData.taxRates
+        .filter(row => row.region.trim())
+        .forEach(row => {
+          taxRates[row.region.trim()] = (parseFloat(row.rate) || 0) / 100;
+        });
+
+      await fetch('/api/admin/settings/pricing', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({
+          freeShippingThreshold: parseFloat(pricingData.freeShippingThreshold) || 0,
+          flatShippingRate: parseFloat(pricingData.flatShippingRate) || 0,
+          taxRates
+        })
+      });
+      alert('Shipping & tax settings saved!');
+    } catch (error) {
+      console.error('Failed to save pricing:', error);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const saveVip = async () => {
+    // A blank threshold must not become 0, which would make everyone VIP
+    const toNumber = (value) => (String(value).trim() === '' ? NaN : Number(value));
+    const spendThreshold = toNumber(vipData.spendThreshold);
+    const earlyAccessHours = toNumber(vipData.earlyAccessHours);
+    if (!Number.isFinite(spendThreshold) || spendThreshold <= 0) {
+      alert('Enter a spend threshold greater than 0');
+      return;
+    }
+    if (!Number.isFinite(earlyAccessHours) || earlyAccessHours < 0) {
+      alert('Enter early access hours of 0 or more');
+      return;
+    }
+
+    setSaving('vip');
+    try {
+      const response = await fetch('/api/admin/settings/vip', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({ spendThreshold, earlyAccessHours })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to save VIP settings');
+        return;
+      }
+      const { promoted = 0, demoted = 0 } = data.vipChanges || {};
+      alert(`VIP settings saved! ${promoted} customer(s) promoted, ${demoted} demoted.`);
+    } catch (error) {
+      console.error('Failed to save VIP settings:', error);
+    } finally {
+      setSaving(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="space-y-4">
@@ -1455,6 +2485,9 @@ function SiteSettings() {
               }}
             >
               {promoData.text || 'Your promo text here'} 
+              {promoData.promoCode && (
+                <span className="ml-2">Use code <strong>{promoData.promoCode}</strong></span>
+              )}
               {promoData.linkText && (
                 <span className="ml-2 underline">{promoData.linkText}</span>
               )}
@@ -1524,6 +2557,19 @@ function SiteSettings() {
                   placeholder="Shop Now"
                 />
               </div>
+
+              <div>
+                <label className="text-sm text-zinc-400">Promo Code (optional)</label>
+                <Input
+                  value={promoData.promoCode}
+                  onChange={(e) => setPromoData({ ...promoData, promoCode: e.target.value.toUpperCase() })}
+                  className="mt-1 bg-zinc-800 border-zinc-700"
+                  placeholder="WELCOME10"
+                />
+                <p className="text-xs text-zinc-500 mt-1">
+                  The banner is hidden automatically once this code is no longer live
+                </p>
+              </div>
             </div>
           </>
         )}
@@ -1628,6 +2674,142 @@ function SiteSettings() {
           </Button>
         </div>
       </div>
+
+      {/* Shipping & Tax Settings */}
+      <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6">
+        <div className="mb-6">
+          <h3 className="text-lg font-medium text-zinc-100">Shipping & Tax</h3>
+          <p className="text-sm text-zinc-500">
+            Used for cart totals and checkout. Regions are a country code (US) or country-state (US-NY).
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="text-sm text-zinc-400">Free Shipping Threshold ($)</label>
+            <Input
+              type="number"
+              min="0"
+              value={pricingData.freeShippingThreshold}
+              onChange={(e) => setPricingData({ ...pricingData, freeShippingThreshold: e.target.value })}
+              className="mt-1 bg-zinc-800 border-zinc-700"
+            />
+          </div>
+
+          <div>
+            <label className="text-sm text-zinc-400">Flat Shipping Rate ($)</label>
+            <Input
+              type="number"
+              min="0"
+              value={pricingData.flatShippingRate}
+              onChange={(e) => setPricingData({ ...pricingData, flatShippingRate: e.target.value })}
+              className="mt-1 bg-zinc-800 border-zinc-700"
+            />
+          </div>
+
+          <div className="md:col-span-2 space-y-2">
+            <label className="text-sm text-zinc-400">Tax Rates (%)</label>
+            {pricingData.taxRates.map((row, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <Input
+                  value={row.region}
+                  onChange={(e) => updateTaxRate(index, 'region', e.target.value)}
+                  className="bg-zinc-800 border-zinc-700"
+                  placeholder="US-NY"
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.001"
+                  value={row.rate}
+                  onChange={(e) => updateTaxRate(index, 'rate', e.target.value)}
+                  className="w-32 bg-zinc-800 border-zinc-700"
+                />
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => setPricingData({
+                    ...pricingData,
+                    taxRates: pricingData.taxRates.filter((_, i) => i !== index)
+                  })}
+                  className="text-zinc-400 hover:text-red-400"
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPricingData({
+                ...pricingData,
+                taxRates: [...pricingData.taxRates, { region: '', rate: 0 }]
+              })}
+              className="border-zinc-700 text-zinc-300"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add Region
+            </Button>
+          </div>
+        </div>
+
+        <div className="mt-6 flex justify-end">
+          <Button 
+            onClick={savePricing}
+            disabled={saving === 'pricing'}
+            className="bg-emerald-500 hover:bg-emerald-600"
+          >
+            {saving === 'pricing' && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+            Save Shipping & Tax
+          </Button>
+        </div>
+      </div>
+
+      {/* VIP Program Settings */}
+      <div className="bg-zinc-800/50 border border-zinc-700/50 rounded-xl p-6">
+        <div className="mb-6">
+          <h3 className="text-lg font-medium text-zinc-100">VIP Program</h3>
+          <p className="text-sm text-zinc-500">
+            Customers become VIP once their processing, shipped and delivered orders reach the threshold.
+            VIPs get VIP prices and see scheduled products early. VIPs granted by an admin are never demoted.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="text-sm text-zinc-400">Lifetime Spend Threshold ($)</label>
+            <Input
+              type="number"
+              min="1"
+              value={vipData.spendThreshold}
+              onChange={(e) => setVipData({ ...vipData, spendThreshold: e.target.value })}
+              className="mt-1 bg-zinc-800 border-zinc-700"
+            />
+          </div>
+
+          <div>
+            <label className="text-sm text-zinc-400">Early Access (hours before launch)</label>
+            <Input
+              type="number"
+              min="0"
+              value={vipData.earlyAccessHours}
+              onChange={(e) => setVipData({ ...vipData, earlyAccessHours: e.target.value })}
+              className="mt-1 bg-zinc-800 border-zinc-700"
+            />
+          </div>
+        </div>
+
+        <div className="mt-6 flex justify-end">
+          <Button 
+            onClick={saveVip}
+            disabled={saving === 'vip'}
+            className="bg-emerald-500 hover:bg-emerald-600"
+          >
+            {saving === 'vip' && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+            Save VIP Program
+          </Button>
+        </div>
+      </div>
     </div>
   );
 }
@@ -1648,6 +2830,9 @@ export function AdminDashboard() {
           <Route path="inventory" element={<InventoryTable />} />
           <Route path="orders" element={<OrdersManagement />} />
           <Route path="customers" element={<CustomersManagement />} />
+          <Route path="reviews" element={<ReviewsManagement />} />
+          <Route path="promotions" element={<PromotionsManagement />} />
+          <Route path="recommendations" element={<RecommendationSettings />} />
           <Route path="settings" element={<SiteSettings />} />
         </Routes>
       </main>
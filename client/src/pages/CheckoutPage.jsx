@@ -0,0 +1,224 @@
+/**
+ * Checkout Page
+ * Collects a shipping address and places the order from the cart
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { AlertCircle, Loader2, Lock } from "lucide-react";
+import { checkout, getCartSummary } from "../lib/api";
+import { useAuth } from "../contexts/AuthContext";
+import { useCart } from "../components/cart/CartSheet";
+import { Button } from "../components/ui/Button";
+import { Input } from "../components/ui/Input";
+import { AuthModal } from "../components/personalization/AuthModal";
+
+const addressFields = [
+  { name: "name", label: "Full name", required: true },
+  { name: "street", label: "Street address", required: true },
+  { name: "city", label: "City", required: true },
+  { name: "state", label: "State / Region", required: false },
+  { name: "zip", label: "Postal code", required: true },
+  { name: "country", label: "Country", required: true },
+];
+
+export function CheckoutPage() {
+  const navigate = useNavigate();
+  const { user, isAuthenticated, getAuthHeaders } = useAuth();
+  const { items, summary: cartSummary, resetCart, refreshCart } = useCart();
+  const [showAuthModal, setShowAuthModal] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [address, setAddress] = useState({
+    name: user?.name || "",
+    street: "",
+    city: "",
+    state: "",
+    zip: "",
+    country: "",
+  });
+  const [destinationSummary, setDestinationSummary] = useState(null);
+
+  // Re-price with the tax rate of the destination as the address is filled in
+  useEffect(() => {
+    if (!isAuthenticated || items.length === 0 || !address.country) {
+      setDestinationSummary(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getCartSummary({ country: address.country, state: address.state }, getAuthHeaders())
+        .then((data) => {
+          if (!cancelled) setDestinationSummary(data);
+        })
+        .catch((err) => console.error("Failed to fetch cart summary:", err));
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isAuthenticated, items, address.country, address.state, getAuthHeaders]);
+
+  const summary = destinationSummary || cartSummary;
+
+  const handleChange = (e) => {
+    setAddress((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const data = await checkout(address, getAuthHeaders());
+      resetCart();
+      navigate(`/orders/${data.order.orderNumber}`);
+    } catch (err) {
+      console.error("Checkout failed:", err);
+      setError(err);
+      // Stock or availability may have changed - show the current cart
+      refreshCart();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen pt-24 pb-20">
+      <div className="container max-w-5xl">
+        <motion.h1
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="font-serif text-4xl md:text-5xl mb-10"
+        >
+          Checkout
+        </motion.h1>
+
+        {items.length === 0 ? (
+          <div className="text-center py-16">
+            <p className="text-muted-foreground mb-6">Your cart is empty.</p>
+            <Button asChild>
+              <Link to="/shop">Start Shopping</Link>
+            </Button>
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-5 gap-12">
+            {/* Shipping Address */}
+            <div className="md:col-span-3">
+              {!isAuthenticated ? (
+                <div className="p-6 border border-border text-center">
+                  <Lock className="w-6 h-6 mx-auto mb-3 text-muted-foreground" />
+                  <p className="mb-4">Sign in to complete your order.</p>
+                  <p className="text-sm text-muted-foreground mb-6">
+                    Your bag will be saved to your account.
+                  </p>
+                  <Button onClick={() => setShowAuthModal(true)}>Sign In</Button>
+                </div>
+              ) : (
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <h2 className="font-medium mb-2">Shipping address</h2>
+                  {addressFields.map((field) => (
+                    <div key={field.name}>
+                      <label htmlFor={field.name} className="block text-sm text-muted-foreground mb-1">
+                        {field.label}
+                      </label>
+                      <Input
+                        id={field.name}
+                        name={field.name}
+                        value={address[field.name]}
+                        onChange={handleChange}
+                        required={field.required}
+                      />
+                    </div>
+                  ))}
+
+                  {error && (
+                    <div className="p-4 border border-red-500/30 bg-red-500/10 text-red-400 text-sm">
+                      <p className="flex items-center gap-2">
+                        <AlertCircle className="w-4 h-4" />
+                        {error.message}
+                      </p>
+                      {error.details?.shortages?.length > 0 && (
+                        <ul className="mt-2 ml-6 list-disc">
+                          {error.details.shortages.map((line) => (
+                            <li key={line.sku}>
+                              {line.name} ({line.color} / {line.size}): {line.available} left,
+                              {" "}{line.requested} requested
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
+                  <Button type="submit" size="lg" className="w-full" disabled={submitting}>
+                    {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    Place Order
+                  </Button>
+                </form>
+              )}
+            </div>
+
+            {/* Order Summary */}
+            <div className="md:col-span-2">
+              <h2 className="font-medium mb-4">Order summary</h2>
+              <div className="divide-y divide-border/50 border-y border-border/50">
+                {items.map((item) => (
+                  <div key={item.id} className="flex justify-between gap-4 py-3 text-sm">
+                    <span>
+                      {item.name}
+                      <span className="block text-xs text-muted-foreground">
+                        {item.color} / {item.size} • Qty {item.quantity}
+                      </span>
+                    </span>
+                    <span>${(item.price * item.quantity).toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+              <div className="space-y-2 text-sm pt-4">
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Subtotal</span>
+                  <span>${summary.subtotal.toFixed(2)}</span>
+                </div>
+                {summary.discountTotal > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Discount ({summary.promoCode})</span>
+                    <span className="text-accent">-${summary.discountTotal.toFixed(2)}</span>
+                  </div>
+                )}
+                {summary.promoError && (
+                  <p className="text-xs text-red-400">
+                    {summary.promoCode}: {summary.promoError}. Remove it from your bag to continue.
+                  </p>
+                )}
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Shipping</span>
+                  <span>{summary.shipping === 0 ? "FREE" : `$${summary.shipping.toFixed(2)}`}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Tax</span>
+                  <span>
+                    {destinationSummary ? `$${summary.tax.toFixed(2)}` : "Enter address"}
+                  </span>
+                </div>
+              </div>
+              <div className="flex justify-between text-lg font-medium pt-4 mt-4 border-t border-border/50">
+                <span>Total</span>
+                <span>${summary.total.toFixed(2)}</span>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <AuthModal open={showAuthModal} onOpenChange={setShowAuthModal} />
+    </div>
+  );
+}
+
+export default CheckoutPage;
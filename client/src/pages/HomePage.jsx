@@ -3,10 +3,12 @@ import { FeaturedProducts } from "../components/sections/FeaturedProducts";
 import { RecommendedProducts } from "../components/sections/RecommendedProducts";
 import { EditorialSection } from "../components/sections/EditorialSection";
 import { Categories } from "../components/sections/Categories";
+import { RecentlyViewed } from "../components/products/RecentlyViewed";
 
 /**
  * Home Page - Landing page with hero, featured products, and categories.
- * Includes personalized recommendations for logged-in users.
+ * Includes personalized recommendations for logged-in users and the
+ * shopper's recently viewed products.
  */
 export function HomePage() {
   return (
@@ -14,6 +16,7 @@ export function HomePage() {
       <HeroSection />
       <FeaturedProducts />
       <RecommendedProducts />
+      <RecentlyViewed className="container py-20" />
       <EditorialSection />
       <Categories />
     </main>
@@ -0,0 +1,249 @@
+/**
+ * Order Detail Page
+ * Item snapshots, shipping address and status timeline for one order
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { ArrowLeft, Check, AlertCircle, Loader2 } from "lucide-react";
+import { getOrder, cancelOrder } from "../lib/api";
+import { cn } from "../lib/utils";
+import { useAuth } from "../contexts/AuthContext";
+import { Button } from "../components/ui/Button";
+import { Skeleton } from "../components/ui/Skeleton";
+import { OrderStatusBadge } from "./OrdersPage";
+
+/**
+ * Vertical status timeline (pending → processing → shipped → delivered).
+ */
+function StatusTimeline({ timeline }) {
+  return (
+    <ol className="space-y-4">
+      {timeline.map((step) => (
+        <li key={step.status} className="flex items-start gap-3">
+          <span
+            className={cn(
+              "w-6 h-6 rounded-full flex items-center justify-center border flex-shrink-0",
+              step.reached
+                ? step.status === "cancelled"
+                  ? "bg-red-500/20 border-red-500/40 text-red-400"
+                  : "bg-accent/20 border-accent/40 text-accent"
+                : "border-border text-muted-foreground"
+            )}
+          >
+            {step.reached && <Check className="w-3 h-3" />}
+          </span>
+          <div>
+            <p className={cn("text-sm capitalize", !step.reached && "text-muted-foreground")}>
+              {step.status}
+            </p>
+            {step.at && (
+              <p className="text-xs text-muted-foreground">
+                {new Date(step.at).toLocaleString("en-US", {
+                  month: "short",
+                  day: "numeric",
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+              </p>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export function OrderDetailPage() {
+  const { orderNumber } = useParams();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const { getAuthHeaders } = useAuth();
+
+  useEffect(() => {
+    async function fetchOrder() {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getOrder(orderNumber, getAuthHeaders());
+        setOrder(data);
+      } catch (err) {
+        console.error("Failed to fetch order:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchOrder();
+  }, [orderNumber, getAuthHeaders]);
+
+  const handleCancel = async () => {
+    if (!window.confirm("Cancel this order?")) return;
+
+    setCancelling(true);
+    try {
+      const data = await cancelOrder(orderNumber, getAuthHeaders());
+      setOrder(data.order);
+    } catch (err) {
+      console.error("Failed to cancel order:", err);
+      alert(err.message);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen pt-24 pb-20">
+      <div className="container max-w-4xl">
+        <Link
+          to="/orders"
+          className="inline-flex items-center gap-2 text-sm text-muted-foreground hover:text-foreground transition-colors mb-8"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          All orders
+        </Link>
+
+        {loading ? (
+          <div className="space-y-4">
+            <Skeleton className="h-10 w-1/2" />
+            <Skeleton className="h-48" />
+          </div>
+        ) : error || !order ? (
+          <div className="flex items-center gap-3 p-4 border border-red-500/30 bg-red-500/10 text-red-400">
+            <AlertCircle className="w-5 h-5" />
+            <span>{error || "Order not found"}</span>
+          </div>
+        ) : (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="space-y-10"
+          >
+            {/* Header */}
+            <div className="flex flex-wrap items-start justify-between gap-4">
+              <div>
+                <h1 className="font-serif text-3xl md:text-4xl">{order.orderNumber}</h1>
+                <p className="text-muted-foreground mt-2">
+                  Placed on{" "}
+                  {new Date(order.createdAt).toLocaleDateString("en-US", {
+                    year: "numeric",
+                    month: "long",
+                    day: "numeric",
+                  })}
+                </p>
+              </div>
+              <div className="flex items-center gap-4">
+                <OrderStatusBadge status={order.status} />
+                {order.status === "pending" && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleCancel}
+                    disabled={cancelling}
+                  >
+                    {cancelling && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    Cancel Order
+                  </Button>
+                )}
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-10">
+              {/* Items */}
+              <div className="md:col-span-2">
+                <h2 className="font-medium mb-4">Items</h2>
+                <div className="divide-y divide-border/50 border-y border-border/50">
+                  {order.items.map((item, i) => (
+                    <div key={`${item.sku || item.productId}-${i}`} className="flex gap-4 py-4">
+                      {item.image && (
+                        <img
+                          src={item.image}
+                          alt={item.name}
+                          className="w-16 h-20 object-cover bg-muted flex-shrink-0"
+                        />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        {item.slug ? (
+                          <Link
+                            to={`/products/${item.slug}`}
+                            className="font-medium text-sm hover:text-accent transition-colors"
+                          >
+                            {item.name}
+                          </Link>
+                        ) : (
+                          <p className="font-medium text-sm">{item.name}</p>
+                        )}
+                        <p className="text-xs text-muted-foreground mt-1">
+                          {item.color?.name || item.color} / {item.size} • Qty {item.quantity}
+                        </p>
+                      </div>
+                      <span className="text-sm font-medium">
+                        ${(item.price * item.quantity).toFixed(2)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {order.pricing && (
+                  <div className="space-y-2 text-sm pt-4">
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Subtotal</span>
+                      <span>${order.pricing.subtotal.toFixed(2)}</span>
+                    </div>
+                    {order.pricing.discountTotal > 0 && (
+                      <div className="flex justify-between">
+                        <span className="text-muted-foreground">
+                          Discount{order.pricing.discounts?.length > 0 && ` (${order.pricing.discounts.map((d) => d.code).join(", ")})`}
+                        </span>
+                        <span>-${order.pricing.discountTotal.toFixed(2)}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Shipping</span>
+                      <span>
+                        {order.pricing.shipping === 0 ? "FREE" : `$${order.pricing.shipping.toFixed(2)}`}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Tax</span>
+                      <span>${order.pricing.tax.toFixed(2)}</span>
+                    </div>
+                  </div>
+                )}
+                <div className="flex justify-between text-lg font-medium pt-4">
+                  <span>Total</span>
+                  <span>${order.totalAmount?.toFixed(2)}</span>
+                </div>
+              </div>
+
+              {/* Status + Shipping */}
+              <div className="space-y-8">
+                <div>
+                  <h2 className="font-medium mb-4">Status</h2>
+                  <StatusTimeline timeline={order.timeline || []} />
+                </div>
+
+                {order.shippingAddress && (
+                  <div>
+                    <h2 className="font-medium mb-2">Ship to</h2>
+                    <p className="text-sm text-muted-foreground">
+                      {order.shippingAddress.name}<br />
+                      {order.shippingAddress.street}<br />
+                      {order.shippingAddress.city}, {order.shippingAddress.state} {order.shippingAddress.zip}<br />
+                      {order.shippingAddress.country}
+                    </p>
+                  </div>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OrderDetailPage;
@@ -0,0 +1,222 @@
+/**
+ * Orders Page
+ * Order history for the signed-in customer
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Package, ChevronRight, AlertCircle, Crown } from "lucide-react";
+import { getOrders, getVipStatus } from "../lib/api";
+import { cn } from "../lib/utils";
+import { useAuth } from "../contexts/AuthContext";
+import { Button } from "../components/ui/Button";
+import { Skeleton } from "../components/ui/Skeleton";
+
+const orderStatusColors = {
+  pending: "bg-amber-500/10 text-amber-400 border-amber-500/30",
+  processing: "bg-blue-500/10 text-blue-400 border-blue-500/30",
+  shipped: "bg-indigo-500/10 text-indigo-400 border-indigo-500/30",
+  delivered: "bg-emerald-500/10 text-emerald-400 border-emerald-500/30",
+  cancelled: "bg-red-500/10 text-red-400 border-red-500/30",
+};
+
+/**
+ * Status pill shared by the order history and order detail pages.
+ */
+export function OrderStatusBadge({ status }) {
+  return (
+    <span
+      className={cn(
+        "inline-block px-3 py-1 rounded-full text-xs border capitalize",
+        orderStatusColors[status]
+      )}
+    >
+      {status}
+    </span>
+  );
+}
+
+/**
+ * VIP membership card: benefits for VIPs, spend progress for everyone else.
+ */
+function VipProgress({ status }) {
+  if (status.isVIP) {
+    return (
+      <div className="flex items-center gap-3 p-4 mb-8 border border-amber-500/30 bg-amber-500/10">
+        <Crown className="w-5 h-5 text-amber-400 shrink-0" />
+        <p className="text-sm">
+          <span className="text-amber-400 font-medium">You&apos;re a VIP.</span>{" "}
+          Enjoy VIP prices and shop new drops {status.earlyAccessHours} hours early.
+        </p>
+      </div>
+    );
+  }
+
+  const progress = status.spendThreshold > 0
+    ? Math.min(status.lifetimeSpend / status.spendThreshold, 1)
+    : 1;
+
+  return (
+    <div className="p-4 mb-8 border border-border">
+      <div className="flex items-center justify-between text-sm mb-2">
+        <span className="flex items-center gap-2">
+          <Crown className="w-4 h-4 text-amber-400" />
+          Spend ${status.amountToVIP.toFixed(2)} more to become a VIP
+        </span>
+        <span className="text-muted-foreground">
+          ${status.lifetimeSpend.toFixed(2)} / ${status.spendThreshold.toFixed(2)}
+        </span>
+      </div>
+      <div className="h-1.5 bg-muted overflow-hidden">
+        <div className="h-full bg-amber-400" style={{ width: `${progress * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Paginated list of the current user's orders, newest first.
+ */
+export function OrdersPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [vipStatus, setVipStatus] = useState(null);
+  const { getAuthHeaders } = useAuth();
+
+  const page = Math.max(parseInt(searchParams.get("page")) || 1, 1);
+
+  useEffect(() => {
+    async function fetchOrders() {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getOrders({ page }, getAuthHeaders());
+        setOrders(data.orders);
+        setPagination(data.pagination);
+      } catch (err) {
+        console.error("Failed to fetch orders:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchOrders();
+  }, [page, getAuthHeaders]);
+
+  useEffect(() => {
+    getVipStatus(getAuthHeaders())
+      .then(setVipStatus)
+      .catch((err) => console.error("Failed to fetch VIP status:", err));
+  }, [getAuthHeaders]);
+
+  const goToPage = (nextPage) => {
+    setSearchParams(nextPage > 1 ? { page: String(nextPage) } : {});
+  };
+
+  return (
+    <div className="min-h-screen pt-24 pb-20">
+      <div className="container max-w-3xl">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-10"
+        >
+          <h1 className="font-serif text-4xl md:text-5xl mb-2">Your Orders</h1>
+          <p className="text-muted-foreground">
+            Track and review everything you&apos;ve ordered.
+          </p>
+        </motion.div>
+
+        {vipStatus && <VipProgress status={vipStatus} />}
+
+        {loading ? (
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <Skeleton key={i} className="h-24" />
+            ))}
+          </div>
+        ) : error ? (
+          <div className="flex items-center gap-3 p-4 border border-red-500/30 bg-red-500/10 text-red-400">
+            <AlertCircle className="w-5 h-5" />
+            <span>{error}</span>
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="text-center py-16">
+            <div className="w-16 h-16 rounded-full bg-muted flex items-center justify-center mx-auto mb-4">
+              <Package className="w-8 h-8 text-muted-foreground" />
+            </div>
+            <h3 className="font-serif text-xl mb-2">No orders yet</h3>
+            <p className="text-muted-foreground text-sm mb-6">
+              When you place an order it will show up here.
+            </p>
+            <Button asChild>
+              <Link to="/shop">Start Shopping</Link>
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {orders.map((order) => (
+              <motion.div
+                key={order.id}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+              >
+                <Link
+                  to={`/orders/${order.orderNumber}`}
+                  className="flex items-center justify-between gap-4 p-5 border border-border hover:bg-muted/30 transition-colors"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{order.orderNumber}</p>
+                    <p className="text-sm text-muted-foreground mt-1">
+                      {new Date(order.createdAt).toLocaleDateString("en-US", {
+                        year: "numeric",
+                        month: "long",
+                        day: "numeric",
+                      })}
+                      {" • "}
+                      {order.items.reduce((sum, item) => sum + item.quantity, 0)} item(s)
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-4 flex-shrink-0">
+                    <OrderStatusBadge status={order.status} />
+                    <span className="font-medium">${order.totalAmount?.toFixed(2)}</span>
+                    <ChevronRight className="w-4 h-4 text-muted-foreground" />
+                  </div>
+                </Link>
+              </motion.div>
+            ))}
+
+            {pagination?.totalPages > 1 && (
+              <div className="flex items-center justify-between pt-6">
+                <Button
+                  variant="outline"
+                  disabled={page <= 1}
+                  onClick={() => goToPage(page - 1)}
+                >
+                  Previous
+                </Button>
+                <span className="text-sm text-muted-foreground">
+                  Page {pagination.page} of {pagination.totalPages}
+                </span>
+                <Button
+                  variant="outline"
+                  disabled={page >= pagination.totalPages}
+                  onClick={() => goToPage(page + 1)}
+                >
+                  Next
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OrdersPage;
@@ -11,9 +11,12 @@ import {
   AlertCircle,
   Bell,
   Info,
+  Ruler,
 } from "lucide-react";
-import { getProduct } from "../lib/api";
-import { cn } from "../lib/utils";
+import { getProduct, getSizeRecommendation } from "../lib/api";
+import { cn, getVipPrice, getPreferredSize } from "../lib/utils";
+import { trackProductView } from "../lib/recentlyViewed";
+import { trackRecommendedAddToCart } from "../lib/recommendationTracking";
 import { Button } from "../components/ui/Button";
 import { Badge } from "../components/ui/Badge";
 import { Carousel } from "../components/ui/Carousel";
@@ -25,18 +28,19 @@ import {
   AccordionTrigger,
 } from "../components/ui/Accordion";
 import { SizeGuideModal, SizeGuideContent } from "../components/products/SizeGuide";
+import { NotifyMeDialog } from "../components/products/NotifyMeDialog";
+import { ProductReviews } from "../components/products/ProductReviews";
+import { StarRating } from "../components/products/StarRating";
+import { RecentlyViewed } from "../components/products/RecentlyViewed";
+import { CompleteTheLook } from "../components/products/CompleteTheLook";
 import { useCart } from "../components/cart/CartSheet";
+import { useAuth } from "../contexts/AuthContext";
+import { useWishlist } from "../contexts/WishlistContext";
 
 /**
  * Sticky Mobile Add to Bag Bar component with variant awareness.
  */
-function StickyMobileBar({ product, isVisible, selectedSize, isInStock }) {
-  const { setIsOpen } = useCart();
-
-  const handleAddToBag = () => {
-    setIsOpen(true);
-  };
-
+function StickyMobileBar({ product, price, isVisible, selectedSize, isInStock, onAddToBag, onNotifyMe }) {
   return (
     <AnimatePresence>
       {isVisible && (
@@ -50,19 +54,20 @@ function StickyMobileBar({ product, isVisible, selectedSize, isInStock }) {
           <div className="flex items-center justify-between gap-4">
             <div className="flex-1 min-w-0">
               <p className="font-medium truncate">{product.name}</p>
-              <p className="text-accent">${product.price}</p>
+              <p className="text-accent">${price}</p>
             </div>
             {selectedSize && !isInStock ? (
               <Button 
                 size="lg" 
                 variant="outline"
                 className="border-amber-500/50 text-amber-400"
+                onClick={onNotifyMe}
               >
                 <Bell className="w-4 h-4 mr-2" />
                 Notify Me
               </Button>
             ) : (
-              <Button size="lg" disabled={!selectedSize || !isInStock} onClick={handleAddToBag}>
+              <Button size="lg" disabled={!selectedSize || !isInStock} onClick={onAddToBag}>
                 <ShoppingBag className="w-4 h-4 mr-2" />
                 {!selectedSize ? "Select Size" : "Add to Bag"}
               </Button>
@@ -82,7 +87,10 @@ function StickyMobileBar({ product, isVisible, selectedSize, isInStock }) {
  */
 export function ProductDetailPage() {
   const { slug } = useParams();
-  const { setIsOpen } = useCart();
+  const { addItem } = useCart();
+  const { isWishlisted: isInWishlist, toggleItem } = useWishlist();
+  const { user, isVIP, getAuthHeaders } = useAuth();
+  const role = user?.role;
 
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -91,8 +99,10 @@ export function ProductDetailPage() {
   const [selectedColor, setSelectedColor] = useState(null);
   const [selectedSize, setSelectedSize] = useState(null);
   const [showStickyBar, setShowStickyBar] = useState(false);
-  const [isWishlisted, setIsWishlisted] = useState(false);
+  const [showNotifyMe, setShowNotifyMe] = useState(false);
+  const [sizeRecommendation, setSizeRecommendation] = useState(null);
   const addToBagRef = useRef(null);
+  const trackedProductRef = useRef(null);
 
   // Fetch product from API
   useEffect(() => {
@@ -100,7 +110,7 @@ export function ProductDetailPage() {
       try {
         setLoading(true);
         setError(null);
-        const data = await getProduct(slug);
+        const data = await getProduct(slug, getAuthHeaders());
         setProduct(data);
         // Set default color from variants
         const variants = data.variants || data.inventory || [];
@@ -119,7 +129,30 @@ export function ProductDetailPage() {
     }
 
     fetchProduct();
-  }, [slug]);
+    // Refetch when the role changes: VIPs can see early-access products
+  }, [slug, role, getAuthHeaders]);
+
+  // Size recommendation depends on the signed-in user's saved measurements
+  const productId = product?.id;
+  useEffect(() => {
+    if (!productId) return;
+    let cancelled = false;
+    setSizeRecommendation(null);
+    getSizeRecommendation(productId, getAuthHeaders())
+      .then((data) => !cancelled && setSizeRecommendation(data))
+      .catch((err) => console.error('Failed to fetch size recommendation:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, user, getAuthHeaders]);
+
+  // Record the view once per product (not again on VIP refetches)
+  const signedIn = Boolean(user);
+  useEffect(() => {
+    if (!product || trackedProductRef.current === product.id) return;
+    trackedProductRef.current = product.id;
+    trackProductView(product, signedIn, getAuthHeaders());
+  }, [product, signedIn, getAuthHeaders]);
 
   // Get variants array
   const variants = useMemo(() => {
@@ -172,6 +205,14 @@ export function ProductDetailPage() {
     return variants.find(v => v.color === selectedColor.name && v.size === selectedSize);
   }, [variants, selectedColor, selectedSize]);
 
+  // Pre-select the shopper's preferred size when this color comes in it
+  const preferredSize = getPreferredSize(user?.preferences, product?.category);
+  useEffect(() => {
+    if (!preferredSize || !selectedColor) return;
+    const hasPreferred = variants.some(v => v.color === selectedColor.name && v.size === preferredSize);
+    if (hasPreferred) setSelectedSize(current => current || preferredSize);
+  }, [preferredSize, selectedColor, variants]);
+
   // Check if selected variant is in stock
   const isInStock = selectedVariant ? (selectedVariant.stock || 0) > 0 : false;
 
@@ -200,8 +241,33 @@ export function ProductDetailPage() {
     return () => observer.disconnect();
   }, [product]);
 
-  const handleAddToBag = () => {
-    setIsOpen(true);
+  const handleAddToBag = async () => {
+    if (!selectedVariant || !isInStock) return;
+    const result = await addItem({
+      product,
+      size: selectedSize,
+      color: selectedColor,
+    });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    trackRecommendedAddToCart(product.id);
+    if (result.clamped) {
+      alert(result.message);
+    }
+  };
+
+  const isWishlisted = !!product && isInWishlist(product.id);
+
+  // Saves the selected variant as the preferred one when a size is picked
+  const handleToggleWishlist = async () => {
+    const result = await toggleItem({
+      product,
+      size: selectedVariant ? selectedSize : null,
+      color: selectedVariant ? selectedColor : null,
+    });
+    if (!result.success) alert(result.error);
   };
 
   // Loading state
@@ -248,6 +314,9 @@ export function ProductDetailPage() {
     );
   }
 
+  const basePrice = selectedVariant?.price ?? product.price;
+  const vipPrice = getVipPrice(product, selectedVariant);
+  const showVipPrice = vipPrice != null && isVIP();
   const hasDiscount = product.originalPrice && product.originalPrice > product.price;
   const discountPercent = hasDiscount
     ? Math.round((1 - product.price / product.originalPrice) * 100)
@@ -329,26 +398,49 @@ export function ProductDetailPage() {
                 </Badge>
               )}
 
+              {product.earlyAccess && (
+                <Badge variant="limited" className="mb-4 ml-2">
+                  VIP Early Access · launches {new Date(product.publishAt).toLocaleDateString()}
+                </Badge>
+              )}
+
               {/* Product Title */}
               <h1 className="font-serif text-3xl md:text-4xl lg:text-5xl mb-4">
                 {product.name}
               </h1>
 
+              {/* Rating */}
+              {product.ratingCount > 0 && (
+                <a href="#reviews" className="flex items-center gap-2 mb-4 text-sm text-muted-foreground hover:text-foreground">
+                  <StarRating value={product.ratingAverage} />
+                  {product.ratingAverage.toFixed(1)} ({product.ratingCount} review{product.ratingCount === 1 ? "" : "s"})
+                </a>
+              )}
+
               {/* Price */}
               <div className="flex items-baseline gap-3 mb-6">
                 <span
                   className={cn(
                     "text-2xl font-medium",
-                    hasDiscount && "text-rose-400"
+                    showVipPrice ? "text-amber-400" : hasDiscount && "text-rose-400"
                   )}
                 >
-                  ${product.price}
+                  ${showVipPrice ? vipPrice : basePrice}
                 </span>
-                {hasDiscount && (
+                {showVipPrice ? (
+                  <span className="text-lg text-muted-foreground line-through">
+                    ${basePrice}
+                  </span>
+                ) : hasDiscount && (
                   <span className="text-lg text-muted-foreground line-through">
                     ${product.originalPrice}
                   </span>
                 )}
+                {vipPrice != null && (
+                  <span className="text-sm text-amber-400/80">
+                    {showVipPrice ? "Your VIP price" : `VIP $${vipPrice}`}
+                  </span>
+                )}
               </div>
 
               {/* Description */}
@@ -436,6 +528,27 @@ export function ProductDetailPage() {
                     </button>
                   ))}
                 </div>
+                {sizeRecommendation?.message && (
+                  <div className="mt-3 flex items-start gap-2 text-sm text-muted-foreground">
+                    <Ruler className="w-4 h-4 mt-0.5 shrink-0 text-accent" />
+                    <p>
+                      {sizeRecommendation.message}
+                      {sizeRecommendation.confidence && (
+                        <span className="text-xs"> · {sizeRecommendation.confidence} confidence</span>
+                      )}
+                      {sizeRecommendation.size &&
+                        selectedSize !== sizeRecommendation.size &&
+                        availableSizes.some(s => s.size === sizeRecommendation.size && s.available) && (
+                          <button
+                            onClick={() => setSelectedSize(sizeRecommendation.size)}
+                            className="ml-2 text-accent hover:underline"
+                          >
+                            Select {sizeRecommendation.size}
+                          </button>
+                        )}
+                    </p>
+                  </div>
+                )}
                 {availableSizes.length > 0 && availableSizes.every(s => !s.available) && (
                   <p className="text-sm text-amber-400 mt-2 flex items-center gap-1">
                     <Info className="w-4 h-4" />
@@ -452,7 +565,7 @@ export function ProductDetailPage() {
                     size="lg"
                     variant="outline"
                     className="flex-1 border-amber-500/50 text-amber-400 hover:bg-amber-500/10"
-                    onClick={() => alert('Notify feature coming soon!')}
+                    onClick={() => setShowNotifyMe(true)}
                   >
                     <Bell className="w-5 h-5 mr-2" />
                     Notify When Available
@@ -473,7 +586,9 @@ export function ProductDetailPage() {
                   variant="outline"
                   size="lg"
                   className={cn("px-4", isWishlisted && "text-rose-400 border-rose-400/50")}
-                  onClick={() => setIsWishlisted(!isWishlisted)}
+                  onClick={handleToggleWishlist}
+                  aria-label={isWishlisted ? "Remove from wishlist" : "Save to wishlist"}
+                  aria-pressed={isWishlisted}
                 >
                   <Heart className={cn("w-5 h-5", isWishlisted && "fill-current")} />
                 </Button>
@@ -579,6 +694,25 @@ export function ProductDetailPage() {
               </Accordion>
             </motion.div>
           </div>
+
+          <CompleteTheLook
+            productId={product.id}
+            currentItem={
+              selectedVariant && isInStock
+                ? {
+                    product,
+                    size: selectedSize,
+                    color: selectedColor,
+                    price: showVipPrice ? vipPrice : basePrice,
+                  }
+                : null
+            }
+            className="mt-20 pt-12 border-t border-border"
+          />
+
+          <ProductReviews productId={product.id} />
+
+          <RecentlyViewed excludeProductId={product.id} className="mt-20 pt-12 border-t border-border" />
         </div>
       </div>
 
@@ -586,11 +720,22 @@ export function ProductDetailPage() {
       {product && (
         <StickyMobileBar
           product={product}
+          price={showVipPrice ? vipPrice : basePrice}
           isVisible={showStickyBar}
           selectedSize={selectedSize}
           isInStock={isInStock}
+          onAddToBag={handleAddToBag}
+          onNotifyMe={() => setShowNotifyMe(true)}
         />
       )}
+
+      {/* Back-in-stock signup for the selected sold-out variant */}
+      <NotifyMeDialog
+        open={showNotifyMe}
+        onOpenChange={setShowNotifyMe}
+        product={product}
+        variant={selectedVariant && !isInStock ? selectedVariant : null}
+      />
     </>
   );
 }
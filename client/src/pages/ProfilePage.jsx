@@ -0,0 +1,301 @@
+/**
+ * Profile Page
+ * Style preferences, preferred size per category and body measurements.
+ * Saved sizes pre-select on product pages; measurements drive size
+ * recommendations.
+ */
+
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { z } from "zod";
+import { motion } from "framer-motion";
+import { Check, Loader2, Ruler, User } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { cn } from "../lib/utils";
+import { Button } from "../components/ui/Button";
+import { Input } from "../components/ui/Input";
+
+const STYLE_FIELDS = [
+  {
+    name: "favoriteStyle",
+    label: "Style",
+    options: ["minimalist", "classic", "streetwear", "elegant", "casual"],
+  },
+  {
+    name: "colorPalette",
+    label: "Color Palette",
+    options: ["neutrals", "earth", "deep", "bold"],
+  },
+  {
+    name: "preferredFit",
+    label: "Fit",
+    options: ["slim", "regular", "relaxed", "oversized"],
+  },
+  {
+    name: "wardrobePriority",
+    label: "Wardrobe Priority",
+    options: ["quality", "versatility", "statement", "comfort"],
+  },
+];
+
+const CATEGORIES = ["Outerwear", "Tops", "Bottoms", "Knitwear", "Accessories"];
+const MEASUREMENTS = ["chest", "waist", "hips", "inseam"];
+
+// Same bounds the server enforces
+const MEASUREMENT_RANGES = { in: [5, 100], cm: [12, 254] };
+
+const optionalChoice = z.string().nullable();
+const sizeField = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z0-9]{0,6}$/, 'Use a size such as "M" or "32"');
+const measurementField = z.number().nullable();
+
+const profileSchema = z
+  .object({
+    favoriteStyle: optionalChoice,
+    colorPalette: optionalChoice,
+    preferredFit: optionalChoice,
+    wardrobePriority: optionalChoice,
+    preferredSize: sizeField,
+    preferredSizes: z.object(Object.fromEntries(CATEGORIES.map((c) => [c, sizeField]))),
+    measurements: z.object({
+      unit: z.enum(["in", "cm"]),
+      ...Object.fromEntries(MEASUREMENTS.map((m) => [m, measurementField])),
+    }),
+  })
+  .superRefine(({ measurements }, ctx) => {
+    const [min, max] = MEASUREMENT_RANGES[measurements.unit];
+    for (const key of MEASUREMENTS) {
+      const value = measurements[key];
+      if (value != null && (Number.isNaN(value) || value < min || value > max)) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["measurements", key],
+          message: `Enter ${min}-${max} ${measurements.unit}`,
+        });
+      }
+    }
+  });
+
+/**
+ * Form values from stored preferences
+ */
+function toFormValues(preferences) {
+  const prefs = preferences || {};
+  return {
+    favoriteStyle: prefs.favoriteStyle || null,
+    colorPalette: prefs.colorPalette || null,
+    preferredFit: prefs.preferredFit || null,
+    wardrobePriority: prefs.wardrobePriority || null,
+    preferredSize: prefs.preferredSize || "",
+    preferredSizes: Object.fromEntries(CATEGORIES.map((c) => [c, prefs.preferredSizes?.[c] || ""])),
+    measurements: {
+      unit: prefs.measurements?.unit || "in",
+      ...Object.fromEntries(MEASUREMENTS.map((m) => [m, prefs.measurements?.[m] ?? null])),
+    },
+  };
+}
+
+/**
+ * Preferences update from form values; blanks clear the stored value
+ */
+function toPreferences(values) {
+  const preferredSizes = Object.fromEntries(
+    Object.entries(values.preferredSizes).filter(([, size]) => size)
+  );
+  const measured = MEASUREMENTS.filter((m) => values.measurements[m] != null);
+
+  return {
+    ...Object.fromEntries(STYLE_FIELDS.map(({ name }) => [name, values[name] || null])),
+    preferredSize: values.preferredSize || null,
+    preferredSizes: Object.keys(preferredSizes).length > 0 ? preferredSizes : null,
+    measurements: measured.length > 0
+      ? {
+          unit: values.measurements.unit,
+          ...Object.fromEntries(measured.map((m) => [m, values.measurements[m]])),
+        }
+      : null,
+  };
+}
+
+const toNullableNumber = (value) => (value === "" || value == null ? null : Number(value));
+
+export function ProfilePage() {
+  const { user, updatePreferences } = useAuth();
+  const [saveError, setSaveError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors, isSubmitting, isDirty },
+    reset,
+  } = useForm({
+    resolver: zodResolver(profileSchema),
+    defaultValues: toFormValues(user?.preferences),
+  });
+
+  const unit = watch("measurements.unit");
+
+  const onSubmit = async (values) => {
+    setSaveError(null);
+    setSaved(false);
+    const result = await updatePreferences(toPreferences(values));
+    if (result.success) {
+      setSaved(true);
+      reset(values);
+    } else {
+      setSaveError(result.error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen pt-24 pb-20">
+      <div className="container max-w-3xl">
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+          <h1 className="font-serif text-3xl md:text-4xl mb-2">Your Profile</h1>
+          <p className="text-muted-foreground mb-10">
+            {user?.name} · {user?.email}
+          </p>
+
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-12">
+            {/* Style */}
+            <section>
+              <h2 className="flex items-center gap-2 text-lg font-medium mb-4">
+                <User className="w-5 h-5 text-accent" />
+                Style Preferences
+              </h2>
+              <div className="grid sm:grid-cols-2 gap-4">
+                {STYLE_FIELDS.map((field) => (
+                  <label key={field.name} className="block">
+                    <span className="text-sm text-muted-foreground">{field.label}</span>
+                    <select
+                      {...register(field.name, { setValueAs: (v) => v || null })}
+                      className="mt-1 w-full h-12 bg-transparent border border-border px-4 text-sm capitalize"
+                    >
+                      <option value="" className="bg-zinc-900">Not set</option>
+                      {field.options.map((option) => (
+                        <option key={option} value={option} className="bg-zinc-900">
+                          {option}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            {/* Preferred sizes */}
+            <section>
+              <h2 className="text-lg font-medium mb-1">Preferred Sizes</h2>
+              <p className="text-sm text-muted-foreground mb-4">
+                We&apos;ll pre-select these on product pages when they&apos;re available.
+              </p>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                <label className="block">
+                  <span className="text-sm text-muted-foreground">Usual Size</span>
+                  <Input
+                    {...register("preferredSize")}
+                    className="mt-1 uppercase"
+                    placeholder="M"
+                    maxLength={6}
+                  />
+                  {errors.preferredSize && (
+                    <p className="text-rose-400 text-xs mt-1">{errors.preferredSize.message}</p>
+                  )}
+                </label>
+                {CATEGORIES.map((category) => (
+                  <label key={category} className="block">
+                    <span className="text-sm text-muted-foreground">{category}</span>
+                    <Input
+                      {...register(`preferredSizes.${category}`)}
+                      className="mt-1 uppercase"
+                      placeholder={category === "Bottoms" ? "32" : "M"}
+                      maxLength={6}
+                    />
+                    {errors.preferredSizes?.[category] && (
+                      <p className="text-rose-400 text-xs mt-1">
+                        {errors.preferredSizes[category].message}
+                      </p>
+                    )}
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            {/* Measurements */}
+            <section>
+              <div className="flex items-center justify-between mb-1">
+                <h2 className="flex items-center gap-2 text-lg font-medium">
+                  <Ruler className="w-5 h-5 text-accent" />
+                  Measurements
+                </h2>
+                <div className="flex border border-border">
+                  {["in", "cm"].map((option) => (
+                    <label
+                      key={option}
+                      className={cn(
+                        "px-3 py-1 text-sm cursor-pointer",
+                        unit === option ? "bg-accent text-zinc-900" : "text-muted-foreground"
+                      )}
+                    >
+                      <input
+                        type="radio"
+                        value={option}
+                        {...register("measurements.unit")}
+                        className="sr-only"
+                      />
+                      {option}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <p className="text-sm text-muted-foreground mb-4">
+                Used to recommend a size on product pages.
+              </p>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                {MEASUREMENTS.map((key) => (
+                  <label key={key} className="block">
+                    <span className="text-sm text-muted-foreground capitalize">
+                      {key} ({unit})
+                    </span>
+                    <Input
+                      type="number"
+                      step="0.1"
+                      {...register(`measurements.${key}`, { setValueAs: toNullableNumber })}
+                      className="mt-1"
+                    />
+                    {errors.measurements?.[key] && (
+                      <p className="text-rose-400 text-xs mt-1">
+                        {errors.measurements[key].message}
+                      </p>
+                    )}
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            <div className="flex items-center gap-4">
+              <Button type="submit" size="lg" disabled={isSubmitting || !isDirty}>
+                {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Save Profile
+              </Button>
+              {saved && !isDirty && (
+                <span className="flex items-center gap-1 text-sm text-emerald-400">
+                  <Check className="w-4 h-4" />
+                  Saved
+                </span>
+              )}
+              {saveError && <span className="text-sm text-rose-400">{saveError}</span>}
+            </div>
+          </form>
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default ProfilePage;
@@ -1,9 +1,12 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import { motion } from "framer-motion";
-import { SlidersHorizontal, X, ChevronDown, AlertCircle } from "lucide-react";
+import { SlidersHorizontal, X, ChevronDown, ChevronLeft, ChevronRight, AlertCircle } from "lucide-react";
 import { getProducts } from "../lib/api";
+import { useAuth } from "../contexts/AuthContext";
 import { cn } from "../lib/utils";
 import { Button } from "../components/ui/Button";
+import { Input } from "../components/ui/Input";
 import { ProductGrid } from "../components/products/ProductGrid";
 import { ProductGridSkeleton } from "../components/ui/Skeleton";
 import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "../components/ui/Sheet";
@@ -11,30 +14,208 @@ import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "../c
 const categories = ["All", "Outerwear", "Tops", "Bottoms", "Knitwear", "Accessories"];
 const sortOptions = [
   { value: "newest", label: "Newest" },
+  { value: "bestselling", label: "Best Selling" },
+  { value: "rating", label: "Top Rated" },
   { value: "price-asc", label: "Price: Low to High" },
   { value: "price-desc", label: "Price: High to Low" },
   { value: "name", label: "Name A-Z" },
 ];
 
+// URL params that hold several values (?size=M&size=L), with sidebar labels
+const multiFilters = [
+  { param: "size", facet: "sizes", label: "Size" },
+  { param: "color", facet: "colors", label: "Color" },
+  { param: "style", facet: "styles", label: "Style" },
+  { param: "fit", facet: "fits", label: "Fit" },
+  { param: "fabric", facet: "fabrics", label: "Fabric" },
+];
+
+const PAGE_SIZE = 12;
+
+/**
+ * Price range inputs, applied on blur or Enter so typing doesn't refetch.
+ */
+function PriceFilter({ minPrice, maxPrice, range, onApply }) {
+  const [min, setMin] = useState(minPrice);
+  const [max, setMax] = useState(maxPrice);
+
+  useEffect(() => {
+    setMin(minPrice);
+    setMax(maxPrice);
+  }, [minPrice, maxPrice]);
+
+  const apply = () => onApply(min, max);
+  const onKeyDown = (e) => {
+    if (e.key === "Enter") apply();
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <Input
+        type="number"
+        min="0"
+        value={min}
+        onChange={(e) => setMin(e.target.value)}
+        onBlur={apply}
+        onKeyDown={onKeyDown}
+        placeholder={range ? `$${range.min}` : "Min"}
+        aria-label="Minimum price"
+        className="h-10"
+      />
+      <span className="text-muted-foreground">–</span>
+      <Input
+        type="number"
+        min="0"
+        value={max}
+        onChange={(e) => setMax(e.target.value)}
+        onBlur={apply}
+        onKeyDown={onKeyDown}
+        placeholder={range ? `$${range.max}` : "Max"}
+        aria-label="Maximum price"
+        className="h-10"
+      />
+    </div>
+  );
+}
+
+/**
+ * Filter sidebar driven by the facet counts from GET /api/products.
+ */
+function FilterContent({ facets, selected, category, minPrice, maxPrice, onCategory, onToggle, onPrice }) {
+  const categoryCounts = new Map((facets?.categories || []).map((f) => [f.value, f.count]));
+  const totalCount = [...categoryCounts.values()].reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="font-medium mb-4">Category</h3>
+        <div className="space-y-2">
+          {categories.map((cat) => (
+            <button
+              key={cat}
+              onClick={() => onCategory(cat)}
+              className={cn(
+                "flex w-full items-center justify-between text-left py-2 px-3 text-sm transition-colors",
+                category === cat
+                  ? "bg-accent/10 text-accent"
+                  : "text-muted-foreground hover:text-foreground"
+              )}
+            >
+              {cat}
+              {facets && (
+                <span className="text-xs">
+                  {cat === "All" ? totalCount : categoryCounts.get(cat) || 0}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-medium mb-4">Price</h3>
+        <PriceFilter
+          minPrice={minPrice}
+          maxPrice={maxPrice}
+          range={facets?.priceRange}
+          onApply={onPrice}
+        />
+      </div>
+
+      {multiFilters.map(({ param, facet, label }) => {
+        const options = facets?.[facet] || [];
+        if (options.length === 0) return null;
+
+        return (
+          <div key={param}>
+            <h3 className="font-medium mb-4">{label}</h3>
+            {param === "size" ? (
+              <div className="flex flex-wrap gap-2">
+                {options.map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => onToggle(param, option.value)}
+                    title={`${option.count} product${option.count !== 1 ? "s" : ""}`}
+                    className={cn(
+                      "min-w-[2.5rem] h-10 px-3 text-sm border transition-all",
+                      selected[param].includes(option.value)
+                        ? "border-accent bg-accent/10 text-accent"
+                        : "border-border hover:border-foreground/40"
+                    )}
+                  >
+                    {option.value}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {options.map((option) => (
+                  <label
+                    key={option.value}
+                    className="flex items-center gap-3 text-sm text-muted-foreground hover:text-foreground cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected[param].includes(option.value)}
+                      onChange={() => onToggle(param, option.value)}
+                      className="accent-accent"
+                    />
+                    {option.colorValue && (
+                      <span
+                        className="w-4 h-4 rounded-full border border-white/20"
+                        style={{ backgroundColor: option.colorValue }}
+                      />
+                    )}
+                    <span className="flex-1">{option.value}</span>
+                    <span className="text-xs">{option.count}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 /**
- * Shop Page with API integration, filtering and sorting.
+ * Shop Page: server-side filtering, sorting and pagination.
+ * All state lives in the URL so filtered views are shareable.
  */
 export function ShopPage() {
-  const [products, setProducts] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [selectedCategory, setSelectedCategory] = useState("All");
-  const [sortBy, setSortBy] = useState("newest");
   const [showSortMenu, setShowSortMenu] = useState(false);
+  const { user, getAuthHeaders } = useAuth();
+  const role = user?.role;
+
+  const category = searchParams.get("category") || "All";
+  const sortBy = searchParams.get("sort") || "newest";
+  const page = Math.max(parseInt(searchParams.get("page")) || 1, 1);
+  const minPrice = searchParams.get("minPrice") || "";
+  const maxPrice = searchParams.get("maxPrice") || "";
+  const selected = Object.fromEntries(
+    multiFilters.map(({ param }) => [param, searchParams.getAll(param)])
+  );
+
+  // Refetch whenever the URL changes
+  const queryString = searchParams.toString();
 
-  // Fetch products from API
   useEffect(() => {
     async function fetchProducts() {
       try {
         setLoading(true);
         setError(null);
-        const data = await getProducts();
-        setProducts(data);
+        const params = new URLSearchParams(queryString);
+        const query = { limit: PAGE_SIZE };
+        for (const key of new Set(params.keys())) {
+          query[key] = params.getAll(key);
+        }
+        const data = await getProducts(query, getAuthHeaders());
+        setResult(data);
       } catch (err) {
         console.error('Failed to fetch products:', err);
         setError(err.message);
@@ -44,59 +225,85 @@ export function ShopPage() {
     }
 
     fetchProducts();
-  }, []);
+    // Refetch when the role changes: VIPs also get early-access products
+  }, [queryString, role, getAuthHeaders]);
 
-  const filteredProducts = useMemo(() => {
-    let filtered = [...products];
+  /**
+   * Update URL params; any filter change goes back to page 1.
+   */
+  const updateParams = (mutate, { keepPage = false } = {}) => {
+    const next = new URLSearchParams(searchParams);
+    mutate(next);
+    if (!keepPage) next.delete("page");
+    setSearchParams(next);
+  };
 
-    // Filter by category
-    if (selectedCategory !== "All") {
-      filtered = filtered.filter((p) => p.category === selectedCategory);
-    }
+  const setCategory = (cat) => updateParams((next) => {
+    if (cat === "All") next.delete("category");
+    else next.set("category", cat);
+  });
 
-    // Sort
-    switch (sortBy) {
-      case "price-asc":
-        filtered.sort((a, b) => a.price - b.price);
-        break;
-      case "price-desc":
-        filtered.sort((a, b) => b.price - a.price);
-        break;
-      case "name":
-        filtered.sort((a, b) => a.name.localeCompare(b.name));
-        break;
-      case "newest":
-      default:
-        // Keep original order (newest first from API)
-        break;
-    }
+  const toggleFilter = (param, value) => updateParams((next) => {
+    const values = next.getAll(param);
+    next.delete(param);
+    const updated = values.includes(value)
+      ? values.filter((v) => v !== value)
+      : [...values, value];
+    updated.forEach((v) => next.append(param, v));
+  });
 
-    return filtered;
-  }, [products, selectedCategory, sortBy]);
+  const setPrice = (min, max) => {
+    if (String(min) === minPrice && String(max) === maxPrice) return;
+    updateParams((next) => {
+      if (min !== "") next.set("minPrice", min); else next.delete("minPrice");
+      if (max !== "") next.set("maxPrice", max); else next.delete("maxPrice");
+    });
+  };
 
-  const FilterContent = () => (
-    <div className="space-y-8">
-      <div>
-        <h3 className="font-medium mb-4">Category</h3>
-        <div className="space-y-2">
-          {categories.map((category) => (
-            <button
-              key={category}
-              onClick={() => setSelectedCategory(category)}
-              className={cn(
-                "block w-full text-left py-2 px-3 text-sm transition-colors",
-                selectedCategory === category
-                  ? "bg-accent/10 text-accent"
-                  : "text-muted-foreground hover:text-foreground"
-              )}
-            >
-              {category}
-            </button>
-          ))}
-        </div>
-      </div>
-    </div>
-  );
+  const setSort = (value) => updateParams((next) => {
+    if (value === "newest") next.delete("sort");
+    else next.set("sort", value);
+  });
+
+  const goToPage = (nextPage) => {
+    updateParams((next) => {
+      if (nextPage > 1) next.set("page", String(nextPage));
+      else next.delete("page");
+    }, { keepPage: true });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const clearFilters = () => setSearchParams({});
+
+  const products = result?.products || [];
+  const pagination = result?.pagination;
+
+  const activeFilters = [
+    ...(category !== "All" ? [{ param: "category", value: category, label: category }] : []),
+    ...multiFilters.flatMap(({ param }) =>
+      selected[param].map((value) => ({ param, value, label: value }))
+    ),
+    ...(minPrice || maxPrice
+      ? [{ param: "price", label: `$${minPrice || 0} – ${maxPrice ? `$${maxPrice}` : "any"}` }]
+      : []),
+  ];
+
+  const removeFilter = ({ param, value }) => {
+    if (param === "category") setCategory("All");
+    else if (param === "price") setPrice("", "");
+    else toggleFilter(param, value);
+  };
+
+  const filterProps = {
+    facets: result?.facets,
+    selected,
+    category,
+    minPrice,
+    maxPrice,
+    onCategory: setCategory,
+    onToggle: toggleFilter,
+    onPrice: setPrice,
+  };
 
   return (
     <div className="min-h-screen pt-24 pb-20">
@@ -131,30 +338,30 @@ export function ShopPage() {
                 Filters
               </Button>
             </SheetTrigger>
-            <SheetContent side="left">
+            <SheetContent side="left" className="overflow-y-auto">
               <SheetHeader>
                 <SheetTitle>Filters</SheetTitle>
               </SheetHeader>
               <div className="py-6">
-                <FilterContent />
+                <FilterContent {...filterProps} />
               </div>
             </SheetContent>
           </Sheet>
 
           {/* Desktop Category Tabs */}
           <div className="hidden lg:flex items-center gap-1">
-            {categories.map((category) => (
+            {categories.map((cat) => (
               <button
-                key={category}
-                onClick={() => setSelectedCategory(category)}
+                key={cat}
+                onClick={() => setCategory(cat)}
                 className={cn(
                   "px-4 py-2 text-sm font-medium transition-colors",
-                  selectedCategory === category
+                  category === cat
                     ? "text-accent"
                     : "text-muted-foreground hover:text-foreground"
                 )}
               >
-                {category}
+                {cat}
               </button>
             ))}
           </div>
@@ -162,7 +369,9 @@ export function ShopPage() {
           {/* Results Count & Sort */}
           <div className="flex items-center gap-4">
             <span className="text-sm text-muted-foreground hidden sm:block">
-              {loading ? "Loading..." : `${filteredProducts.length} product${filteredProducts.length !== 1 ? "s" : ""}`}
+              {loading || !pagination
+                ? "Loading..."
+                : `${pagination.total} product${pagination.total !== 1 ? "s" : ""}`}
             </span>
 
             {/* Sort Dropdown */}
@@ -171,7 +380,7 @@ export function ShopPage() {
                 onClick={() => setShowSortMenu(!showSortMenu)}
                 className="flex items-center gap-2 text-sm font-medium hover:text-accent transition-colors"
               >
-                Sort by: {sortOptions.find((o) => o.value === sortBy)?.label}
+                Sort by: {sortOptions.find((o) => o.value === sortBy)?.label || "Newest"}
                 <ChevronDown
                   className={cn(
                     "w-4 h-4 transition-transform",
@@ -195,7 +404,7 @@ export function ShopPage() {
                       <button
                         key={option.value}
                         onClick={() => {
-                          setSortBy(option.value);
+                          setSort(option.value);
                           setShowSortMenu(false);
                         }}
                         className={cn(
@@ -216,44 +425,91 @@ export function ShopPage() {
         </motion.div>
 
         {/* Active Filters */}
-        {selectedCategory !== "All" && (
+        {activeFilters.length > 0 && (
           <motion.div
             initial={{ opacity: 0, height: 0 }}
             animate={{ opacity: 1, height: "auto" }}
-            className="flex items-center gap-2 mb-8"
+            className="flex flex-wrap items-center gap-2 mb-8"
           >
             <span className="text-sm text-muted-foreground">Filters:</span>
+            {activeFilters.map((filter) => (
+              <button
+                key={`${filter.param}-${filter.value ?? ""}`}
+                onClick={() => removeFilter(filter)}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm bg-muted hover:bg-muted/80 transition-colors"
+              >
+                {filter.label}
+                <X className="w-3 h-3" />
+              </button>
+            ))}
             <button
-              onClick={() => setSelectedCategory("All")}
-              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm bg-muted hover:bg-muted/80 transition-colors"
+              onClick={clearFilters}
+              className="text-sm text-muted-foreground underline hover:text-foreground"
             >
-              {selectedCategory}
-              <X className="w-3 h-3" />
+              Clear all
             </button>
           </motion.div>
         )}
 
-        {/* Error State */}
-        {error && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            className="text-center py-20"
-          >
-            <AlertCircle className="w-12 h-12 text-rose-400 mx-auto mb-4" />
-            <h3 className="font-serif text-xl mb-2">Failed to load products</h3>
-            <p className="text-muted-foreground mb-6">{error}</p>
-            <Button onClick={() => window.location.reload()}>
-              Try Again
-            </Button>
-          </motion.div>
-        )}
+        <div className="lg:grid lg:grid-cols-[220px_1fr] lg:gap-10">
+          {/* Desktop Filter Sidebar */}
+          <aside className="hidden lg:block">
+            <FilterContent {...filterProps} />
+          </aside>
 
-        {/* Loading State */}
-        {loading && <ProductGridSkeleton count={8} />}
+          <div>
+            {/* Error State */}
+            {error && (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                className="text-center py-20"
+              >
+                <AlertCircle className="w-12 h-12 text-rose-400 mx-auto mb-4" />
+                <h3 className="font-serif text-xl mb-2">Failed to load products</h3>
+                <p className="text-muted-foreground mb-6">{error}</p>
+                <Button onClick={() => window.location.reload()}>
+                  Try Again
+                </Button>
+              </motion.div>
+            )}
 
-        {/* Product Grid */}
-        {!loading && !error && <ProductGrid products={filteredProducts} />}
+            {/* Loading State */}
+            {loading && <ProductGridSkeleton count={8} />}
+
+            {/* Product Grid */}
+            {!loading && !error && (
+              <ProductGrid products={products} className="xl:grid-cols-3" />
+            )}
+
+            {/* Pagination */}
+            {!loading && !error && pagination?.totalPages > 1 && (
+              <div className="flex items-center justify-center gap-4 mt-12">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={page <= 1}
+                  onClick={() => goToPage(page - 1)}
+                >
+                  <ChevronLeft className="w-4 h-4 mr-1" />
+                  Previous
+                </Button>
+                <span className="text-sm text-muted-foreground">
+                  Page {pagination.page} of {pagination.totalPages}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={!pagination.hasMore}
+                  onClick={() => goToPage(page + 1)}
+                >
+                  Next
+                  <ChevronRight className="w-4 h-4 ml-1" />
+                </Button>
+              </div>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
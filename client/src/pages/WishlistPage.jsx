@@ -0,0 +1,190 @@
+/**
+ * Wishlist Page
+ * Saved products for guests (localStorage) and signed-in customers,
+ * with a variant picker and "move to bag"
+ */
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Heart, ShoppingBag, X, AlertCircle } from "lucide-react";
+import { cn } from "../lib/utils";
+import { getThumbnailUrl } from "../lib/cloudinary";
+import { useWishlist } from "../contexts/WishlistContext";
+import { Button } from "../components/ui/Button";
+
+/**
+ * One saved product. Starts on the preferred variant when one was saved.
+ */
+function WishlistItem({ item }) {
+  const { removeItem, moveToCart } = useWishlist();
+  const [size, setSize] = useState(item.size || "");
+  const [color, setColor] = useState(item.color || "");
+  const [moving, setMoving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const colors = [...new Map(item.variants.map((v) => [v.color, v.colorValue])).entries()];
+  const sizes = [...new Set(item.variants.filter((v) => !color || v.color === color).map((v) => v.size))];
+  const variant = item.variants.find((v) => v.size === size && v.color === color);
+
+  const unavailable = item.flags.unavailable;
+  const soldOut = variant ? variant.stock === 0 : item.flags.outOfStock;
+
+  const handleColorChange = (nextColor) => {
+    setColor(nextColor);
+    setError(null);
+    // Keep the size only if it exists in the new color
+    if (!item.variants.some((v) => v.color === nextColor && v.size === size)) setSize("");
+  };
+
+  const handleMove = async () => {
+    setMoving(true);
+    setError(null);
+    const result = await moveToCart(item, {
+      size,
+      color: { name: color, value: variant?.colorValue || color },
+    });
+    if (!result.success) setError(result.error);
+    setMoving(false);
+  };
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="flex gap-5 p-5 border border-border"
+    >
+      <Link to={`/products/${item.slug}`} className="w-24 h-32 shrink-0 bg-muted overflow-hidden">
+        {item.image && (
+          <img
+            src={getThumbnailUrl(item.image)}
+            alt={item.name}
+            className={cn("w-full h-full object-cover", unavailable && "opacity-50")}
+            loading="lazy"
+          />
+        )}
+      </Link>
+
+      <div className="flex-1 min-w-0 flex flex-col gap-3">
+        <div className="flex items-start justify-between gap-4">
+          <div className="min-w-0">
+            <p className="text-xs text-muted-foreground uppercase tracking-wide">{item.category}</p>
+            <Link to={`/products/${item.slug}`} className="font-medium hover:text-accent transition-colors">
+              {item.name}
+            </Link>
+            <p className="text-sm mt-1">${item.price}</p>
+          </div>
+          <button
+            onClick={() => removeItem(item.productId)}
+            className="p-1 text-muted-foreground hover:text-foreground transition-colors"
+            aria-label={`Remove ${item.name} from wishlist`}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {unavailable ? (
+          <p className="text-sm text-muted-foreground">No longer available</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-3">
+              <select
+                value={color}
+                onChange={(e) => handleColorChange(e.target.value)}
+                className="h-9 px-3 bg-transparent border border-border text-sm"
+                aria-label="Color"
+              >
+                <option value="">Color</option>
+                {colors.map(([name]) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+              <select
+                value={size}
+                onChange={(e) => {
+                  setSize(e.target.value);
+                  setError(null);
+                }}
+                className="h-9 px-3 bg-transparent border border-border text-sm"
+                aria-label="Size"
+              >
+                <option value="">Size</option>
+                {sizes.map((s) => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center gap-4">
+              <Button
+                size="sm"
+                onClick={handleMove}
+                disabled={!variant || soldOut || moving}
+              >
+                <ShoppingBag className="w-4 h-4 mr-2" />
+                {moving ? "Moving..." : "Move to Bag"}
+              </Button>
+              {soldOut && (
+                <span className="text-sm text-rose-400">
+                  {variant ? "This size is sold out" : "Sold out"}
+                </span>
+              )}
+            </div>
+          </>
+        )}
+
+        {error && (
+          <p className="flex items-center gap-2 text-sm text-red-400">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </p>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+export function WishlistPage() {
+  const { items } = useWishlist();
+
+  return (
+    <div className="min-h-screen pt-24 pb-20">
+      <div className="container max-w-3xl">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-10"
+        >
+          <h1 className="font-serif text-4xl md:text-5xl mb-2">Wishlist</h1>
+          <p className="text-muted-foreground">
+            Pieces you&apos;ve saved for later.
+          </p>
+        </motion.div>
+
+        {items.length === 0 ? (
+          <div className="text-center py-16">
+            <div className="w-16 h-16 rounded-full bg-muted flex items-center justify-center mx-auto mb-4">
+              <Heart className="w-8 h-8 text-muted-foreground" />
+            </div>
+            <h3 className="font-serif text-xl mb-2">Your wishlist is empty</h3>
+            <p className="text-muted-foreground text-sm mb-6">
+              Tap the heart on any product to save it here.
+            </p>
+            <Button asChild>
+              <Link to="/shop">Start Shopping</Link>
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {items.map((item) => (
+              <WishlistItem key={item.productId} item={item} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WishlistPage;
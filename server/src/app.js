@@ -9,11 +9,13 @@ const cors = require('cors');
 // Import routes
 const productsRouter = require('./routes/products');
 const cartRouter = require('./routes/cart');
+const wishlistRouter = require('./routes/wishlist');
 const usersRouter = require('./routes/users');
 const authRouter = require('./routes/auth');
 const adminRouter = require('./routes/admin');
 const configRouter = require('./routes/config');
 const mediaRouter = require('./routes/media');
+const ordersRouter = require('./routes/orders');
 
 const app = express();
 
@@ -58,6 +60,8 @@ app.get('/api/health', (req, res) => {
 // API Routes
 app.use('/api/products', productsRouter);
 app.use('/api/cart', cartRouter);
+app.use('/api/wishlist', wishlistRouter);
+app.use('/api/orders', ordersRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/admin', adminRouter);
@@ -74,6 +78,8 @@ app.get('/', (req, res) => {
       health: '/api/health',
       products: '/api/products',
       cart: '/api/cart',
+      wishlist: '/api/wishlist',
+      orders: '/api/orders',
       users: '/api/users',
       auth: '/api/auth',
       admin: '/api/admin (protected)',
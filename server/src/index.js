@@ -1,6 +1,8 @@
 require('dotenv').config();
 const app = require('./app');
 const { connectDB } = require('./lib/mongodb');
+const { deliverPendingNotifications } = require('./lib/restock');
+const { scheduleProductPairsRefresh } = require('./lib/related');
 
 const PORT = process.env.PORT || 5001;
 
@@ -8,6 +10,14 @@ const PORT = process.env.PORT || 5001;
 async function start() {
   try {
     await connectDB();
+
+    // Retry notifications that didn't go out before the last restart
+    deliverPendingNotifications().catch(error => {
+      console.error('Failed to deliver pending notifications:', error);
+    });
+
+    // Keep "frequently bought together" pairs in step with new orders
+    scheduleProductPairsRefresh();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,294 @@
+/**
+ * Product Catalog Queries
+ * Server-side filtering, sorting, pagination and facet counts for
+ * GET /api/products, built as a single aggregation with $facet
+ */
+
+const { getDB } = require('./mongodb');
+const { buildVisibleProductFilter, hideVipPricing } = require('./orders');
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 48;
+
+/**
+ * Supported sort options (first key wins on ties, _id keeps pages stable)
+ */
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  'price-asc': { price: 1, _id: 1 },
+  'price-desc': { price: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  bestselling: { salesCount: -1, createdAt: -1, _id: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1, _id: -1 }
+};
+
+/**
+ * Multi-value filters: query param -> product field
+ * Pass repeated params for several values (?size=M&size=L);
+ * values within a filter are OR'd, filters are AND'd
+ */
+const FACET_FIELDS = {
+  category: 'category',
+  size: 'variants.size',
+  color: 'variants.color',
+  style: 'styles',
+  fit: 'metadata.fitType',
+  fabric: 'metadata.fabric'
+};
+
+/**
+ * Read a query param as a list of non-empty strings
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  return [].concat(value ?? [])
+    .filter(v => typeof v === 'string')
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read a query param as a non-negative number
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toAmount(value) {
+  if (value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Normalize GET /api/products query params
+ * Unknown sorts fall back to newest and out-of-range pages are clamped,
+ * so shared URLs never error
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, minPrice: number|null, maxPrice: number|null,
+ *   status: string|null, featured: boolean, sort: string, page: number, limit: number}}
+ */
+function parseCatalogQuery(query = {}) {
+  const filters = {};
+  for (const param of Object.keys(FACET_FIELDS)) {
+    const values = toList(query[param]).filter(v => !(param === 'category' && v === 'All'));
+    if (values.length > 0) filters[param] = values;
+  }
+
+  let minPrice = toAmount(query.minPrice);
+  let maxPrice = toAmount(query.maxPrice);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    [minPrice, maxPrice] = [maxPrice, minPrice];
+  }
+
+  return {
+    filters,
+    minPrice,
+    maxPrice,
+    status: typeof query.status === 'string' && query.status ? query.status : null,
+    featured: query.featured === 'true',
+    sort: PRODUCT_SORTS[query.sort] ? query.sort : 'newest',
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+  };
+}
+
+/**
+ * Match stages for each active facet filter
+ * @param {Object} filters - From parseCatalogQuery
+ * @returns {Object<string, Object>}
+ */
+function buildFacetMatches(filters) {
+  const matches = {};
+  for (const [param, values] of Object.entries(filters)) {
+    matches[param] = { [FACET_FIELDS[param]]: { $in: values } };
+  }
+  return matches;
+}
+
+/**
+ * Combine every facet filter except one, so each facet's counts show
+ * what selecting another value of that facet would return
+ * @param {Object<string, Object>} facetMatches
+ * @param {string|null} exclude - Facet param to leave out
+ * @returns {Object}
+ */
+function combineFacetMatches(facetMatches, exclude = null) {
+  const clauses = Object.entries(facetMatches)
+    .filter(([param]) => param !== exclude)
+    .map(([, match]) => match);
+  return clauses.length > 0 ? { $and: clauses } : {};
+}
+
+/**
+ * Pipeline counting distinct products per value of one field
+ * @param {string} expression - Aggregation expression yielding the values
+ * @returns {Object[]}
+ */
+function countByValues(expression) {
+  return [
+    { $project: { values: { $setUnion: [{ $ifNull: [expression, []] }] } } },
+    { $unwind: '$values' },
+    { $group: { _id: '$values', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+}
+
+/**
+ * Units sold per product from non-cancelled orders (for bestselling)
+ * @returns {Promise<{ids: ObjectId[], units: number[]}>}
+ */
+async function getSalesCounts() {
+  const sales = await getDB().collection('orders').aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.productId', units: { $sum: '$items.quantity' } } }
+  ]).toArray();
+
+  return {
+    ids: sales.map(s => s._id),
+    units: sales.map(s => s.units)
+  };
+}
+
+/**
+ * Fetch one page of products with facet counts
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {Object} [options.shopper] - From getShopperContext (early access)
+ * @param {string} [options.favoriteStyle] - Rank products in this style first
+ * @returns {Promise<{products: Object[], pagination: Object, facets: Object, sort: string}>}
+ */
+async function queryCatalog(query, { shopper = {}, favoriteStyle = null } = {}) {
+  const { filters, minPrice, maxPrice, status, featured, sort, page, limit } = parseCatalogQuery(query);
+
+  // Filters that apply to the products and every facet
+  const baseMatch = buildVisibleProductFilter(shopper);
+  if (status) baseMatch.status = status;
+  if (featured) baseMatch.isFeatured = true;
+  if (minPrice !== null || maxPrice !== null) {
+    baseMatch.price = {
+      ...(minPrice !== null && { $gte: minPrice }),
+      ...(maxPrice !== null && { $lte: maxPrice })
+    };
+  }
+
+  const facetMatches = buildFacetMatches(filters);
+
+  const pipeline = [{ $match: baseMatch }];
+
+  if (sort === 'bestselling') {
+    const { ids, units } = await getSalesCounts();
+    pipeline.push({
+      $addFields: {
+        salesCount: {
+          $let: {
+            vars: { index: { $indexOfArray: [ids, '$_id'] } },
+            in: { $cond: [{ $gte: ['$$index', 0] }, { $arrayElemAt: [units, '$$index'] }, 0] }
+          }
+        }
+      }
+    });
+  }
+
+  let sortStage = PRODUCT_SORTS[sort];
+  if (favoriteStyle) {
+    pipeline.push({
+      $addFields: {
+        styleMatch: { $cond: [{ $in: [favoriteStyle, { $ifNull: ['$styles', []] }] }, 1, 0] }
+      }
+    });
+    sortStage = { styleMatch: -1, ...sortStage };
+  }
+
+  const facetBranch = (param, expression) => [
+    { $match: combineFacetMatches(facetMatches, param) },
+    ...countByValues(expression)
+  ];
+
+  pipeline.push({
+    $facet: {
+      products: [
+        { $match: combineFacetMatches(facetMatches) },
+        { $sort: sortStage },
+        { $skip: (page - 1) * limit },
+        { $limit: limit }
+      ],
+      total: [
+        { $match: combineFacetMatches(facetMatches) },
+        { $count: 'count' }
+      ],
+      priceRange: [
+        { $match: combineFacetMatches(facetMatches) },
+        { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+      ],
+      categories: facetBranch('category', ['$category']),
+      sizes: facetBranch('size', '$variants.size'),
+      colors: [
+        { $match: combineFacetMatches(facetMatches, 'color') },
+        { $unwind: '$variants' },
+        // One entry per product and color, keeping a swatch value
+        {
+          $group: {
+            _id: { product: '$_id', color: '$variants.color' },
+            colorValue: { $first: '$variants.colorValue' }
+          }
+        },
+        { $group: { _id: '$_id.color', colorValue: { $first: '$colorValue' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      styles: facetBranch('style', '$styles'),
+      fits: facetBranch('fit', ['$metadata.fitType']),
+      fabrics: facetBranch('fabric', ['$metadata.fabric'])
+    }
+  });
+
+  const [result] = await getDB().collection('products').aggregate(pipeline).toArray();
+
+  const total = result.total[0]?.count || 0;
+  const now = new Date();
+  const toValues = (buckets) => buckets
+    .filter(b => b._id !== null && b._id !== undefined && b._id !== '')
+    .map(b => ({ value: b._id, count: b.count }));
+
+  return {
+    products: result.products.map(({ styleMatch, ...p }) => hideVipPricing({
+      ...p,
+      id: p._id.toString(),
+      hoverImage: p.images?.[1] || p.images?.[0],
+      earlyAccess: !!p.publishAt && new Date(p.publishAt) > now
+    }, shopper)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    },
+    facets: {
+      categories: toValues(result.categories),
+      sizes: toValues(result.sizes),
+      colors: result.colors
+        .filter(b => b._id)
+        .map(b => ({ value: b._id, colorValue: b.colorValue || null, count: b.count })),
+      styles: toValues(result.styles),
+      fits: toValues(result.fits),
+      fabrics: toValues(result.fabrics),
+      priceRange: {
+        min: result.priceRange[0]?.min ?? 0,
+        max: result.priceRange[0]?.max ?? 0
+      }
+    },
+    sort
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  PRODUCT_SORTS,
+  FACET_FIELDS,
+  parseCatalogQuery,
+  buildFacetMatches,
+  combineFacetMatches,
+  queryCatalog
+};
@@ -0,0 +1,174 @@
+/**
+ * Recommendation A/B Test
+ * Shoppers are split deterministically between quiz-only scoring and
+ * quiz + behavior scoring by hashing their user ID (or the anonymous ID the
+ * storefront keeps in localStorage), so the same shopper always gets the same
+ * variant. Every list shown to an assigned shopper is logged to
+ * `recommendation_impressions` - featured fallbacks included, so both arms
+ * count the same population; clicks and add-to-carts are recorded against it.
+ */
+
+const crypto = require('crypto');
+const { getDB, toObjectId, isValidObjectId } = require('./mongodb');
+
+const RECOMMENDATION_IMPRESSIONS = 'recommendation_impressions';
+
+const RECOMMENDATION_EXPERIMENT = {
+  name: 'recommendations-v1',
+  variants: ['quiz', 'behavior']
+};
+
+const RECOMMENDATION_EVENTS = {
+  click: 'clickedProductIds',
+  add_to_cart: 'addedProductIds'
+};
+
+const MAX_ANONYMOUS_ID_LENGTH = 64;
+
+/**
+ * Who the experiment assigns: the signed-in user, else the anonymous ID
+ * @param {Object|null} user - req.user
+ * @param {string} [anonymousId] - X-Anonymous-Id header
+ * @returns {string|null} e.g. "user:<id>" / "anon:<id>"
+ */
+function getExperimentSubject(user, anonymousId) {
+  if (user) return `user:${user._id}`;
+  if (typeof anonymousId === 'string' && anonymousId.trim()) {
+    return `anon:${anonymousId.trim().slice(0, MAX_ANONYMOUS_ID_LENGTH)}`;
+  }
+  return null;
+}
+
+/**
+ * Deterministic variant for a subject: same subject, same variant
+ * Subjects without an ID get the first (control) variant
+ * @param {string|null} subject - From getExperimentSubject
+ * @param {Object} [experiment] - { name, variants }
+ * @returns {string}
+ */
+function assignVariant(subject, experiment = RECOMMENDATION_EXPERIMENT) {
+  if (!subject) return experiment.variants[0];
+  const hash = crypto.createHash('sha256').update(`${experiment.name}:${subject}`).digest();
+  return experiment.variants[hash.readUInt32BE(0) % experiment.variants.length];
+}
+
+/**
+ * Record a recommendation list the shopper was shown.
+ * Never throws: analytics must not break recommendations.
+ * @param {Object} impression
+ * @param {string} impression.variant
+ * @param {string} impression.subject - From getExperimentSubject
+ * @param {Object|null} [impression.user] - req.user
+ * @param {Object[]} impression.products - Products shown
+ * @param {boolean} impression.personalized - false for the featured fallback
+ * @returns {Promise<string|null>} Impression id for click tracking
+ */
+async function logRecommendationImpression({ variant, subject, user = null, products, personalized }) {
+  try {
+    const result = await getDB().collection(RECOMMENDATION_IMPRESSIONS).insertOne({
+      experiment: RECOMMENDATION_EXPERIMENT.name,
+      variant,
+      subject,
+      userId: user ? toObjectId(user._id.toString()) : null,
+      personalized: Boolean(personalized),
+      productIds: products.map(p => p._id),
+      clickedProductIds: [],
+      addedProductIds: [],
+      createdAt: new Date()
+    });
+    return result.insertedId.toString();
+  } catch (error) {
+    console.error('Failed to log recommendation impression:', error);
+    return null;
+  }
+}
+
+/**
+ * Record a click or add-to-cart on a product from a logged impression
+ * @param {string} impressionId - From logRecommendationImpression
+ * @param {string} productId - Must be one of the products shown
+ * @param {string} type - 'click' | 'add_to_cart'
+ * @returns {Promise<boolean>} Whether the event matched an impression
+ */
+async function recordRecommendationEvent(impressionId, productId, type) {
+  const field = RECOMMENDATION_EVENTS[type];
+  if (!field || !isValidObjectId(impressionId) || !isValidObjectId(productId)) return false;
+
+  const product = toObjectId(productId);
+  const result = await getDB().collection(RECOMMENDATION_IMPRESSIONS).updateOne(
+    { _id: toObjectId(impressionId), productIds: product },
+    { $addToSet: { [field]: product } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Percentage to one decimal (0 when there is nothing to divide by)
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number}
+ */
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * Conversion per variant for the admin dashboard
+ * Click-through and add-to-cart rates are the share of impressions with at
+ * least one click / add-to-cart; personalizedRate is the share that were
+ * personalized rather than the featured fallback
+ * @param {Object} [options]
+ * @param {number} [options.days] - Look-back period
+ * @returns {Promise<{experiment: string, days: number, variants: Object[]}>}
+ */
+async function getExperimentAnalytics({ days = 30 } = {}) {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const rows = await getDB().collection(RECOMMENDATION_IMPRESSIONS).aggregate([
+    { $match: { experiment: RECOMMENDATION_EXPERIMENT.name, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$variant',
+        impressions: { $sum: 1 },
+        personalized: { $sum: { $cond: ['$personalized', 1, 0] } },
+        subjects: { $addToSet: '$subject' },
+        clicked: { $sum: { $cond: [{ $gt: [{ $size: '$clickedProductIds' }, 0] }, 1, 0] } },
+        added: { $sum: { $cond: [{ $gt: [{ $size: '$addedProductIds' }, 0] }, 1, 0] } },
+        clicks: { $sum: { $size: '$clickedProductIds' } },
+        addToCarts: { $sum: { $size: '$addedProductIds' } }
+      }
+    }
+  ]).toArray();
+
+  const byVariant = new Map(rows.map(row => [row._id, row]));
+
+  return {
+    experiment: RECOMMENDATION_EXPERIMENT.name,
+    days,
+    variants: RECOMMENDATION_EXPERIMENT.variants.map(variant => {
+      const row = byVariant.get(variant) || { impressions: 0, personalized: 0, subjects: [], clicked: 0, added: 0, clicks: 0, addToCarts: 0 };
+      return {
+        variant,
+        impressions: row.impressions,
+        shoppers: row.subjects.length,
+        clicks: row.clicks,
+        addToCarts: row.addToCarts,
+        clickThroughRate: percentage(row.clicked, row.impressions),
+        addToCartRate: percentage(row.added, row.impressions),
+        personalizedRate: percentage(row.personalized, row.impressions)
+      };
+    })
+  };
+}
+
+module.exports = {
+  RECOMMENDATION_IMPRESSIONS,
+  RECOMMENDATION_EXPERIMENT,
+  RECOMMENDATION_EVENTS,
+  getExperimentSubject,
+  assignVariant,
+  logRecommendationImpression,
+  recordRecommendationEvent,
+  getExperimentAnalytics
+};
@@ -0,0 +1,182 @@
+/**
+ * Inventory Helpers
+ * Atomic variant stock updates shared by checkout and admin routes
+ */
+
+const { getDB } = require('./mongodb');
+const { getProductVariants } = require('./orders');
+
+/**
+ * Recalculate and store the total stock of a product from its variants
+ * @param {ObjectId} productId - Product ID
+ * @returns {Promise<number|null>} New total stock, or null if product not found
+ */
+async function recalculateProductStock(productId) {
+  const db = getDB();
+
+  const product = await db.collection('products').findOne(
+    { _id: productId },
+    { projection: { variants: 1, inventory: 1 } }
+  );
+
+  if (!product) return null;
+
+  const totalStock = getProductVariants(product).reduce((sum, v) => sum + (v.stock || 0), 0);
+
+  await db.collection('products').updateOne(
+    { _id: productId },
+    { $set: { stock: totalStock } }
+  );
+
+  return totalStock;
+}
+
+/**
+ * Atomically change the stock of one SKU
+ * When decrementing, the update only matches if enough stock remains,
+ * so concurrent checkouts can never push a variant below zero
+ * @param {ObjectId} productId - Product ID
+ * @param {string} sku - Variant SKU
+ * @param {number} delta - Amount to add (negative to remove)
+ * @returns {Promise<boolean>} Whether the update was applied
+ */
+async function adjustVariantStock(productId, sku, delta) {
+  const db = getDB();
+
+  // Target the variants array, or the legacy inventory array for old products
+  const hasVariant = await db.collection('products').countDocuments(
+    { _id: productId, 'variants.sku': sku },
+    { limit: 1 }
+  );
+  const field = hasVariant ? 'variants' : 'inventory';
+
+  const elemMatch = delta < 0
+    ? { sku, stock: { $gte: -delta } }
+    : { sku };
+
+  const result = await db.collection('products').updateOne(
+    { _id: productId, [field]: { $elemMatch: elemMatch } },
+    {
+      $inc: { [`${field}.$.stock`]: delta },
+      $set: { updatedAt: new Date() }
+    }
+  );
+
+  return result.matchedCount > 0;
+}
+
+/**
+ * Group order lines by product + SKU so repeated lines are reserved together
+ * @param {Array} items - Items with productId, sku, quantity
+ * @returns {Array}
+ */
+function groupBySku(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = `${item.productId.toString()}:${item.sku}`;
+    const existing = groups.get(key);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      groups.set(key, {
+        productId: item.productId,
+        sku: item.sku,
+        name: item.name,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity
+      });
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Reserve stock for every line of an order
+ * All-or-nothing: if any line is short, reservations already made are released
+ * @param {Array} items - Order items with productId, sku, quantity
+ * @returns {Promise<{success: boolean, shortages: Array}>}
+ */
+async function reserveStock(items) {
+  const db = getDB();
+  const lines = groupBySku(items);
+  const reserved = [];
+  const short = [];
+
+  for (const line of lines) {
+    const applied = await adjustVariantStock(line.productId, line.sku, -line.quantity);
+    if (applied) {
+      reserved.push(line);
+    } else {
+      short.push(line);
+    }
+  }
+
+  if (short.length > 0) {
+    await releaseStock(reserved);
+
+    // Report how many units are actually left for each short SKU
+    const products = await db.collection('products')
+      .find(
+        { _id: { $in: short.map(line => line.productId) } },
+        { projection: { variants: 1, inventory: 1 } }
+      )
+      .toArray();
+
+    const shortages = short.map(line => {
+      const product = products.find(p => p._id.equals(line.productId));
+      const variant = getProductVariants(product).find(v => v.sku === line.sku);
+      return {
+        productId: line.productId.toString(),
+        sku: line.sku,
+        name: line.name,
+        size: line.size,
+        color: line.color?.name || line.color,
+        requested: line.quantity,
+        available: variant?.stock || 0
+      };
+    });
+
+    return { success: false, shortages };
+  }
+
+  await recalculateStockFor(reserved);
+
+  return { success: true, shortages: [] };
+}
+
+/**
+ * Return stock for order lines (checkout rollback or order cancellation)
+ * @param {Array} items - Order items with productId, sku, quantity
+ * @returns {Promise<void>}
+ */
+async function releaseStock(items) {
+  const released = [];
+
+  for (const line of groupBySku(items)) {
+    // Lines without a SKU (e.g. seeded orders) never reserved stock
+    if (!line.sku) continue;
+    const applied = await adjustVariantStock(line.productId, line.sku, line.quantity);
+    if (applied) released.push(line);
+  }
+
+  await recalculateStockFor(released);
+}
+
+/**
+ * Recalculate total stock once per distinct product in a list of lines
+ * @param {Array} lines - Lines with productId
+ * @returns {Promise<void>}
+ */
+async function recalculateStockFor(lines) {
+  const productIds = new Map();
+  lines.forEach(line => productIds.set(line.productId.toString(), line.productId));
+  await Promise.all([...productIds.values()].map(id => recalculateProductStock(id)));
+}
+
+module.exports = {
+  recalculateProductStock,
+  adjustVariantStock,
+  reserveStock,
+  releaseStock
+};
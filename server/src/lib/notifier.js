@@ -0,0 +1,87 @@
+/**
+ * Notifier
+ * Pluggable delivery for customer notifications. A transport is any object
+ * with a `name` and an async `send(message)`; the default ones work offline:
+ *   - console: logs each message (default)
+ *   - file: appends each message as a JSON line (NOTIFIER_FILE)
+ * Pick one with NOTIFIER=console|file, or plug in another (e.g. email)
+ * with setNotifier().
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_NOTIFICATIONS_FILE = path.join(process.cwd(), 'notifications.log');
+
+/**
+ * @typedef {Object} NotificationMessage
+ * @property {string} to - Recipient email
+ * @property {string} subject
+ * @property {string} text
+ * @property {Object} [data] - Extra context for the transport (e.g. product link)
+ */
+
+/**
+ * Transport that logs messages to stdout
+ */
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`📧 [notify] to=${message.to} subject="${message.subject}"\n   ${message.text}`);
+  }
+};
+
+/**
+ * Transport that appends messages to a JSON-lines file
+ * @param {string} [filePath]
+ * @returns {{name: string, send: function(NotificationMessage): Promise<void>}}
+ */
+function createFileTransport(filePath = DEFAULT_NOTIFICATIONS_FILE) {
+  return {
+    name: 'file',
+    async send(message) {
+      const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+      await fs.appendFile(filePath, `${line}\n`);
+    }
+  };
+}
+
+/**
+ * Transport configured by environment variables
+ * @returns {Object}
+ */
+function createTransportFromEnv() {
+  if (process.env.NOTIFIER === 'file') {
+    return createFileTransport(process.env.NOTIFIER_FILE || DEFAULT_NOTIFICATIONS_FILE);
+  }
+  return consoleTransport;
+}
+
+let notifier = null;
+
+/**
+ * Get the active transport (created from the environment on first use)
+ * @returns {Object}
+ */
+function getNotifier() {
+  if (!notifier) notifier = createTransportFromEnv();
+  return notifier;
+}
+
+/**
+ * Replace the active transport (null restores the environment default)
+ * @param {Object|null} transport - Must implement send(message)
+ */
+function setNotifier(transport) {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Notifier transport must implement send(message)');
+  }
+  notifier = transport;
+}
+
+module.exports = {
+  consoleTransport,
+  createFileTransport,
+  getNotifier,
+  setNotifier
+};
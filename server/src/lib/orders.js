@@ -0,0 +1,305 @@
+/**
+ * Order Helpers
+ * Shared logic for building and formatting orders
+ */
+
+const { toObjectId } = require('./mongodb');
+
+/**
+ * Generate a human-readable order number (same ATL- style as seeded orders)
+ * @param {Date} date - Order date
+ * @returns {string} e.g. ATL-1760000000000-4821
+ */
+function generateOrderNumber(date = new Date()) {
+  const suffix = Math.floor(1000 + Math.random() * 9000);
+  return `ATL-${date.getTime()}-${suffix}`;
+}
+
+/**
+ * Get the variants array of a product (falls back to legacy inventory)
+ * @param {Object} product - Product document
+ * @returns {Array}
+ */
+function getProductVariants(product) {
+  return product?.variants || product?.inventory || [];
+}
+
+/**
+ * Find the variant matching a size and color on a product
+ * @param {Object} product - Product document
+ * @param {string} size - Variant size
+ * @param {Object|string} color - Color object ({ name, value }) or color name
+ * @returns {Object|null} Matching variant
+ */
+function findVariant(product, size, color) {
+  const colorName = typeof color === 'object' ? color?.name : color;
+  return getProductVariants(product).find(v =>
+    v.size === size && v.color === colorName
+  ) || null;
+}
+
+/**
+ * Get the unit price of a variant (variant override or product base price)
+ * VIP shoppers get the VIP tier (variant vipPrice, then product vipPrice)
+ * when one is set and lower than the regular price
+ * @param {Object} product - Product document
+ * @param {Object} variant - Variant from product.variants
+ * @param {Object} [shopper] - { isVIP } from getShopperContext
+ * @returns {number}
+ */
+function getVariantPrice(product, variant, shopper = {}) {
+  const price = variant?.price ?? product.price;
+
+  if (shopper.isVIP) {
+    const vipPrice = variant?.vipPrice ?? product.vipPrice;
+    if (vipPrice != null && vipPrice < price) return vipPrice;
+  }
+
+  return price;
+}
+
+/**
+ * Remove VIP prices from a product unless the shopper is a VIP
+ * Response counterpart of getVariantPrice: guests and regular customers
+ * never receive the VIP tier
+ * @param {Object} product - Product (as formatted for the response)
+ * @param {Object} [shopper] - { isVIP } from getShopperContext
+ * @returns {Object}
+ */
+function hideVipPricing(product, shopper = {}) {
+  if (shopper.isVIP || !product) return product;
+
+  const visible = { ...product };
+  delete visible.vipPrice;
+  for (const field of ['variants', 'inventory']) {
+    if (Array.isArray(visible[field])) {
+      visible[field] = visible[field].map(variant => {
+        const { vipPrice, ...rest } = variant;
+        return rest;
+      });
+    }
+  }
+  return visible;
+}
+
+/**
+ * Check whether a shopper can currently buy a product
+ * (active and past its scheduled publishAt - VIPs get a later cutoff)
+ * @param {Object} product - Product document
+ * @param {Object} [shopper] - { publishCutoff } from getShopperContext
+ * @returns {boolean}
+ */
+function isProductPurchasable(product, shopper = {}) {
+  if (!product || product.isActive === false) return false;
+  const cutoff = shopper.publishCutoff || new Date();
+  return !product.publishAt || new Date(product.publishAt) <= cutoff;
+}
+
+/**
+ * MongoDB filter matching the products a shopper can see
+ * Query counterpart of isProductPurchasable; every public product query
+ * (catalog, search, recommendations, related, recently viewed) uses it
+ * @param {Object} [shopper] - { publishCutoff } from getShopperContext
+ * @returns {Object}
+ */
+function buildVisibleProductFilter(shopper = {}) {
+  return {
+    isActive: { $ne: false },
+    $or: [
+      { publishAt: null },
+      { publishAt: { $exists: false } },
+      { publishAt: { $lte: shopper.publishCutoff || new Date() } }
+    ]
+  };
+}
+
+/**
+ * MongoDB filter matching products with stock left in any variant
+ * Query counterpart of getProductVariants: `variants` when the field is set
+ * (an empty array counts as sold out), else the legacy `inventory` array,
+ * else the stored total `stock` for products with neither
+ * @returns {Object}
+ */
+function buildInStockFilter() {
+  return {
+    $expr: {
+      $gt: [
+        { $sum: { $ifNull: ['$variants.stock', { $ifNull: ['$inventory.stock', ['$stock']] }] } },
+        0
+      ]
+    }
+  };
+}
+
+/**
+ * Resolve a cart line against its product into an order item snapshot
+ * Uses the variant price override when set, otherwise the base price
+ * @param {Object} cartItem - cartItems document
+ * @param {Object} product - Product document
+ * @param {Object} [shopper] - From getShopperContext (VIP price / early access)
+ * @returns {{item: Object|null, error: string|null}}
+ */
+function buildOrderItem(cartItem, product, shopper = {}) {
+  if (!product) {
+    return { item: null, error: 'Product no longer exists' };
+  }
+
+  if (!isProductPurchasable(product, shopper)) {
+    return { item: null, error: 'Product is no longer available' };
+  }
+
+  const variant = findVariant(product, cartItem.size, cartItem.color);
+  if (!variant) {
+    return { item: null, error: 'Selected size/color is no longer available' };
+  }
+
+  const colorName = typeof cartItem.color === 'object' ? cartItem.color?.name : cartItem.color;
+
+  return {
+    item: {
+      productId: product._id,
+      sku: variant.sku,
+      name: product.name,
+      slug: product.slug,
+      category: product.category || null,
+      image: product.images?.[0] || null,
+      price: getVariantPrice(product, variant, shopper),
+      quantity: cartItem.quantity,
+      size: variant.size,
+      color: { name: colorName, value: variant.colorValue || cartItem.color?.value || null }
+    },
+    error: null
+  };
+}
+
+const FULFILMENT_STEPS = ['pending', 'processing', 'shipped', 'delivered'];
+
+/**
+ * Legal order status transitions
+ * Orders move forward one step at a time and can only be cancelled before shipping
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+/**
+ * Get the statuses an order can move to next
+ * @param {string} status - Current status
+ * @returns {Array<string>}
+ */
+function getAllowedTransitions(status) {
+  return ORDER_STATUS_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Build a statusHistory entry recording who changed the status and when
+ * @param {string|null} from - Previous status (null for a new order)
+ * @param {string} to - New status
+ * @param {Object} user - req.user of the actor
+ * @returns {Object}
+ */
+function buildStatusHistoryEntry(from, to, user) {
+  return {
+    status: to,
+    from,
+    changedBy: user ? {
+      userId: toObjectId(user._id),
+      name: user.name,
+      role: user.role
+    } : null,
+    at: new Date()
+  };
+}
+
+/**
+ * Build the customer-facing status timeline for an order
+ * Uses the recorded statusHistory when present, otherwise infers steps
+ * from createdAt/updatedAt (e.g. seeded orders)
+ * @param {Object} order - Order document
+ * @returns {Array<{status: string, reached: boolean, at: Date|null}>}
+ */
+function buildStatusTimeline(order) {
+  const history = order.statusHistory || [];
+  const reachedAt = {};
+  history.forEach(entry => {
+    reachedAt[entry.status] = entry.at;
+  });
+  if (!reachedAt.pending) reachedAt.pending = order.createdAt;
+  if (!reachedAt[order.status]) reachedAt[order.status] = order.updatedAt;
+
+  if (order.status === 'cancelled') {
+    return ['pending', ...FULFILMENT_STEPS.slice(1).filter(s => reachedAt[s]), 'cancelled']
+      .map(status => ({ status, reached: true, at: reachedAt[status] || null }));
+  }
+
+  const currentIndex = FULFILMENT_STEPS.indexOf(order.status);
+  return FULFILMENT_STEPS.map((status, index) => ({
+    status,
+    reached: index <= currentIndex,
+    at: index <= currentIndex ? reachedAt[status] || null : null
+  }));
+}
+
+/**
+ * Format an order document for API responses
+ * @param {Object} order - Order document
+ * @returns {Object}
+ */
+function formatOrder(order) {
+  return {
+    id: order._id.toString(),
+    orderNumber: order.orderNumber,
+    items: (order.items || []).map(item => ({
+      ...item,
+      productId: item.productId?.toString()
+    })),
+    pricing: order.pricing || null,
+    totalAmount: order.totalAmount,
+    status: order.status,
+    shippingAddress: order.shippingAddress,
+    statusHistory: (order.statusHistory || []).map(entry => ({
+      ...entry,
+      changedBy: entry.changedBy ? {
+        ...entry.changedBy,
+        userId: entry.changedBy.userId?.toString()
+      } : null
+    })),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  buildStatusHistoryEntry,
+  generateOrderNumber,
+  getProductVariants,
+  findVariant,
+  getVariantPrice,
+  hideVipPricing,
+  isProductPurchasable,
+  buildVisibleProductFilter,
+  buildInStockFilter,
+  buildOrderItem,
+  buildStatusTimeline,
+  formatOrder
+};
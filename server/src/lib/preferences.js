@@ -0,0 +1,192 @@
+/**
+ * User Preferences
+ * Schema for `users.preferences`: style quiz answers, preferred sizes and
+ * body measurements. Updates are validated key by key and unknown keys are
+ * rejected rather than stored.
+ */
+
+const STYLE_OPTIONS = ['minimalist', 'classic', 'streetwear', 'elegant', 'casual'];
+const COLOR_PALETTE_OPTIONS = ['neutrals', 'earth', 'deep', 'bold'];
+const FIT_OPTIONS = ['slim', 'regular', 'relaxed', 'oversized'];
+const PRIORITY_OPTIONS = ['quality', 'versatility', 'statement', 'comfort'];
+
+const PRODUCT_CATEGORIES = ['Outerwear', 'Tops', 'Bottoms', 'Knitwear', 'Accessories'];
+
+const MEASUREMENT_KEYS = ['chest', 'waist', 'hips', 'inseam'];
+const MEASUREMENT_UNITS = ['in', 'cm'];
+
+// Generous bounds that still catch unit mix-ups and typos
+const MEASUREMENT_RANGES = {
+  in: [5, 100],
+  cm: [12, 254]
+};
+
+const SIZE_PATTERN = /^[A-Z0-9]{1,6}$/;
+
+/**
+ * Validate a size label ("M", "32")
+ * @returns {{error?: string, value?: string}}
+ */
+function validateSize(value, field) {
+  const size = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  if (!SIZE_PATTERN.test(size)) {
+    return { error: `${field} must be a size such as "M" or "32"` };
+  }
+  return { value: size };
+}
+
+/**
+ * Validate body measurements
+ * @param {Object} measurements - { chest?, waist?, hips?, inseam?, unit }
+ * @returns {{error?: string, value?: Object}}
+ */
+function validateMeasurements(measurements) {
+  if (!measurements || typeof measurements !== 'object' || Array.isArray(measurements)) {
+    return { error: 'measurements must be an object' };
+  }
+
+  const unknown = Object.keys(measurements).filter(key => key !== 'unit' && !MEASUREMENT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown measurement: ${unknown.join(', ')}` };
+  }
+
+  if (!MEASUREMENT_UNITS.includes(measurements.unit)) {
+    return { error: `measurements.unit must be one of: ${MEASUREMENT_UNITS.join(', ')}` };
+  }
+
+  const [min, max] = MEASUREMENT_RANGES[measurements.unit];
+  const value = { unit: measurements.unit };
+
+  for (const key of MEASUREMENT_KEYS) {
+    const measurement = measurements[key];
+    if (measurement == null) continue;
+    if (typeof measurement !== 'number' || !Number.isFinite(measurement) || measurement < min || measurement > max) {
+      return { error: `measurements.${key} must be a number from ${min} to ${max} ${measurements.unit}` };
+    }
+    value[key] = Math.round(measurement * 10) / 10;
+  }
+
+  return { value };
+}
+
+/**
+ * Validate preferred sizes keyed by product category
+ * @param {Object} preferredSizes - e.g. { Tops: 'M', Bottoms: '32' }
+ * @returns {{error?: string, value?: Object}}
+ */
+function validatePreferredSizes(preferredSizes) {
+  if (!preferredSizes || typeof preferredSizes !== 'object' || Array.isArray(preferredSizes)) {
+    return { error: 'preferredSizes must be an object' };
+  }
+
+  const value = {};
+  for (const [category, size] of Object.entries(preferredSizes)) {
+    if (!PRODUCT_CATEGORIES.includes(category)) {
+      return { error: `Unknown category in preferredSizes: ${category}` };
+    }
+    if (size == null || size === '') continue;
+    const result = validateSize(size, `preferredSizes.${category}`);
+    if (result.error) return result;
+    value[category] = result.value;
+  }
+
+  return { value };
+}
+
+/**
+ * Validate a value from a fixed list of options
+ * @returns {{error?: string, value?: string}}
+ */
+function oneOf(value, options, field) {
+  return options.includes(value)
+    ? { value }
+    : { error: `${field} must be one of: ${options.join(', ')}` };
+}
+
+/**
+ * Field validators; each returns { error } or { value }
+ */
+const PREFERENCE_FIELDS = {
+  favoriteStyle: value => oneOf(value, STYLE_OPTIONS, 'favoriteStyle'),
+  colorPalette: value => oneOf(value, COLOR_PALETTE_OPTIONS, 'colorPalette'),
+  preferredFit: value => oneOf(value, FIT_OPTIONS, 'preferredFit'),
+  wardrobePriority: value => oneOf(value, PRIORITY_OPTIONS, 'wardrobePriority'),
+  preferredSize: value => validateSize(value, 'preferredSize'),
+  preferredSizes: validatePreferredSizes,
+  measurements: validateMeasurements,
+  hasCompletedQuiz: value => typeof value === 'boolean'
+    ? { value }
+    : { error: 'hasCompletedQuiz must be true or false' },
+  quizCompletedAt: value => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+    ? { value: new Date(value).toISOString() }
+    : { error: 'quizCompletedAt must be an ISO date' }
+};
+
+/**
+ * Validate a preferences update
+ * A null value clears that preference
+ * @param {Object} update - Posted preferences
+ * @returns {{error?: string, preferences?: Object}} Validated update
+ */
+function validatePreferences(update) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return { error: 'preferences object is required' };
+  }
+
+  const unknown = Object.keys(update).filter(key => !PREFERENCE_FIELDS[key]);
+  if (unknown.length > 0) {
+    return { error: `Unknown preference: ${unknown.join(', ')}` };
+  }
+
+  const preferences = {};
+  for (const [key, value] of Object.entries(update)) {
+    if (value === null) {
+      preferences[key] = null;
+      continue;
+    }
+    const result = PREFERENCE_FIELDS[key](value);
+    if (result.error) return { error: result.error };
+    preferences[key] = result.value;
+  }
+
+  return { preferences };
+}
+
+/**
+ * Apply a validated update to stored preferences
+ * Top-level keys are replaced (nested objects as a whole); null removes a key
+ * @param {Object|null} current
+ * @param {Object} update - From validatePreferences
+ * @returns {Object}
+ */
+function mergePreferences(current, update) {
+  const merged = { ...(current || {}), ...update };
+  for (const [key, value] of Object.entries(update)) {
+    if (value === null) delete merged[key];
+  }
+  return merged;
+}
+
+/**
+ * A user's preferred size for a product category, if any
+ * @param {Object|null} preferences
+ * @param {string} category
+ * @returns {string|null}
+ */
+function getPreferredSize(preferences, category) {
+  return preferences?.preferredSizes?.[category] || preferences?.preferredSize || null;
+}
+
+module.exports = {
+  STYLE_OPTIONS,
+  COLOR_PALETTE_OPTIONS,
+  FIT_OPTIONS,
+  PRIORITY_OPTIONS,
+  PRODUCT_CATEGORIES,
+  MEASUREMENT_KEYS,
+  MEASUREMENT_UNITS,
+  validateMeasurements,
+  validatePreferences,
+  mergePreferences,
+  getPreferredSize
+};
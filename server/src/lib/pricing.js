@@ -0,0 +1,145 @@
+/**
+ * Pricing Engine
+ * Single source of truth for cart/order subtotal, shipping and tax
+ * Rates are configurable through the `pricing` site_config document
+ */
+
+const { getDB } = require('./mongodb');
+
+/**
+ * Defaults used when no `pricing` site_config document exists
+ * taxRates keys: "COUNTRY-STATE", "COUNTRY" or "default" (rates as fractions)
+ */
+const DEFAULT_PRICING_CONFIG = {
+  currency: 'USD',
+  freeShippingThreshold: 200,
+  flatShippingRate: 15,
+  taxRates: {
+    default: 0
+  }
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Whether a stored setting is usable as an amount or rate
+ * The settings route saves whatever the admin form sends
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Load the pricing config from site_config, falling back to defaults
+ * for missing or malformed values
+ * @returns {Promise<Object>}
+ */
+async function getPricingConfig() {
+  const db = getDB();
+  const stored = await db.collection('site_config').findOne({ key: 'pricing' });
+
+  if (!stored) return DEFAULT_PRICING_CONFIG;
+
+  const taxRates = { ...DEFAULT_PRICING_CONFIG.taxRates };
+  Object.entries(stored.taxRates || {}).forEach(([region, rate]) => {
+    if (!isAmount(rate)) return;
+    const key = region.toUpperCase();
+    taxRates[key === 'DEFAULT' ? 'default' : key] = rate;
+  });
+
+  return {
+    currency: stored.currency || DEFAULT_PRICING_CONFIG.currency,
+    freeShippingThreshold: isAmount(stored.freeShippingThreshold)
+      ? stored.freeShippingThreshold
+      : DEFAULT_PRICING_CONFIG.freeShippingThreshold,
+    flatShippingRate: isAmount(stored.flatShippingRate)
+      ? stored.flatShippingRate
+      : DEFAULT_PRICING_CONFIG.flatShippingRate,
+    taxRates
+  };
+}
+
+/**
+ * Resolve the tax rate for a destination
+ * Most specific match wins: "US-NY", then "US", then "default"
+ * @param {Object} taxRates - Rate table from the pricing config
+ * @param {Object} destination - { country, state }
+ * @returns {{region: string, rate: number}}
+ */
+function resolveTaxRate(taxRates, destination = {}) {
+  const country = destination.country?.toUpperCase();
+  const state = destination.state?.toUpperCase();
+
+  const candidates = [
+    country && state ? `${country}-${state}` : null,
+    country || null,
+    'default'
+  ].filter(Boolean);
+
+  for (const region of candidates) {
+    if (typeof taxRates[region] === 'number') {
+      return { region, rate: taxRates[region] };
+    }
+  }
+
+  return { region: 'default', rate: 0 };
+}
+
+/**
+ * Calculate totals for a list of priced lines
+ * Tax is charged on the discounted subtotal; shipping is free at or above
+ * the threshold (measured before discounts)
+ * @param {Array} items - Lines with price and quantity
+ * @param {Object} options
+ * @param {Object} options.config - Pricing config (see getPricingConfig)
+ * @param {Object} [options.destination] - { country, state } for tax lookup
+ * @param {Array} [options.discounts] - Applied discounts ({ code, amount, ... })
+ * @returns {Object} Price breakdown
+ */
+function calculateTotals(items, { config, destination, discounts = [] }) {
+  const subtotal = roundMoney(
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+  const discountTotal = roundMoney(
+    Math.min(discounts.reduce((sum, d) => sum + d.amount, 0), subtotal)
+  );
+
+  const qualifiesForFreeShipping = subtotal >= config.freeShippingThreshold;
+  const shipping = items.length === 0 || qualifiesForFreeShipping
+    ? 0
+    : config.flatShippingRate;
+
+  const { region, rate } = resolveTaxRate(config.taxRates, destination);
+  const tax = roundMoney((subtotal - discountTotal) * rate);
+
+  return {
+    currency: config.currency,
+    subtotal,
+    discounts,
+    discountTotal,
+    shipping,
+    freeShippingThreshold: config.freeShippingThreshold,
+    amountToFreeShipping: roundMoney(Math.max(config.freeShippingThreshold - subtotal, 0)),
+    taxRegion: region,
+    taxRate: rate,
+    tax,
+    total: roundMoney(subtotal - discountTotal + shipping + tax)
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICING_CONFIG,
+  roundMoney,
+  getPricingConfig,
+  resolveTaxRate,
+  calculateTotals
+};
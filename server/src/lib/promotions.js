@@ -0,0 +1,432 @@
+/**
+ * Promotions Engine
+ * Promo code validation, discount calculation and redemption tracking
+ */
+
+const { getDB, toObjectId, isValidObjectId } = require('./mongodb');
+const { roundMoney } = require('./pricing');
+const { isVIP } = require('./vip');
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+
+/**
+ * Normalize a code as typed by a shopper or admin
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Parse an optional date field from a request body
+ * @returns {{value: Date|null, error: string|null}}
+ */
+function parseOptionalDate(value, field) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, error: null };
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { value: null, error: `${field} must be a valid date` };
+  }
+  return { value: date, error: null };
+}
+
+/**
+ * Parse an optional limit (positive integer or null for unlimited)
+ * @returns {{value: number|null, error: string|null}}
+ */
+function parseOptionalLimit(value, field) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, error: null };
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { value: null, error: `${field} must be a positive whole number` };
+  }
+  return { value: limit, error: null };
+}
+
+/**
+ * Validate an admin create/update payload
+ * Updates are validated as the existing promotion merged with the changes
+ * @param {Object} body - Request body
+ * @returns {{errors: string[], promotion: Object}} Normalized fields to store
+ */
+function validatePromotionInput(body) {
+  const errors = [];
+
+  const code = normalizeCode(body.code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    errors.push('code must be 3-32 letters, digits, "-" or "_"');
+  }
+
+  if (!PROMOTION_TYPES.includes(body.type)) {
+    errors.push(`type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+
+  const value = Number(body.value);
+  if (!Number.isFinite(value) || value <= 0) {
+    errors.push('value must be a positive number');
+  } else if (body.type === 'percentage' && value > 100) {
+    errors.push('percentage value cannot exceed 100');
+  }
+
+  const minSubtotal = Number(body.minSubtotal || 0);
+  if (!Number.isFinite(minSubtotal) || minSubtotal < 0) {
+    errors.push('minSubtotal must be zero or more');
+  }
+
+  const productIds = Array.isArray(body.productIds) ? body.productIds : [];
+  if (productIds.some(id => !isValidObjectId(id))) {
+    errors.push('productIds must be valid product IDs');
+  }
+
+  const usageLimit = parseOptionalLimit(body.usageLimit, 'usageLimit');
+  const perUserLimit = parseOptionalLimit(body.perUserLimit, 'perUserLimit');
+  const startsAt = parseOptionalDate(body.startsAt, 'startsAt');
+  const endsAt = parseOptionalDate(body.endsAt, 'endsAt');
+  [usageLimit, perUserLimit, startsAt, endsAt].forEach(({ error }) => {
+    if (error) errors.push(error);
+  });
+
+  if (startsAt.value && endsAt.value && endsAt.value <= startsAt.value) {
+    errors.push('endsAt must be after startsAt');
+  }
+
+  if (errors.length > 0) {
+    return { errors, promotion: null };
+  }
+
+  return {
+    errors,
+    promotion: {
+      code,
+      description: String(body.description || '').trim(),
+      type: body.type,
+      value,
+      minSubtotal,
+      categories: Array.isArray(body.categories)
+        ? body.categories.map(c => String(c).trim()).filter(Boolean)
+        : [],
+      productIds: productIds.map(id => toObjectId(id)),
+      vipOnly: body.vipOnly === true,
+      usageLimit: usageLimit.value,
+      perUserLimit: perUserLimit.value,
+      startsAt: startsAt.value,
+      endsAt: endsAt.value,
+      isActive: body.isActive !== false
+    }
+  };
+}
+
+/**
+ * Whether a promotion is switched on and inside its validity window
+ * @param {Object} promotion
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isPromotionLive(promotion, now = new Date()) {
+  if (!promotion || promotion.isActive === false) return false;
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) return false;
+  if (promotion.endsAt && new Date(promotion.endsAt) <= now) return false;
+  return true;
+}
+
+/**
+ * Whether a line falls inside a promotion's product/category scope
+ * An unscoped promotion applies to every line
+ * @param {Object} promotion
+ * @param {Object} line - { productId, category }
+ * @returns {boolean}
+ */
+function isLineEligible(promotion, line) {
+  const productIds = (promotion.productIds || []).map(id => id.toString());
+  const categories = (promotion.categories || []).map(c => c.toLowerCase());
+
+  if (productIds.length === 0 && categories.length === 0) return true;
+
+  return productIds.includes(line.productId?.toString()) ||
+    categories.includes((line.category || '').toLowerCase());
+}
+
+/**
+ * Check a promotion against a cart and work out the discount
+ * @param {Object} promotion - Promotion document
+ * @param {Object} context
+ * @param {Array} context.lines - Priced lines ({ productId, category, price, quantity })
+ * @param {Object} context.user - { role }
+ * @param {number} [context.userRedemptions] - Times this user has already used the code
+ * @param {Date} [context.now]
+ * @returns {{discount: Object|null, error: string|null}}
+ */
+function evaluatePromotion(promotion, { lines, user, userRedemptions = 0, now = new Date() }) {
+  if (!isPromotionLive(promotion, now)) {
+    return { discount: null, error: 'This code is not valid or has expired' };
+  }
+
+  if (promotion.vipOnly && !isVIP(user)) {
+    return { discount: null, error: 'This code is reserved for VIP members' };
+  }
+
+  if (promotion.usageLimit != null && (promotion.usageCount || 0) >= promotion.usageLimit) {
+    return { discount: null, error: 'This code has reached its usage limit' };
+  }
+
+  if (promotion.perUserLimit != null && userRedemptions >= promotion.perUserLimit) {
+    return { discount: null, error: 'You have already used this code' };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (subtotal < (promotion.minSubtotal || 0)) {
+    return {
+      discount: null,
+      error: `This code requires a minimum subtotal of $${promotion.minSubtotal.toFixed(2)}`
+    };
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => isLineEligible(promotion, line))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  if (eligibleSubtotal === 0) {
+    return { discount: null, error: 'This code does not apply to the items in your bag' };
+  }
+
+  const amount = promotion.type === 'percentage'
+    ? eligibleSubtotal * (promotion.value / 100)
+    : Math.min(promotion.value, eligibleSubtotal);
+
+  return {
+    discount: {
+      promotionId: promotion._id?.toString(),
+      code: promotion.code,
+      description: promotion.description || '',
+      type: promotion.type,
+      value: promotion.value,
+      amount: roundMoney(amount)
+    },
+    error: null
+  };
+}
+
+/**
+ * Find a promotion by its code
+ * @param {string} code
+ * @returns {Promise<Object|null>}
+ */
+async function findPromotionByCode(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+  return getDB().collection('promotions').findOne({ code: normalized });
+}
+
+/**
+ * Look up a promotion by code and evaluate it for a user's cart
+ * @param {string} code
+ * @param {Object} user - req.user
+ * @param {Array} lines - Priced lines
+ * @returns {Promise<{promotion: Object|null, discount: Object|null, error: string|null}>}
+ */
+async function evaluateCode(code, user, lines) {
+  const promotion = await findPromotionByCode(code);
+  if (!promotion) {
+    return { promotion: null, discount: null, error: 'This code is not valid or has expired' };
+  }
+
+  const userRedemptions = promotion.perUserLimit != null
+    ? await getDB().collection('promotion_redemptions').countDocuments({
+        promotionId: promotion._id,
+        userId: toObjectId(user._id)
+      })
+    : 0;
+
+  const { discount, error } = evaluatePromotion(promotion, { lines, user, userRedemptions });
+  return { promotion, discount, error };
+}
+
+/**
+ * Evaluate the code a user has applied to their cart, if any
+ * @param {Object} user - req.user
+ * @param {Array} lines - Priced lines
+ * @returns {Promise<{code: string|null, promotion: Object|null, discount: Object|null, error: string|null}>}
+ */
+async function getAppliedDiscount(user, lines) {
+  const record = await getDB().collection('users').findOne(
+    { _id: toObjectId(user._id) },
+    { projection: { appliedPromoCode: 1 } }
+  );
+
+  const code = record?.appliedPromoCode || null;
+  if (!code) {
+    return { code: null, promotion: null, discount: null, error: null };
+  }
+
+  return { code, ...(await evaluateCode(code, user, lines)) };
+}
+
+/**
+ * Remember (or clear, with null) the code applied to a user's cart
+ * @param {string} userId
+ * @param {string|null} code
+ * @returns {Promise<void>}
+ */
+async function setAppliedCode(userId, code) {
+  const update = code
+    ? { $set: { appliedPromoCode: code } }
+    : { $unset: { appliedPromoCode: '' } };
+
+  await getDB().collection('users').updateOne({ _id: toObjectId(userId) }, update);
+}
+
+/**
+ * Claim one use of a promotion for a user
+ * A single conditional update checks both the usage limit and the user's
+ * own count (`usageByUser.<userId>`), so concurrent checkouts can't
+ * overrun either; promotion_redemptions is only written once the order exists
+ * @param {ObjectId} promotionId
+ * @param {string|ObjectId} userId
+ * @returns {Promise<{claimed: boolean, error: string|null}>}
+ */
+async function claimPromotionUse(promotionId, userId) {
+  const userUsage = `usageByUser.${userId.toString()}`;
+  const result = await getDB().collection('promotions').updateOne(
+    {
+      _id: promotionId,
+      $and: [
+        {
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: [{ $ifNull: ['$usageCount', 0] }, '$usageLimit'] } }
+          ]
+        },
+        {
+          $or: [
+            { perUserLimit: null },
+            { $expr: { $lt: [{ $ifNull: [`$${userUsage}`, 0] }, '$perUserLimit'] } }
+          ]
+        }
+      ]
+    },
+    { $inc: { usageCount: 1, [userUsage]: 1 } }
+  );
+
+  if (result.matchedCount > 0) {
+    return { claimed: true, error: null };
+  }
+
+  const promotion = await getDB().collection('promotions').findOne(
+    { _id: promotionId },
+    { projection: { usageCount: 1, usageLimit: 1 } }
+  );
+  const exhausted = !promotion ||
+    (promotion.usageLimit != null && (promotion.usageCount || 0) >= promotion.usageLimit);
+
+  return {
+    claimed: false,
+    error: exhausted ? 'This code has reached its usage limit' : 'You have already used this code'
+  };
+}
+
+/**
+ * Give back a use claimed with claimPromotionUse (e.g. checkout failed)
+ * @param {ObjectId} promotionId
+ * @param {string|ObjectId} userId
+ * @returns {Promise<void>}
+ */
+async function unclaimPromotionUse(promotionId, userId) {
+  const db = getDB();
+  await db.collection('promotions').updateOne(
+    { _id: promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+
+  const userUsage = `usageByUser.${userId.toString()}`;
+  await db.collection('promotions').updateOne(
+    { _id: promotionId, [userUsage]: { $gt: 0 } },
+    { $inc: { [userUsage]: -1 } }
+  );
+}
+
+/**
+ * Record that an order used a promotion (counts towards perUserLimit)
+ * @param {Object} promotion
+ * @param {Object} order - Inserted order with _id, orderNumber, userId
+ * @param {number} amount - Discount given
+ * @returns {Promise<void>}
+ */
+async function recordRedemption(promotion, order, amount) {
+  await getDB().collection('promotion_redemptions').insertOne({
+    promotionId: promotion._id,
+    code: promotion.code,
+    userId: order.userId,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    amount,
+    createdAt: new Date()
+  });
+}
+
+/**
+ * Undo the redemptions of a cancelled order so the code can be used again
+ * @param {Object} order - Order document
+ * @returns {Promise<void>}
+ */
+async function releaseRedemptions(order) {
+  const db = getDB();
+  const redemptions = await db.collection('promotion_redemptions')
+    .find({ orderId: order._id })
+    .toArray();
+
+  for (const redemption of redemptions) {
+    await db.collection('promotion_redemptions').deleteOne({ _id: redemption._id });
+    await unclaimPromotionUse(redemption.promotionId, redemption.userId);
+  }
+}
+
+/**
+ * Format a promotion document for admin API responses
+ * @param {Object} promotion
+ * @returns {Object}
+ */
+function formatPromotion(promotion) {
+  return {
+    id: promotion._id.toString(),
+    code: promotion.code,
+    description: promotion.description || '',
+    type: promotion.type,
+    value: promotion.value,
+    minSubtotal: promotion.minSubtotal || 0,
+    categories: promotion.categories || [],
+    productIds: (promotion.productIds || []).map(id => id.toString()),
+    vipOnly: !!promotion.vipOnly,
+    usageLimit: promotion.usageLimit ?? null,
+    perUserLimit: promotion.perUserLimit ?? null,
+    usageCount: promotion.usageCount || 0,
+    startsAt: promotion.startsAt || null,
+    endsAt: promotion.endsAt || null,
+    isActive: promotion.isActive !== false,
+    isLive: isPromotionLive(promotion),
+    createdAt: promotion.createdAt,
+    updatedAt: promotion.updatedAt
+  };
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  normalizeCode,
+  validatePromotionInput,
+  isPromotionLive,
+  isLineEligible,
+  evaluatePromotion,
+  findPromotionByCode,
+  evaluateCode,
+  getAppliedDiscount,
+  setAppliedCode,
+  claimPromotionUse,
+  unclaimPromotionUse,
+  recordRedemption,
+  releaseRedemptions,
+  formatPromotion
+};
@@ -0,0 +1,178 @@
+/**
+ * Recently Viewed Products
+ * Product views of signed-in users, one document per user and product in
+ * `product_views` ({ userId, productId, count, firstViewedAt, lastViewedAt }).
+ * Each user keeps at most MAX_TRACKED_VIEWS products. Besides the
+ * "Recently viewed" list, the views are a recommendation signal.
+ */
+
+const { getDB, toObjectId } = require('./mongodb');
+const { buildVisibleProductFilter, hideVipPricing } = require('./orders');
+
+const PRODUCT_VIEWS = 'product_views';
+
+const MAX_TRACKED_VIEWS = 50;
+const MAX_RECENTLY_VIEWED = 20;
+
+/**
+ * Drop a user's oldest views beyond the cap
+ * @param {ObjectId} userId
+ */
+async function trimViews(userId) {
+  const stale = await getDB().collection(PRODUCT_VIEWS)
+    .find({ userId }, { projection: { _id: 1 } })
+    .sort({ lastViewedAt: -1 })
+    .skip(MAX_TRACKED_VIEWS)
+    .toArray();
+
+  if (stale.length > 0) {
+    await getDB().collection(PRODUCT_VIEWS).deleteMany({ _id: { $in: stale.map(v => v._id) } });
+  }
+}
+
+/**
+ * Record that a user viewed a product
+ * @param {string} userId
+ * @param {string} productId
+ * @param {Date} [viewedAt]
+ */
+async function recordProductView(userId, productId, viewedAt = new Date()) {
+  const user = toObjectId(userId);
+  await getDB().collection(PRODUCT_VIEWS).updateOne(
+    { userId: user, productId: toObjectId(productId) },
+    {
+      $max: { lastViewedAt: viewedAt },
+      $inc: { count: 1 },
+      $setOnInsert: { firstViewedAt: viewedAt }
+    },
+    { upsert: true }
+  );
+  await trimViews(user);
+}
+
+/**
+ * Clean up views posted from a guest's browser: valid IDs only, one entry
+ * per product, and no timestamps in the future (a skewed clock would pin a
+ * product to the top of the list)
+ * @param {Array<{productId: string, viewedAt?: string}>} views
+ * @param {Date} [now]
+ * @returns {Array<{productId: ObjectId, viewedAt: Date}>}
+ */
+function normalizeGuestViews(views, now = new Date()) {
+  const seen = new Set();
+  const entries = [];
+
+  for (const view of views) {
+    const productId = toObjectId(view?.productId);
+    const viewedAt = new Date(view?.viewedAt || now);
+    if (!productId || Number.isNaN(viewedAt.getTime()) || seen.has(view.productId)) continue;
+
+    seen.add(view.productId);
+    entries.push({ productId, viewedAt: viewedAt > now ? now : viewedAt });
+    if (entries.length === MAX_RECENTLY_VIEWED) break;
+  }
+
+  return entries;
+}
+
+/**
+ * Merge a guest's locally stored views into the user's history
+ * Entries for unknown products are skipped
+ * @param {string} userId
+ * @param {Array<{productId: string, viewedAt?: string}>} views
+ * @returns {Promise<number>} Views merged
+ */
+async function mergeProductViews(userId, views) {
+  const user = toObjectId(userId);
+  const entries = normalizeGuestViews(views);
+
+  if (entries.length === 0) return 0;
+
+  const existing = await getDB().collection('products')
+    .find({ _id: { $in: entries.map(e => e.productId) } }, { projection: { _id: 1 } })
+    .toArray();
+  const known = new Set(existing.map(p => p._id.toString()));
+  const valid = entries.filter(e => known.has(e.productId.toString()));
+
+  if (valid.length === 0) return 0;
+
+  await getDB().collection(PRODUCT_VIEWS).bulkWrite(valid.map(({ productId, viewedAt }) => ({
+    updateOne: {
+      filter: { userId: user, productId },
+      update: {
+        $max: { lastViewedAt: viewedAt },
+        $inc: { count: 1 },
+        $setOnInsert: { firstViewedAt: viewedAt }
+      },
+      upsert: true
+    }
+  })));
+  await trimViews(user);
+
+  return valid.length;
+}
+
+/**
+ * A user's recently viewed products the shopper can still see, most recent first
+ * @param {string} userId
+ * @param {Object} shopper - From getShopperContext
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {string} [options.excludeProductId] - e.g. the product being viewed
+ * @returns {Promise<Object[]>} Products with viewedAt
+ */
+async function getRecentlyViewed(userId, shopper, { limit = 12, excludeProductId = null } = {}) {
+  const db = getDB();
+  const query = { userId: toObjectId(userId) };
+  if (excludeProductId) query.productId = { $ne: toObjectId(excludeProductId) };
+
+  const views = await db.collection(PRODUCT_VIEWS)
+    .find(query)
+    .sort({ lastViewedAt: -1 })
+    .limit(Math.min(limit, MAX_RECENTLY_VIEWED))
+    .toArray();
+
+  const products = await db.collection('products')
+    .find({ _id: { $in: views.map(v => v.productId) }, ...buildVisibleProductFilter(shopper) })
+    .toArray();
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return views
+    .map(view => {
+      const product = productMap.get(view.productId.toString());
+      if (!product) return null;
+      return hideVipPricing({
+        ...product,
+        id: product._id.toString(),
+        hoverImage: product.images?.[1] || product.images?.[0],
+        viewedAt: view.lastViewedAt
+      }, shopper);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * View history as a recommendation signal: most viewed, then most recent
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{productId: ObjectId, count: number, lastViewedAt: Date}>>}
+ */
+async function getViewSignals(userId, { limit = MAX_TRACKED_VIEWS } = {}) {
+  return getDB().collection(PRODUCT_VIEWS)
+    .find({ userId: toObjectId(userId) }, { projection: { _id: 0, productId: 1, count: 1, lastViewedAt: 1 } })
+    .sort({ count: -1, lastViewedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  PRODUCT_VIEWS,
+  MAX_TRACKED_VIEWS,
+  MAX_RECENTLY_VIEWED,
+  normalizeGuestViews,
+  recordProductView,
+  mergeProductViews,
+  getRecentlyViewed,
+  getViewSignals
+};
@@ -1,44 +1,358 @@
 /**
  * Recommendation Engine
  * Uses MongoDB Aggregation Pipeline to score and rank products
- * based on user preferences from the Style Quiz
+ * based on user preferences from the Style Quiz and on shopping behavior
+ * (orders, wishlist, cart and product views)
+ * Score weights and the palette/fit/style mappings are configurable through
+ * the `recommendations` site_config document
+ * Only products the shopper can see and that have stock left are recommended
  */
 
 const { getDB, toObjectId, isValidObjectId } = require('./mongodb');
+const { getViewSignals } = require('./recentlyViewed');
+const { buildVisibleProductFilter, buildInStockFilter, hideVipPricing } = require('./orders');
+const {
+  STYLE_OPTIONS,
+  COLOR_PALETTE_OPTIONS,
+  FIT_OPTIONS,
+  PRODUCT_CATEGORIES
+} = require('./preferences');
+
+/**
+ * Defaults used when no `recommendations` site_config document exists
+ * weights are the points each match adds to a product's score
+ * (behavior weights are for the shopper's strongest category / color;
+ * weaker ones score proportionally less)
+ */
+const DEFAULT_RECOMMENDATION_CONFIG = {
+  weights: {
+    style: 15,
+    category: 10,
+    color: 5,
+    featured: 8,
+    sale: 5,
+    behaviorCategory: 12,
+    behaviorColor: 4
+  },
+  // Color palette -> color names
+  colorMapping: {
+    neutrals: ['Black', 'White', 'Charcoal', 'Cream', 'Ivory', 'Oatmeal', 'Heather Grey'],
+    earth: ['Camel', 'Sand', 'Olive', 'Cognac', 'Tan', 'Burgundy', 'Forest'],
+    deep: ['Navy', 'Midnight', 'Burgundy', 'Forest', 'Indigo'],
+    bold: ['Black', 'White', 'Sage', 'Indigo']
+  },
+  // Fit preference -> product categories
+  fitCategoryMapping: {
+    slim: ['Tops', 'Knitwear'],
+    regular: ['Tops', 'Bottoms', 'Accessories'],
+    relaxed: ['Outerwear', 'Tops'],
+    oversized: ['Outerwear', 'Knitwear']
+  },
+  // Quiz style -> product style tag
+  styleTagMapping: {
+    minimalist: 'minimalist',
+    classic: 'classic',
+    streetwear: 'streetwear',
+    elegant: 'elegant',
+    casual: 'casual'
+  }
+};
+
+const MAX_RECOMMENDATION_WEIGHT = 100;
+const MAX_MAPPED_COLORS = 30;
+
+/**
+ * How strongly each kind of activity counts towards a category or color
+ */
+const SIGNAL_WEIGHTS = {
+  purchase: 3,
+  cart: 2,
+  wishlist: 2,
+  view: 1
+};
+
+/**
+ * Views count once per visit, up to this many visits per product
+ */
+const MAX_VIEW_WEIGHT = 3;
+
+const TOP_BEHAVIOR_CATEGORIES = 3;
+const TOP_BEHAVIOR_COLORS = 5;
+
+/**
+ * Whether a stored weight is usable
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isWeight(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_RECOMMENDATION_WEIGHT;
+}
+
+/**
+ * Effective config from a stored `recommendations` document, falling back
+ * to defaults for missing or malformed values
+ * @param {Object|null} stored
+ * @returns {Object} Same shape as DEFAULT_RECOMMENDATION_CONFIG
+ */
+function resolveRecommendationConfig(stored) {
+  const defaults = DEFAULT_RECOMMENDATION_CONFIG;
+  const isNames = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+  const pick = (field, isValid) => Object.fromEntries(
+    Object.entries(defaults[field]).map(([key, fallback]) => {
+      const value = stored?.[field]?.[key];
+      return [key, isValid(value) ? value : fallback];
+    })
+  );
+
+  return {
+    weights: pick('weights', isWeight),
+    colorMapping: pick('colorMapping', isNames),
+    fitCategoryMapping: pick('fitCategoryMapping', isNames),
+    styleTagMapping: pick('styleTagMapping', value => typeof value === 'string' && value.length > 0)
+  };
+}
+
+/**
+ * Load the recommendation config from site_config
+ * @returns {Promise<Object>}
+ */
+async function getRecommendationConfig() {
+  const stored = await getDB().collection('site_config').findOne({ key: 'recommendations' });
+  return resolveRecommendationConfig(stored);
+}
+
+/**
+ * Check one mapping of an admin update: known keys, values from validateValue
+ * @returns {{error: string}|{value: Object}}
+ */
+function validateMapping(field, mapping, keys, validateValue) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: `${field} must be an object` };
+  }
+
+  const value = {};
+  for (const [key, entry] of Object.entries(mapping)) {
+    if (!keys.includes(key)) {
+      return { error: `${field}.${key} is not one of ${keys.join(', ')}` };
+    }
+    const result = validateValue(entry);
+    if (result.error) return { error: `${field}.${key} ${result.error}` };
+    value[key] = result.value;
+  }
+  return { value };
+}
+
+/**
+ * Validate an admin update to the `recommendations` setting
+ * Each field given replaces the stored one; missing entries use defaults
+ * @param {Object} update - { weights?, colorMapping?, fitCategoryMapping?, styleTagMapping? }
+ * @returns {{error: string}|{config: Object}}
+ */
+function validateRecommendationConfig(update) {
+  const fields = Object.keys(DEFAULT_RECOMMENDATION_CONFIG);
+  const unknown = Object.keys(update || {}).filter(key => !fields.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown recommendation setting: ${unknown.join(', ')}` };
+  }
+
+  const colorNames = (entry) => {
+    if (!Array.isArray(entry) || entry.some(c => typeof c !== 'string')) {
+      return { error: 'must be a list of color names' };
+    }
+    const names = [...new Set(entry.map(c => c.trim()).filter(Boolean))];
+    return names.length > MAX_MAPPED_COLORS
+      ? { error: `can have at most ${MAX_MAPPED_COLORS} colors` }
+      : { value: names };
+  };
+  const categories = (entry) => (
+    Array.isArray(entry) && entry.every(c => PRODUCT_CATEGORIES.includes(c))
+      ? { value: [...new Set(entry)] }
+      : { error: `must only contain ${PRODUCT_CATEGORIES.join(', ')}` }
+  );
+  const styleTag = (entry) => (
+    typeof entry === 'string' && entry.trim()
+      ? { value: entry.trim().toLowerCase() }
+      : { error: 'must be a style tag' }
+  );
+  const weight = (entry) => (
+    isWeight(entry)
+      ? { value: entry }
+      : { error: `must be a number from 0 to ${MAX_RECOMMENDATION_WEIGHT}` }
+  );
+
+  const validators = {
+    weights: [Object.keys(DEFAULT_RECOMMENDATION_CONFIG.weights), weight],
+    colorMapping: [COLOR_PALETTE_OPTIONS, colorNames],
+    fitCategoryMapping: [FIT_OPTIONS, categories],
+    styleTagMapping: [STYLE_OPTIONS, styleTag]
+  };
+
+  const config = {};
+  for (const [field, mapping] of Object.entries(update || {})) {
+    const [keys, validateValue] = validators[field];
+    const result = validateMapping(field, mapping, keys, validateValue);
+    if (result.error) return { error: result.error };
+    config[field] = result.value;
+  }
+  return { config };
+}
+
+/**
+ * Color name from an order, cart or wishlist line ({ name, value } or string)
+ * @param {Object|string|null} color
+ * @returns {string|null}
+ */
+function getColorName(color) {
+  return (typeof color === 'object' ? color?.name : color) || null;
+}
+
+/**
+ * Highest weighted keys, strongest first
+ * @param {Object<string, number>} weights
+ * @param {number} limit
+ * @returns {Array<{name: string, weight: number}>}
+ */
+function topWeighted(weights, limit) {
+  return Object.entries(weights)
+    .map(([name, weight]) => ({ name, weight }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit);
+}
+
+/**
+ * Turn a user's activity into category and color affinities
+ * Purchased products are "owned" and never recommended again
+ * @param {Array<{kind: string, productId: ObjectId|string, color?: Object|string, count?: number}>} signals
+ * @param {Map<string, Object>} productMap - Product documents by ID
+ * @returns {{categories: Array, colors: Array, ownedProductIds: string[], signalCount: number}}
+ */
+function buildBehaviorProfile(signals, productMap) {
+  const categories = {};
+  const colors = {};
+  const owned = new Set();
+  let signalCount = 0;
+
+  for (const signal of signals) {
+    const productId = signal.productId.toString();
+    const product = productMap.get(productId);
+    if (signal.kind === 'purchase') owned.add(productId);
+    if (!product) continue;
+
+    const weight = signal.kind === 'view'
+      ? SIGNAL_WEIGHTS.view * Math.min(signal.count || 1, MAX_VIEW_WEIGHT)
+      : SIGNAL_WEIGHTS[signal.kind];
+
+    if (product.category) {
+      categories[product.category] = (categories[product.category] || 0) + weight;
+    }
+    const color = getColorName(signal.color);
+    if (color) {
+      colors[color] = (colors[color] || 0) + weight;
+    }
+    signalCount++;
+  }
+
+  return {
+    categories: topWeighted(categories, TOP_BEHAVIOR_CATEGORIES),
+    colors: topWeighted(colors, TOP_BEHAVIOR_COLORS),
+    ownedProductIds: [...owned],
+    signalCount
+  };
+}
+
+/**
+ * Collect a user's orders, wishlist, cart and views into a behavior profile
+ * @param {string} userId
+ * @returns {Promise<Object>} See buildBehaviorProfile
+ */
+async function getBehaviorProfile(userId) {
+  const db = getDB();
+  const user = toObjectId(userId);
+
+  const [orders, wishlistItems, cartItems, views] = await Promise.all([
+    db.collection('orders')
+      .find({ userId: user, status: { $ne: 'cancelled' } }, { projection: { items: 1 } })
+      .toArray(),
+    db.collection('wishlistItems').find({ userId: user }).toArray(),
+    db.collection('cartItems').find({ userId: user }).toArray(),
+    getViewSignals(userId)
+  ]);
+
+  const signals = [
+    ...orders.flatMap(order => order.items.map(item => ({ kind: 'purchase', productId: item.productId, color: item.color }))),
+    ...wishlistItems.map(item => ({ kind: 'wishlist', productId: item.productId, color: item.color })),
+    ...cartItems.map(item => ({ kind: 'cart', productId: item.productId, color: item.color })),
+    ...views.map(view => ({ kind: 'view', productId: view.productId, count: view.count }))
+  ];
+
+  const productIds = [...new Set(signals.map(s => s.productId.toString()))];
+  const products = await db.collection('products')
+    .find({ _id: { $in: productIds.map(id => toObjectId(id)) } }, { projection: { category: 1 } })
+    .toArray();
+
+  return buildBehaviorProfile(signals, new Map(products.map(p => [p._id.toString(), p])));
+}
 
 /**
  * Get personalized product recommendations using aggregation pipeline
+ * Quiz answers and shopping behavior both count; users with neither get
+ * featured products
  * @param {string} userId - User ID (optional)
+ * @param {Object} [options]
+ * @param {boolean} [options.useBehavior] - false scores quiz answers only
+ *   (the "quiz" A/B variant)
+ * @param {Object} [options.shopper] - From getShopperContext (VIP early access)
  * @returns {Promise<{products: Array, personalized: boolean, reason: string|null}>}
  */
-async function getRecommendedProducts(userId) {
+async function getRecommendedProducts(userId, { useBehavior = true, shopper = {} } = {}) {
   const db = getDB();
   
   let user = null;
   let preferences = null;
+  let behavior = null;
   
-  // Fetch user preferences if userId provided
+  // Fetch user preferences and activity if userId provided
   if (userId && isValidObjectId(userId)) {
-    user = await db.collection('users').findOne({ _id: toObjectId(userId) });
+    [user, behavior] = await Promise.all([
+      db.collection('users').findOne({ _id: toObjectId(userId) }),
+      useBehavior ? getBehaviorProfile(userId) : null
+    ]);
     preferences = user?.preferences;
   }
+
+  return rankProducts(preferences, behavior, await getRecommendationConfig(), shopper);
+}
+
+/**
+ * Top 8 products for a shopper's quiz answers and behavior profile
+ * @param {Object|null} preferences - user.preferences
+ * @param {Object|null} behavior - From buildBehaviorProfile
+ * @param {Object} config - From resolveRecommendationConfig
+ * @param {Object} [shopper] - From getShopperContext
+ * @returns {Promise<{products: Array, personalized: boolean, reason: string|null}>}
+ */
+async function rankProducts(preferences, behavior, config, shopper = {}) {
+  const db = getDB();
+  const hasQuiz = Boolean(preferences?.hasCompletedQuiz);
+  const hasBehavior = behavior?.signalCount > 0;
+  const available = { ...buildVisibleProductFilter(shopper), ...buildInStockFilter() };
   
-  // If user hasn't completed quiz, return featured products
-  if (!preferences?.hasCompletedQuiz) {
+  // Nothing to personalize on: return featured products
+  if (!hasQuiz && !hasBehavior) {
     const featuredProducts = await db.collection('products')
-      .find({ isFeatured: true, isActive: { $ne: false } })
+      .find({ isFeatured: true, ...available })
       .sort({ createdAt: -1 })
       .limit(8)
       .toArray();
     
     return {
-      products: featuredProducts.map(p => ({
+      products: featuredProducts.map(p => hideVipPricing({
         ...p,
         id: p._id.toString(),
         hoverImage: p.images?.[1] || p.images?.[0],
         matchScore: null,
         matchReason: null
-      })),
+      }, shopper)),
       personalized: false,
       reason: null
     };
@@ -46,9 +360,14 @@ async function getRecommendedProducts(userId) {
   
   // Build the aggregation pipeline for smart scoring
   const pipeline = [
-    // First stage: filter active products only
-    { $match: { isActive: { $ne: false } } },
-    ...buildScoringPipeline(preferences)
+    // First stage: visible, in-stock products the user doesn't already own
+    {
+      $match: {
+        ...available,
+        _id: { $nin: (behavior?.ownedProductIds || []).map(id => toObjectId(id)) }
+      }
+    },
+    ...buildScoringPipeline(hasQuiz ? preferences : null, hasBehavior ? behavior : null, config)
   ];
   
   const products = await db.collection('products')
@@ -56,54 +375,127 @@ async function getRecommendedProducts(userId) {
     .toArray();
   
   return {
-    products: products.map(p => ({
+    products: products.map(p => hideVipPricing({
       ...p,
       id: p._id.toString(),
       hoverImage: p.images?.[1] || p.images?.[0]
-    })),
+    }, shopper)),
     personalized: true,
-    reason: `your ${preferences.favoriteStyle} style`
+    reason: hasQuiz
+      ? `your ${preferences.favoriteStyle} style${hasBehavior ? ' and recent activity' : ''}`
+      : 'your orders, wishlist and browsing'
   };
 }
 
+/**
+ * Recommendations a draft config would give, for the admin preview
+ * Sample preferences count as a completed quiz; with a userId the user's
+ * activity (and, without sample preferences, their own answers) is used too
+ * @param {Object} options
+ * @param {Object} [options.config] - Validated draft fields, over the stored config
+ * @param {Object|null} [options.preferences] - Validated sample quiz answers
+ * @param {string|null} [options.userId]
+ * @returns {Promise<{products: Array, personalized: boolean, reason: string|null}>}
+ */
+async function previewRecommendations({ config = {}, preferences = null, userId = null }) {
+  const db = getDB();
+  const stored = await db.collection('site_config').findOne({ key: 'recommendations' });
+
+  let user = null;
+  let behavior = null;
+  if (userId) {
+    [user, behavior] = await Promise.all([
+      db.collection('users').findOne({ _id: toObjectId(userId) }),
+      getBehaviorProfile(userId)
+    ]);
+  }
+
+  const sample = preferences
+    ? { ...preferences, hasCompletedQuiz: true }
+    : user?.preferences || null;
+
+  return rankProducts(sample, behavior, resolveRecommendationConfig({ ...stored, ...config }));
+}
+
+/**
+ * Score terms for a behavior profile: category and color affinities,
+ * scaled against the strongest one
+ * @param {Object} behavior - From buildBehaviorProfile
+ * @param {Object} weights - config.weights
+ * @returns {{score: Array, categoryReason: Object|null}}
+ */
+function buildBehaviorScore(behavior, weights) {
+  const { categories, colors } = behavior;
+  const score = [];
+
+  if (categories.length > 0) {
+    const max = categories[0].weight;
+    score.push({
+      $switch: {
+        branches: categories.map(({ name, weight }) => ({
+          case: { $eq: ['$category', name] },
+          then: Math.round(weights.behaviorCategory * weight / max)
+        })),
+        default: 0
+      }
+    });
+  }
+
+  if (colors.length > 0) {
+    const max = colors[0].weight;
+    score.push({
+      $reduce: {
+        input: { $ifNull: ['$colors', []] },
+        initialValue: 0,
+        in: {
+          $add: [
+            '$$value',
+            {
+              $switch: {
+                branches: colors.map(({ name, weight }) => ({
+                  case: { $eq: ['$$this.name', name] },
+                  then: Math.round(weights.behaviorColor * weight / max)
+                })),
+                default: 0
+              }
+            }
+          ]
+        }
+      }
+    });
+  }
+
+  const categoryReason = categories.length > 0
+    ? {
+        case: { $in: ['$category', categories.map(c => c.name)] },
+        then: { $concat: ['Because you like ', { $toLower: '$category' }] }
+      }
+    : null;
+
+  return { score, categoryReason };
+}
+
 /**
  * Build MongoDB aggregation pipeline for product scoring
- * @param {Object} preferences - User preferences from style quiz
+ * @param {Object|null} preferences - User preferences from style quiz (null when not taken)
+ * @param {Object|null} [behavior] - From buildBehaviorProfile
+ * @param {Object} [config] - Weights and mappings from resolveRecommendationConfig
  * @returns {Array} Aggregation pipeline stages
  */
-function buildScoringPipeline(preferences) {
-  const { favoriteStyle, colorPalette, preferredFit, wardrobePriority } = preferences;
+function buildScoringPipeline(preferences, behavior = null, config = DEFAULT_RECOMMENDATION_CONFIG) {
+  const { favoriteStyle, colorPalette, preferredFit, wardrobePriority } = preferences || {};
+  const { weights, colorMapping, fitCategoryMapping, styleTagMapping } = config;
   
   // Map color palette to actual color names for matching
-  const colorMapping = {
-    neutrals: ['Black', 'White', 'Charcoal', 'Cream', 'Ivory', 'Oatmeal', 'Heather Grey'],
-    earth: ['Camel', 'Sand', 'Olive', 'Cognac', 'Tan', 'Burgundy', 'Forest'],
-    deep: ['Navy', 'Midnight', 'Burgundy', 'Forest', 'Indigo'],
-    bold: ['Black', 'White', 'Sage', 'Indigo']
-  };
-  
   const preferredColors = colorMapping[colorPalette] || [];
   
   // Map fit preferences to categories
-  const fitCategoryMapping = {
-    slim: ['Tops', 'Knitwear'],
-    regular: ['Tops', 'Bottoms', 'Accessories'],
-    relaxed: ['Outerwear', 'Tops'],
-    oversized: ['Outerwear', 'Knitwear']
-  };
-  
   const preferredCategories = fitCategoryMapping[preferredFit] || [];
   
   // Map style to product style tags
-  const styleTagMapping = {
-    minimalist: 'minimalist',
-    classic: 'classic',
-    streetwear: 'streetwear',
-    elegant: 'elegant',
-    casual: 'casual'
-  };
-  
-  const preferredStyleTag = styleTagMapping[favoriteStyle];
+  const preferredStyleTag = styleTagMapping[favoriteStyle] || null;
+
+  const behaviorScore = behavior ? buildBehaviorScore(behavior, weights) : { score: [], categoryReason: null };
   
   return [
     // Stage 1: Calculate match score based on preferences
@@ -111,23 +503,23 @@ function buildScoringPipeline(preferences) {
       $addFields: {
         matchScore: {
           $add: [
-            // +15 points if product style matches user's favorite style
+            // Product style matches user's favorite style
             {
               $cond: [
                 { $in: [preferredStyleTag, { $ifNull: ['$styles', []] }] },
-                15,
+                weights.style,
                 0
               ]
             },
-            // +10 points if category matches fit preference
+            // Category matches fit preference
             {
               $cond: [
                 { $in: ['$category', preferredCategories] },
-                10,
+                weights.category,
                 0
               ]
             },
-            // +5 points for each matching color
+            // Each matching color
             {
               $multiply: [
                 {
@@ -138,41 +530,46 @@ function buildScoringPipeline(preferences) {
                     }
                   }
                 },
-                5
+                weights.color
               ]
             },
-            // +8 points for featured products (quality indicator)
+            // Featured products (quality indicator)
             {
-              $cond: ['$isFeatured', 8, 0]
+              $cond: ['$isFeatured', weights.featured, 0]
             },
-            // +5 points for products on sale (value for 'quality' priority)
+            // Products on sale (value for 'quality' priority)
             {
               $cond: [
                 {
                   $and: [
-                    { $eq: [wardrobePriority, 'quality'] },
+                    { $eq: [wardrobePriority || null, 'quality'] },
                     { $ne: ['$originalPrice', null] }
                   ]
                 },
-                5,
+                weights.sale,
                 0
               ]
-            }
+            },
+            // Category and color affinities from orders, wishlist, cart and views
+            ...behaviorScore.score
           ]
         },
         // Add reason for recommendation
         matchReason: {
-          $cond: [
-            { $in: [preferredStyleTag, { $ifNull: ['$styles', []] }] },
-            { $concat: ['Matches your ', favoriteStyle, ' style'] },
-            {
-              $cond: [
-                { $in: ['$category', preferredCategories] },
-                { $concat: ['Great for your ', preferredFit, ' fit preference'] },
-                'Curated selection'
-              ]
-            }
-          ]
+          $switch: {
+            branches: [
+              {
+                case: { $in: [preferredStyleTag, { $ifNull: ['$styles', []] }] },
+                then: { $concat: ['Matches your ', favoriteStyle || '', ' style'] }
+              },
+              behaviorScore.categoryReason,
+              {
+                case: { $in: ['$category', preferredCategories] },
+                then: { $concat: ['Great for your ', preferredFit || '', ' fit preference'] }
+              }
+            ].filter(Boolean),
+            default: 'Curated selection'
+          }
         }
       }
     },
@@ -191,26 +588,34 @@ function buildScoringPipeline(preferences) {
  * Get products by style category
  * @param {string} style - Style tag to filter by
  * @param {number} limit - Max products to return
+ * @param {Object} [shopper] - From getShopperContext
  * @returns {Promise<Array>}
  */
-async function getProductsByStyle(style, limit = 8) {
+async function getProductsByStyle(style, limit = 8, shopper = {}) {
   const db = getDB();
   
   const products = await db.collection('products')
-    .find({ styles: style, isActive: { $ne: false } })
+    .find({ styles: style, ...buildVisibleProductFilter(shopper), ...buildInStockFilter() })
     .sort({ isFeatured: -1, createdAt: -1 })
     .limit(limit)
     .toArray();
   
-  return products.map(p => ({
+  return products.map(p => hideVipPricing({
     ...p,
     id: p._id.toString(),
     hoverImage: p.images?.[1] || p.images?.[0]
-  }));
+  }, shopper));
 }
 
 module.exports = {
+  DEFAULT_RECOMMENDATION_CONFIG,
+  resolveRecommendationConfig,
+  validateRecommendationConfig,
+  getRecommendationConfig,
+  previewRecommendations,
   getRecommendedProducts,
   getProductsByStyle,
+  getBehaviorProfile,
+  buildBehaviorProfile,
   buildScoringPipeline
 };
@@ -0,0 +1,230 @@
+/**
+ * Frequently Bought Together
+ * Product pairs that appear in the same order, precomputed into
+ * `product_pairs` ({ productId, relatedProductId, support, confidence })
+ * by refreshProductPairs - run with `npm run pairs:refresh` and on a timer
+ * by the server. Products without enough order data fall back to similar
+ * products (same category or a shared style).
+ */
+
+const { getDB, toObjectId } = require('./mongodb');
+const {
+  getProductVariants,
+  buildVisibleProductFilter,
+  isProductPurchasable,
+  hideVipPricing
+} = require('./orders');
+const { recommendSize } = require('./sizing');
+
+const PRODUCT_PAIRS = 'product_pairs';
+
+/**
+ * Orders a pair must share before it counts as "bought together"
+ */
+const MIN_PAIR_SUPPORT = 2;
+
+/**
+ * Pairs kept per product
+ */
+const MAX_PAIRS_PER_PRODUCT = 8;
+
+const PAIRS_REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Count how often products are ordered together
+ * Each order counts once per pair regardless of quantities
+ * @param {Array<{items: Array<{productId: ObjectId}>}>} orders
+ * @param {Object} [options]
+ * @param {number} [options.minSupport]
+ * @param {number} [options.maxPerProduct]
+ * @returns {Array<{productId: string, relatedProductId: string, support: number, confidence: number}>}
+ *   Both directions of every pair; confidence is the share of the product's
+ *   orders that also contained the related product
+ */
+function countProductPairs(orders, { minSupport = MIN_PAIR_SUPPORT, maxPerProduct = MAX_PAIRS_PER_PRODUCT } = {}) {
+  const orderCounts = new Map();
+  const pairCounts = new Map();
+
+  for (const order of orders) {
+    const ids = [...new Set((order.items || []).map(item => item.productId?.toString()).filter(Boolean))];
+    for (const id of ids) {
+      orderCounts.set(id, (orderCounts.get(id) || 0) + 1);
+    }
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = [ids[i], ids[j]].sort().join(':');
+        pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const byProduct = new Map();
+  for (const [key, support] of pairCounts) {
+    if (support < minSupport) continue;
+    const [a, b] = key.split(':');
+    for (const [productId, relatedProductId] of [[a, b], [b, a]]) {
+      if (!byProduct.has(productId)) byProduct.set(productId, []);
+      byProduct.get(productId).push({
+        productId,
+        relatedProductId,
+        support,
+        confidence: Math.round((support / orderCounts.get(productId)) * 100) / 100
+      });
+    }
+  }
+
+  return [...byProduct.values()].flatMap(pairs => pairs
+    .sort((x, y) => y.support - x.support || y.confidence - x.confidence)
+    .slice(0, maxPerProduct));
+}
+
+/**
+ * Recompute `product_pairs` from all non-cancelled orders
+ * The new pairs are built in a scratch collection and renamed over
+ * `product_pairs`, so readers never see it empty and a failed refresh
+ * leaves the previous pairs in place
+ * @param {Db} [db] - Defaults to the shared connection (the seed passes its own)
+ * @returns {Promise<{orders: number, pairs: number}>}
+ */
+async function refreshProductPairs(db = getDB()) {
+  const orders = await db.collection('orders')
+    .find({ status: { $ne: 'cancelled' }, 'items.1': { $exists: true } }, { projection: { 'items.productId': 1 } })
+    .toArray();
+
+  const now = new Date();
+  const pairs = countProductPairs(orders).map(pair => ({
+    productId: toObjectId(pair.productId),
+    relatedProductId: toObjectId(pair.relatedProductId),
+    support: pair.support,
+    confidence: pair.confidence,
+    updatedAt: now
+  }));
+
+  if (pairs.length === 0) {
+    await db.collection(PRODUCT_PAIRS).deleteMany({});
+    return { orders: orders.length, pairs: 0 };
+  }
+
+  // Unique per run so overlapping refreshes (timer + script) don't collide
+  const scratch = db.collection(`${PRODUCT_PAIRS}_refresh_${process.pid}_${now.getTime()}`);
+  try {
+    await scratch.insertMany(pairs);
+    await scratch.createIndex({ productId: 1, support: -1 });
+    await scratch.rename(PRODUCT_PAIRS, { dropTarget: true });
+  } catch (error) {
+    await scratch.drop().catch(() => {});
+    throw error;
+  }
+
+  return { orders: orders.length, pairs: pairs.length };
+}
+
+/**
+ * Refresh pairs now and then every PAIRS_REFRESH_INTERVAL_MS
+ * @returns {NodeJS.Timeout}
+ */
+function scheduleProductPairsRefresh() {
+  const run = () => refreshProductPairs().catch(error => {
+    console.error('Failed to refresh product pairs:', error);
+  });
+  run();
+  return setInterval(run, PAIRS_REFRESH_INTERVAL_MS).unref();
+}
+
+/**
+ * The variant "add the pair" should use: the shopper's recommended or
+ * preferred size when it is in stock, otherwise the first in-stock variant
+ * @param {Object} product - Product document
+ * @param {Object|null} preferences - user.preferences
+ * @returns {{size: string, color: {name: string, value: string}}|null}
+ */
+function getPairVariant(product, preferences) {
+  const inStock = getProductVariants(product).filter(v => (v.stock || 0) > 0);
+  if (inStock.length === 0) return null;
+
+  const { size } = recommendSize(product, preferences);
+  const variant = inStock.find(v => v.size === size) || inStock[0];
+  return { size: variant.size, color: { name: variant.color, value: variant.colorValue || variant.color } };
+}
+
+/**
+ * Products to show next to a product: bought-together pairs first,
+ * topped up with similar products. Sold-out products are left out since
+ * they can't be added to the bag
+ * @param {Object} product - Product document being viewed
+ * @param {Object} shopper - From getShopperContext
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {Object|null} [options.preferences] - Signed-in user's preferences
+ * @returns {Promise<{products: Object[], source: 'orders'|'similar'}>}
+ */
+async function getRelatedProducts(product, shopper, { limit = 4, preferences = null } = {}) {
+  const db = getDB();
+  const visible = buildVisibleProductFilter(shopper);
+
+  const pairs = await db.collection(PRODUCT_PAIRS)
+    .find({ productId: product._id })
+    .sort({ support: -1, confidence: -1 })
+    .toArray();
+
+  const pairedDocs = await db.collection('products')
+    .find({ _id: { $in: pairs.map(p => p.relatedProductId) }, ...visible })
+    .toArray();
+  const pairedMap = new Map(pairedDocs.map(p => [p._id.toString(), p]));
+
+  const related = [];
+  for (const pair of pairs) {
+    const candidate = pairedMap.get(pair.relatedProductId.toString());
+    if (candidate) related.push({ product: candidate, relation: 'bought-together', support: pair.support });
+  }
+
+  if (related.length < limit) {
+    const exclude = [product._id, ...related.map(r => r.product._id)];
+    const similar = await db.collection('products')
+      .find({
+        ...visible,
+        _id: { $nin: exclude },
+        $and: [{
+          $or: [
+            { category: product.category },
+            { styles: { $in: product.styles || [] } }
+          ]
+        }]
+      })
+      .sort({ isFeatured: -1, createdAt: -1 })
+      .limit(limit * 3)
+      .toArray();
+
+    // Same category first, then shared styles
+    similar.sort((a, b) => (b.category === product.category) - (a.category === product.category));
+    related.push(...similar.map(p => ({ product: p, relation: 'similar', support: 0 })));
+  }
+
+  const products = related
+    .filter(r => isProductPurchasable(r.product, shopper))
+    .map(r => ({ ...r, pairVariant: getPairVariant(r.product, preferences) }))
+    .filter(r => r.pairVariant)
+    .slice(0, limit)
+    .map(({ product: p, relation, support, pairVariant }) => hideVipPricing({
+      ...p,
+      id: p._id.toString(),
+      hoverImage: p.images?.[1] || p.images?.[0],
+      relation,
+      support,
+      pairVariant
+    }, shopper));
+
+  return {
+    products,
+    source: products.some(p => p.relation === 'bought-together') ? 'orders' : 'similar'
+  };
+}
+
+module.exports = {
+  PRODUCT_PAIRS,
+  MIN_PAIR_SUPPORT,
+  countProductPairs,
+  refreshProductPairs,
+  scheduleProductPairsRefresh,
+  getRelatedProducts
+};
@@ -0,0 +1,233 @@
+/**
+ * Back-in-Stock Notifications
+ * Shoppers subscribe to a sold-out SKU; when an admin restocks it from 0,
+ * each subscriber gets one notification queued in `notifications` and
+ * delivered through the pluggable notifier
+ */
+
+const { getDB } = require('./mongodb');
+const { getProductVariants } = require('./orders');
+const { getNotifier } = require('./notifier');
+
+const STOCK_SUBSCRIPTIONS = 'stock_subscriptions';
+const NOTIFICATIONS = 'notifications';
+
+// Failed deliveries are retried on later runs up to this many attempts
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalize and validate an email address
+ * @param {string} email
+ * @returns {string|null} Lowercased email, or null if invalid
+ */
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return EMAIL_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Find a variant by SKU
+ * @param {Object} product
+ * @param {string} sku
+ * @returns {Object|undefined}
+ */
+function findVariantBySku(product, sku) {
+  return getProductVariants(product).find(v => v.sku === sku);
+}
+
+/**
+ * Whether a stock change takes a variant from sold out to available
+ * @param {number|undefined} previousStock
+ * @param {number} newStock
+ * @returns {boolean}
+ */
+function isRestock(previousStock, newStock) {
+  return (previousStock || 0) === 0 && newStock > 0;
+}
+
+/**
+ * Subscribe an email to a sold-out variant. Subscribing twice is a no-op.
+ * @param {Object} product - Product document
+ * @param {string} sku
+ * @param {Object} subscriber - { email, userId }
+ * @returns {Promise<{status: number, error?: string, created?: boolean}>}
+ */
+async function subscribeToRestock(product, sku, { email, userId = null }) {
+  const variant = findVariantBySku(product, sku);
+  if (!variant) {
+    return { status: 404, error: `SKU ${sku} not found` };
+  }
+
+  if ((variant.stock || 0) > 0) {
+    return { status: 409, error: 'This size is in stock' };
+  }
+
+  const result = await getDB().collection(STOCK_SUBSCRIPTIONS).updateOne(
+    { sku, email, status: 'active' },
+    {
+      $setOnInsert: {
+        productId: product._id,
+        sku,
+        size: variant.size,
+        color: variant.color,
+        email,
+        userId,
+        status: 'active',
+        createdAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  return { status: result.upsertedCount ? 201 : 200, created: result.upsertedCount > 0 };
+}
+
+/**
+ * Build the notification a subscriber receives
+ * @param {Object} subscription
+ * @param {Object} product
+ * @returns {Object} NotificationMessage
+ */
+function buildRestockMessage(subscription, product) {
+  return {
+    to: subscription.email,
+    subject: `${product.name} is back in stock`,
+    text: `Good news - ${product.name} in ${subscription.color}, size ${subscription.size}, ` +
+      `is available again. Shop it before it sells out: /products/${product.slug}`,
+    data: {
+      type: 'back-in-stock',
+      productId: product._id.toString(),
+      slug: product.slug,
+      sku: subscription.sku
+    }
+  };
+}
+
+/**
+ * Queue notifications for everyone waiting on a SKU and close their
+ * subscriptions, so a later restock doesn't notify them again
+ * @param {Object} product - Product document (name, slug)
+ * @param {string} sku
+ * @returns {Promise<number>} Notifications queued
+ */
+async function queueRestockNotifications(product, sku) {
+  const db = getDB();
+  const subscriptions = await db.collection(STOCK_SUBSCRIPTIONS)
+    .find({ productId: product._id, sku, status: 'active' })
+    .toArray();
+
+  if (subscriptions.length === 0) return 0;
+
+  const now = new Date();
+  await db.collection(NOTIFICATIONS).insertMany(subscriptions.map(subscription => ({
+    ...buildRestockMessage(subscription, product),
+    subscriptionId: subscription._id,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    sentAt: null
+  })));
+
+  await db.collection(STOCK_SUBSCRIPTIONS).updateMany(
+    { _id: { $in: subscriptions.map(s => s._id) } },
+    { $set: { status: 'notified', notifiedAt: now } }
+  );
+
+  return subscriptions.length;
+}
+
+/**
+ * Send pending notifications through the active notifier
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max notifications this run
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function deliverPendingNotifications({ limit = 100 } = {}) {
+  const db = getDB();
+  const notifier = getNotifier();
+  const pending = await db.collection(NOTIFICATIONS)
+    .find({ status: 'pending', attempts: { $lt: MAX_DELIVERY_ATTEMPTS } })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const notification of pending) {
+    const { to, subject, text, data } = notification;
+    try {
+      await notifier.send({ to, subject, text, data });
+      await db.collection(NOTIFICATIONS).updateOne(
+        { _id: notification._id },
+        { $set: { status: 'sent', sentAt: new Date(), transport: notifier.name }, $inc: { attempts: 1 } }
+      );
+      sent++;
+    } catch (error) {
+      const attempts = notification.attempts + 1;
+      await db.collection(NOTIFICATIONS).updateOne(
+        { _id: notification._id },
+        {
+          $set: {
+            status: attempts >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'pending',
+            lastError: error.message
+          },
+          $inc: { attempts: 1 }
+        }
+      );
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * After an admin stock change: if the SKU came back from 0, queue and send
+ * notifications. Never throws, so the stock update itself always succeeds.
+ * @param {Object} product - Product document as it was before the update
+ * @param {string} sku
+ * @param {number} newStock
+ * @returns {Promise<number>} Notifications queued
+ */
+async function handleStockChange(product, sku, newStock) {
+  const variant = findVariantBySku(product, sku);
+  if (!variant || !isRestock(variant.stock, newStock)) return 0;
+
+  let queued = 0;
+  try {
+    queued = await queueRestockNotifications(product, sku);
+  } catch (error) {
+    console.error('Back-in-stock queue error:', error);
+    return 0;
+  }
+
+  if (queued > 0) {
+    // Anything not sent now stays pending for the next run (next restock or server start)
+    try {
+      const { failed } = await deliverPendingNotifications();
+      if (failed > 0) console.error(`Back-in-stock: ${failed} notification(s) failed to send`);
+    } catch (error) {
+      console.error('Back-in-stock delivery error:', error);
+    }
+  }
+
+  return queued;
+}
+
+module.exports = {
+  STOCK_SUBSCRIPTIONS,
+  NOTIFICATIONS,
+  MAX_DELIVERY_ATTEMPTS,
+  normalizeEmail,
+  findVariantBySku,
+  isRestock,
+  subscribeToRestock,
+  buildRestockMessage,
+  queueRestockNotifications,
+  deliverPendingNotifications,
+  handleStockChange
+};
@@ -0,0 +1,147 @@
+/**
+ * Product Reviews
+ * Verified-buyer reviews with star ratings and fit feedback. New reviews
+ * wait for admin moderation; only approved ones are shown and counted in
+ * the product's denormalized ratingAverage / ratingCount / fitFeedback.
+ */
+
+const { getDB, toObjectId } = require('./mongodb');
+
+const REVIEWS = 'reviews';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Fit feedback options ("runs small / true to size / runs large")
+ */
+const FIT_OPTIONS = ['small', 'true', 'large'];
+
+const MAX_TITLE_LENGTH = 120;
+const MIN_BODY_LENGTH = 10;
+const MAX_BODY_LENGTH = 2000;
+
+/**
+ * Validate a review submission
+ * @param {Object} body - { rating, title, body, fit }
+ * @returns {{error?: string, review?: Object}}
+ */
+function validateReview({ rating, title, body, fit } = {}) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: 'rating must be a whole number from 1 to 5' };
+  }
+
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (text.length < MIN_BODY_LENGTH || text.length > MAX_BODY_LENGTH) {
+    return { error: `Review text must be ${MIN_BODY_LENGTH}-${MAX_BODY_LENGTH} characters` };
+  }
+
+  const heading = typeof title === 'string' ? title.trim() : '';
+  if (heading.length > MAX_TITLE_LENGTH) {
+    return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+
+  if (fit != null && !FIT_OPTIONS.includes(fit)) {
+    return { error: `fit must be one of: ${FIT_OPTIONS.join(', ')}` };
+  }
+
+  return {
+    review: { rating, title: heading || null, body: text, fit: fit ?? null }
+  };
+}
+
+/**
+ * The user's most recent delivered purchase of a product, if any
+ * Reviews are limited to verified buyers and record the size they bought
+ * @param {ObjectId|string} userId
+ * @param {ObjectId|string} productId
+ * @returns {Promise<{orderId: ObjectId, size: string, color: string|null}|null>}
+ */
+async function findDeliveredPurchase(userId, productId) {
+  const id = toObjectId(productId.toString());
+  const order = await getDB().collection('orders').findOne(
+    { userId: toObjectId(userId.toString()), status: 'delivered', 'items.productId': id },
+    { sort: { createdAt: -1 }, projection: { items: 1 } }
+  );
+  if (!order) return null;
+
+  const item = order.items.find(i => i.productId?.toString() === id.toString());
+  return {
+    orderId: order._id,
+    size: item?.size || null,
+    color: item?.color?.name || item?.color || null
+  };
+}
+
+/**
+ * Summarize approved reviews: average to one decimal, count and fit votes
+ * @param {Object[]} reviews - { rating, fit }
+ * @returns {{ratingAverage: number, ratingCount: number, fitFeedback: Object}}
+ */
+function summarizeRatings(reviews) {
+  const fitFeedback = Object.fromEntries(FIT_OPTIONS.map(fit => [fit, 0]));
+  let total = 0;
+
+  for (const review of reviews) {
+    total += review.rating;
+    if (review.fit) fitFeedback[review.fit]++;
+  }
+
+  return {
+    ratingAverage: reviews.length > 0 ? Math.round((total / reviews.length) * 10) / 10 : 0,
+    ratingCount: reviews.length,
+    fitFeedback
+  };
+}
+
+/**
+ * Recompute and store a product's rating fields from its approved reviews
+ * @param {ObjectId|string} productId
+ * @returns {Promise<Object>} summarizeRatings result
+ */
+async function recalculateProductRating(productId) {
+  const db = getDB();
+  const id = toObjectId(productId.toString());
+  const approved = await db.collection(REVIEWS)
+    .find({ productId: id, status: 'approved' }, { projection: { rating: 1, fit: 1 } })
+    .toArray();
+
+  const summary = summarizeRatings(approved);
+  await db.collection('products').updateOne(
+    { _id: id },
+    { $set: summary }
+  );
+
+  return summary;
+}
+
+/**
+ * Format a review for API responses (reviewer shown by first name only)
+ * @param {Object} review
+ * @returns {Object}
+ */
+function formatReview(review) {
+  return {
+    id: review._id.toString(),
+    productId: review.productId.toString(),
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    fit: review.fit,
+    size: review.size || null,
+    author: review.authorName,
+    verifiedPurchase: true,
+    status: review.status,
+    createdAt: review.createdAt
+  };
+}
+
+module.exports = {
+  REVIEWS,
+  REVIEW_STATUSES,
+  FIT_OPTIONS,
+  validateReview,
+  findDeliveredPurchase,
+  summarizeRatings,
+  recalculateProductRating,
+  formatReview
+};
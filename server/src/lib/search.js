@@ -0,0 +1,245 @@
+/**
+ * Product Search
+ * Relevance-ranked full-text search over the products collection
+ * backed by a weighted MongoDB text index, with match highlighting
+ */
+
+const { getDB } = require('./mongodb');
+const { buildVisibleProductFilter, hideVipPricing } = require('./orders');
+
+const SEARCH_INDEX_NAME = 'product_search';
+
+/**
+ * Indexed fields and their relevance weights (higher ranks first)
+ */
+const SEARCH_INDEX_WEIGHTS = {
+  name: 10,
+  category: 5,
+  styles: 5,
+  'metadata.fabric': 3,
+  details: 2,
+  description: 1
+};
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+// Characters of description shown around the first match
+const SNIPPET_LENGTH = 140;
+
+// Fields returned with each result
+const RESULT_PROJECTION = {
+  name: 1,
+  slug: 1,
+  description: 1,
+  price: 1,
+  originalPrice: 1,
+  vipPrice: 1,
+  category: 1,
+  images: 1,
+  status: 1,
+  styles: 1,
+  details: 1,
+  'metadata.fabric': 1,
+  publishAt: 1
+};
+
+let indexReady = null;
+
+/**
+ * Create the product text index once per process
+ * Seeded databases already have it; this covers older ones
+ * @returns {Promise<void>}
+ */
+function ensureSearchIndex() {
+  if (!indexReady) {
+    const keys = Object.fromEntries(Object.keys(SEARCH_INDEX_WEIGHTS).map(field => [field, 'text']));
+    indexReady = getDB().collection('products')
+      .createIndex(keys, { name: SEARCH_INDEX_NAME, weights: SEARCH_INDEX_WEIGHTS })
+      .then(() => undefined)
+      .catch((error) => {
+        indexReady = null;
+        throw error;
+      });
+  }
+  return indexReady;
+}
+
+/**
+ * Split a query into lowercase search terms
+ * @param {string} query
+ * @returns {string[]}
+ */
+function tokenize(query) {
+  return [...new Set(
+    String(query || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length >= 2)
+  )];
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex matching words that start with any term (or its singular),
+ * roughly what the stemmed text index matched
+ * @param {string[]} terms
+ * @returns {RegExp|null}
+ */
+function buildTermPattern(terms) {
+  if (terms.length === 0) return null;
+
+  const stems = terms.map(term => (term.length > 3 ? term.replace(/(es|s)$/, '') : term));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Split text into plain and matched segments for rendering
+ * @param {string} text
+ * @param {RegExp|null} pattern - From buildTermPattern
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+function highlight(text, pattern) {
+  if (!text) return [];
+  if (!pattern) return [{ text, match: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+}
+
+/**
+ * Cut a long text down to a window around its first match
+ * @param {string} text
+ * @param {RegExp|null} pattern
+ * @param {number} [length]
+ * @returns {string}
+ */
+function snippet(text, pattern, length = SNIPPET_LENGTH) {
+  if (!text || text.length <= length) return text || '';
+
+  const first = pattern ? text.search(new RegExp(pattern.source, 'iu')) : -1;
+  const start = first > length / 3 ? first - Math.floor(length / 3) : 0;
+  const end = Math.min(start + length, text.length);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Build the highlight payload for one product
+ * @param {Object} product
+ * @param {RegExp|null} pattern
+ * @returns {{name: Array, description: Array, matchedFields: string[]}}
+ */
+function buildHighlights(product, pattern) {
+  const fieldText = {
+    name: product.name,
+    category: product.category,
+    styles: (product.styles || []).join(' '),
+    fabric: product.metadata?.fabric,
+    details: (product.details || []).join(' '),
+    description: product.description
+  };
+
+  // Non-global copy so .test() keeps no state between calls
+  const matcher = pattern && new RegExp(pattern.source, 'iu');
+  const matches = (text) => !!text && !!matcher && matcher.test(text);
+
+  const matchedFields = Object.entries(fieldText)
+    .filter(([, text]) => matches(text))
+    .map(([field]) => field);
+
+  // Show the matching detail line when the description itself has no match
+  const detailLine = (product.details || []).find(matches);
+  const context = !matchedFields.includes('description') && detailLine
+    ? detailLine
+    : snippet(product.description, pattern);
+
+  return {
+    name: highlight(product.name, pattern),
+    description: highlight(context, pattern),
+    matchedFields
+  };
+}
+
+/**
+ * Run a ranked text search respecting the shopper's visibility rules
+ * @param {string} query - Raw query string
+ * @param {Object} [options]
+ * @param {Object} [options.shopper] - From getShopperContext
+ * @param {number} [options.limit]
+ * @returns {Promise<{query: string, terms: string[], total: number, results: Object[]}>}
+ */
+async function searchProducts(query, { shopper = {}, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const trimmed = String(query || '').trim();
+  const terms = tokenize(trimmed);
+
+  if (terms.length === 0) {
+    return { query: trimmed, terms, total: 0, results: [] };
+  }
+
+  await ensureSearchIndex();
+
+  const filter = {
+    ...buildVisibleProductFilter(shopper),
+    $text: { $search: terms.join(' ') }
+  };
+
+  const collection = getDB().collection('products');
+  const [products, total] = await Promise.all([
+    collection
+      .find(filter, { projection: { ...RESULT_PROJECTION, score: { $meta: 'textScore' } } })
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT))
+      .toArray(),
+    collection.countDocuments(filter)
+  ]);
+
+  const pattern = buildTermPattern(terms);
+  const now = new Date();
+
+  return {
+    query: trimmed,
+    terms,
+    total,
+    results: products.map(({ _id, score, details, metadata, ...product }) => hideVipPricing({
+      ...product,
+      id: _id.toString(),
+      image: product.images?.[0] || null,
+      score: Math.round(score * 1000) / 1000,
+      earlyAccess: !!product.publishAt && new Date(product.publishAt) > now,
+      highlights: buildHighlights({ ...product, details, metadata }, pattern)
+    }, shopper))
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_NAME,
+  SEARCH_INDEX_WEIGHTS,
+  MAX_SEARCH_LIMIT,
+  ensureSearchIndex,
+  tokenize,
+  buildTermPattern,
+  highlight,
+  snippet,
+  buildHighlights,
+  searchProducts
+};
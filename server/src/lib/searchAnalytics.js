@@ -0,0 +1,261 @@
+/**
+ * Search Analytics
+ * Records product searches in `search_logs` and summarizes them for the
+ * admin dashboard (top terms, zero-result terms, click-through rate) and
+ * the storefront's "Popular Searches"
+ */
+
+const crypto = require('crypto');
+const { getDB, toObjectId, isValidObjectId } = require('./mongodb');
+
+const SEARCH_LOGS = 'search_logs';
+
+// Live search fires as the customer types; follow-up queries in the same
+// session within this window refine the previous log instead of adding one
+const REFINE_WINDOW_MS = 60 * 1000;
+
+const MAX_TERM_LENGTH = 100;
+const MAX_SESSION_ID_LENGTH = 64;
+
+/**
+ * Normalize a query for grouping ("  Linen  Shirt" -> "linen shirt")
+ * @param {string} query
+ * @returns {string}
+ */
+function normalizeTerm(query) {
+  return String(query || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TERM_LENGTH);
+}
+
+/**
+ * Whether `next` continues typing (or backspacing) `previous`
+ * @param {string} previous
+ * @param {string} next
+ * @returns {boolean}
+ */
+function isRefinement(previous, next) {
+  return next.startsWith(previous) || previous.startsWith(next);
+}
+
+/**
+ * Key a client search session to whoever sent it, so reusing another
+ * shopper's sessionId can't refine (overwrite) their log entries
+ * IPs are stored hashed
+ * @param {string} [sessionId] - Client-supplied session
+ * @param {Object|null} [user] - req.user
+ * @param {string} [ip] - req.ip, for anonymous shoppers
+ * @returns {string|null} e.g. "user:<id>:<session>" / "ip:<hash>:<session>"
+ */
+function buildSessionKey(sessionId, user, ip) {
+  if (typeof sessionId !== 'string' || !sessionId) return null;
+
+  const owner = user
+    ? `user:${user._id}`
+    : `ip:${crypto.createHash('sha256').update(String(ip || '')).digest('hex').slice(0, 16)}`;
+  return `${owner}:${sessionId.slice(0, MAX_SESSION_ID_LENGTH)}`;
+}
+
+/**
+ * Record a search. Never throws: analytics must not break search.
+ * @param {Object} search
+ * @param {string} search.query - Raw query
+ * @param {number} search.resultCount - Total matches
+ * @param {Object|null} [search.user] - req.user (null when anonymous)
+ * @param {string} [search.sessionId] - Client search session, groups live-typed queries
+ * @param {string} [search.ip] - req.ip, scopes anonymous sessions
+ * @returns {Promise<string|null>} Log id for click tracking
+ */
+async function logSearch({ query, resultCount, user = null, sessionId = null, ip = null }) {
+  const term = normalizeTerm(query);
+  if (!term) return null;
+
+  const session = typeof sessionId === 'string' && sessionId
+    ? sessionId.slice(0, MAX_SESSION_ID_LENGTH)
+    : null;
+  const sessionKey = buildSessionKey(sessionId, user, ip);
+
+  const entry = {
+    term,
+    query: String(query).trim().slice(0, MAX_TERM_LENGTH),
+    resultCount,
+    userId: user ? toObjectId(user._id.toString()) : null,
+    anonymous: !user,
+    sessionId: session,
+    sessionKey,
+    createdAt: new Date()
+  };
+
+  try {
+    const logs = getDB().collection(SEARCH_LOGS);
+
+    if (sessionKey) {
+      const previous = await logs.findOne(
+        {
+          sessionKey,
+          clickedAt: null,
+          createdAt: { $gte: new Date(Date.now() - REFINE_WINDOW_MS) }
+        },
+        { sort: { createdAt: -1 } }
+      );
+
+      if (previous && isRefinement(previous.term, term)) {
+        await logs.updateOne({ _id: previous._id }, { $set: entry });
+        return previous._id.toString();
+      }
+    }
+
+    const result = await logs.insertOne({
+      ...entry,
+      clickedAt: null,
+      clickedProductId: null
+    });
+    return result.insertedId.toString();
+  } catch (error) {
+    console.error('Search log error:', error);
+    return null;
+  }
+}
+
+/**
+ * Record that a search result was opened (first click only)
+ * @param {string} logId - From logSearch
+ * @param {string} productId
+ * @returns {Promise<boolean>} Whether a click was recorded
+ */
+async function recordSearchClick(logId, productId) {
+  if (!isValidObjectId(logId) || !isValidObjectId(productId)) return false;
+
+  const result = await getDB().collection(SEARCH_LOGS).updateOne(
+    { _id: toObjectId(logId), clickedAt: null },
+    { $set: { clickedAt: new Date(), clickedProductId: toObjectId(productId) } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Percentage to one decimal (0 when there is nothing to divide by)
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number}
+ */
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * Search summary for the admin dashboard
+ * @param {Object} [options]
+ * @param {number} [options.days] - Look-back period
+ * @param {number} [options.limit] - Rows per list
+ * @returns {Promise<Object>}
+ */
+async function getSearchAnalytics({ days = 30, limit = 10 } = {}) {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const [result] = await getDB().collection(SEARCH_LOGS).aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              searches: { $sum: 1 },
+              zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+              clicks: { $sum: { $cond: [{ $ne: ['$clickedAt', null] }, 1, 0] } },
+              terms: { $addToSet: '$term' }
+            }
+          }
+        ],
+        topTerms: [
+          {
+            $group: {
+              _id: '$term',
+              searches: { $sum: 1 },
+              avgResults: { $avg: '$resultCount' },
+              clicks: { $sum: { $cond: [{ $ne: ['$clickedAt', null] }, 1, 0] } }
+            }
+          },
+          { $sort: { searches: -1, _id: 1 } },
+          { $limit: limit }
+        ],
+        zeroResultTerms: [
+          { $match: { resultCount: 0 } },
+          {
+            $group: {
+              _id: '$term',
+              searches: { $sum: 1 },
+              lastSearchedAt: { $max: '$createdAt' }
+            }
+          },
+          { $sort: { searches: -1, lastSearchedAt: -1 } },
+          { $limit: limit }
+        ]
+      }
+    }
+  ]).toArray();
+
+  const totals = result.totals[0] || { searches: 0, zeroResults: 0, clicks: 0, terms: [] };
+
+  return {
+    days,
+    totals: {
+      searches: totals.searches,
+      uniqueTerms: totals.terms.length,
+      zeroResultSearches: totals.zeroResults,
+      zeroResultRate: percentage(totals.zeroResults, totals.searches),
+      clicks: totals.clicks,
+      clickThroughRate: percentage(totals.clicks, totals.searches)
+    },
+    topTerms: result.topTerms.map(t => ({
+      term: t._id,
+      searches: t.searches,
+      avgResults: Math.round(t.avgResults * 10) / 10,
+      clicks: t.clicks,
+      clickThroughRate: percentage(t.clicks, t.searches)
+    })),
+    zeroResultTerms: result.zeroResultTerms.map(t => ({
+      term: t._id,
+      searches: t.searches,
+      lastSearchedAt: t.lastSearchedAt
+    }))
+  };
+}
+
+/**
+ * Most searched terms that found products, for the storefront
+ * Shown as the customer most recently typed them ("Linen", not "linen")
+ * @param {Object} [options]
+ * @param {number} [options.days]
+ * @param {number} [options.limit]
+ * @returns {Promise<string[]>}
+ */
+async function getPopularSearches({ days = 30, limit = 4 } = {}) {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const popular = await getDB().collection(SEARCH_LOGS).aggregate([
+    { $match: { createdAt: { $gte: since }, resultCount: { $gt: 0 } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$term', query: { $first: '$query' }, searches: { $sum: 1 } } },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit }
+  ]).toArray();
+
+  return popular.map(p => p.query);
+}
+
+module.exports = {
+  SEARCH_LOGS,
+  normalizeTerm,
+  isRefinement,
+  buildSessionKey,
+  logSearch,
+  recordSearchClick,
+  getSearchAnalytics,
+  getPopularSearches
+};
@@ -0,0 +1,211 @@
+/**
+ * Size Recommendations
+ * Suggests a size from the shopper's saved measurements (or usual size),
+ * then nudges it up or down when reviewers agree a product runs small or
+ * large (the product's denormalized fitFeedback)
+ */
+
+const { getProductVariants } = require('./orders');
+const { getPreferredSize } = require('./preferences');
+
+const LETTER_SIZES = ['XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'];
+
+/**
+ * Body measurements (inches) per letter size; matches the storefront size guide
+ */
+const LETTER_SIZE_CHART = {
+  XS: { chest: [34, 36], waist: [28, 30], hips: [34, 36] },
+  S: { chest: [36, 38], waist: [30, 32], hips: [36, 38] },
+  M: { chest: [38, 40], waist: [32, 34], hips: [38, 40] },
+  L: { chest: [40, 42], waist: [34, 36], hips: [40, 42] },
+  XL: { chest: [42, 44], waist: [36, 38], hips: [42, 44] },
+  XXL: { chest: [44, 46], waist: [38, 40], hips: [44, 46] }
+};
+
+// Numeric sizes are waist inches for these categories, chest inches otherwise
+const WAIST_SIZED_CATEGORIES = ['Bottoms', 'Accessories'];
+
+// Fit feedback only moves the recommendation once enough reviewers agree
+const MIN_FIT_VOTES = 3;
+const FIT_MAJORITY = 0.5;
+
+const CM_PER_INCH = 2.54;
+
+/**
+ * Sizes a product comes in, in display order
+ * @param {Object} product
+ * @returns {string[]}
+ */
+function getProductSizes(product) {
+  const fromVariants = [...new Set(getProductVariants(product).map(v => v.size))];
+  return fromVariants.length > 0 ? fromVariants : product.sizes || [];
+}
+
+/**
+ * Convert saved measurements to inches
+ * @param {Object} measurements - { chest, waist, hips, inseam, unit: 'in' | 'cm' }
+ * @returns {Object} Numeric measurements in inches
+ */
+function toInches(measurements) {
+  measurements = measurements || {};
+  const factor = measurements.unit === 'cm' ? 1 / CM_PER_INCH : 1;
+  const result = {};
+  for (const key of ['chest', 'waist', 'hips', 'inseam']) {
+    if (typeof measurements[key] === 'number' && measurements[key] > 0) {
+      result[key] = measurements[key] * factor;
+    }
+  }
+  return result;
+}
+
+/**
+ * How far a measurement falls outside a range (0 when inside)
+ */
+function distanceFromRange(value, [min, max]) {
+  if (value < min) return min - value;
+  if (value > max) return value - max;
+  return 0;
+}
+
+/**
+ * Best size for a shopper's measurements
+ * @param {string[]} sizes - The product's sizes
+ * @param {string} category
+ * @param {Object} inches - Measurements in inches
+ * @returns {{size: string, exact: boolean}|null} exact is false when the
+ *   measurements fall outside every size in the chart
+ */
+function sizeFromMeasurements(sizes, category, inches) {
+  if (sizes.length === 0) return null;
+
+  if (sizes.every(s => LETTER_SIZE_CHART[s])) {
+    let best = null;
+    for (const size of sizes) {
+      const chart = LETTER_SIZE_CHART[size];
+      const keys = Object.keys(chart).filter(key => inches[key] != null);
+      if (keys.length === 0) return null;
+      const distance = keys.reduce((sum, key) => sum + distanceFromRange(inches[key], chart[key]), 0);
+      // Ties go to the larger size, which is the more comfortable miss
+      if (!best || distance <= best.distance) best = { size, distance };
+    }
+    return { size: best.size, exact: best.distance === 0 };
+  }
+
+  if (sizes.every(s => /^\d+$/.test(s))) {
+    const measurement = WAIST_SIZED_CATEGORIES.includes(category) ? inches.waist : inches.chest;
+    if (measurement == null) return null;
+
+    // Smallest size that fits; numeric sizes step by 2in so within 2 is a match
+    const sorted = [...sizes].sort((a, b) => a - b);
+    const fit = sorted.find(s => Number(s) >= Math.round(measurement));
+    const size = fit || sorted[sorted.length - 1];
+    return { size, exact: Math.abs(Number(size) - measurement) <= 2 };
+  }
+
+  return null;
+}
+
+/**
+ * What reviewers say about the fit, if most of them agree
+ * @param {Object} fitFeedback - { small, true, large } vote counts
+ * @returns {{verdict: 'small'|'true'|'large'|null, share: number, votes: number}}
+ */
+function fitConsensus(fitFeedback) {
+  fitFeedback = fitFeedback || {};
+  const votes = (fitFeedback.small || 0) + (fitFeedback.true || 0) + (fitFeedback.large || 0);
+  if (votes < MIN_FIT_VOTES) return { verdict: null, share: 0, votes };
+
+  const [verdict, count] = Object.entries({
+    small: fitFeedback.small || 0,
+    true: fitFeedback.true || 0,
+    large: fitFeedback.large || 0
+  }).sort((a, b) => b[1] - a[1])[0];
+
+  const share = Math.round((count / votes) * 100) / 100;
+  return share >= FIT_MAJORITY ? { verdict, share, votes } : { verdict: null, share, votes };
+}
+
+/**
+ * Move one size up or down within the product's sizes
+ */
+function shiftSize(sizes, size, steps) {
+  const ordered = sizes.every(s => /^\d+$/.test(s))
+    ? [...sizes].sort((a, b) => a - b)
+    : [...sizes].sort((a, b) => LETTER_SIZES.indexOf(a) - LETTER_SIZES.indexOf(b));
+  const index = ordered.indexOf(size);
+  if (index === -1) return size;
+  return ordered[Math.min(Math.max(index + steps, 0), ordered.length - 1)];
+}
+
+/**
+ * Recommend a size for a product
+ * @param {Object} product - Product document (sizes/variants, category, fitFeedback)
+ * @param {Object|null} preferences - User preferences ({ measurements, preferredSizes, preferredSize })
+ * @returns {{size: string|null, baseSize: string|null, source: string|null,
+ *   fit: Object, confidence: 'high'|'medium'|'low'|null, message: string|null}}
+ */
+function recommendSize(product, preferences) {
+  const sizes = getProductSizes(product);
+  const fit = fitConsensus(product.fitFeedback);
+
+  // 1. Saved measurements, 2. preferred size for the category, 3. usual size
+  let base = null;
+  let source = null;
+  let confidence = null;
+
+  const fromMeasurements = sizeFromMeasurements(sizes, product.category, toInches(preferences?.measurements));
+  if (fromMeasurements) {
+    base = fromMeasurements.size;
+    source = 'measurements';
+    confidence = fromMeasurements.exact ? 'high' : 'low';
+  } else {
+    const preferred = getPreferredSize(preferences, product.category);
+    if (preferred && sizes.includes(preferred)) {
+      base = preferred;
+      source = 'preferredSize';
+      confidence = 'medium';
+    }
+  }
+
+  const steps = { small: 1, large: -1 }[fit.verdict] || 0;
+  const size = base ? shiftSize(sizes, base, steps) : null;
+
+  return {
+    size,
+    baseSize: base,
+    source,
+    fit,
+    confidence,
+    message: buildMessage(size, source, fit)
+  };
+}
+
+/**
+ * Shopper-facing explanation of a recommendation
+ */
+function buildMessage(size, source, fit) {
+  const fitNote = {
+    small: 'Most customers say this runs small',
+    large: 'Most customers say this runs large',
+    true: 'Most customers say this fits true to size'
+  }[fit.verdict];
+
+  if (size) {
+    const basis = source === 'measurements' ? 'Based on your measurements' : 'Based on your usual size';
+    return fitNote ? `${fitNote} — we recommend ${size}` : `${basis}, we recommend ${size}`;
+  }
+
+  if (fit.verdict === 'small') return `${fitNote} — consider sizing up`;
+  if (fit.verdict === 'large') return `${fitNote} — consider sizing down`;
+  return fitNote || null;
+}
+
+module.exports = {
+  LETTER_SIZE_CHART,
+  MIN_FIT_VOTES,
+  getProductSizes,
+  toInches,
+  sizeFromMeasurements,
+  fitConsensus,
+  recommendSize
+};
@@ -0,0 +1,310 @@
+/**
+ * Autocomplete Suggestions
+ * Typo-tolerant prefix matching over product names, categories and style
+ * tags, served from an in-process index. The index is rebuilt whenever the
+ * admin routes create, update or delete a product.
+ */
+
+const { getDB } = require('./mongodb');
+const { isProductPurchasable } = require('./orders');
+
+const DEFAULT_SUGGEST_LIMIT = 8;
+const MAX_SUGGEST_LIMIT = 20;
+
+// Ties are broken by type: product names first, then categories, then styles
+const TYPE_ORDER = { product: 0, category: 1, style: 2 };
+
+let suggestIndex = null;
+let building = null;
+
+/**
+ * Lowercase and strip accents so "Café" matches "cafe"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Split normalized text into words
+ * @param {string} text
+ * @returns {string[]}
+ */
+function words(text) {
+  return normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Typos allowed for a term of this length
+ * @param {number} length
+ * @returns {number}
+ */
+function maxEditsFor(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * adjacent transpositions (optimal string alignment)
+ * Stops early once every path exceeds maxDistance
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [maxDistance]
+ * @returns {number} Distance, or maxDistance + 1 when it is exceeded
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * How far a (possibly partial) typed term is from the start of a word
+ * Compares against word prefixes around the term's length, so "cashmi"
+ * is one edit from "cashme" in "cashmere"
+ * @param {string} term - Typed term
+ * @param {string} word - Indexed word
+ * @param {boolean} prefix - Whether the term may be an unfinished word
+ * @returns {number} Edits needed, or Infinity when too far
+ */
+function termDistance(term, word, prefix) {
+  if (prefix ? word.startsWith(term) : word === term) return 0;
+
+  const maxEdits = maxEditsFor(term.length);
+  if (maxEdits === 0) return Infinity;
+
+  let best = Infinity;
+  if (prefix) {
+    for (let length = term.length - maxEdits; length <= term.length + maxEdits; length++) {
+      if (length < 1 || length > word.length) continue;
+      best = Math.min(best, editDistance(term, word.slice(0, length), maxEdits));
+    }
+  } else {
+    best = editDistance(term, word, maxEdits);
+  }
+
+  return best <= maxEdits ? best : Infinity;
+}
+
+/**
+ * Score an index entry against the typed terms (lower is better)
+ * Every term must match a word; the last term may be unfinished
+ * @param {string[]} terms
+ * @param {Object} entry - Index entry with `words` and `normalized`
+ * @param {string} query - Normalized full query
+ * @returns {number} Score, or Infinity when the entry doesn't match
+ */
+function scoreEntry(terms, entry, query) {
+  if (entry.normalized.startsWith(query)) return 0;
+
+  let score = 0;
+  for (let t = 0; t < terms.length; t++) {
+    const isLast = t === terms.length - 1;
+    let best = Infinity;
+
+    entry.words.forEach((word, position) => {
+      const distance = termDistance(terms[t], word, isLast);
+      if (distance !== Infinity) {
+        // Exact word-prefix matches beat typos; earlier words beat later ones
+        best = Math.min(best, 1 + distance * 2 + position * 0.1);
+      }
+    });
+
+    if (best === Infinity) return Infinity;
+    score += best;
+  }
+
+  return score;
+}
+
+/**
+ * Earlier of two launch dates, where null means already launched
+ * @param {Date|null|undefined} current - undefined when there is none yet
+ * @param {Date|null} next
+ * @returns {Date|null}
+ */
+function earliestLaunch(current, next) {
+  if (current === undefined) return next;
+  if (current === null || next === null) return null;
+  return new Date(current) <= new Date(next) ? current : next;
+}
+
+/**
+ * Build index entries from product documents
+ * @param {Object[]} products
+ * @returns {Object[]}
+ */
+function buildEntries(products) {
+  const entries = [];
+  const categories = new Map();
+  const styles = new Map();
+
+  for (const product of products) {
+    if (product.isActive === false) continue;
+
+    entries.push({
+      type: 'product',
+      text: product.name,
+      id: product._id.toString(),
+      slug: product.slug,
+      category: product.category,
+      publishAt: product.publishAt || null
+    });
+
+    // Categories and styles are listed once and become visible with
+    // the earliest launch among their products
+    const addTerm = (map, value) => {
+      if (!value) return;
+      const key = normalize(value);
+      const existing = map.get(key);
+      map.set(key, {
+        text: existing?.text || value,
+        publishAt: earliestLaunch(existing ? existing.publishAt : undefined, product.publishAt || null)
+      });
+    };
+
+    addTerm(categories, product.category);
+    (product.styles || []).forEach(style => addTerm(styles, style));
+  }
+
+  categories.forEach(({ text, publishAt }) => entries.push({ type: 'category', text, publishAt }));
+  styles.forEach(({ text, publishAt }) => entries.push({ type: 'style', text, publishAt }));
+
+  return entries.map(entry => ({
+    ...entry,
+    normalized: normalize(entry.text),
+    words: words(entry.text)
+  }));
+}
+
+/**
+ * Rebuild the in-process suggestion index from the products collection
+ * @returns {Promise<number>} Number of entries
+ */
+async function rebuildSuggestIndex() {
+  const products = await getDB().collection('products')
+    .find({}, { projection: { name: 1, slug: 1, category: 1, styles: 1, isActive: 1, publishAt: 1 } })
+    .toArray();
+
+  suggestIndex = buildEntries(products);
+  return suggestIndex.length;
+}
+
+/**
+ * Rebuild the index without failing the caller (admin writes)
+ * @returns {Promise<void>}
+ */
+async function refreshSuggestIndex() {
+  try {
+    await rebuildSuggestIndex();
+  } catch (error) {
+    console.error('Suggest index rebuild failed:', error);
+    suggestIndex = null; // Rebuilt on the next request instead
+  }
+}
+
+/**
+ * Get the index, building it on first use
+ * @returns {Promise<Object[]>}
+ */
+async function getSuggestIndex() {
+  if (suggestIndex) return suggestIndex;
+
+  if (!building) {
+    building = rebuildSuggestIndex().finally(() => {
+      building = null;
+    });
+  }
+  await building;
+  return suggestIndex;
+}
+
+/**
+ * Rank index entries for a query
+ * @param {Object[]} entries - Index entries
+ * @param {string} query - Raw query
+ * @param {Object} [options]
+ * @param {Object} [options.shopper] - From getShopperContext (early access)
+ * @param {number} [options.limit]
+ * @returns {Object[]} Suggestions without internal fields
+ */
+function rankSuggestions(entries, query, { shopper = {}, limit = DEFAULT_SUGGEST_LIMIT } = {}) {
+  const normalized = normalize(query);
+  const terms = words(query);
+  if (terms.length === 0) return [];
+
+  const max = Math.min(Math.max(parseInt(limit) || DEFAULT_SUGGEST_LIMIT, 1), MAX_SUGGEST_LIMIT);
+
+  return entries
+    .filter(entry => isProductPurchasable({ publishAt: entry.publishAt }, shopper))
+    .map(entry => ({ entry, score: scoreEntry(terms, entry, normalized) }))
+    .filter(({ score }) => score !== Infinity)
+    .sort((a, b) =>
+      a.score - b.score ||
+      TYPE_ORDER[a.entry.type] - TYPE_ORDER[b.entry.type] ||
+      a.entry.text.length - b.entry.text.length
+    )
+    .slice(0, max)
+    .map(({ entry }) => ({
+      type: entry.type,
+      text: entry.text,
+      ...(entry.type === 'product' && { id: entry.id, slug: entry.slug, category: entry.category })
+    }));
+}
+
+/**
+ * Suggestions for a partially typed query
+ * @param {string} query
+ * @param {Object} [options] - See rankSuggestions
+ * @returns {Promise<{query: string, suggestions: Object[]}>}
+ */
+async function suggest(query, options = {}) {
+  const entries = await getSuggestIndex();
+  return {
+    query: String(query || '').trim(),
+    suggestions: rankSuggestions(entries, query, options)
+  };
+}
+
+module.exports = {
+  MAX_SUGGEST_LIMIT,
+  normalize,
+  editDistance,
+  termDistance,
+  buildEntries,
+  rankSuggestions,
+  rebuildSuggestIndex,
+  refreshSuggestIndex,
+  suggest
+};
@@ -0,0 +1,228 @@
+/**
+ * VIP Program
+ * VIP is earned automatically from lifetime spend; the threshold and
+ * early-access window are configurable through the `vip` site_config document
+ */
+
+const { getDB, toObjectId } = require('./mongodb');
+
+// Same roles that pass requireVIP
+const VIP_ROLES = ['VIP', 'ADMIN'];
+
+// Orders that count towards lifetime spend (placed and not cancelled/unpaid)
+const QUALIFYING_ORDER_STATUSES = ['processing', 'shipped', 'delivered'];
+
+/**
+ * Defaults used when no `vip` site_config document exists
+ */
+const DEFAULT_VIP_CONFIG = {
+  spendThreshold: 1000,
+  earlyAccessHours: 48
+};
+
+/**
+ * Whether a user gets VIP benefits
+ * @param {Object} user - req.user (or null for guests)
+ * @returns {boolean}
+ */
+function isVIP(user) {
+  return VIP_ROLES.includes(user?.role);
+}
+
+/**
+ * Load the VIP config from site_config, falling back to defaults
+ * @returns {Promise<{spendThreshold: number, earlyAccessHours: number}>}
+ */
+async function getVipConfig() {
+  const stored = await getDB().collection('site_config').findOne({ key: 'vip' });
+
+  const valid = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  return {
+    spendThreshold: valid(stored?.spendThreshold) && stored.spendThreshold > 0
+      ? stored.spendThreshold
+      : DEFAULT_VIP_CONFIG.spendThreshold,
+    earlyAccessHours: valid(stored?.earlyAccessHours)
+      ? stored.earlyAccessHours
+      : DEFAULT_VIP_CONFIG.earlyAccessHours
+  };
+}
+
+/**
+ * Validate an admin update to the `vip` settings
+ * Blank or null values are rejected rather than read as 0: a threshold of 0
+ * would make every customer VIP
+ * @param {Object} update - Request body
+ * @returns {{error: string}|{config: Object}} Fields to store
+ */
+function validateVipConfig(update) {
+  const config = {};
+  const rules = {
+    spendThreshold: { min: 0, exclusive: true, message: 'spendThreshold must be a number greater than 0' },
+    earlyAccessHours: { min: 0, exclusive: false, message: 'earlyAccessHours must be a number of 0 or more' }
+  };
+
+  for (const [field, rule] of Object.entries(rules)) {
+    if (update[field] === undefined) continue;
+    const raw = update[field];
+    const numeric = typeof raw === 'number' || (typeof raw === 'string' && raw.trim() !== '');
+    const value = numeric ? Number(raw) : NaN;
+    if (!Number.isFinite(value) || value < rule.min || (rule.exclusive && value === rule.min)) {
+      return { error: rule.message };
+    }
+    config[field] = value;
+  }
+
+  return { config };
+}
+
+/**
+ * Pricing/visibility context for the current shopper
+ * VIPs see scheduled products `earlyAccessHours` before their publishAt
+ * and pay VIP prices where a product or variant defines one
+ * @param {Object} user - req.user (or null for guests)
+ * @returns {Promise<{isVIP: boolean, publishCutoff: Date}>}
+ */
+async function getShopperContext(user) {
+  if (!isVIP(user)) {
+    return { isVIP: false, publishCutoff: new Date() };
+  }
+
+  const { earlyAccessHours } = await getVipConfig();
+  return {
+    isVIP: true,
+    publishCutoff: new Date(Date.now() + earlyAccessHours * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Sum of a user's qualifying orders
+ * @param {string|ObjectId} userId
+ * @returns {Promise<number>}
+ */
+async function getLifetimeSpend(userId) {
+  const [result] = await getDB().collection('orders').aggregate([
+    {
+      $match: {
+        userId: toObjectId(userId.toString()),
+        status: { $in: QUALIFYING_ORDER_STATUSES }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+  ]).toArray();
+
+  return Math.round((result?.total || 0) * 100) / 100;
+}
+
+/**
+ * Decide the role a user should have under the spend rule
+ * Admins and VIPs granted by an admin are never changed; spend-earned VIP
+ * is removed again if qualifying orders are cancelled
+ * @param {Object} user - User document (role, vipSource)
+ * @param {number} lifetimeSpend
+ * @param {number} spendThreshold
+ * @returns {string|null} New role, or null when nothing changes
+ */
+function resolveVipRole(user, lifetimeSpend, spendThreshold) {
+  const qualifies = lifetimeSpend >= spendThreshold;
+
+  if (user.role === 'USER' && qualifies) return 'VIP';
+  if (user.role === 'VIP' && user.vipSource === 'spend' && !qualifies) return 'USER';
+  return null;
+}
+
+/**
+ * Re-evaluate a user's VIP status from their orders
+ * Call after anything that changes which orders qualify
+ * @param {string|ObjectId} userId
+ * @returns {Promise<{role: string, changed: boolean, lifetimeSpend: number, spendThreshold: number}|null>}
+ */
+async function refreshVipStatus(userId) {
+  const db = getDB();
+  const user = await db.collection('users').findOne(
+    { _id: toObjectId(userId.toString()) },
+    { projection: { role: 1, vipSource: 1 } }
+  );
+
+  if (!user) return null;
+
+  const [lifetimeSpend, { spendThreshold }] = await Promise.all([
+    getLifetimeSpend(user._id),
+    getVipConfig()
+  ]);
+
+  const newRole = resolveVipRole(user, lifetimeSpend, spendThreshold);
+
+  if (newRole) {
+    const update = newRole === 'VIP'
+      ? { $set: { role: 'VIP', vipSource: 'spend', vipSince: new Date(), updatedAt: new Date() } }
+      : { $set: { role: 'USER', updatedAt: new Date() }, $unset: { vipSource: '', vipSince: '' } };
+
+    await db.collection('users').updateOne({ _id: user._id }, update);
+  }
+
+  return {
+    role: newRole || user.role,
+    changed: !!newRole,
+    lifetimeSpend,
+    spendThreshold
+  };
+}
+
+/**
+ * Re-evaluate every customer's VIP status (e.g. after the threshold changes)
+ * @returns {Promise<{promoted: number, demoted: number}>}
+ */
+async function refreshAllVipStatuses() {
+  const db = getDB();
+  const { spendThreshold } = await getVipConfig();
+
+  const spendByUser = new Map();
+  const totals = await db.collection('orders').aggregate([
+    { $match: { status: { $in: QUALIFYING_ORDER_STATUSES } } },
+    { $group: { _id: '$userId', total: { $sum: '$totalAmount' } } }
+  ]).toArray();
+  totals.forEach(t => spendByUser.set(t._id?.toString(), t.total));
+
+  const users = await db.collection('users')
+    .find({ role: { $in: ['USER', 'VIP'] } }, { projection: { role: 1, vipSource: 1 } })
+    .toArray();
+
+  const promote = [];
+  const demote = [];
+  for (const user of users) {
+    const newRole = resolveVipRole(user, spendByUser.get(user._id.toString()) || 0, spendThreshold);
+    if (newRole === 'VIP') promote.push(user._id);
+    if (newRole === 'USER') demote.push(user._id);
+  }
+
+  const now = new Date();
+  if (promote.length > 0) {
+    await db.collection('users').updateMany(
+      { _id: { $in: promote } },
+      { $set: { role: 'VIP', vipSource: 'spend', vipSince: now, updatedAt: now } }
+    );
+  }
+  if (demote.length > 0) {
+    await db.collection('users').updateMany(
+      { _id: { $in: demote } },
+      { $set: { role: 'USER', updatedAt: now }, $unset: { vipSource: '', vipSince: '' } }
+    );
+  }
+
+  return { promoted: promote.length, demoted: demote.length };
+}
+
+module.exports = {
+  VIP_ROLES,
+  QUALIFYING_ORDER_STATUSES,
+  DEFAULT_VIP_CONFIG,
+  isVIP,
+  getVipConfig,
+  validateVipConfig,
+  getShopperContext,
+  getLifetimeSpend,
+  resolveVipRole,
+  refreshVipStatus,
+  refreshAllVipStatuses
+};
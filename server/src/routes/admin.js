@@ -7,6 +7,46 @@
 const express = require('express');
 const { getDB, isValidObjectId, toObjectId, ObjectId } = require('../lib/mongodb');
 const { authenticate, requireAdmin } = require('../middleware/auth');
+const { recalculateProductStock, releaseStock } = require('../lib/inventory');
+const {
+  ORDER_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  buildStatusHistoryEntry,
+  getProductVariants
+} = require('../lib/orders');
+const {
+  normalizeCode,
+  validatePromotionInput,
+  findPromotionByCode,
+  releaseRedemptions,
+  formatPromotion
+} = require('../lib/promotions');
+const { refreshVipStatus, refreshAllVipStatuses, validateVipConfig } = require('../lib/vip');
+const { refreshSuggestIndex } = require('../lib/suggest');
+const { getSearchAnalytics } = require('../lib/searchAnalytics');
+const { getExperimentAnalytics } = require('../lib/experiments');
+const { handleStockChange } = require('../lib/restock');
+const {
+  REVIEWS,
+  REVIEW_STATUSES,
+  recalculateProductRating,
+  formatReview
+} = require('../lib/reviews');
+const {
+  DEFAULT_RECOMMENDATION_CONFIG,
+  validateRecommendationConfig,
+  getRecommendationConfig,
+  previewRecommendations
+} = require('../lib/recommendations');
+const {
+  STYLE_OPTIONS,
+  COLOR_PALETTE_OPTIONS,
+  FIT_OPTIONS,
+  PRIORITY_OPTIONS,
+  PRODUCT_CATEGORIES,
+  validatePreferences
+} = require('../lib/preferences');
 
 const router = express.Router();
 
@@ -121,6 +161,7 @@ router.get('/users', async (req, res) => {
       email: u.email,
       name: u.name,
       role: u.role,
+      vipSource: u.vipSource || null,
       createdAt: u.createdAt,
     }));
 
@@ -149,10 +190,12 @@ router.patch('/users/:userId/role', async (req, res) => {
       return res.status(400).json({ error: 'Invalid userId' });
     }
 
-    await db.collection('users').updateOne(
-      { _id: toObjectId(userId) },
-      { $set: { role, updatedAt: new Date() } }
-    );
+    // A VIP granted here is kept regardless of spend; other roles drop the marker
+    const update = role === 'VIP'
+      ? { $set: { role, vipSource: 'admin', updatedAt: new Date() } }
+      : { $set: { role, updatedAt: new Date() }, $unset: { vipSource: '', vipSince: '' } };
+
+    await db.collection('users').updateOne({ _id: toObjectId(userId) }, update);
 
     const updatedUser = await db.collection('users').findOne({ 
       _id: toObjectId(userId) 
@@ -220,7 +263,7 @@ router.post('/products', async (req, res) => {
   try {
     const db = getDB();
     const { 
-      name, slug, description, price, originalPrice,
+      name, slug, description, price, originalPrice, vipPrice,
       category, sizes, colors, images, details, styles,
       variants, metadata,
       status, isFeatured, isActive
@@ -275,6 +318,7 @@ router.post('/products', async (req, res) => {
       description: description || '',
       price: parseFloat(price),
       originalPrice: originalPrice ? parseFloat(originalPrice) : null,
+      vipPrice: vipPrice ? parseFloat(vipPrice) : null,
       category,
       sizes: productSizes,
       colors: productColors,
@@ -294,11 +338,14 @@ router.post('/products', async (req, res) => {
       isActive: isActive !== false,
       stock: totalStock,
       publishAt: null,
+      ratingAverage: 0,
+      ratingCount: 0,
       createdAt: new Date(),
       updatedAt: new Date()
     };
 
     const result = await db.collection('products').insertOne(newProduct);
+    await refreshSuggestIndex();
 
     res.status(201).json({
       message: 'Product created',
@@ -331,6 +378,10 @@ router.patch('/products/:productId', async (req, res) => {
     delete updates._id;
     delete updates.id;
     delete updates.createdAt;
+    // Ratings are derived from approved reviews
+    delete updates.ratingAverage;
+    delete updates.ratingCount;
+    delete updates.fitFeedback;
 
     // Add updatedAt
     updates.updatedAt = new Date();
@@ -348,6 +399,8 @@ router.patch('/products/:productId', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    await refreshSuggestIndex();
+
     res.json({
       message: 'Product updated',
       product: {
@@ -382,6 +435,9 @@ router.delete('/products/:productId', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    await db.collection(REVIEWS).deleteMany({ productId: toObjectId(productId) });
+    await refreshSuggestIndex();
+
     res.json({ message: 'Product deleted' });
   } catch (error) {
     console.error('Admin delete product error:', error);
@@ -427,6 +483,8 @@ router.get('/orders', async (req, res) => {
       status: o.status,
       items: o.items,
       shippingAddress: o.shippingAddress,
+      statusHistory: o.statusHistory || [],
+      allowedStatuses: getAllowedTransitions(o.status),
       user: userMap[o.userId?.toString()] || null,
       createdAt: o.createdAt,
       updatedAt: o.updatedAt,
@@ -441,7 +499,10 @@ router.get('/orders', async (req, res) => {
 
 /**
  * PATCH /api/admin/orders/:orderId/status
- * Update order status
+ * Move an order to its next status
+ * Enforces pending → processing → shipped → delivered (cancel only before shipped)
+ * and records the change in statusHistory. Responds 409 on illegal transitions.
+ * Cancelling returns the order's items to stock.
  */
 router.patch('/orders/:orderId/status', async (req, res) => {
   try {
@@ -449,11 +510,10 @@ router.patch('/orders/:orderId/status', async (req, res) => {
     const { orderId } = req.params;
     const { status } = req.body;
 
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ 
         error: 'Invalid status',
-        validStatuses 
+        validStatuses: ORDER_STATUSES
       });
     }
 
@@ -461,25 +521,57 @@ router.patch('/orders/:orderId/status', async (req, res) => {
       return res.status(400).json({ error: 'Invalid orderId' });
     }
 
-    await db.collection('orders').updateOne(
-      { _id: toObjectId(orderId) },
-      { $set: { status, updatedAt: new Date() } }
-    );
-
-    const updatedOrder = await db.collection('orders').findOne({ 
+    const order = await db.collection('orders').findOne({ 
       _id: toObjectId(orderId) 
     });
 
-    if (!updatedOrder) {
+    if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    if (!canTransition(order.status, status)) {
+      return res.status(409).json({
+        error: `Cannot change order status from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedStatuses: getAllowedTransitions(order.status)
+      });
+    }
+
+    // Only apply if nobody changed the status in the meantime
+    const updatedOrder = await db.collection('orders').findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status, updatedAt: new Date() },
+        $push: { statusHistory: buildStatusHistoryEntry(order.status, status, req.user) }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        error: 'Order status was changed by someone else, please refresh'
+      });
+    }
+
+    // Return cancelled units to their variants and free up any promo code use
+    if (status === 'cancelled') {
+      await releaseStock(updatedOrder.items);
+      await releaseRedemptions(updatedOrder);
+    }
+
+    // Lifetime spend only counts confirmed orders, so VIP may change here
+    if (updatedOrder.userId) {
+      await refreshVipStatus(updatedOrder.userId);
+    }
+
     res.json({
       message: 'Order status updated',
       order: {
         id: updatedOrder._id.toString(),
         orderNumber: updatedOrder.orderNumber,
         status: updatedOrder.status,
+        statusHistory: updatedOrder.statusHistory,
+        allowedStatuses: getAllowedTransitions(updatedOrder.status),
       }
     });
   } catch (error) {
@@ -630,6 +722,39 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/analytics/search
+ * Search insights: top terms, zero-result terms and click-through rate
+ * Query params: days (default 30, max 365), limit (default 10, max 50)
+ */
+router.get('/analytics/search', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    res.json(await getSearchAnalytics({ days, limit }));
+  } catch (error) {
+    console.error('Admin search analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch search analytics' });
+  }
+});
+
+/**
+ * GET /api/admin/analytics/recommendations
+ * Recommendation A/B test: impressions, click-through and add-to-cart
+ * rate per variant
+ * Query params: days (default 30, max 365)
+ */
+router.get('/analytics/recommendations', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    res.json(await getExperimentAnalytics({ days }));
+  } catch (error) {
+    console.error('Admin recommendation analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendation analytics' });
+  }
+});
+
 /**
  * GET /api/admin/inventory
  * Get flattened inventory view (Stock Command Center)
@@ -676,6 +801,7 @@ router.get('/inventory', async (req, res) => {
  * PATCH /api/admin/inventory/:sku
  * Update stock for a specific SKU (inline editing)
  * Uses MongoDB positional operator for efficient updates
+ * Restocking a sold-out SKU notifies its back-in-stock subscribers
  */
 router.patch('/inventory/:sku', async (req, res) => {
   try {
@@ -688,52 +814,45 @@ router.patch('/inventory/:sku', async (req, res) => {
     }
 
     // Try to update in variants array first, then inventory array
-    let result = await db.collection('products').updateOne(
+    // The pre-update document tells us whether the SKU was sold out
+    let product = await db.collection('products').findOneAndUpdate(
       { 'variants.sku': sku },
       { 
         $set: { 
           'variants.$.stock': stock,
           updatedAt: new Date()
         }
-      }
+      },
+      { returnDocument: 'before' }
     );
 
     // Fallback to inventory array if variants not found
-    if (result.matchedCount === 0) {
-      result = await db.collection('products').updateOne(
+    if (!product) {
+      product = await db.collection('products').findOneAndUpdate(
         { 'inventory.sku': sku },
         { 
           $set: { 
             'inventory.$.stock': stock,
             updatedAt: new Date()
           }
-        }
+        },
+        { returnDocument: 'before' }
       );
     }
 
-    if (result.matchedCount === 0) {
+    if (!product) {
       return res.status(404).json({ error: `SKU ${sku} not found` });
     }
 
     // Recalculate total stock for the product
-    const product = await db.collection('products').findOne(
-      { $or: [{ 'variants.sku': sku }, { 'inventory.sku': sku }] }
-    );
-    
-    if (product) {
-      const variants = product.variants || product.inventory || [];
-      const totalStock = variants.reduce((sum, v) => sum + (v.stock || 0), 0);
-      
-      await db.collection('products').updateOne(
-        { _id: product._id },
-        { $set: { stock: totalStock } }
-      );
-    }
+    await recalculateProductStock(product._id);
+    const notified = await handleStockChange(product, sku, stock);
 
     res.json({
       message: 'Stock updated',
       sku,
-      stock
+      stock,
+      notified
     });
   } catch (error) {
     console.error('Admin update SKU stock error:', error);
@@ -784,6 +903,7 @@ router.get('/products/:id/inventory', async (req, res) => {
 /**
  * PATCH /api/admin/products/:id/inventory
  * Update inventory for a specific variant (by size+color or SKU)
+ * Restocking a sold-out variant notifies its back-in-stock subscribers
  */
 router.patch('/products/:id/inventory', async (req, res) => {
   try {
@@ -799,76 +919,79 @@ router.patch('/products/:id/inventory', async (req, res) => {
       return res.status(400).json({ error: 'Stock must be a non-negative number' });
     }
 
-    let result;
+    let product;
     
     // If SKU provided, use it for targeting
     if (sku) {
-      result = await db.collection('products').updateOne(
+      product = await db.collection('products').findOneAndUpdate(
         { _id: toObjectId(id), 'variants.sku': sku },
         { 
           $set: { 
             'variants.$.stock': stock,
             updatedAt: new Date()
           }
-        }
+        },
+        { returnDocument: 'before' }
       );
       
       // Fallback to inventory array
-      if (result.matchedCount === 0) {
-        result = await db.collection('products').updateOne(
+      if (!product) {
+        product = await db.collection('products').findOneAndUpdate(
           { _id: toObjectId(id), 'inventory.sku': sku },
           { 
             $set: { 
               'inventory.$.stock': stock,
               updatedAt: new Date()
             }
-          }
+          },
+          { returnDocument: 'before' }
         );
       }
     } else {
       // Use size + color for targeting (legacy)
-      result = await db.collection('products').updateOne(
+      product = await db.collection('products').findOneAndUpdate(
         { _id: toObjectId(id), 'variants.size': size, 'variants.color': color },
         { 
           $set: { 
             'variants.$.stock': stock,
             updatedAt: new Date()
           }
-        }
+        },
+        { returnDocument: 'before' }
       );
       
       // Fallback to inventory array
-      if (result.matchedCount === 0) {
-        result = await db.collection('products').updateOne(
+      if (!product) {
+        product = await db.collection('products').findOneAndUpdate(
           { _id: toObjectId(id), 'inventory.size': size, 'inventory.color': color },
           { 
             $set: { 
               'inventory.$.stock': stock,
               updatedAt: new Date()
             }
-          }
+          },
+          { returnDocument: 'before' }
         );
       }
     }
 
-    if (result.matchedCount === 0) {
+    if (!product) {
       return res.status(404).json({ error: 'Variant not found' });
     }
 
     // Recalculate total stock
-    const product = await db.collection('products').findOne({ _id: toObjectId(id) });
-    const variants = product.variants || product.inventory || [];
-    const totalStock = variants.reduce((sum, v) => sum + (v.stock || 0), 0);
-    
-    await db.collection('products').updateOne(
-      { _id: toObjectId(id) },
-      { $set: { stock: totalStock } }
-    );
+    const totalStock = await recalculateProductStock(toObjectId(id));
+
+    // Size + color updates don't name the SKU; look it up for subscribers
+    const variantSku = sku || getProductVariants(product)
+      .find(v => v.size === size && v.color === color)?.sku;
+    const notified = variantSku ? await handleStockChange(product, variantSku, stock) : 0;
 
     res.json({
       message: 'Inventory updated',
       variant: { sku, size, color, stock },
-      totalStock
+      totalStock,
+      notified
     });
   } catch (error) {
     console.error('Admin update inventory error:', error);
@@ -901,6 +1024,7 @@ router.patch('/products/:id/schedule', async (req, res) => {
         }
       }
     );
+    await refreshSuggestIndex();
 
     res.json({
       message: scheduleDate 
@@ -914,6 +1038,362 @@ router.patch('/products/:id/schedule', async (req, res) => {
   }
 });
 
+// ============================================
+// PROMOTIONS
+// ============================================
+
+/**
+ * GET /api/admin/promotions
+ * List all promo codes with usage counts
+ */
+router.get('/promotions', async (req, res) => {
+  try {
+    const db = getDB();
+
+    const promotions = await db.collection('promotions')
+      .find({})
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json(promotions.map(formatPromotion));
+  } catch (error) {
+    console.error('Admin promotions error:', error);
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+});
+
+/**
+ * POST /api/admin/promotions
+ * Create a promo code
+ * Body: { code, description, type: percentage|fixed, value, minSubtotal,
+ *         categories, productIds, vipOnly, usageLimit, perUserLimit,
+ *         startsAt, endsAt, isActive }
+ */
+router.post('/promotions', async (req, res) => {
+  try {
+    const db = getDB();
+    const { errors, promotion } = validatePromotionInput(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid promotion', details: errors });
+    }
+
+    if (await findPromotionByCode(promotion.code)) {
+      return res.status(409).json({ error: `Code ${promotion.code} already exists` });
+    }
+
+    const now = new Date();
+    const doc = { ...promotion, usageCount: 0, createdAt: now, updatedAt: now };
+    const result = await db.collection('promotions').insertOne(doc);
+
+    res.status(201).json({
+      message: 'Promotion created',
+      promotion: formatPromotion({ _id: result.insertedId, ...doc })
+    });
+  } catch (error) {
+    console.error('Admin create promotion error:', error);
+    res.status(500).json({ error: 'Failed to create promotion' });
+  }
+});
+
+/**
+ * PATCH /api/admin/promotions/:promotionId
+ * Update a promo code (e.g. extend its window or switch it off)
+ */
+router.patch('/promotions/:promotionId', async (req, res) => {
+  try {
+    const db = getDB();
+    const { promotionId } = req.params;
+
+    if (!isValidObjectId(promotionId)) {
+      return res.status(400).json({ error: 'Invalid promotionId' });
+    }
+
+    const existing = await db.collection('promotions').findOne({
+      _id: toObjectId(promotionId)
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const { errors, promotion } = validatePromotionInput({
+      ...formatPromotion(existing),
+      ...req.body
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid promotion', details: errors });
+    }
+
+    if (promotion.code !== existing.code && await findPromotionByCode(promotion.code)) {
+      return res.status(409).json({ error: `Code ${promotion.code} already exists` });
+    }
+
+    const updated = await db.collection('promotions').findOneAndUpdate(
+      { _id: existing._id },
+      { $set: { ...promotion, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    res.json({
+      message: 'Promotion updated',
+      promotion: formatPromotion(updated)
+    });
+  } catch (error) {
+    console.error('Admin update promotion error:', error);
+    res.status(500).json({ error: 'Failed to update promotion' });
+  }
+});
+
+/**
+ * DELETE /api/admin/promotions/:promotionId
+ * Delete a promo code
+ * Codes that have been redeemed are deactivated instead, to keep order history intact
+ */
+router.delete('/promotions/:promotionId', async (req, res) => {
+  try {
+    const db = getDB();
+    const { promotionId } = req.params;
+
+    if (!isValidObjectId(promotionId)) {
+      return res.status(400).json({ error: 'Invalid promotionId' });
+    }
+
+    const promotion = await db.collection('promotions').findOne({
+      _id: toObjectId(promotionId)
+    });
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const redeemed = await db.collection('promotion_redemptions').countDocuments(
+      { promotionId: promotion._id },
+      { limit: 1 }
+    );
+
+    if (redeemed) {
+      await db.collection('promotions').updateOne(
+        { _id: promotion._id },
+        { $set: { isActive: false, updatedAt: new Date() } }
+      );
+      return res.json({ message: 'Promotion has been used and was deactivated instead' });
+    }
+
+    await db.collection('promotions').deleteOne({ _id: promotion._id });
+
+    res.json({ message: 'Promotion deleted' });
+  } catch (error) {
+    console.error('Admin delete promotion error:', error);
+    res.status(500).json({ error: 'Failed to delete promotion' });
+  }
+});
+
+// ============================================
+// REVIEW MODERATION
+// ============================================
+
+/**
+ * GET /api/admin/reviews
+ * List reviews for moderation, oldest pending first
+ * Query params: status (pending|approved|rejected, default pending), page, limit
+ */
+router.get('/reviews', async (req, res) => {
+  try {
+    const db = getDB();
+    const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [reviews, total, counts] = await Promise.all([
+      db.collection(REVIEWS).find({ status })
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      db.collection(REVIEWS).countDocuments({ status }),
+      db.collection(REVIEWS).aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+
+    const products = await db.collection('products')
+      .find(
+        { _id: { $in: [...new Set(reviews.map(r => r.productId.toString()))].map(toObjectId) } },
+        { projection: { name: 1, slug: 1, images: 1 } }
+      )
+      .toArray();
+    const productMap = Object.fromEntries(products.map(p => [p._id.toString(), p]));
+
+    res.json({
+      reviews: reviews.map(review => {
+        const product = productMap[review.productId.toString()];
+        return {
+          ...formatReview(review),
+          product: product
+            ? { id: product._id.toString(), name: product.name, slug: product.slug, image: product.images?.[0] || null }
+            : null
+        };
+      }),
+      counts: Object.fromEntries(
+        REVIEW_STATUSES.map(s => [s, counts.find(c => c._id === s)?.count || 0])
+      ),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    });
+  } catch (error) {
+    console.error('Admin reviews error:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+/**
+ * PATCH /api/admin/reviews/:reviewId
+ * Approve or reject a review and refresh the product's rating
+ * Body: { status: pending|approved|rejected }
+ */
+router.patch('/reviews/:reviewId', async (req, res) => {
+  try {
+    const db = getDB();
+    const { reviewId } = req.params;
+    const { status } = req.body;
+
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: 'Invalid reviewId' });
+    }
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const review = await db.collection(REVIEWS).findOneAndUpdate(
+      { _id: toObjectId(reviewId) },
+      {
+        $set: {
+          status,
+          moderatedBy: toObjectId(req.user._id),
+          moderatedAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const rating = await recalculateProductRating(review.productId);
+
+    res.json({
+      message: `Review ${status}`,
+      review: formatReview(review),
+      rating
+    });
+  } catch (error) {
+    console.error('Admin moderate review error:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+/**
+ * DELETE /api/admin/reviews/:reviewId
+ * Delete a review and refresh the product's rating
+ */
+router.delete('/reviews/:reviewId', async (req, res) => {
+  try {
+    const db = getDB();
+    const { reviewId } = req.params;
+
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: 'Invalid reviewId' });
+    }
+
+    const review = await db.collection(REVIEWS).findOneAndDelete({ _id: toObjectId(reviewId) });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await recalculateProductRating(review.productId);
+
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    console.error('Admin delete review error:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+// ============================================
+// RECOMMENDATIONS
+// ============================================
+
+/**
+ * GET /api/admin/recommendations/config
+ * Effective scoring weights and mappings (stored values over defaults),
+ * the defaults, and the quiz options the mappings are keyed by
+ */
+router.get('/recommendations/config', async (req, res) => {
+  try {
+    res.json({
+      config: await getRecommendationConfig(),
+      defaults: DEFAULT_RECOMMENDATION_CONFIG,
+      options: {
+        styles: STYLE_OPTIONS,
+        colorPalettes: COLOR_PALETTE_OPTIONS,
+        fits: FIT_OPTIONS,
+        priorities: PRIORITY_OPTIONS,
+        categories: PRODUCT_CATEGORIES
+      }
+    });
+  } catch (error) {
+    console.error('Admin recommendation config error:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendation settings' });
+  }
+});
+
+/**
+ * POST /api/admin/recommendations/preview
+ * Top 8 recommendations a draft config gives, without saving it
+ * Body: { config?, preferences?, userId? } - config fields override the
+ * stored ones; preferences are sample quiz answers; userId adds that
+ * customer's order/wishlist/cart/view history
+ */
+router.post('/recommendations/preview', async (req, res) => {
+  try {
+    const { config: draft = {}, preferences: sample = null, userId = null } = req.body;
+
+    const { error: configError, config } = validateRecommendationConfig(draft);
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+
+    let preferences = null;
+    if (sample) {
+      const result = validatePreferences(sample);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      preferences = result.preferences;
+    }
+
+    if (userId && !isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid userId' });
+    }
+
+    res.json(await previewRecommendations({ config, preferences, userId }));
+  } catch (error) {
+    console.error('Admin recommendation preview error:', error);
+    res.status(500).json({ error: 'Failed to preview recommendations' });
+  }
+});
+
 // ============================================
 // SITE SETTINGS
 // ============================================
@@ -960,6 +1440,33 @@ router.patch('/settings/:key', async (req, res) => {
     delete updates.id;
     delete updates.key;
 
+    // The promo banner can advertise a code; it must exist
+    if (key === 'promo_banner' && updates.promoCode !== undefined) {
+      updates.promoCode = normalizeCode(updates.promoCode) || null;
+      if (updates.promoCode && !(await findPromotionByCode(updates.promoCode))) {
+        return res.status(400).json({ error: `Unknown promo code ${updates.promoCode}` });
+      }
+    }
+
+    // VIP rules must be real numbers; a threshold of 0 would make everyone VIP
+    if (key === 'vip') {
+      const { error, config } = validateVipConfig(updates);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      Object.assign(updates, config);
+    }
+
+    // Recommendation weights and mappings feed the scoring pipeline
+    if (key === 'recommendations') {
+      const { error, config } = validateRecommendationConfig(updates);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      Object.keys(updates).forEach(field => delete updates[field]);
+      Object.assign(updates, config);
+    }
+
     // Add updatedAt
     updates.updatedAt = new Date();
 
@@ -972,13 +1479,20 @@ router.patch('/settings/:key', async (req, res) => {
 
     const updatedSetting = await db.collection('site_config').findOne({ key });
 
+    // A new spend threshold applies to everyone straight away
+    let vipChanges;
+    if (key === 'vip') {
+      vipChanges = await refreshAllVipStatuses();
+    }
+
     res.json({
       message: 'Setting updated',
       setting: {
         id: updatedSetting._id.toString(),
         key,
         ...updates
-      }
+      },
+      ...(vipChanges && { vipChanges })
     });
   } catch (error) {
     console.error('Admin update setting error:', error);
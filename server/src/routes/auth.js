@@ -7,6 +7,8 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { getDB, isValidObjectId, toObjectId } = require('../lib/mongodb');
 const { generateToken, authenticate, isNewUser } = require('../middleware/auth');
+const { VIP_ROLES, getVipConfig, refreshVipStatus } = require('../lib/vip');
+const { validatePreferences, mergePreferences } = require('../lib/preferences');
 
 const router = express.Router();
 
@@ -147,22 +149,25 @@ router.get('/me', authenticate, async (req, res) => {
 
 /**
  * PATCH /api/auth/preferences
- * Update user preferences (style quiz, sizes, etc.)
+ * Update user preferences (style quiz, sizes, measurements)
+ * Unknown keys are rejected; a null value clears a preference
  * Requires: Bearer token
- * Body: { preferences: {...} }
+ * Body: { preferences: { favoriteStyle?, colorPalette?, preferredFit?, wardrobePriority?,
+ *   preferredSize?, preferredSizes?: { [category]: size },
+ *   measurements?: { chest?, waist?, hips?, inseam?, unit: 'in' | 'cm' },
+ *   hasCompletedQuiz?, quizCompletedAt? } }
  */
 router.patch('/preferences', authenticate, async (req, res) => {
   try {
     const db = getDB();
-    const { preferences } = req.body;
+    const { error, preferences } = validatePreferences(req.body.preferences);
 
-    if (!preferences || typeof preferences !== 'object') {
-      return res.status(400).json({ error: 'preferences object is required' });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
     // Merge with existing preferences
-    const currentPrefs = req.user.preferences || {};
-    const mergedPrefs = { ...currentPrefs, ...preferences };
+    const mergedPrefs = mergePreferences(req.user.preferences, preferences);
 
     await db.collection('users').updateOne(
       { _id: toObjectId(req.user._id) },
@@ -197,44 +202,29 @@ router.patch('/preferences', authenticate, async (req, res) => {
 });
 
 /**
- * POST /api/auth/upgrade-vip
- * Upgrade user to VIP (demo)
+ * GET /api/auth/vip-status
+ * VIP progress for the current user
+ * VIP is earned automatically once lifetime spend reaches the configured threshold
+ * Requires: Bearer token
  */
-router.post('/upgrade-vip', authenticate, async (req, res) => {
+router.get('/vip-status', authenticate, async (req, res) => {
   try {
-    const db = getDB();
-
-    await db.collection('users').updateOne(
-      { _id: toObjectId(req.user._id) },
-      { 
-        $set: { 
-          role: 'VIP',
-          updatedAt: new Date()
-        }
-      }
-    );
-
-    const updatedUser = await db.collection('users').findOne({ 
-      _id: toObjectId(req.user._id) 
-    });
-
-    const token = generateToken(updatedUser);
+    const [status, config] = await Promise.all([
+      refreshVipStatus(req.user._id),
+      getVipConfig()
+    ]);
 
     res.json({
-      message: 'Upgraded to VIP successfully!',
-      user: {
-        id: updatedUser._id.toString(),
-        email: updatedUser.email,
-        name: updatedUser.name,
-        role: updatedUser.role,
-        preferences: updatedUser.preferences,
-        createdAt: updatedUser.createdAt,
-      },
-      token,
+      role: status.role,
+      isVIP: VIP_ROLES.includes(status.role),
+      lifetimeSpend: status.lifetimeSpend,
+      spendThreshold: status.spendThreshold,
+      amountToVIP: Math.max(Math.round((status.spendThreshold - status.lifetimeSpend) * 100) / 100, 0),
+      earlyAccessHours: config.earlyAccessHours,
     });
   } catch (error) {
-    console.error('VIP upgrade error:', error);
-    res.status(500).json({ error: 'Failed to upgrade' });
+    console.error('VIP status error:', error);
+    res.status(500).json({ error: 'Failed to fetch VIP status' });
   }
 });
 
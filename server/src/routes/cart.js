@@ -6,53 +6,244 @@
 const express = require('express');
 const { getDB, isValidObjectId, toObjectId } = require('../lib/mongodb');
 const { authenticate } = require('../middleware/auth');
+const {
+  findVariant,
+  getVariantPrice,
+  isProductPurchasable
+} = require('../lib/orders');
+const { getPricingConfig, calculateTotals } = require('../lib/pricing');
+const {
+  normalizeCode,
+  evaluateCode,
+  getAppliedDiscount,
+  setAppliedCode
+} = require('../lib/promotions');
+const { getShopperContext } = require('../lib/vip');
 
 const router = express.Router();
 
+/**
+ * Max units of one variant a shopper can hold in a single cart line
+ */
+const MAX_LINE_QUANTITY = 10;
+
+/**
+ * Check that a quantity is a positive whole number
+ * @param {*} quantity
+ * @returns {boolean}
+ */
+function isValidQuantity(quantity) {
+  return Number.isInteger(quantity) && quantity >= 1;
+}
+
+/**
+ * Get a user's cart items joined with product details
+ * Flags lines whose product became unavailable, ran out of stock
+ * or changed price since it was added
+ * @param {Db} db - MongoDB database instance
+ * @param {string} userId - User ID
+ * @param {Object} shopper - From getShopperContext (VIP price / early access)
+ * @returns {Promise<Array>}
+ */
+async function getCartWithProducts(db, userId, shopper) {
+  // Get cart items
+  const cartItems = await db.collection('cartItems')
+    .find({ userId: toObjectId(userId) })
+    .toArray();
+
+  // Get product details for each cart item
+  const productIds = cartItems.map(item => item.productId);
+  const products = await db.collection('products')
+    .find({ _id: { $in: productIds } })
+    .toArray();
+
+  // Create a map for quick lookup
+  const productMap = {};
+  products.forEach(p => {
+    productMap[p._id.toString()] = p;
+  });
+
+  // Combine cart items with product data
+  return cartItems.map(item => {
+    const product = productMap[item.productId.toString()];
+    if (!product) return null;
+
+    const variant = findVariant(product, item.size, item.color);
+    const unitPrice = getVariantPrice(product, variant, shopper);
+    const availableStock = variant?.stock || 0;
+    const isAvailable = isProductPurchasable(product, shopper) && !!variant;
+
+    return {
+      id: item._id.toString(),
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      sku: variant?.sku || null,
+      unitPrice,
+      availableStock,
+      flags: {
+        unavailable: !isAvailable,
+        outOfStock: isAvailable && availableStock === 0,
+        insufficientStock: isAvailable && availableStock > 0 && availableStock < item.quantity,
+        priceChanged: item.priceAtAdd != null && item.priceAtAdd !== unitPrice,
+      },
+      previousPrice: item.priceAtAdd ?? null,
+      product: {
+        id: product._id.toString(),
+        name: product.name,
+        price: product.price,
+        images: product.images,
+        slug: product.slug,
+        category: product.category,
+      }
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Priced lines for the pricing/promotions engines
+ * Lines that can't currently be ordered are left out
+ * @param {Array} cartItems - Result of getCartWithProducts
+ * @returns {Array} { productId, category, price, quantity }
+ */
+function toPricedLines(cartItems) {
+  return cartItems
+    .filter(item => !item.flags.unavailable && !item.flags.outOfStock)
+    .map(item => ({
+      productId: item.product.id,
+      category: item.product.category,
+      price: item.unitPrice,
+      quantity: item.quantity
+    }));
+}
+
+/**
+ * Price a user's cart including the promo code they applied
+ * @param {Db} db - MongoDB database instance
+ * @param {Object} user - req.user
+ * @param {Object} [destination] - { country, state } for tax
+ * @returns {Promise<Object>} calculateTotals result plus promoCode / promoError
+ */
+async function getCartSummary(db, user, destination) {
+  const shopper = await getShopperContext(user);
+  const [cartItems, config] = await Promise.all([
+    getCartWithProducts(db, user._id, shopper),
+    getPricingConfig(),
+  ]);
+
+  const lines = toPricedLines(cartItems);
+  const applied = await getAppliedDiscount(user, lines);
+
+  return {
+    ...calculateTotals(lines, {
+      config,
+      destination,
+      discounts: applied.discount ? [applied.discount] : []
+    }),
+    promoCode: applied.code,
+    // Set when the applied code stopped qualifying (e.g. items removed, code expired)
+    promoError: applied.error
+  };
+}
+
+/**
+ * Add a line to a user's cart, or increase its quantity if the same
+ * product/size/color is already there. The variant must exist and be in
+ * stock; the resulting quantity is clamped to available stock.
+ * @param {Db} db - MongoDB database instance
+ * @param {string} userId - User ID
+ * @param {Object} line - { productId, quantity, size, color }
+ * @param {Object} shopper - From getShopperContext (VIP price / early access)
+ * @returns {Promise<{status: number, error?: string, item?: Object, created?: boolean, clamped?: boolean}>}
+ */
+async function addCartLine(db, userId, { productId, quantity = 1, size, color }, shopper) {
+  if (!productId || !size || !color) {
+    return { status: 400, error: 'productId, size, and color are required' };
+  }
+
+  if (!isValidObjectId(productId)) {
+    return { status: 400, error: 'Invalid productId' };
+  }
+
+  if (!isValidQuantity(quantity)) {
+    return { status: 400, error: 'quantity must be a positive integer' };
+  }
+
+  // Check if product exists and is on sale
+  const product = await db.collection('products').findOne({ 
+    _id: toObjectId(productId) 
+  });
+
+  if (!product || !isProductPurchasable(product, shopper)) {
+    return { status: 404, error: 'Product not found' };
+  }
+
+  const variant = findVariant(product, size, color);
+  if (!variant) {
+    return { status: 400, error: `Size ${size} is not available in this color` };
+  }
+
+  const maxQuantity = Math.min(variant.stock || 0, MAX_LINE_QUANTITY);
+  if (maxQuantity === 0) {
+    return { status: 409, error: 'This size is out of stock' };
+  }
+
+  const colorName = typeof color === 'object' ? color.name : color;
+
+  // Check if item already in cart
+  const existingItem = await db.collection('cartItems').findOne({
+    userId: toObjectId(userId),
+    productId: toObjectId(productId),
+    size,
+    'color.name': colorName
+  });
+
+  const requested = (existingItem?.quantity || 0) + quantity;
+  const newQuantity = Math.min(requested, maxQuantity);
+  const clamped = newQuantity < requested;
+
+  if (existingItem) {
+    // Update quantity
+    const updatedItem = await db.collection('cartItems').findOneAndUpdate(
+      { _id: existingItem._id },
+      { 
+        $set: { quantity: newQuantity, updatedAt: new Date() }
+      },
+      { returnDocument: 'after' }
+    );
+
+    return { status: 200, item: updatedItem, created: false, clamped };
+  }
+
+  // Create new cart item
+  const newItem = {
+    userId: toObjectId(userId),
+    productId: toObjectId(productId),
+    sku: variant.sku,
+    quantity: newQuantity,
+    size,
+    color: typeof color === 'object' ? color : { name: color, value: variant.colorValue || color },
+    priceAtAdd: getVariantPrice(product, variant, shopper),
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  const result = await db.collection('cartItems').insertOne(newItem);
+
+  return { status: 201, item: { _id: result.insertedId, ...newItem }, created: true, clamped };
+}
+
 /**
  * GET /api/cart
- * Get user's cart items with product details
+ * Get user's cart items with product details and availability flags
+ * (unavailable, outOfStock, insufficientStock, priceChanged)
  * Requires: Bearer token
  */
 router.get('/', authenticate, async (req, res) => {
   try {
     const db = getDB();
-    const userId = req.user._id;
-
-    // Get cart items
-    const cartItems = await db.collection('cartItems')
-      .find({ userId: toObjectId(userId) })
-      .toArray();
-
-    // Get product details for each cart item
-    const productIds = cartItems.map(item => item.productId);
-    const products = await db.collection('products')
-      .find({ _id: { $in: productIds } })
-      .toArray();
-
-    // Create a map for quick lookup
-    const productMap = {};
-    products.forEach(p => {
-      productMap[p._id.toString()] = p;
-    });
-
-    // Combine cart items with product data
-    const itemsWithProducts = cartItems.map(item => {
-      const product = productMap[item.productId.toString()];
-      return {
-        id: item._id.toString(),
-        quantity: item.quantity,
-        size: item.size,
-        color: item.color,
-        product: product ? {
-          id: product._id.toString(),
-          name: product.name,
-          price: product.price,
-          images: product.images,
-          slug: product.slug,
-        } : null
-      };
-    }).filter(item => item.product !== null);
+    const shopper = await getShopperContext(req.user);
+    const itemsWithProducts = await getCartWithProducts(db, req.user._id, shopper);
 
     res.json(itemsWithProducts);
   } catch (error) {
@@ -62,85 +253,107 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 /**
- * POST /api/cart
- * Add item to cart or update quantity if exists
+ * GET /api/cart/summary
+ * Price breakdown of the user's cart: subtotal, discounts, shipping, tax, total
+ * Lines that can't currently be ordered are left out
  * Requires: Bearer token
- * Body: { productId, quantity, size, color }
+ * Query params: country, state (destination for tax)
  */
-router.post('/', authenticate, async (req, res) => {
+router.get('/summary', authenticate, async (req, res) => {
   try {
     const db = getDB();
-    const userId = req.user._id;
-    const { productId, quantity = 1, size, color } = req.body;
+    const { country, state } = req.query;
 
-    if (!productId || !size || !color) {
-      return res.status(400).json({ 
-        error: 'productId, size, and color are required' 
-      });
-    }
+    res.json(await getCartSummary(db, req.user, { country, state }));
+  } catch (error) {
+    console.error('Error calculating cart summary:', error);
+    res.status(500).json({ error: 'Failed to calculate cart summary' });
+  }
+});
 
-    if (!isValidObjectId(productId)) {
-      return res.status(400).json({ error: 'Invalid productId' });
+/**
+ * POST /api/cart/apply-code
+ * Apply a promo code to the cart
+ * The code is re-checked whenever the cart is priced and again at checkout
+ * Requires: Bearer token
+ * Body: { code }
+ */
+router.post('/apply-code', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const code = normalizeCode(req.body.code);
+
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
     }
 
-    // Check if product exists
-    const product = await db.collection('products').findOne({ 
-      _id: toObjectId(productId) 
-    });
+    const shopper = await getShopperContext(req.user);
+    const cartItems = await getCartWithProducts(db, req.user._id, shopper);
+    const { discount, error } = await evaluateCode(code, req.user, toPricedLines(cartItems));
 
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (error) {
+      return res.status(422).json({ error });
     }
 
-    // Check if item already in cart
-    const existingItem = await db.collection('cartItems').findOne({
-      userId: toObjectId(userId),
-      productId: toObjectId(productId),
-      size,
-      'color.name': typeof color === 'object' ? color.name : color
+    await setAppliedCode(req.user._id, code);
+
+    res.json({
+      message: `Code ${code} applied`,
+      discount,
+      summary: await getCartSummary(db, req.user)
     });
+  } catch (error) {
+    console.error('Error applying promo code:', error);
+    res.status(500).json({ error: 'Failed to apply promo code' });
+  }
+});
 
-    if (existingItem) {
-      // Update quantity
-      await db.collection('cartItems').updateOne(
-        { _id: existingItem._id },
-        { 
-          $inc: { quantity },
-          $set: { updatedAt: new Date() }
-        }
-      );
-
-      const updatedItem = await db.collection('cartItems').findOne({ 
-        _id: existingItem._id 
-      });
-
-      return res.json({
-        message: 'Cart item updated',
-        item: {
-          id: updatedItem._id.toString(),
-          ...updatedItem
-        }
-      });
-    }
+/**
+ * DELETE /api/cart/apply-code
+ * Remove the applied promo code
+ * Requires: Bearer token
+ */
+router.delete('/apply-code', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
 
-    // Create new cart item
-    const newItem = {
-      userId: toObjectId(userId),
-      productId: toObjectId(productId),
-      quantity,
-      size,
-      color: typeof color === 'object' ? color : { name: color, value: color },
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    await setAppliedCode(req.user._id, null);
 
-    const result = await db.collection('cartItems').insertOne(newItem);
+    res.json({
+      message: 'Promo code removed',
+      summary: await getCartSummary(db, req.user)
+    });
+  } catch (error) {
+    console.error('Error removing promo code:', error);
+    res.status(500).json({ error: 'Failed to remove promo code' });
+  }
+});
 
-    res.status(201).json({
-      message: 'Item added to cart',
+/**
+ * POST /api/cart
+ * Add item to cart or update quantity if exists
+ * Validates the size/color variant and clamps quantity to available stock
+ * Requires: Bearer token
+ * Body: { productId, quantity, size, color }
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const shopper = await getShopperContext(req.user);
+    const result = await addCartLine(db, req.user._id, req.body, shopper);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(result.status).json({
+      message: result.clamped
+        ? `Only ${result.item.quantity} available - quantity adjusted`
+        : result.created ? 'Item added to cart' : 'Cart item updated',
+      clamped: result.clamped,
       item: {
-        id: result.insertedId.toString(),
-        ...newItem
+        id: result.item._id.toString(),
+        ...result.item
       }
     });
   } catch (error) {
@@ -149,9 +362,55 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cart/merge
+ * Merge a guest cart (from localStorage) into the user's cart after login
+ * Lines matching an existing product/size/color add to its quantity
+ * Responds 400 if any entry is not an object with a valid productId
+ * Requires: Bearer token
+ * Body: { items: [{ productId, quantity, size, color }] }
+ */
+router.post('/merge', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'items array is required' });
+    }
+
+    // Reject malformed payloads before merging anything
+    const invalidIndex = items.findIndex(line =>
+      !line || typeof line !== 'object' || Array.isArray(line) || !isValidObjectId(line.productId)
+    );
+    if (invalidIndex !== -1) {
+      return res.status(400).json({ error: `items[${invalidIndex}] must be an object with a valid productId` });
+    }
+
+    // Skip guest lines that can't be added (e.g. product deleted since)
+    const shopper = await getShopperContext(req.user);
+    const skipped = [];
+    for (const line of items) {
+      const result = await addCartLine(db, req.user._id, line, shopper);
+      if (result.error) {
+        skipped.push({ productId: line.productId, error: result.error });
+      }
+    }
+
+    res.json({
+      message: 'Cart merged',
+      items: await getCartWithProducts(db, req.user._id, shopper),
+      skipped
+    });
+  } catch (error) {
+    console.error('Error merging cart:', error);
+    res.status(500).json({ error: 'Failed to merge cart' });
+  }
+});
+
 /**
  * PATCH /api/cart/:itemId
- * Update cart item quantity
+ * Update cart item quantity (clamped to available stock)
  * Requires: Bearer token
  * Body: { quantity }
  */
@@ -166,28 +425,49 @@ router.patch('/:itemId', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Invalid itemId' });
     }
 
-    if (typeof quantity !== 'number' || quantity < 1) {
-      return res.status(400).json({ error: 'quantity must be a positive number' });
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({ error: 'quantity must be a positive integer' });
     }
 
-    // Find and update the cart item
+    const cartItem = await db.collection('cartItems').findOne({
+      _id: toObjectId(itemId),
+      userId: toObjectId(userId)
+    });
+
+    if (!cartItem) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    const product = await db.collection('products').findOne({ _id: cartItem.productId });
+    const shopper = await getShopperContext(req.user);
+    const variant = isProductPurchasable(product, shopper)
+      ? findVariant(product, cartItem.size, cartItem.color)
+      : null;
+
+    if (!variant) {
+      return res.status(409).json({ error: 'This item is no longer available' });
+    }
+
+    const maxQuantity = Math.min(variant.stock || 0, MAX_LINE_QUANTITY);
+    if (maxQuantity === 0) {
+      return res.status(409).json({ error: 'This size is out of stock' });
+    }
+
+    const newQuantity = Math.min(quantity, maxQuantity);
+
     const result = await db.collection('cartItems').findOneAndUpdate(
+      { _id: cartItem._id },
       { 
-        _id: toObjectId(itemId),
-        userId: toObjectId(userId)
-      },
-      { 
-        $set: { quantity, updatedAt: new Date() }
+        $set: { quantity: newQuantity, updatedAt: new Date() }
       },
       { returnDocument: 'after' }
     );
 
-    if (!result) {
-      return res.status(404).json({ error: 'Cart item not found' });
-    }
-
     res.json({
-      message: 'Cart item updated',
+      message: newQuantity < quantity
+        ? `Only ${newQuantity} available - quantity adjusted`
+        : 'Cart item updated',
+      clamped: newQuantity < quantity,
       item: {
         id: result._id.toString(),
         ...result
@@ -243,6 +523,7 @@ router.delete('/', authenticate, async (req, res) => {
     await db.collection('cartItems').deleteMany({
       userId: toObjectId(userId)
     });
+    await setAppliedCode(userId, null);
 
     res.json({ message: 'Cart cleared' });
   } catch (error) {
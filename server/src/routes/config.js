@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getDB } = require('../lib/mongodb');
+const { getPricingConfig } = require('../lib/pricing');
+const { findPromotionByCode, isPromotionLive } = require('../lib/promotions');
 
 const router = express.Router();
 
@@ -49,6 +51,7 @@ router.get('/hero', async (req, res) => {
 /**
  * GET /api/settings/promo_banner
  * Get promotional banner configuration (public)
+ * A banner that advertises a promo code is hidden once the code is no longer live
  */
 router.get('/promo_banner', async (req, res) => {
   try {
@@ -60,8 +63,18 @@ router.get('/promo_banner', async (req, res) => {
       return res.json({ enabled: false });
     }
 
+    let promotion = null;
+    if (bannerConfig.promoCode) {
+      promotion = await findPromotionByCode(bannerConfig.promoCode);
+      if (!isPromotionLive(promotion)) {
+        return res.json({ enabled: false });
+      }
+    }
+
     res.json({
       enabled: true,
+      promoCode: promotion?.code || null,
+      promoEndsAt: promotion?.endsAt || null,
       text: bannerConfig.text,
       backgroundColor: bannerConfig.backgroundColor,
       textColor: bannerConfig.textColor,
@@ -74,4 +87,19 @@ router.get('/promo_banner', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/config/pricing
+ * Get shipping/tax configuration (public)
+ * Used by the cart drawer to show free-shipping progress for guests
+ */
+router.get('/pricing', async (req, res) => {
+  try {
+    const config = await getPricingConfig();
+    res.json(config);
+  } catch (error) {
+    console.error('Error fetching pricing config:', error);
+    res.status(500).json({ error: 'Failed to fetch configuration' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,368 @@
+/**
+ * Order API Routes
+ * Customer-facing order operations using native MongoDB
+ */
+
+const express = require('express');
+const { getDB, toObjectId } = require('../lib/mongodb');
+const { authenticate } = require('../middleware/auth');
+const {
+  generateOrderNumber,
+  buildOrderItem,
+  buildStatusTimeline,
+  buildStatusHistoryEntry,
+  formatOrder
+} = require('../lib/orders');
+const { reserveStock, releaseStock } = require('../lib/inventory');
+const { getPricingConfig, calculateTotals } = require('../lib/pricing');
+const {
+  getAppliedDiscount,
+  setAppliedCode,
+  claimPromotionUse,
+  unclaimPromotionUse,
+  recordRedemption,
+  releaseRedemptions
+} = require('../lib/promotions');
+const { getShopperContext } = require('../lib/vip');
+
+const router = express.Router();
+
+const REQUIRED_ADDRESS_FIELDS = ['name', 'street', 'city', 'zip', 'country'];
+const MAX_PAGE_SIZE = 50;
+
+// A lock older than this belongs to a checkout that died; let the next one in
+const CHECKOUT_LOCK_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Mark a user's cart as being checked out
+ * Conditional on no live lock, so only one of two concurrent checkouts wins
+ * @param {Db} db - MongoDB database instance
+ * @param {ObjectId} userId
+ * @returns {Promise<Date|null>} Lock timestamp (pass to releaseCheckoutLock), or null if locked
+ */
+async function acquireCheckoutLock(db, userId) {
+  const now = new Date();
+  const result = await db.collection('users').updateOne(
+    {
+      _id: userId,
+      $or: [
+        { checkoutStartedAt: null },
+        { checkoutStartedAt: { $lt: new Date(now.getTime() - CHECKOUT_LOCK_TTL_MS) } }
+      ]
+    },
+    { $set: { checkoutStartedAt: now } }
+  );
+
+  return result.matchedCount > 0 ? now : null;
+}
+
+/**
+ * Release a lock taken with acquireCheckoutLock (only if it is still ours)
+ * @param {Db} db - MongoDB database instance
+ * @param {ObjectId} userId
+ * @param {Date} lockedAt
+ * @returns {Promise<void>}
+ */
+async function releaseCheckoutLock(db, userId, lockedAt) {
+  await db.collection('users').updateOne(
+    { _id: userId, checkoutStartedAt: lockedAt },
+    { $unset: { checkoutStartedAt: '' } }
+  );
+}
+
+/**
+ * GET /api/orders
+ * List the current user's orders, newest first
+ * Requires: Bearer token
+ * Query params: page (default 1), limit (default 10, max 50)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const userId = toObjectId(req.user._id);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+
+    const [orders, total] = await Promise.all([
+      db.collection('orders')
+        .find({ userId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      db.collection('orders').countDocuments({ userId }),
+    ]);
+
+    res.json({
+      orders: orders.map(formatOrder),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+/**
+ * GET /api/orders/:orderNumber
+ * Get one of the current user's orders with its status timeline
+ * Requires: Bearer token
+ */
+router.get('/:orderNumber', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+
+    const order = await db.collection('orders').findOne({
+      orderNumber: req.params.orderNumber,
+      userId: toObjectId(req.user._id)
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      ...formatOrder(order),
+      timeline: buildStatusTimeline(order)
+    });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+/**
+ * POST /api/orders/checkout
+ * Turn the user's cart into an order, reserve variant stock and clear the cart
+ * The promo code applied to the cart (if any) is re-validated and redeemed
+ * Responds 409 with per-SKU shortages if any line can't be fulfilled, and
+ * 409 if another checkout of the same cart is still running
+ * Requires: Bearer token
+ * Body: { shippingAddress: { name, street, city, state, zip, country } }
+ */
+router.post('/checkout', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const userId = toObjectId(req.user._id);
+    const { shippingAddress } = req.body;
+
+    const missingFields = REQUIRED_ADDRESS_FIELDS.filter(
+      field => !shippingAddress?.[field]
+    );
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'A complete shippingAddress is required',
+        missingFields
+      });
+    }
+
+    // One checkout per cart at a time: a double submit would otherwise
+    // reserve stock and create an order for the same cart twice
+    const lockedAt = await acquireCheckoutLock(db, userId);
+    if (!lockedAt) {
+      return res.status(409).json({ error: 'Checkout is already in progress' });
+    }
+
+    try {
+      const cartItems = await db.collection('cartItems')
+        .find({ userId })
+        .toArray();
+
+      if (cartItems.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+
+      const productIds = cartItems.map(item => item.productId);
+      const products = await db.collection('products')
+        .find({ _id: { $in: productIds } })
+        .toArray();
+
+      const productMap = {};
+      products.forEach(p => {
+        productMap[p._id.toString()] = p;
+      });
+
+      // Snapshot each cart line against its current product/variant
+      const shopper = await getShopperContext(req.user);
+      const items = [];
+      const invalidItems = [];
+      for (const cartItem of cartItems) {
+        const { item, error } = buildOrderItem(
+          cartItem,
+          productMap[cartItem.productId.toString()],
+          shopper
+        );
+        if (error) {
+          invalidItems.push({ cartItemId: cartItem._id.toString(), error });
+        } else {
+          items.push(item);
+        }
+      }
+
+      if (invalidItems.length > 0) {
+        return res.status(400).json({
+          error: 'Some cart items cannot be ordered',
+          invalidItems
+        });
+      }
+
+      // Don't silently drop a code the shopper saw applied in their bag
+      const applied = await getAppliedDiscount(req.user, items);
+      if (applied.error) {
+        return res.status(422).json({
+          error: `Promo code ${applied.code} can no longer be applied: ${applied.error}`,
+          promoCode: applied.code
+        });
+      }
+
+      const totals = calculateTotals(items, {
+        config: await getPricingConfig(),
+        destination: shippingAddress,
+        discounts: applied.discount ? [applied.discount] : []
+      });
+
+      const now = new Date();
+      const order = {
+        orderNumber: generateOrderNumber(now),
+        userId,
+        items,
+        pricing: {
+          subtotal: totals.subtotal,
+          discounts: totals.discounts,
+          discountTotal: totals.discountTotal,
+          shipping: totals.shipping,
+          taxRegion: totals.taxRegion,
+          taxRate: totals.taxRate,
+          tax: totals.tax
+        },
+        totalAmount: totals.total,
+        status: 'pending',
+        statusHistory: [buildStatusHistoryEntry(null, 'pending', req.user)],
+        shippingAddress: {
+          name: shippingAddress.name,
+          street: shippingAddress.street,
+          city: shippingAddress.city,
+          state: shippingAddress.state || '',
+          zip: shippingAddress.zip,
+          country: shippingAddress.country
+        },
+        createdAt: now,
+        updatedAt: now
+      };
+
+      // Atomically take stock for every line before the order exists
+      const reservation = await reserveStock(items);
+      if (!reservation.success) {
+        return res.status(409).json({
+          error: 'Insufficient stock',
+          shortages: reservation.shortages
+        });
+      }
+
+      // Usage and per-user limits are enforced atomically, like stock
+      if (applied.promotion) {
+        const claim = await claimPromotionUse(applied.promotion._id, userId);
+        if (!claim.claimed) {
+          await releaseStock(items);
+          return res.status(409).json({
+            error: `Promo code ${applied.code} can no longer be applied: ${claim.error}`,
+            promoCode: applied.code
+          });
+        }
+      }
+
+      let result;
+      try {
+        result = await db.collection('orders').insertOne(order);
+      } catch (error) {
+        await releaseStock(items);
+        if (applied.promotion) await unclaimPromotionUse(applied.promotion._id, userId);
+        throw error;
+      }
+
+      if (applied.promotion) {
+        await recordRedemption(
+          applied.promotion,
+          { _id: result.insertedId, ...order },
+          applied.discount.amount
+        );
+      }
+
+      await db.collection('cartItems').deleteMany({ userId });
+      await setAppliedCode(userId, null);
+
+      res.status(201).json({
+        message: 'Order placed',
+        order: formatOrder({ _id: result.insertedId, ...order })
+      });
+    } finally {
+      await releaseCheckoutLock(db, userId, lockedAt);
+    }
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ error: 'Failed to place order' });
+  }
+});
+
+/**
+ * POST /api/orders/:orderNumber/cancel
+ * Cancel one of the current user's orders while it is still pending
+ * and return its items to stock
+ * Requires: Bearer token
+ */
+router.post('/:orderNumber/cancel', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+
+    const order = await db.collection('orders').findOne({
+      orderNumber: req.params.orderNumber,
+      userId: toObjectId(req.user._id)
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(409).json({
+        error: 'Only pending orders can be cancelled',
+        currentStatus: order.status
+      });
+    }
+
+    // Conditional on status so a concurrent admin update can't double-restock
+    const cancelledOrder = await db.collection('orders').findOneAndUpdate(
+      { _id: order._id, status: 'pending' },
+      {
+        $set: { status: 'cancelled', updatedAt: new Date() },
+        $push: { statusHistory: buildStatusHistoryEntry('pending', 'cancelled', req.user) }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!cancelledOrder) {
+      return res.status(409).json({ error: 'Order status changed, please refresh' });
+    }
+
+    await releaseStock(cancelledOrder.items);
+    await releaseRedemptions(cancelledOrder);
+
+    res.json({
+      message: 'Order cancelled',
+      order: {
+        ...formatOrder(cancelledOrder),
+        timeline: buildStatusTimeline(cancelledOrder)
+      }
+    });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+module.exports = router;
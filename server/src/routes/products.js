@@ -5,78 +5,68 @@
 
 const express = require('express');
 const { getDB, isValidObjectId, toObjectId } = require('../lib/mongodb');
-const { optionalAuth } = require('../middleware/auth');
+const { optionalAuth, authenticate, requireVIP } = require('../middleware/auth');
+const { getShopperContext } = require('../lib/vip');
+const { searchProducts } = require('../lib/search');
+const { suggest } = require('../lib/suggest');
+const { logSearch, recordSearchClick, getPopularSearches } = require('../lib/searchAnalytics');
+const { isProductPurchasable, buildVisibleProductFilter, hideVipPricing } = require('../lib/orders');
+const { normalizeEmail, subscribeToRestock } = require('../lib/restock');
+const {
+  REVIEWS,
+  validateReview,
+  findDeliveredPurchase,
+  formatReview
+} = require('../lib/reviews');
+const { queryCatalog } = require('../lib/catalog');
+const { recommendSize } = require('../lib/sizing');
+const { getRelatedProducts } = require('../lib/related');
+const {
+  RECOMMENDATION_EXPERIMENT,
+  RECOMMENDATION_EVENTS,
+  getExperimentSubject,
+  assignVariant,
+  logRecommendationImpression,
+  recordRecommendationEvent
+} = require('../lib/experiments');
 
 const router = express.Router();
 
+/**
+ * Mark products a VIP can see before their public launch
+ * @param {Object} product - Product document
+ * @returns {boolean}
+ */
+function isEarlyAccess(product) {
+  return !!product.publishAt && new Date(product.publishAt) > new Date();
+}
+
 /**
  * GET /api/products
- * Fetch all ACTIVE products with optional filters
- * Query params: featured, category, status, style
- * Note: Only shows isActive:true products (admin sees all via /api/admin/products)
+ * Fetch a page of ACTIVE products with filters, sorting and facet counts
+ * Query params:
+ *   category, size, color, style, fit, fabric - repeat for several values
+ *   minPrice, maxPrice, status, featured=true
+ *   sort - newest (default), price-asc, price-desc, name, bestselling
+ *   page (default 1), limit (default 12, max 48)
+ *   recommended=true - rank the user's favorite style first
+ * Response: { products, pagination, facets, sort }
+ * Note: Only shows visible products - active and published (admin sees all
+ * via /api/admin/products); VIPs also see scheduled products inside the
+ * early-access window
  */
 router.get('/', optionalAuth, async (req, res) => {
   try {
-    const db = getDB();
-    const { featured, category, status, style, recommended } = req.query;
-
-    // Build filter - ALWAYS filter for active products on public route
-    // Also filter out scheduled products that haven't reached their publish date
-    const filter = { 
-      isActive: { $ne: false },
-      $or: [
-        { publishAt: null },
-        { publishAt: { $exists: false } },
-        { publishAt: { $lte: new Date() } }
-      ]
-    };
-    
-    if (featured === 'true') {
-      filter.isFeatured = true;
-    }
-    
-    if (category) {
-      filter.category = category;
-    }
-    
-    if (status) {
-      filter.status = status;
-    }
+    const shopper = await getShopperContext(req.user);
 
-    let products = await db.collection('products')
-      .find(filter)
-      .sort({ createdAt: -1 })
-      .toArray();
-
-    // Add hover image
-    products = products.map(p => ({
-      ...p,
-      id: p._id.toString(),
-      hoverImage: p.images?.[1] || p.images?.[0]
-    }));
+    // Personalized "Recommended for You" based on user preferences
+    const favoriteStyle = req.query.recommended === 'true'
+      ? req.user?.preferences?.favoriteStyle || null
+      : null;
 
-    // Filter by style preference (for personalization)
-    if (style) {
-      products = products.filter(p => 
-        p.styles && p.styles.includes(style)
-      );
-    }
+    const result = await queryCatalog(req.query, { shopper, favoriteStyle });
 
-    // Personalized "Recommended for You" based on user preferences
-    if (recommended === 'true' && req.user?.preferences) {
-      const prefs = req.user.preferences;
-      const favoriteStyle = prefs.favoriteStyle;
-      
-      if (favoriteStyle) {
-        products = products.sort((a, b) => {
-          const aMatch = a.styles?.includes(favoriteStyle) ? 1 : 0;
-          const bMatch = b.styles?.includes(favoriteStyle) ? 1 : 0;
-          return bMatch - aMatch;
-        });
-      }
-    }
-
-    res.json(products);
+    res.json(result);
   } catch (error) {
     console.error('Error fetching products:', error);
     res.status(500).json({ error: 'Failed to fetch products' });
@@ -86,27 +76,197 @@ router.get('/', optionalAuth, async (req, res) => {
 /**
  * GET /api/products/recommended
  * Get personalized product recommendations using aggregation pipeline
+ * Shoppers are assigned an A/B variant by user ID, or by the X-Anonymous-Id
+ * header for guests; every list returned to an assigned shopper is logged
+ * as an impression, personalized or not
+ * Returns: { products, personalized, reason, experiment: { name, variant }, impressionId }
  */
 router.get('/recommended', optionalAuth, async (req, res) => {
   try {
     const { getRecommendedProducts } = require('../lib/recommendations');
     
     const userId = req.user?._id || null;
-    const result = await getRecommendedProducts(userId);
+    const subject = getExperimentSubject(req.user, req.get('X-Anonymous-Id'));
+    const variant = assignVariant(subject);
+    const shopper = await getShopperContext(req.user);
+    const result = await getRecommendedProducts(userId, { useBehavior: variant === 'behavior', shopper });
 
-    res.json(result);
+    // Log featured fallbacks too: the quiz arm falls back for shoppers the
+    // behavior arm personalizes, and both arms must count the same shoppers
+    const impressionId = subject
+      ? await logRecommendationImpression({
+        variant,
+        subject,
+        user: req.user,
+        products: result.products,
+        personalized: result.personalized
+      })
+      : null;
+
+    res.json({
+      ...result,
+      experiment: { name: RECOMMENDATION_EXPERIMENT.name, variant },
+      impressionId
+    });
   } catch (error) {
     console.error('Error fetching recommendations:', error);
     res.status(500).json({ error: 'Failed to fetch recommendations' });
   }
 });
 
+/**
+ * POST /api/products/recommended/events
+ * Record a click or add-to-cart on a recommended product
+ * Body: { impressionId, productId, type: 'click' | 'add_to_cart' }
+ */
+router.post('/recommended/events', async (req, res) => {
+  try {
+    const { impressionId, productId, type } = req.body;
+
+    if (!isValidObjectId(impressionId) || !isValidObjectId(productId)) {
+      return res.status(400).json({ error: 'Valid impressionId and productId are required' });
+    }
+    if (!RECOMMENDATION_EVENTS[type]) {
+      return res.status(400).json({ error: `type must be one of ${Object.keys(RECOMMENDATION_EVENTS).join(', ')}` });
+    }
+
+    const recorded = await recordRecommendationEvent(impressionId, productId, type);
+    res.json({ recorded });
+  } catch (error) {
+    console.error('Error recording recommendation event:', error);
+    res.status(500).json({ error: 'Failed to record recommendation event' });
+  }
+});
+
+/**
+ * GET /api/products/search
+ * Relevance-ranked text search with highlighted matches
+ * Query params: q (required), limit (default 10, max 50),
+ *   sessionId (optional, groups live-typed queries in search analytics)
+ * Same visibility rules as GET /api/products (VIPs include early access)
+ * Every search is logged; the returned logId is used to report clicks
+ */
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const { q, limit, sessionId } = req.query;
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const shopper = await getShopperContext(req.user);
+    const result = await searchProducts(q, { shopper, limit });
+    const logId = await logSearch({
+      query: q,
+      resultCount: result.total,
+      user: req.user,
+      sessionId,
+      ip: req.ip
+    });
+
+    res.json({ ...result, logId });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({ error: 'Failed to search products' });
+  }
+});
+
+/**
+ * GET /api/products/search/popular
+ * Most searched terms over the last 30 days that found products
+ */
+router.get('/search/popular', async (req, res) => {
+  try {
+    const terms = await getPopularSearches();
+    res.json({ terms });
+  } catch (error) {
+    console.error('Error fetching popular searches:', error);
+    res.status(500).json({ error: 'Failed to fetch popular searches' });
+  }
+});
+
+/**
+ * POST /api/products/search/click
+ * Record that a search result was opened (click-through analytics)
+ * Body: { logId, productId }
+ */
+router.post('/search/click', async (req, res) => {
+  try {
+    const { logId, productId } = req.body;
+
+    if (!isValidObjectId(logId) || !isValidObjectId(productId)) {
+      return res.status(400).json({ error: 'Valid logId and productId are required' });
+    }
+
+    const recorded = await recordSearchClick(logId, productId);
+    res.json({ recorded });
+  } catch (error) {
+    console.error('Error recording search click:', error);
+    res.status(500).json({ error: 'Failed to record search click' });
+  }
+});
+
+/**
+ * GET /api/products/suggest
+ * Autocomplete: product names, categories and style tags matching a
+ * prefix, tolerating small typos ("cashmire" -> "Cashmere")
+ * Query params: q (required), limit (default 8, max 20)
+ */
+router.get('/suggest', optionalAuth, async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const shopper = await getShopperContext(req.user);
+    const result = await suggest(q, { shopper, limit });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({ error: 'Failed to fetch suggestions' });
+  }
+});
+
+/**
+ * GET /api/products/early-access
+ * Scheduled products VIPs can already see and buy, soonest launch first
+ * Requires: Bearer token with VIP or ADMIN role
+ */
+router.get('/early-access', authenticate, requireVIP, async (req, res) => {
+  try {
+    const db = getDB();
+    const shopper = await getShopperContext(req.user);
+
+    const products = await db.collection('products')
+      .find({
+        ...buildVisibleProductFilter(shopper),
+        publishAt: { $gt: new Date(), $lte: shopper.publishCutoff }
+      })
+      .sort({ publishAt: 1 })
+      .toArray();
+
+    res.json(products.map(p => ({
+      ...p,
+      id: p._id.toString(),
+      hoverImage: p.images?.[1] || p.images?.[0],
+      earlyAccess: true
+    })));
+  } catch (error) {
+    console.error('Error fetching early access products:', error);
+    res.status(500).json({ error: 'Failed to fetch early access products' });
+  }
+});
+
 /**
  * GET /api/products/:idOrSlug
  * Fetch a single product by ID or slug
  * 
  * PREVIEW MODE: If product is inactive or scheduled:
  * - Admin users can preview the product
+ * - VIPs can see scheduled products inside the early-access window
  * - Regular users get a 404
  */
 router.get('/:idOrSlug', optionalAuth, async (req, res) => {
@@ -134,10 +294,9 @@ router.get('/:idOrSlug', optionalAuth, async (req, res) => {
     }
 
     // Check if product is viewable
+    const shopper = await getShopperContext(req.user);
     const isAdmin = req.user?.role === 'ADMIN';
-    const isActive = product.isActive !== false;
-    const isScheduled = product.publishAt && new Date(product.publishAt) > new Date();
-    const isHidden = !isActive || isScheduled;
+    const isHidden = !isProductPurchasable(product, shopper);
 
     // PREVIEW MODE: Only admins can see hidden products
     if (isHidden && !isAdmin) {
@@ -149,20 +308,270 @@ router.get('/:idOrSlug', optionalAuth, async (req, res) => {
       ...product,
       id: product._id.toString(),
       hoverImage: product.images?.[1] || product.images?.[0],
+      earlyAccess: !isHidden && isEarlyAccess(product),
       // Add preview metadata for admin
       ...(isAdmin && isHidden && {
         _preview: true,
-        _previewReason: !isActive 
+        _previewReason: product.isActive === false
           ? 'Product is inactive' 
           : `Scheduled for ${new Date(product.publishAt).toLocaleString()}`
       })
     };
 
-    res.json(formattedProduct);
+    res.json(hideVipPricing(formattedProduct, shopper));
   } catch (error) {
     console.error('Error fetching product:', error);
     res.status(500).json({ error: 'Failed to fetch product' });
   }
 });
 
+/**
+ * Sort options for GET /api/products/:id/reviews
+ */
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  lowest: { rating: 1, createdAt: -1, _id: -1 }
+};
+
+/**
+ * Find a product the shopper is allowed to see
+ * @param {string} id - Product ID
+ * @param {Object} shopper - From getShopperContext
+ * @returns {Promise<Object|null>}
+ */
+async function findVisibleProduct(id, shopper) {
+  if (!isValidObjectId(id)) return null;
+  const product = await getDB().collection('products').findOne({ _id: toObjectId(id) });
+  return isProductPurchasable(product, shopper) ? product : null;
+}
+
+/**
+ * GET /api/products/:id/reviews
+ * Approved reviews with the rating summary and star distribution
+ * Signed-in shoppers also get their own review (any status) and whether
+ * they can still write one
+ * Query params: sort (newest|highest|lowest), page, limit (default 10, max 50)
+ */
+router.get('/:id/reviews', optionalAuth, async (req, res) => {
+  try {
+    const db = getDB();
+    const shopper = await getShopperContext(req.user);
+    const product = await findVisibleProduct(req.params.id, shopper);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const match = { productId: product._id, status: 'approved' };
+
+    const [reviews, distribution, ownReview, purchase] = await Promise.all([
+      db.collection(REVIEWS).find(match)
+        .sort(REVIEW_SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      db.collection(REVIEWS).aggregate([
+        { $match: match },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]).toArray(),
+      req.user
+        ? db.collection(REVIEWS).findOne({ productId: product._id, userId: toObjectId(req.user._id) })
+        : null,
+      req.user ? findDeliveredPurchase(req.user._id, product._id) : null
+    ]);
+
+    const total = product.ratingCount || 0;
+
+    res.json({
+      reviews: reviews.map(formatReview),
+      summary: {
+        ratingAverage: product.ratingAverage || 0,
+        ratingCount: total,
+        fitFeedback: product.fitFeedback || { small: 0, true: 0, large: 0 },
+        distribution: Object.fromEntries(
+          [5, 4, 3, 2, 1].map(stars => [stars, distribution.find(d => d._id === stars)?.count || 0])
+        )
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      },
+      sort,
+      userReview: ownReview ? formatReview(ownReview) : null,
+      canReview: !!purchase && !ownReview
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+/**
+ * POST /api/products/:id/reviews
+ * Review a product the user has received (one review per product)
+ * Reviews are held for moderation before they appear
+ * Requires: Bearer token
+ * Body: { rating (1-5), body, title?, fit? ("small" | "true" | "large") }
+ */
+router.post('/:id/reviews', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const shopper = await getShopperContext(req.user);
+    const product = await findVisibleProduct(req.params.id, shopper);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { error, review } = validateReview(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const purchase = await findDeliveredPurchase(req.user._id, product._id);
+    if (!purchase) {
+      return res.status(403).json({ error: 'Only customers who received this product can review it' });
+    }
+
+    const existing = await db.collection(REVIEWS).findOne({
+      productId: product._id,
+      userId: toObjectId(req.user._id)
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'You have already reviewed this product' });
+    }
+
+    const newReview = {
+      ...review,
+      productId: product._id,
+      userId: toObjectId(req.user._id),
+      authorName: (req.user.name || 'Customer').split(' ')[0],
+      orderId: purchase.orderId,
+      size: purchase.size,
+      color: purchase.color,
+      status: 'pending',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await db.collection(REVIEWS).insertOne(newReview);
+
+    res.status(201).json({
+      message: 'Thanks! Your review will appear once it has been approved',
+      review: formatReview({ _id: result.insertedId, ...newReview })
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    res.status(500).json({ error: 'Failed to submit review' });
+  }
+});
+
+/**
+ * GET /api/products/:id/size-recommendation
+ * Suggested size from the user's saved measurements or usual size, adjusted
+ * by reviewers' fit feedback. Guests get the fit feedback alone.
+ * Returns: { size, baseSize, source, fit: { verdict, share, votes }, confidence, message }
+ */
+router.get('/:id/size-recommendation', optionalAuth, async (req, res) => {
+  try {
+    const shopper = await getShopperContext(req.user);
+    const product = await findVisibleProduct(req.params.id, shopper);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(recommendSize(product, req.user?.preferences || null));
+  } catch (error) {
+    console.error('Error recommending size:', error);
+    res.status(500).json({ error: 'Failed to recommend a size' });
+  }
+});
+
+/**
+ * GET /api/products/:id/related
+ * "Complete the look": products frequently bought together with this one,
+ * topped up with similar products when there isn't enough order data
+ * Each product has a pairVariant (in-stock size/color) for one-click add
+ * Query params: limit (default 4, max 8)
+ * Returns: { products, source: 'orders'|'similar' }
+ */
+router.get('/:id/related', optionalAuth, async (req, res) => {
+  try {
+    const shopper = await getShopperContext(req.user);
+    const product = await findVisibleProduct(req.params.id, shopper);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 8);
+    res.json(await getRelatedProducts(product, shopper, {
+      limit,
+      preferences: req.user?.preferences || null
+    }));
+  } catch (error) {
+    console.error('Error fetching related products:', error);
+    res.status(500).json({ error: 'Failed to fetch related products' });
+  }
+});
+
+/**
+ * POST /api/products/:id/notify-me
+ * Ask to be told when a sold-out size/color (SKU) is back in stock
+ * Signed-in shoppers default to their account email; guests must give one
+ * Body: { sku, email? }
+ */
+router.post('/:id/notify-me', optionalAuth, async (req, res) => {
+  try {
+    const db = getDB();
+    const { id } = req.params;
+    const { sku } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+
+    if (typeof sku !== 'string' || !sku) {
+      return res.status(400).json({ error: 'sku is required' });
+    }
+
+    const email = normalizeEmail(req.body.email || req.user?.email);
+    if (!email) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const product = await db.collection('products').findOne({ _id: toObjectId(id) });
+    const shopper = await getShopperContext(req.user);
+
+    if (!product || !isProductPurchasable(product, shopper)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const result = await subscribeToRestock(product, sku, {
+      email,
+      userId: req.user ? toObjectId(req.user._id) : null
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(result.status).json({
+      message: `We'll email ${email} when it's back in stock`,
+      email
+    });
+  } catch (error) {
+    console.error('Error subscribing to restock:', error);
+    res.status(500).json({ error: 'Failed to subscribe' });
+  }
+});
+
 module.exports = router;
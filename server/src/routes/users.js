@@ -1,14 +1,102 @@
 /**
  * User API Routes (Legacy - use /api/auth for auth)
- * Kept for backwards compatibility
+ * Kept for backwards compatibility; also hosts the signed-in user's
+ * /me resources (recently viewed products)
  */
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { getDB, isValidObjectId, toObjectId } = require('../lib/mongodb');
+const { authenticate } = require('../middleware/auth');
+const { getShopperContext } = require('../lib/vip');
+const { buildVisibleProductFilter } = require('../lib/orders');
+const {
+  MAX_RECENTLY_VIEWED,
+  recordProductView,
+  mergeProductViews,
+  getRecentlyViewed
+} = require('../lib/recentlyViewed');
 
 const router = express.Router();
 
+/**
+ * GET /api/users/me/recently-viewed
+ * The user's recently viewed products, most recent first
+ * Requires: Bearer token
+ * Query params: limit (default 12, max 20), exclude (product ID to leave out)
+ */
+router.get('/me/recently-viewed', authenticate, async (req, res) => {
+  try {
+    const shopper = await getShopperContext(req.user);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), MAX_RECENTLY_VIEWED);
+    const exclude = isValidObjectId(req.query.exclude) ? req.query.exclude : null;
+
+    const products = await getRecentlyViewed(req.user._id, shopper, { limit, excludeProductId: exclude });
+    res.json({ products });
+  } catch (error) {
+    console.error('Error fetching recently viewed:', error);
+    res.status(500).json({ error: 'Failed to fetch recently viewed products' });
+  }
+});
+
+/**
+ * POST /api/users/me/recently-viewed
+ * Record a product view
+ * Requires: Bearer token
+ * Body: { productId }
+ */
+router.post('/me/recently-viewed', authenticate, async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    if (!isValidObjectId(productId)) {
+      return res.status(400).json({ error: 'Valid productId is required' });
+    }
+
+    const shopper = await getShopperContext(req.user);
+    const product = await getDB().collection('products').findOne(
+      { _id: toObjectId(productId), ...buildVisibleProductFilter(shopper) },
+      { projection: { _id: 1 } }
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await recordProductView(req.user._id, productId);
+    res.json({ recorded: true });
+  } catch (error) {
+    console.error('Error recording product view:', error);
+    res.status(500).json({ error: 'Failed to record product view' });
+  }
+});
+
+/**
+ * POST /api/users/me/recently-viewed/merge
+ * Merge a guest's recently viewed products after login
+ * Requires: Bearer token
+ * Body: { items: [{ productId, viewedAt }] }
+ */
+router.post('/me/recently-viewed/merge', authenticate, async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'items array is required' });
+    }
+
+    const merged = await mergeProductViews(req.user._id, items);
+    const shopper = await getShopperContext(req.user);
+
+    res.json({
+      merged,
+      products: await getRecentlyViewed(req.user._id, shopper)
+    });
+  } catch (error) {
+    console.error('Error merging recently viewed:', error);
+    res.status(500).json({ error: 'Failed to merge recently viewed products' });
+  }
+});
+
 /**
  * GET /api/users/:id
  * Get user by ID (public profile)
@@ -0,0 +1,256 @@
+/**
+ * Wishlist API Routes
+ * Saved products per user, optionally with a preferred size/color variant
+ */
+
+const express = require('express');
+const { getDB, isValidObjectId, toObjectId } = require('../lib/mongodb');
+const { authenticate } = require('../middleware/auth');
+const {
+  getProductVariants,
+  findVariant,
+  getVariantPrice,
+  isProductPurchasable
+} = require('../lib/orders');
+const { getShopperContext } = require('../lib/vip');
+
+const router = express.Router();
+
+/**
+ * Max products one user can save
+ */
+const MAX_WISHLIST_ITEMS = 100;
+
+/**
+ * Get a user's wishlist joined with product details, newest first
+ * Flags products that became unavailable and preferred variants that
+ * sold out, so the page can disable "move to cart"
+ * @param {Db} db - MongoDB database instance
+ * @param {string} userId - User ID
+ * @param {Object} shopper - From getShopperContext (VIP price / early access)
+ * @returns {Promise<Array>}
+ */
+async function getWishlistWithProducts(db, userId, shopper) {
+  const wishlistItems = await db.collection('wishlistItems')
+    .find({ userId: toObjectId(userId) })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  const products = await db.collection('products')
+    .find({ _id: { $in: wishlistItems.map(item => item.productId) } })
+    .toArray();
+
+  const productMap = {};
+  products.forEach(p => {
+    productMap[p._id.toString()] = p;
+  });
+
+  return wishlistItems.map(item => {
+    const product = productMap[item.productId.toString()];
+    if (!product) return null;
+
+    const variant = item.size && item.color ? findVariant(product, item.size, item.color) : null;
+    const isAvailable = isProductPurchasable(product, shopper);
+    const inStock = variant
+      ? (variant.stock || 0) > 0
+      : getProductVariants(product).some(v => (v.stock || 0) > 0);
+
+    return {
+      id: item._id.toString(),
+      size: item.size,
+      color: item.color,
+      unitPrice: getVariantPrice(product, variant, shopper),
+      addedAt: item.createdAt,
+      flags: {
+        unavailable: !isAvailable,
+        outOfStock: isAvailable && !inStock
+      },
+      product: {
+        id: product._id.toString(),
+        name: product.name,
+        price: product.price,
+        images: product.images,
+        slug: product.slug,
+        category: product.category,
+        variants: getProductVariants(product).map(v => ({
+          size: v.size,
+          color: v.color,
+          colorValue: v.colorValue,
+          stock: v.stock || 0
+        }))
+      }
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Save a product to a user's wishlist, or update its preferred variant
+ * if it is already there. Size and color are optional but go together.
+ * @param {Db} db - MongoDB database instance
+ * @param {string} userId - User ID
+ * @param {Object} entry - { productId, size, color }
+ * @param {Object} shopper - From getShopperContext (early access)
+ * @returns {Promise<{status: number, error?: string, created?: boolean}>}
+ */
+async function saveWishlistItem(db, userId, { productId, size, color }, shopper) {
+  if (!productId) {
+    return { status: 400, error: 'productId is required' };
+  }
+
+  if (!isValidObjectId(productId)) {
+    return { status: 400, error: 'Invalid productId' };
+  }
+
+  if (!!size !== !!color) {
+    return { status: 400, error: 'size and color must be given together' };
+  }
+
+  const product = await db.collection('products').findOne({
+    _id: toObjectId(productId)
+  });
+
+  if (!product || !isProductPurchasable(product, shopper)) {
+    return { status: 404, error: 'Product not found' };
+  }
+
+  let preferredColor = null;
+  if (size) {
+    const variant = findVariant(product, size, color);
+    if (!variant) {
+      return { status: 400, error: `Size ${size} is not available in this color` };
+    }
+    preferredColor = { name: variant.color, value: variant.colorValue || variant.color };
+  }
+
+  const filter = { userId: toObjectId(userId), productId: product._id };
+  const existing = await db.collection('wishlistItems').findOne(filter);
+
+  if (!existing) {
+    const count = await db.collection('wishlistItems').countDocuments({ userId: toObjectId(userId) });
+    if (count >= MAX_WISHLIST_ITEMS) {
+      return { status: 409, error: `Wishlist is full (max ${MAX_WISHLIST_ITEMS} items)` };
+    }
+  }
+
+  await db.collection('wishlistItems').updateOne(
+    filter,
+    {
+      $set: { size: size || null, color: preferredColor, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true }
+  );
+
+  return { status: existing ? 200 : 201, created: !existing };
+}
+
+/**
+ * GET /api/wishlist
+ * Get user's wishlist with product details and availability flags
+ * Requires: Bearer token
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const shopper = await getShopperContext(req.user);
+
+    res.json(await getWishlistWithProducts(db, req.user._id, shopper));
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).json({ error: 'Failed to fetch wishlist' });
+  }
+});
+
+/**
+ * POST /api/wishlist
+ * Save a product, or update its preferred variant if already saved
+ * Requires: Bearer token
+ * Body: { productId, size?, color? }
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const shopper = await getShopperContext(req.user);
+    const result = await saveWishlistItem(db, req.user._id, req.body, shopper);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(result.status).json({
+      message: result.created ? 'Added to wishlist' : 'Wishlist item updated',
+      items: await getWishlistWithProducts(db, req.user._id, shopper)
+    });
+  } catch (error) {
+    console.error('Error adding to wishlist:', error);
+    res.status(500).json({ error: 'Failed to add to wishlist' });
+  }
+});
+
+/**
+ * POST /api/wishlist/merge
+ * Merge a guest wishlist (from localStorage) into the user's wishlist after login
+ * Requires: Bearer token
+ * Body: { items: [{ productId, size?, color? }] }
+ */
+router.post('/merge', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'items array is required' });
+    }
+
+    // Skip guest entries that can't be saved (e.g. product deleted since)
+    const shopper = await getShopperContext(req.user);
+    const skipped = [];
+    for (const entry of items.slice(0, MAX_WISHLIST_ITEMS)) {
+      const result = await saveWishlistItem(db, req.user._id, entry, shopper);
+      if (result.error) {
+        skipped.push({ productId: entry.productId, error: result.error });
+      }
+    }
+
+    res.json({
+      message: 'Wishlist merged',
+      items: await getWishlistWithProducts(db, req.user._id, shopper),
+      skipped
+    });
+  } catch (error) {
+    console.error('Error merging wishlist:', error);
+    res.status(500).json({ error: 'Failed to merge wishlist' });
+  }
+});
+
+/**
+ * DELETE /api/wishlist/:productId
+ * Remove a product from the wishlist
+ * Requires: Bearer token
+ */
+router.delete('/:productId', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const { productId } = req.params;
+
+    if (!isValidObjectId(productId)) {
+      return res.status(400).json({ error: 'Invalid productId' });
+    }
+
+    const result = await db.collection('wishlistItems').deleteOne({
+      userId: toObjectId(req.user._id),
+      productId: toObjectId(productId)
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Product not in wishlist' });
+    }
+
+    res.json({ message: 'Removed from wishlist' });
+  } catch (error) {
+    console.error('Error removing from wishlist:', error);
+    res.status(500).json({ error: 'Failed to remove from wishlist' });
+  }
+});
+
+module.exports = router;
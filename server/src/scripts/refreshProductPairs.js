@@ -0,0 +1,24 @@
+/**
+ * Recompute "frequently bought together" pairs from orders
+ * The server also refreshes them on a timer; use this after bulk imports
+ * Run with: npm run pairs:refresh
+ */
+
+require('dotenv').config();
+const { connectDB, closeDB } = require('../lib/mongodb');
+const { refreshProductPairs, MIN_PAIR_SUPPORT } = require('../lib/related');
+
+async function main() {
+  try {
+    await connectDB();
+    const { orders, pairs } = await refreshProductPairs();
+    console.log(`Stored ${pairs} product pairs from ${orders} multi-item orders (min support ${MIN_PAIR_SUPPORT})`);
+  } catch (error) {
+    console.error('Failed to refresh product pairs:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+}
+
+main();
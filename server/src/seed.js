@@ -8,6 +8,14 @@
 require('dotenv').config();
 const bcrypt = require('bcryptjs');
 const { MongoClient } = require('mongodb');
+const { SEARCH_INDEX_NAME, SEARCH_INDEX_WEIGHTS } = require('./lib/search');
+const { SEARCH_LOGS } = require('./lib/searchAnalytics');
+const { STOCK_SUBSCRIPTIONS, NOTIFICATIONS } = require('./lib/restock');
+const { REVIEWS, FIT_OPTIONS, summarizeRatings } = require('./lib/reviews');
+const { PRODUCT_VIEWS } = require('./lib/recentlyViewed');
+const { PRODUCT_PAIRS, refreshProductPairs } = require('./lib/related');
+const { DEFAULT_RECOMMENDATION_CONFIG } = require('./lib/recommendations');
+const { RECOMMENDATION_IMPRESSIONS } = require('./lib/experiments');
 
 // Style categories for personalization
 const STYLES = {
@@ -80,6 +88,7 @@ const products = [
     description: "A masterfully tailored oversized coat crafted from premium Italian wool. Features a relaxed silhouette with dropped shoulders, notched lapels, and a two-button closure. Fully lined in silk for luxurious comfort.",
     price: 580,
     originalPrice: null,
+    vipPrice: 520,
     category: "Outerwear",
     sizes: ["XS", "S", "M", "L", "XL"],
     colors: [
@@ -178,6 +187,7 @@ const products = [
     description: "Pure indulgence in the form of a perfectly weighted cashmere sweater. Sourced from Inner Mongolian goats and knitted in Scotland.",
     price: 420,
     originalPrice: null,
+    vipPrice: 378,
     category: "Knitwear",
     sizes: ["XS", "S", "M", "L", "XL"],
     colors: [
@@ -201,7 +211,8 @@ const products = [
     status: "limited",
     isFeatured: true,
     isActive: true,
-    stock: 25
+    stock: 25,
+    publishAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // VIP early access for the first 24h
   },
   {
     slug: "structured-blazer",
@@ -404,6 +415,7 @@ const demoUsers = [
     password: "vip123",
     name: "VIP Member",
     role: "VIP",
+    vipSource: "admin", // Granted, so it is kept regardless of spend
     preferences: {
       favoriteStyle: STYLES.ELEGANT,
       preferredSize: "M",
@@ -438,10 +450,20 @@ async function seed() {
     // Clear existing data
     console.log('🗑️  Clearing existing data...');
     await db.collection('cartItems').deleteMany({});
+    await db.collection('wishlistItems').deleteMany({});
     await db.collection('orders').deleteMany({});
     await db.collection('products').deleteMany({});
     await db.collection('users').deleteMany({});
     await db.collection('site_config').deleteMany({});
+    await db.collection('promotions').deleteMany({});
+    await db.collection('promotion_redemptions').deleteMany({});
+    await db.collection(SEARCH_LOGS).deleteMany({});
+    await db.collection(STOCK_SUBSCRIPTIONS).deleteMany({});
+    await db.collection(NOTIFICATIONS).deleteMany({});
+    await db.collection(REVIEWS).deleteMany({});
+    await db.collection(PRODUCT_PAIRS).deleteMany({});
+    await db.collection(RECOMMENDATION_IMPRESSIONS).deleteMany({});
+    await db.collection(PRODUCT_VIEWS).deleteMany({});
 
     // Create demo users
     console.log('\n👤 Creating demo users...');
@@ -453,6 +475,7 @@ async function seed() {
         password: hashedPassword,
         name: userData.name,
         role: userData.role,
+        ...(userData.vipSource && { vipSource: userData.vipSource, vipSince: new Date() }),
         preferences: userData.preferences,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -516,7 +539,8 @@ async function seed() {
     const numOrders = 50; // More orders for better analytics
     
     for (let i = 0; i < numOrders; i++) {
-      const randomProduct = createdProducts[Math.floor(Math.random() * createdProducts.length)];
+      const productIndex = Math.floor(Math.random() * createdProducts.length);
+      const randomProduct = createdProducts[productIndex];
       const randomUser = createdUsers[Math.floor(Math.random() * createdUsers.length)];
       // More delivered orders (realistic distribution)
       const statusWeights = { delivered: 0.6, shipped: 0.2, processing: 0.15, pending: 0.05 };
@@ -538,18 +562,35 @@ async function seed() {
       const daysAgo = Math.floor(Math.pow(Math.random(), 2) * 30); // Exponential - more recent orders
       const orderDate = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
       
+      const items = [{
+        productId: randomProduct._id,
+        name: randomProduct.name,
+        price: randomProduct.price,
+        quantity,
+        size: variant?.size || randomProduct.sizes[0],
+        color: variant ? { name: variant.color, value: variant.colorValue } : randomProduct.colors[0]
+      }];
+
+      // Some orders complete a look with a fixed companion piece, so
+      // "frequently bought together" has pairs to find
+      if (Math.random() < 0.4) {
+        const companion = createdProducts[(productIndex + 3) % createdProducts.length];
+        const companionVariant = companion.inventory?.[0];
+        items.push({
+          productId: companion._id,
+          name: companion.name,
+          price: companion.price,
+          quantity: 1,
+          size: companionVariant?.size || companion.sizes[0],
+          color: companionVariant ? { name: companionVariant.color, value: companionVariant.colorValue } : companion.colors[0]
+        });
+      }
+      
       await db.collection('orders').insertOne({
         orderNumber: `ATL-${orderDate.getTime()}-${i + 1}`,
         userId: randomUser._id,
-        items: [{
-          productId: randomProduct._id,
-          name: randomProduct.name,
-          price: randomProduct.price,
-          quantity,
-          size: variant?.size || randomProduct.sizes[0],
-          color: variant ? { name: variant.color, value: variant.colorValue } : randomProduct.colors[0]
-        }],
-        totalAmount: randomProduct.price * quantity,
+        items,
+        totalAmount: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
         status: randomStatus,
         shippingAddress: {
           name: randomUser.name,
@@ -565,6 +606,148 @@ async function seed() {
     }
     console.log(`   ✓ Added ${numOrders} demo orders (30-day spread)`);
 
+    const { pairs } = await refreshProductPairs(db);
+    console.log(`   ✓ Computed ${pairs} frequently-bought-together pairs`);
+
+    // Create demo search logs (feeds search analytics and Popular Searches)
+    console.log('\n🔍 Creating demo search logs...');
+    const demoSearches = [
+      { query: 'Cashmere', searches: 14, clickRate: 0.6 },
+      { query: 'Linen', searches: 11, clickRate: 0.5 },
+      { query: 'Coat', searches: 9, clickRate: 0.4 },
+      { query: 'Minimalist', searches: 7, clickRate: 0.3 },
+      { query: 'Silk dress', searches: 5, clickRate: 0.4 },
+      { query: 'Swimwear', searches: 4, clickRate: 0 },
+      { query: 'Sneakers', searches: 3, clickRate: 0 }
+    ];
+    const searchLogs = [];
+    for (const { query, searches, clickRate } of demoSearches) {
+      const term = query.toLowerCase();
+      const matches = createdProducts.filter(p =>
+        [p.name, p.category, ...(p.styles || [])].some(text => text.toLowerCase().includes(term.split(' ')[0]))
+      );
+      for (let i = 0; i < searches; i++) {
+        const createdAt = new Date(Date.now() - Math.floor(Math.random() * 30) * 24 * 60 * 60 * 1000);
+        const clicked = matches.length > 0 && Math.random() < clickRate;
+        const user = Math.random() < 0.5 ? createdUsers[Math.floor(Math.random() * createdUsers.length)] : null;
+        searchLogs.push({
+          term,
+          query,
+          resultCount: matches.length,
+          userId: user?._id || null,
+          anonymous: !user,
+          sessionId: null,
+          sessionKey: null,
+          createdAt,
+          clickedAt: clicked ? createdAt : null,
+          clickedProductId: clicked ? matches[0]._id : null
+        });
+      }
+    }
+    await db.collection(SEARCH_LOGS).insertMany(searchLogs);
+    console.log(`   ✓ Added ${searchLogs.length} search logs (${demoSearches.length} terms)`);
+
+    // Create demo reviews from delivered orders (one per customer and product)
+    console.log('\n⭐ Creating demo reviews...');
+    const reviewTemplates = [
+      { rating: 5, title: 'Worth every penny', body: 'Beautiful quality and the fabric feels incredible. Already planning to buy another colour.' },
+      { rating: 5, title: 'A new favourite', body: 'Wore it three times in the first week. Tailoring is spot on and it washes well.' },
+      { rating: 4, title: 'Lovely, slightly long', body: 'Gorgeous piece, though the sleeves are a touch long on me. Still very happy with it.' },
+      { rating: 4, title: null, body: 'Great everyday staple. The colour is a little darker than the photos but I like it.' },
+      { rating: 3, title: 'Nice but pricey', body: 'Well made and comfortable, but I expected a bit more for the price.' }
+    ];
+    const deliveredOrders = await db.collection('orders').find({ status: 'delivered' }).toArray();
+    const reviewed = new Set();
+    const reviews = [];
+    for (const order of deliveredOrders) {
+      const item = order.items[0];
+      const key = `${order.userId}:${item.productId}`;
+      if (reviewed.has(key)) continue;
+      reviewed.add(key);
+
+      const template = reviewTemplates[reviews.length % reviewTemplates.length];
+      const author = createdUsers.find(u => u._id.equals(order.userId));
+      reviews.push({
+        ...template,
+        fit: FIT_OPTIONS[Math.floor(Math.random() * FIT_OPTIONS.length)],
+        productId: item.productId,
+        userId: order.userId,
+        authorName: author.name.split(' ')[0],
+        orderId: order._id,
+        size: item.size,
+        color: item.color?.name || null,
+        // Leave a couple waiting in the moderation queue
+        status: reviews.length < 2 ? 'pending' : 'approved',
+        createdAt: new Date(order.createdAt.getTime() + 3 * 24 * 60 * 60 * 1000),
+        updatedAt: new Date()
+      });
+    }
+    if (reviews.length > 0) {
+      await db.collection(REVIEWS).insertMany(reviews);
+    }
+    for (const product of createdProducts) {
+      const approved = reviews.filter(r => r.status === 'approved' && r.productId.equals(product._id));
+      await db.collection('products').updateOne(
+        { _id: product._id },
+        { $set: summarizeRatings(approved) }
+      );
+    }
+    console.log(`   ✓ Added ${reviews.length} reviews (${reviews.filter(r => r.status === 'pending').length} pending moderation)`);
+
+    // Create promotions
+    console.log('\n🏷️  Creating promotions...');
+    const promotions = [
+      {
+        code: 'WELCOME10',
+        description: '10% off your first order',
+        type: 'percentage',
+        value: 10,
+        minSubtotal: 0,
+        categories: [],
+        productIds: [],
+        vipOnly: false,
+        usageLimit: null,
+        perUserLimit: 1,
+        startsAt: null,
+        endsAt: null,
+        isActive: true
+      },
+      {
+        code: 'OUTERWEAR50',
+        description: '$50 off outerwear over $300',
+        type: 'fixed',
+        value: 50,
+        minSubtotal: 300,
+        categories: ['Outerwear'],
+        productIds: [],
+        vipOnly: false,
+        usageLimit: 100,
+        perUserLimit: null,
+        startsAt: null,
+        endsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        isActive: true
+      },
+      {
+        code: 'VIP20',
+        description: '20% off for VIP members',
+        type: 'percentage',
+        value: 20,
+        minSubtotal: 0,
+        categories: [],
+        productIds: [],
+        vipOnly: true,
+        usageLimit: null,
+        perUserLimit: null,
+        startsAt: null,
+        endsAt: null,
+        isActive: true
+      }
+    ];
+    await db.collection('promotions').insertMany(
+      promotions.map(p => ({ ...p, usageCount: 0, createdAt: new Date(), updatedAt: new Date() }))
+    );
+    console.log(`   ✓ Added ${promotions.length} promo codes`);
+
     // Create site config
     console.log('\n⚙️  Creating site config...');
     await db.collection('site_config').insertOne({
@@ -579,18 +762,49 @@ async function seed() {
       updatedAt: new Date()
     });
     
-    // Promo banner config (disabled by default)
+    // Promo banner config (disabled by default, advertises WELCOME10 when enabled)
     await db.collection('site_config').insertOne({
       key: 'promo_banner',
       enabled: false,
-      text: '',
+      text: '10% off your first order',
+      promoCode: 'WELCOME10',
       backgroundColor: '#10B981',
       textColor: '#FFFFFF',
-      link: '',
-      linkText: '',
+      link: '/shop',
+      linkText: 'Shop now',
+      updatedAt: new Date()
+    });
+
+    // Shipping & tax rates used by the pricing engine
+    await db.collection('site_config').insertOne({
+      key: 'pricing',
+      currency: 'USD',
+      freeShippingThreshold: 200,
+      flatShippingRate: 15,
+      taxRates: {
+        default: 0,
+        US: 0.06,
+        'US-NY': 0.08875,
+        'US-CA': 0.0725
+      },
+      updatedAt: new Date()
+    });
+
+    // VIP program rules (lifetime spend threshold + early access window)
+    await db.collection('site_config').insertOne({
+      key: 'vip',
+      spendThreshold: 1000,
+      earlyAccessHours: 48,
+      updatedAt: new Date()
+    });
+
+    // Recommendation scoring weights and quiz-answer mappings
+    await db.collection('site_config').insertOne({
+      key: 'recommendations',
+      ...DEFAULT_RECOMMENDATION_CONFIG,
       updatedAt: new Date()
     });
-    console.log('   ✓ Site config created (hero + promo banner)');
+    console.log('   ✓ Site config created (hero + promo banner + pricing + vip + recommendations)');
 
     // Create indexes
     console.log('\n📑 Creating indexes...');
@@ -599,10 +813,39 @@ async function seed() {
     await db.collection('products').createIndex({ category: 1 });
     await db.collection('products').createIndex({ isFeatured: 1 });
     await db.collection('products').createIndex({ isActive: 1 });
+    await db.collection('products').createIndex({ price: 1 });
+    await db.collection('products').createIndex({ createdAt: -1 });
+    await db.collection('products').createIndex({ 'variants.size': 1 });
+    await db.collection('products').createIndex({ 'variants.color': 1 });
+    await db.collection('products').createIndex(
+      Object.fromEntries(Object.keys(SEARCH_INDEX_WEIGHTS).map(field => [field, 'text'])),
+      { name: SEARCH_INDEX_NAME, weights: SEARCH_INDEX_WEIGHTS }
+    );
     await db.collection('cartItems').createIndex({ userId: 1 });
-    await db.collection('orders').createIndex({ userId: 1 });
+    await db.collection('wishlistItems').createIndex({ userId: 1, productId: 1 }, { unique: true });
+    await db.collection('orders').createIndex({ userId: 1, createdAt: -1 });
     await db.collection('orders').createIndex({ status: 1 });
+    await db.collection('orders').createIndex({ orderNumber: 1 }, { unique: true });
     await db.collection('site_config').createIndex({ key: 1 }, { unique: true });
+    await db.collection('promotions').createIndex({ code: 1 }, { unique: true });
+    await db.collection('promotion_redemptions').createIndex({ promotionId: 1, userId: 1 });
+    await db.collection('promotion_redemptions').createIndex({ orderId: 1 });
+    await db.collection(SEARCH_LOGS).createIndex({ createdAt: -1 });
+    await db.collection(SEARCH_LOGS).createIndex({ sessionKey: 1, createdAt: -1 });
+    await db.collection(STOCK_SUBSCRIPTIONS).createIndex({ productId: 1, sku: 1, status: 1 });
+    await db.collection(STOCK_SUBSCRIPTIONS).createIndex(
+      { sku: 1, email: 1 },
+      { unique: true, partialFilterExpression: { status: 'active' } }
+    );
+    await db.collection(NOTIFICATIONS).createIndex({ status: 1, createdAt: 1 });
+    await db.collection(REVIEWS).createIndex({ productId: 1, userId: 1 }, { unique: true });
+    await db.collection(REVIEWS).createIndex({ productId: 1, status: 1, createdAt: -1 });
+    await db.collection(REVIEWS).createIndex({ status: 1, createdAt: 1 });
+    await db.collection('products').createIndex({ ratingAverage: -1, ratingCount: -1 });
+    await db.collection(PRODUCT_VIEWS).createIndex({ userId: 1, productId: 1 }, { unique: true });
+    await db.collection(PRODUCT_VIEWS).createIndex({ userId: 1, lastViewedAt: -1 });
+    await db.collection(PRODUCT_PAIRS).createIndex({ productId: 1, support: -1 });
+    await db.collection(RECOMMENDATION_IMPRESSIONS).createIndex({ experiment: 1, createdAt: -1 });
     console.log('   ✓ Indexes created');
 
     console.log('\n✅ MongoDB seed completed successfully!');
@@ -614,7 +857,10 @@ async function seed() {
     console.log(`   - Products: ${products.length} (with inventory matrix)`);
     console.log(`   - Orders: ${numOrders} (30-day analytics data)`);
     console.log(`   - Cart Items: 2`);
-    console.log(`   - Site Config: 2 (hero + promo banner)`);
+    console.log(`   - Search Logs: ${searchLogs.length}`);
+    console.log(`   - Reviews: ${reviews.length}`);
+    console.log(`   - Promotions: ${promotions.map(p => p.code).join(', ')}`);
+    console.log(`   - Site Config: 5 (hero + promo banner + pricing + vip + recommendations)`);
     console.log('\n🎨 Style Categories:');
     console.log(`   ${Object.values(STYLES).join(', ')}`);
 
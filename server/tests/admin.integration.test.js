@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const app = require('../src/app');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { generateToken } = require('../src/middleware/auth');
+
+describe('Integration: Admin API + MongoDB', () => {
+  let mongod;
+  let adminId;
+  let adminAuth;
+
+  jest.setTimeout(60000);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    const db = getDB();
+    await Promise.all(['users', 'products', 'site_config', 'reviews'].map(name => db.collection(name).deleteMany({})));
+
+    const { insertedId } = await db.collection('users').insertOne({
+      email: 'admin@example.com',
+      name: 'Admin',
+      role: 'ADMIN',
+      createdAt: new Date()
+    });
+    adminId = insertedId;
+    adminAuth = `Bearer ${generateToken({ _id: insertedId, email: 'admin@example.com', role: 'ADMIN' })}`;
+  });
+
+  it('PATCH /products/:productId updates a product', async () => {
+    const { insertedId } = await getDB().collection('products').insertOne({
+      name: 'Wool Coat',
+      slug: 'wool-coat',
+      category: 'Outerwear',
+      price: 580,
+      isActive: true,
+      ratingAverage: 4.5
+    });
+
+    const res = await request(app)
+      .patch(`/api/admin/products/${insertedId}`)
+      .set('Authorization', adminAuth)
+      .send({ price: 540, isActive: false, ratingAverage: 1 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.product).toMatchObject({ price: 540, isActive: false, ratingAverage: 4.5 });
+  });
+
+  it.each([[''], [null]])('PATCH /settings/vip rejects a %p threshold and promotes nobody', async (spendThreshold) => {
+    await getDB().collection('users').insertOne({ email: 'shopper@example.com', role: 'USER' });
+
+    const res = await request(app)
+      .patch('/api/admin/settings/vip')
+      .set('Authorization', adminAuth)
+      .send({ spendThreshold, earlyAccessHours: 48 });
+
+    expect(res.statusCode).toBe(400);
+    expect(await getDB().collection('site_config').findOne({ key: 'vip' })).toBeNull();
+    expect(await getDB().collection('users').countDocuments({ role: 'VIP' })).toBe(0);
+  });
+
+  it('PATCH /settings/recommendations validates and normalizes the config', async () => {
+    const rejected = await request(app)
+      .patch('/api/admin/settings/recommendations')
+      .set('Authorization', adminAuth)
+      .send({ weights: { style: 500 } });
+
+    expect(rejected.statusCode).toBe(400);
+    expect(rejected.body.error).toMatch(/weights.style/);
+    expect(await getDB().collection('site_config').findOne({ key: 'recommendations' })).toBeNull();
+
+    const res = await request(app)
+      .patch('/api/admin/settings/recommendations')
+      .set('Authorization', adminAuth)
+      .send({ styleTagMapping: { classic: ' Heritage ' } });
+
+    expect(res.statusCode).toBe(200);
+    const stored = await getDB().collection('site_config').findOne({ key: 'recommendations' });
+    expect(stored.styleTagMapping).toEqual({ classic: 'heritage' });
+  });
+
+  it('PATCH /reviews/:reviewId stores the moderator as an ObjectId', async () => {
+    const db = getDB();
+    const productId = (await db.collection('products').insertOne({ name: 'Wool Coat' })).insertedId;
+    const { insertedId } = await db.collection('reviews').insertOne({
+      productId,
+      userId: new ObjectId(),
+      rating: 5,
+      status: 'pending',
+      createdAt: new Date()
+    });
+
+    const res = await request(app)
+      .patch(`/api/admin/reviews/${insertedId}`)
+      .set('Authorization', adminAuth)
+      .send({ status: 'approved' });
+
+    expect(res.statusCode).toBe(200);
+    const review = await db.collection('reviews').findOne({ _id: insertedId });
+    expect(review.moderatedBy).toEqual(adminId);
+    expect(review.moderatedBy).toBeInstanceOf(ObjectId);
+  });
+});
@@ -8,3 +8,24 @@ describe('GET /api/health', () => {
         expect(res.body).toHaveProperty('status', 'ok');
     });
 });
+
+describe('GET /api/wishlist', () => {
+    it('should require authentication', async () => {
+        const res = await request(app).get('/api/wishlist');
+        expect(res.statusCode).toEqual(401);
+    });
+});
+
+describe('GET /api/users/me/recently-viewed', () => {
+    it('should require authentication', async () => {
+        const res = await request(app).get('/api/users/me/recently-viewed');
+        expect(res.statusCode).toEqual(401);
+    });
+});
+
+describe('POST /api/admin/recommendations/preview', () => {
+    it('should require authentication', async () => {
+        const res = await request(app).post('/api/admin/recommendations/preview').send({});
+        expect(res.statusCode).toEqual(401);
+    });
+});
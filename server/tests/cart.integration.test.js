@@ -0,0 +1,69 @@
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const app = require('../src/app');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { generateToken } = require('../src/middleware/auth');
+
+describe('Integration: cart merge + MongoDB', () => {
+  let mongod;
+  let auth;
+  let productId;
+
+  jest.setTimeout(60000);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    const db = getDB();
+    await Promise.all(['users', 'products', 'cartItems'].map(name => db.collection(name).deleteMany({})));
+
+    const user = { email: 'shopper@example.com', name: 'Shopper', role: 'USER' };
+    const { insertedId } = await db.collection('users').insertOne(user);
+    auth = `Bearer ${generateToken({ _id: insertedId, ...user })}`;
+
+    productId = (await db.collection('products').insertOne({
+      name: 'Tee',
+      price: 120,
+      isActive: true,
+      variants: [{ sku: 'TEE-M', size: 'M', color: 'White', stock: 5 }]
+    })).insertedId.toString();
+  });
+
+  it.each([
+    [null],
+    ['TEE-M'],
+    [{ productId: 'not-an-id', size: 'M', color: 'White' }]
+  ])('rejects %p without merging anything', async (entry) => {
+    const res = await request(app)
+      .post('/api/cart/merge')
+      .set('Authorization', auth)
+      .send({ items: [{ productId, size: 'M', color: 'White' }, entry] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/items\[1\]/);
+    expect(await getDB().collection('cartItems').countDocuments()).toBe(0);
+  });
+
+  it('merges valid lines', async () => {
+    const res = await request(app)
+      .post('/api/cart/merge')
+      .set('Authorization', auth)
+      .send({ items: [{ productId, quantity: 2, size: 'M', color: 'White' }] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.skipped).toEqual([]);
+    expect(res.body.items).toHaveLength(1);
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  MAX_PAGE_SIZE,
+  parseCatalogQuery,
+  buildFacetMatches,
+  combineFacetMatches
+} = require('../src/lib/catalog');
+
+describe('parseCatalogQuery', () => {
+  it('reads repeated params as OR lists and drops "All"', () => {
+    const { filters } = parseCatalogQuery({
+      category: 'All',
+      size: ['M', ' L ', ''],
+      fabric: '80% Wool, 20% Cashmere'
+    });
+
+    expect(filters).toEqual({
+      size: ['M', 'L'],
+      fabric: ['80% Wool, 20% Cashmere']
+    });
+  });
+
+  it('falls back to safe defaults for bad values', () => {
+    expect(parseCatalogQuery({ sort: 'cheapest', page: '-2', limit: '500', minPrice: 'abc' })).toMatchObject({
+      sort: 'newest',
+      page: 1,
+      limit: MAX_PAGE_SIZE,
+      minPrice: null
+    });
+    expect(parseCatalogQuery({ minPrice: '300', maxPrice: '100' })).toMatchObject({
+      minPrice: 100,
+      maxPrice: 300
+    });
+  });
+});
+
+describe('facet matches', () => {
+  it('leaves a facet out of its own counts', () => {
+    const matches = buildFacetMatches({ category: ['Tops'], size: ['M'] });
+
+    expect(combineFacetMatches(matches)).toEqual({
+      $and: [{ category: { $in: ['Tops'] } }, { 'variants.size': { $in: ['M'] } }]
+    });
+    expect(combineFacetMatches(matches, 'category')).toEqual({
+      $and: [{ 'variants.size': { $in: ['M'] } }]
+    });
+    expect(combineFacetMatches({}, 'size')).toEqual({});
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const app = require('../src/app');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { generateToken } = require('../src/middleware/auth');
+
+describe('Integration: checkout + MongoDB', () => {
+  let mongod;
+  let productId;
+
+  jest.setTimeout(60000);
+
+  const shippingAddress = {
+    name: 'Test Shopper',
+    street: '1 Main St',
+    city: 'Portland',
+    state: 'OR',
+    zip: '97201',
+    country: 'US'
+  };
+
+  const createShopper = async (email) => {
+    const user = { email, name: 'Shopper', role: 'USER' };
+    const { insertedId } = await getDB().collection('users').insertOne(user);
+    return { userId: insertedId, auth: `Bearer ${generateToken({ _id: insertedId, ...user })}` };
+  };
+
+  const addToCart = (userId, size, quantity) => getDB().collection('cartItems').insertOne({
+    userId,
+    productId,
+    size,
+    color: { name: 'White', value: '#fff' },
+    quantity,
+    createdAt: new Date()
+  });
+
+  const checkout = auth => request(app)
+    .post('/api/orders/checkout')
+    .set('Authorization', auth)
+    .send({ shippingAddress });
+
+  const variantStock = async () => {
+    const product = await getDB().collection('products').findOne({ _id: productId });
+    return Object.fromEntries(product.variants.map(v => [v.size, v.stock]));
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    const db = getDB();
+    await Promise.all(['users', 'products', 'cartItems', 'orders']
+      .map(name => db.collection(name).deleteMany({})));
+
+    productId = (await db.collection('products').insertOne({
+      name: 'Tee',
+      slug: 'tee',
+      category: 'Tops',
+      price: 120,
+      isActive: true,
+      variants: [
+        { sku: 'TEE-M', size: 'M', color: 'White', stock: 10 },
+        { sku: 'TEE-L', size: 'L', color: 'White', stock: 10 }
+      ]
+    })).insertedId;
+  });
+
+  it('places one order when the same cart is submitted twice at once', async () => {
+    const { userId, auth } = await createShopper('double@example.com');
+    await addToCart(userId, 'M', 2);
+
+    const responses = await Promise.all([checkout(auth), checkout(auth)]);
+    const statuses = responses.map(r => r.statusCode).sort();
+
+    expect(statuses[0]).toBe(201);
+    // The loser either hit the lock or found the cart already emptied
+    expect([400, 409]).toContain(statuses[1]);
+    expect(await getDB().collection('orders').countDocuments({ userId })).toBe(1);
+    expect(await variantStock()).toEqual({ M: 8, L: 10 });
+
+    const user = await getDB().collection('users').findOne({ _id: userId });
+    expect(user.checkoutStartedAt).toBeUndefined();
+  });
+
+  describe('stock reservation', () => {
+    const setStock = (size, stock) => getDB().collection('products').updateOne(
+      { _id: productId, 'variants.size': size },
+      { $set: { 'variants.$.stock': stock } }
+    );
+
+    it('rolls back earlier lines when a later line is short', async () => {
+      const { userId, auth } = await createShopper('short@example.com');
+      await setStock('L', 3);
+      await addToCart(userId, 'M', 2);
+      await addToCart(userId, 'L', 5);
+
+      const res = await checkout(auth);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.shortages).toEqual([
+        expect.objectContaining({ sku: 'TEE-L', requested: 5, available: 3 })
+      ]);
+      expect(await variantStock()).toEqual({ M: 10, L: 3 });
+      expect(await getDB().collection('orders').countDocuments()).toBe(0);
+    });
+
+    it('sells the last unit to only one of two concurrent checkouts', async () => {
+      await setStock('L', 1);
+      const first = await createShopper('first@example.com');
+      const second = await createShopper('second@example.com');
+      await addToCart(first.userId, 'L', 1);
+      await addToCart(second.userId, 'L', 1);
+
+      const responses = await Promise.all([checkout(first.auth), checkout(second.auth)]);
+      const placed = responses.filter(r => r.statusCode === 201);
+      const rejected = responses.filter(r => r.statusCode === 409);
+
+      expect(placed).toHaveLength(1);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].body.shortages).toEqual([
+        expect.objectContaining({ sku: 'TEE-L', requested: 1, available: 0 })
+      ]);
+      expect(await variantStock()).toEqual({ M: 10, L: 0 });
+      expect(await getDB().collection('orders').countDocuments()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+const { getExperimentSubject, assignVariant, RECOMMENDATION_EXPERIMENT } = require('../src/lib/experiments');
+
+describe('getExperimentSubject', () => {
+  it('prefers the user ID over the anonymous ID', () => {
+    expect(getExperimentSubject({ _id: 'abc' }, 'anon-1')).toBe('user:abc');
+    expect(getExperimentSubject(null, ' anon-1 ')).toBe('anon:anon-1');
+    expect(getExperimentSubject(null, '')).toBeNull();
+  });
+});
+
+describe('assignVariant', () => {
+  it('is sticky per subject and uses every variant', () => {
+    const subjects = Array.from({ length: 50 }, (_, i) => `anon:${i}`);
+    const variants = subjects.map(subject => assignVariant(subject));
+
+    expect(subjects.map(subject => assignVariant(subject))).toEqual(variants);
+    expect(new Set(variants)).toEqual(new Set(RECOMMENDATION_EXPERIMENT.variants));
+    expect(assignVariant(null)).toBe(RECOMMENDATION_EXPERIMENT.variants[0]);
+  });
+});
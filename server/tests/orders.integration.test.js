@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const app = require('../src/app');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { generateToken } = require('../src/middleware/auth');
+
+describe('Integration: order cancellation + MongoDB', () => {
+  let mongod;
+  let customerId;
+  let customerAuth;
+  let adminAuth;
+  let productId;
+
+  jest.setTimeout(60000);
+
+  const bearer = user => `Bearer ${generateToken(user)}`;
+
+  const insertOrder = async (status) => {
+    const { insertedId } = await getDB().collection('orders').insertOne({
+      orderNumber: `ORD-${status.toUpperCase()}`,
+      userId: customerId,
+      status,
+      totalAmount: 360,
+      items: [
+        { productId, sku: 'TEE-M', name: 'Tee', size: 'M', quantity: 2, price: 120 },
+        { productId, sku: 'TEE-L', name: 'Tee', size: 'L', quantity: 1, price: 120 }
+      ],
+      statusHistory: [],
+      createdAt: new Date()
+    });
+    return insertedId;
+  };
+
+  const variantStock = async () => {
+    const product = await getDB().collection('products').findOne({ _id: productId });
+    return { M: product.variants[0].stock, L: product.variants[1].stock, total: product.stock };
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    const db = getDB();
+    await Promise.all(['users', 'products', 'orders', 'promotion_redemptions']
+      .map(name => db.collection(name).deleteMany({})));
+
+    const customer = { email: 'customer@example.com', name: 'Customer', role: 'USER' };
+    const admin = { email: 'admin@example.com', name: 'Admin', role: 'ADMIN' };
+    customerId = (await db.collection('users').insertOne(customer)).insertedId;
+    const adminId = (await db.collection('users').insertOne(admin)).insertedId;
+    customerAuth = bearer({ _id: customerId, ...customer });
+    adminAuth = bearer({ _id: adminId, ...admin });
+
+    productId = (await db.collection('products').insertOne({
+      name: 'Tee',
+      price: 120,
+      stock: 1,
+      variants: [
+        { sku: 'TEE-M', size: 'M', color: 'White', stock: 0 },
+        { sku: 'TEE-L', size: 'L', color: 'White', stock: 1 }
+      ]
+    })).insertedId;
+  });
+
+  describe('POST /api/orders/:orderNumber/cancel', () => {
+    it('cancels a pending order and returns its items to stock', async () => {
+      await insertOrder('pending');
+
+      const res = await request(app)
+        .post('/api/orders/ORD-PENDING/cancel')
+        .set('Authorization', customerAuth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.order.status).toBe('cancelled');
+      expect(await variantStock()).toEqual({ M: 2, L: 2, total: 4 });
+    });
+
+    it('rejects orders that are no longer pending and keeps stock', async () => {
+      await insertOrder('processing');
+
+      const res = await request(app)
+        .post('/api/orders/ORD-PROCESSING/cancel')
+        .set('Authorization', customerAuth);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.currentStatus).toBe('processing');
+      expect(await variantStock()).toEqual({ M: 0, L: 1, total: 1 });
+    });
+  });
+
+  describe('PATCH /api/admin/orders/:orderId/status', () => {
+    it('cancels a processing order and returns its items to stock', async () => {
+      const orderId = await insertOrder('processing');
+
+      const res = await request(app)
+        .patch(`/api/admin/orders/${orderId}/status`)
+        .set('Authorization', adminAuth)
+        .send({ status: 'cancelled' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.order.status).toBe('cancelled');
+      expect(await variantStock()).toEqual({ M: 2, L: 2, total: 4 });
+    });
+
+    it('rejects cancelling a shipped order and keeps stock', async () => {
+      const orderId = await insertOrder('shipped');
+
+      const res = await request(app)
+        .patch(`/api/admin/orders/${orderId}/status`)
+        .set('Authorization', adminAuth)
+        .send({ status: 'cancelled' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.allowedStatuses).toEqual(['delivered']);
+      expect(await variantStock()).toEqual({ M: 0, L: 1, total: 1 });
+    });
+  });
+});
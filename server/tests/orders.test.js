@@ -0,0 +1,107 @@
+const { ObjectId } = require('mongodb');
+const {
+  generateOrderNumber,
+  buildOrderItem
+} = require('../src/lib/orders');
+
+describe('Order helpers', () => {
+  const product = {
+    _id: new ObjectId(),
+    name: 'Oversized Wool Coat',
+    slug: 'oversized-wool-coat',
+    price: 580,
+    images: ['coat.jpg'],
+    variants: [
+      { sku: 'OVE-M-CHA', size: 'M', color: 'Charcoal', colorValue: '#36454F', stock: 3, price: null },
+      { sku: 'OVE-L-CHA', size: 'L', color: 'Charcoal', colorValue: '#36454F', stock: 1, price: 620 }
+    ]
+  };
+
+  it('generates ATL- order numbers', () => {
+    const date = new Date('2026-01-01T00:00:00Z');
+    expect(generateOrderNumber(date)).toMatch(new RegExp(`^ATL-${date.getTime()}-\\d{4}$`));
+  });
+
+  it('snapshots a cart line using the base price when the variant has no override', () => {
+    const { item, error } = buildOrderItem(
+      { size: 'M', color: { name: 'Charcoal', value: '#36454F' }, quantity: 2 },
+      product
+    );
+
+    expect(error).toBeNull();
+    expect(item).toMatchObject({
+      productId: product._id,
+      sku: 'OVE-M-CHA',
+      name: 'Oversized Wool Coat',
+      price: 580,
+      quantity: 2,
+      size: 'M',
+      color: { name: 'Charcoal', value: '#36454F' }
+    });
+  });
+
+  it('uses the variant price override when set', () => {
+    const { item } = buildOrderItem({ size: 'L', color: 'Charcoal', quantity: 1 }, product);
+    expect(item.price).toBe(620);
+  });
+
+  it('rejects lines whose variant or product no longer exists', () => {
+    expect(buildOrderItem({ size: 'XS', color: 'Charcoal', quantity: 1 }, product).error).toBeTruthy();
+    expect(buildOrderItem({ size: 'M', color: 'Charcoal', quantity: 1 }, null).error).toBeTruthy();
+  });
+});
+
+describe('buildStatusTimeline', () => {
+  const { buildStatusTimeline } = require('../src/lib/orders');
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+  const updatedAt = new Date('2026-01-03T00:00:00Z');
+
+  it('infers reached steps for orders without a recorded history', () => {
+    const timeline = buildStatusTimeline({ status: 'shipped', createdAt, updatedAt });
+
+    expect(timeline.map(t => [t.status, t.reached])).toEqual([
+      ['pending', true],
+      ['processing', true],
+      ['shipped', true],
+      ['delivered', false]
+    ]);
+    expect(timeline[0].at).toBe(createdAt);
+    expect(timeline[2].at).toBe(updatedAt);
+    expect(timeline[1].at).toBeNull();
+  });
+
+  it('ends cancelled orders with the cancellation step', () => {
+    const timeline = buildStatusTimeline({ status: 'cancelled', createdAt, updatedAt });
+    expect(timeline.map(t => t.status)).toEqual(['pending', 'cancelled']);
+  });
+});
+
+describe('order status transitions', () => {
+  const { canTransition, getAllowedTransitions } = require('../src/lib/orders');
+
+  it('only moves forward one step at a time', () => {
+    expect(canTransition('pending', 'processing')).toBe(true);
+    expect(canTransition('processing', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+    expect(canTransition('pending', 'shipped')).toBe(false);
+    expect(canTransition('delivered', 'pending')).toBe(false);
+  });
+
+  it('allows cancelling only before shipping', () => {
+    expect(canTransition('pending', 'cancelled')).toBe(true);
+    expect(canTransition('processing', 'cancelled')).toBe(true);
+    expect(canTransition('shipped', 'cancelled')).toBe(false);
+    expect(getAllowedTransitions('cancelled')).toEqual([]);
+  });
+});
+
+describe('isProductPurchasable', () => {
+  const { isProductPurchasable } = require('../src/lib/orders');
+
+  it('rejects inactive and not-yet-published products', () => {
+    expect(isProductPurchasable({ isActive: true, publishAt: null })).toBe(true);
+    expect(isProductPurchasable({ isActive: false })).toBe(false);
+    expect(isProductPurchasable({ publishAt: new Date(Date.now() + 60000) })).toBe(false);
+    expect(isProductPurchasable({ publishAt: new Date(Date.now() - 60000) })).toBe(true);
+  });
+});
@@ -0,0 +1,42 @@
+const { validatePreferences, mergePreferences } = require('../src/lib/preferences');
+
+describe('validatePreferences', () => {
+  it('accepts quiz answers, sizes and measurements', () => {
+    expect(validatePreferences({
+      favoriteStyle: 'elegant',
+      preferredSize: ' m ',
+      preferredSizes: { Tops: 'l', Bottoms: '32' },
+      measurements: { chest: 101.64, waist: 84, unit: 'cm' }
+    })).toEqual({
+      preferences: {
+        favoriteStyle: 'elegant',
+        preferredSize: 'M',
+        preferredSizes: { Tops: 'L', Bottoms: '32' },
+        measurements: { chest: 101.6, waist: 84, unit: 'cm' }
+      }
+    });
+  });
+
+  it('rejects unknown keys instead of storing them', () => {
+    expect(validatePreferences({ favoriteStyle: 'elegant', isAdmin: true }).error).toBe('Unknown preference: isAdmin');
+    expect(validatePreferences({ measurements: { chest: 40, neck: 15, unit: 'in' } }).error).toMatch(/neck/);
+    expect(validatePreferences({ preferredSizes: { Hats: 'M' } }).error).toMatch(/Hats/);
+  });
+
+  it('rejects invalid values', () => {
+    expect(validatePreferences({ favoriteStyle: 'punk' }).error).toMatch(/favoriteStyle/);
+    expect(validatePreferences({ measurements: { chest: 40 } }).error).toMatch(/unit/);
+    expect(validatePreferences({ measurements: { chest: 400, unit: 'in' } }).error).toMatch(/chest/);
+    expect(validatePreferences({ measurements: { waist: '32', unit: 'in' } }).error).toMatch(/waist/);
+    expect(validatePreferences(null).error).toBe('preferences object is required');
+  });
+});
+
+describe('mergePreferences', () => {
+  it('replaces top-level keys and removes cleared ones', () => {
+    expect(mergePreferences(
+      { favoriteStyle: 'classic', preferredSize: 'M', measurements: { chest: 40, unit: 'in' } },
+      { favoriteStyle: 'elegant', preferredSize: null, measurements: { waist: 32, unit: 'in' } }
+    )).toEqual({ favoriteStyle: 'elegant', measurements: { waist: 32, unit: 'in' } });
+  });
+});
@@ -0,0 +1,45 @@
+const {
+  DEFAULT_PRICING_CONFIG,
+  resolveTaxRate,
+  calculateTotals
+} = require('../src/lib/pricing');
+
+describe('Pricing engine', () => {
+  const config = {
+    ...DEFAULT_PRICING_CONFIG,
+    taxRates: { default: 0.05, US: 0.07, 'US-NY': 0.08875 }
+  };
+
+  it('resolves the most specific tax region', () => {
+    expect(resolveTaxRate(config.taxRates, { country: 'us', state: 'ny' })).toEqual({ region: 'US-NY', rate: 0.08875 });
+    expect(resolveTaxRate(config.taxRates, { country: 'US', state: 'CA' })).toEqual({ region: 'US', rate: 0.07 });
+    expect(resolveTaxRate(config.taxRates, { country: 'FR' })).toEqual({ region: 'default', rate: 0.05 });
+  });
+
+  it('charges flat shipping below the free-shipping threshold', () => {
+    const totals = calculateTotals([{ price: 50, quantity: 2 }], { config, destination: { country: 'US' } });
+
+    expect(totals.subtotal).toBe(100);
+    expect(totals.shipping).toBe(15);
+    expect(totals.amountToFreeShipping).toBe(100);
+    expect(totals.tax).toBe(7);
+    expect(totals.total).toBe(122);
+  });
+
+  it('ships free at the threshold and taxes the discounted subtotal', () => {
+    const totals = calculateTotals([{ price: 200, quantity: 1 }], {
+      config,
+      destination: { country: 'FR' },
+      discounts: [{ code: 'TEN', amount: 20 }]
+    });
+
+    expect(totals.shipping).toBe(0);
+    expect(totals.discountTotal).toBe(20);
+    expect(totals.tax).toBe(9);
+    expect(totals.total).toBe(189);
+  });
+
+  it('never charges shipping on an empty cart', () => {
+    expect(calculateTotals([], { config }).total).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+const { ObjectId } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { claimPromotionUse, unclaimPromotionUse } = require('../src/lib/promotions');
+
+describe('Integration: promotion claims + MongoDB', () => {
+  let mongod;
+
+  jest.setTimeout(60000);
+
+  const insertPromotion = async (limits) => {
+    const { insertedId } = await getDB().collection('promotions').insertOne({
+      code: 'WELCOME10',
+      type: 'percentage',
+      value: 10,
+      usageLimit: null,
+      perUserLimit: null,
+      usageCount: 0,
+      ...limits
+    });
+    return insertedId;
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await getDB().collection('promotions').deleteMany({});
+  });
+
+  it('lets only one of two concurrent checkouts use a once-per-customer code', async () => {
+    const promotionId = await insertPromotion({ perUserLimit: 1 });
+    const userId = new ObjectId();
+
+    const claims = await Promise.all([
+      claimPromotionUse(promotionId, userId),
+      claimPromotionUse(promotionId, userId)
+    ]);
+
+    expect(claims.filter(c => c.claimed)).toHaveLength(1);
+    expect(claims.find(c => !c.claimed).error).toBe('You have already used this code');
+    expect(await claimPromotionUse(promotionId, new ObjectId())).toEqual({ claimed: true, error: null });
+  });
+
+  it('gives the use back on unclaim and reports an exhausted code', async () => {
+    const promotionId = await insertPromotion({ usageLimit: 1, perUserLimit: 1 });
+    const userId = new ObjectId();
+
+    expect((await claimPromotionUse(promotionId, userId)).claimed).toBe(true);
+    expect((await claimPromotionUse(promotionId, new ObjectId())).error).toBe('This code has reached its usage limit');
+
+    await unclaimPromotionUse(promotionId, userId);
+    expect((await claimPromotionUse(promotionId, userId)).claimed).toBe(true);
+  });
+});
@@ -0,0 +1,82 @@
+const { ObjectId } = require('mongodb');
+const {
+  validatePromotionInput,
+  evaluatePromotion
+} = require('../src/lib/promotions');
+
+describe('validatePromotionInput', () => {
+  it('normalizes a valid payload', () => {
+    const { errors, promotion } = validatePromotionInput({
+      code: ' spring15 ',
+      type: 'percentage',
+      value: '15',
+      usageLimit: '',
+      endsAt: '2026-06-01T00:00:00Z'
+    });
+
+    expect(errors).toEqual([]);
+    expect(promotion).toMatchObject({
+      code: 'SPRING15',
+      value: 15,
+      usageLimit: null,
+      vipOnly: false,
+      isActive: true
+    });
+    expect(promotion.endsAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects bad values and windows', () => {
+    const { errors } = validatePromotionInput({
+      code: 'X',
+      type: 'percentage',
+      value: 150,
+      perUserLimit: 0,
+      startsAt: '2026-02-01',
+      endsAt: '2026-01-01'
+    });
+
+    expect(errors).toHaveLength(4);
+  });
+});
+
+describe('evaluatePromotion', () => {
+  const coat = { productId: new ObjectId(), category: 'Outerwear', price: 500, quantity: 1 };
+  const tee = { productId: new ObjectId(), category: 'Tops', price: 100, quantity: 2 };
+  const user = { role: 'USER' };
+  const base = {
+    _id: new ObjectId(),
+    code: 'SAVE',
+    type: 'percentage',
+    value: 10,
+    minSubtotal: 0,
+    categories: [],
+    productIds: [],
+    usageLimit: null,
+    perUserLimit: null,
+    usageCount: 0,
+    isActive: true
+  };
+
+  it('discounts the whole cart when unscoped', () => {
+    const { discount } = evaluatePromotion(base, { lines: [coat, tee], user });
+    expect(discount.amount).toBe(70);
+  });
+
+  it('only discounts lines in scope and caps fixed amounts', () => {
+    const promo = { ...base, type: 'fixed', value: 300, categories: ['tops'] };
+    const { discount } = evaluatePromotion(promo, { lines: [coat, tee], user });
+    expect(discount.amount).toBe(200);
+  });
+
+  it('enforces VIP, limits, minimum subtotal and validity window', () => {
+    const lines = [tee];
+    const expired = { ...base, endsAt: new Date(Date.now() - 1000) };
+
+    expect(evaluatePromotion({ ...base, vipOnly: true }, { lines, user }).error).toMatch(/VIP/);
+    expect(evaluatePromotion({ ...base, vipOnly: true }, { lines, user: { role: 'VIP' } }).error).toBeNull();
+    expect(evaluatePromotion({ ...base, usageLimit: 5, usageCount: 5 }, { lines, user }).error).toBeTruthy();
+    expect(evaluatePromotion({ ...base, perUserLimit: 1 }, { lines, user, userRedemptions: 1 }).error).toBeTruthy();
+    expect(evaluatePromotion({ ...base, minSubtotal: 300 }, { lines, user }).error).toMatch(/minimum/);
+    expect(evaluatePromotion(expired, { lines, user }).error).toBeTruthy();
+  });
+});
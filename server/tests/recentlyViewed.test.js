@@ -0,0 +1,27 @@
+const { ObjectId } = require('mongodb');
+const { normalizeGuestViews, MAX_RECENTLY_VIEWED } = require('../src/lib/recentlyViewed');
+
+describe('normalizeGuestViews', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  it('keeps valid products once and clamps future timestamps', () => {
+    const a = new ObjectId().toString();
+    const b = new ObjectId().toString();
+
+    expect(normalizeGuestViews([
+      { productId: a, viewedAt: '2026-03-01T10:00:00Z' },
+      { productId: 'not-an-id', viewedAt: '2026-03-01T10:00:00Z' },
+      { productId: a, viewedAt: '2026-02-01T10:00:00Z' },
+      { productId: b, viewedAt: '2030-01-01T00:00:00Z' },
+      null
+    ], now)).toEqual([
+      { productId: new ObjectId(a), viewedAt: new Date('2026-03-01T10:00:00Z') },
+      { productId: new ObjectId(b), viewedAt: now }
+    ]);
+  });
+
+  it('caps the number of merged views', () => {
+    const views = Array.from({ length: MAX_RECENTLY_VIEWED + 5 }, () => ({ productId: new ObjectId().toString() }));
+    expect(normalizeGuestViews(views, now)).toHaveLength(MAX_RECENTLY_VIEWED);
+  });
+});
@@ -0,0 +1,76 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { getRecommendedProducts, getProductsByStyle } = require('../src/lib/recommendations');
+
+describe('Integration: recommendation visibility + MongoDB', () => {
+  let mongod;
+
+  jest.setTimeout(60000);
+
+  const HOUR = 60 * 60 * 1000;
+  const product = (name, fields) => ({
+    name,
+    slug: name.toLowerCase().replace(/ /g, '-'),
+    category: 'Outerwear',
+    styles: ['classic'],
+    isFeatured: true,
+    isActive: true,
+    createdAt: new Date(),
+    ...fields
+  });
+
+  const names = result => result.map(p => p.name).sort();
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    const db = getDB();
+    await Promise.all(['users', 'products', 'site_config'].map(name => db.collection(name).deleteMany({})));
+    await db.collection('products').insertMany([
+      product('In Stock', { variants: [{ size: 'M', stock: 0 }, { size: 'L', stock: 3 }] }),
+      product('Sold Out', { variants: [{ size: 'M', stock: 0 }, { size: 'L', stock: 0 }] }),
+      product('No Variants', { variants: [], stock: 5 }),
+      product('Legacy In Stock', { inventory: [{ size: 'M', stock: 2 }] }),
+      product('Legacy Sold Out', { inventory: [{ size: 'M', stock: 0 }] }),
+      product('Total Only', { stock: 4 }),
+      product('Scheduled', { variants: [{ size: 'M', stock: 5 }], publishAt: new Date(Date.now() + 24 * HOUR) }),
+      product('Inactive', { variants: [{ size: 'M', stock: 5 }], isActive: false })
+    ]);
+  });
+
+  const AVAILABLE = ['In Stock', 'Legacy In Stock', 'Total Only'];
+
+  it('leaves sold-out, scheduled and inactive products out of featured recommendations', async () => {
+    const result = await getRecommendedProducts(null);
+    expect(result.personalized).toBe(false);
+    expect(names(result.products)).toEqual(AVAILABLE);
+  });
+
+  it('applies the same filter to personalized recommendations', async () => {
+    const { insertedId } = await getDB().collection('users').insertOne({
+      email: 'quiz@example.com',
+      role: 'USER',
+      preferences: { hasCompletedQuiz: true, favoriteStyle: 'classic' }
+    });
+
+    const result = await getRecommendedProducts(insertedId.toString());
+    expect(result.personalized).toBe(true);
+    expect(names(result.products)).toEqual(AVAILABLE);
+  });
+
+  it('filters products by style and shows early access to VIPs', async () => {
+    expect(names(await getProductsByStyle('classic'))).toEqual(AVAILABLE);
+
+    const vip = { isVIP: true, publishCutoff: new Date(Date.now() + 48 * HOUR) };
+    expect(names(await getProductsByStyle('classic', 8, vip))).toEqual([...AVAILABLE, 'Scheduled'].sort());
+  });
+});
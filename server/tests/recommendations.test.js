@@ -0,0 +1,79 @@
+const { ObjectId } = require('mongodb');
+const {
+  DEFAULT_RECOMMENDATION_CONFIG,
+  resolveRecommendationConfig,
+  validateRecommendationConfig,
+  buildBehaviorProfile,
+  buildScoringPipeline
+} = require('../src/lib/recommendations');
+
+const coat = new ObjectId();
+const knit = new ObjectId();
+const tee = new ObjectId();
+const productMap = new Map([
+  [coat.toString(), { _id: coat, category: 'Outerwear' }],
+  [knit.toString(), { _id: knit, category: 'Knitwear' }],
+  [tee.toString(), { _id: tee, category: 'Tops' }]
+]);
+
+describe('buildBehaviorProfile', () => {
+  it('weights purchases over views and marks purchases as owned', () => {
+    const profile = buildBehaviorProfile([
+      { kind: 'purchase', productId: coat, color: { name: 'Camel' } },
+      { kind: 'wishlist', productId: knit, color: { name: 'Camel' } },
+      { kind: 'view', productId: tee, count: 10 },
+      { kind: 'view', productId: new ObjectId(), count: 1 }
+    ], productMap);
+
+    expect(profile.categories).toEqual([
+      { name: 'Outerwear', weight: 3 },
+      { name: 'Tops', weight: 3 },
+      { name: 'Knitwear', weight: 2 }
+    ]);
+    expect(profile.colors).toEqual([{ name: 'Camel', weight: 5 }]);
+    expect(profile.ownedProductIds).toEqual([coat.toString()]);
+    expect(profile.signalCount).toBe(3);
+  });
+});
+
+describe('buildScoringPipeline', () => {
+  it('scores behavior alone when the quiz was skipped', () => {
+    const profile = buildBehaviorProfile([
+      { kind: 'purchase', productId: coat, color: 'Black' }
+    ], productMap);
+    const [{ $addFields }] = buildScoringPipeline(null, profile);
+
+    const categoryTerm = $addFields.matchScore.$add.find(term => term.$switch);
+    expect(categoryTerm.$switch.branches).toEqual([
+      { case: { $eq: ['$category', 'Outerwear'] }, then: 12 }
+    ]);
+    expect($addFields.matchReason.$switch.branches).toHaveLength(3);
+  });
+});
+
+describe('resolveRecommendationConfig', () => {
+  it('keeps valid stored values and falls back per entry', () => {
+    const config = resolveRecommendationConfig({
+      weights: { style: 20, color: -1 },
+      fitCategoryMapping: { slim: ['Tops'], relaxed: 'Outerwear' }
+    });
+
+    expect(config.weights.style).toBe(20);
+    expect(config.weights.color).toBe(DEFAULT_RECOMMENDATION_CONFIG.weights.color);
+    expect(config.fitCategoryMapping.slim).toEqual(['Tops']);
+    expect(config.fitCategoryMapping.relaxed).toEqual(DEFAULT_RECOMMENDATION_CONFIG.fitCategoryMapping.relaxed);
+    expect(resolveRecommendationConfig(null)).toEqual(DEFAULT_RECOMMENDATION_CONFIG);
+  });
+});
+
+describe('validateRecommendationConfig', () => {
+  it('rejects unknown keys, bad weights and unknown categories', () => {
+    expect(validateRecommendationConfig({ boost: {} }).error).toMatch(/Unknown/);
+    expect(validateRecommendationConfig({ weights: { style: 500 } }).error).toMatch(/weights.style/);
+    expect(validateRecommendationConfig({ fitCategoryMapping: { slim: ['Shoes'] } }).error).toMatch(/fitCategoryMapping.slim/);
+    expect(validateRecommendationConfig({
+      colorMapping: { earth: [' Camel ', 'Camel', ''] },
+      styleTagMapping: { classic: ' Heritage ' }
+    })).toEqual({ config: { colorMapping: { earth: ['Camel'] }, styleTagMapping: { classic: 'heritage' } } });
+  });
+});
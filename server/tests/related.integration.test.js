@@ -0,0 +1,42 @@
+const { ObjectId } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { PRODUCT_PAIRS, refreshProductPairs } = require('../src/lib/related');
+
+describe('Integration: product pairs refresh + MongoDB', () => {
+  let mongod;
+
+  jest.setTimeout(60000);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  it('swaps in the new pairs and leaves no scratch collection behind', async () => {
+    const db = getDB();
+    const [coat, scarf, stale] = [new ObjectId(), new ObjectId(), new ObjectId()];
+    await db.collection(PRODUCT_PAIRS).insertOne({ productId: stale, relatedProductId: coat, support: 9 });
+    await db.collection('orders').insertMany([
+      { status: 'delivered', items: [{ productId: coat }, { productId: scarf }] },
+      { status: 'pending', items: [{ productId: coat }, { productId: scarf }] }
+    ]);
+
+    expect(await refreshProductPairs()).toEqual({ orders: 2, pairs: 2 });
+
+    const pairs = await db.collection(PRODUCT_PAIRS).find().toArray();
+    expect(pairs.map(p => p.productId.toString()).sort()).toEqual([coat.toString(), scarf.toString()].sort());
+
+    const indexes = await db.collection(PRODUCT_PAIRS).indexes();
+    expect(indexes.some(index => index.key.productId === 1 && index.key.support === -1)).toBe(true);
+
+    const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+    expect(collections.filter(c => c.name.startsWith(`${PRODUCT_PAIRS}_refresh_`))).toEqual([]);
+  });
+});
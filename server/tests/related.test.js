@@ -0,0 +1,31 @@
+const { countProductPairs } = require('../src/lib/related');
+
+const order = (...ids) => ({ items: ids.map(productId => ({ productId })) });
+
+describe('countProductPairs', () => {
+  it('keeps pairs with enough shared orders, in both directions', () => {
+    const pairs = countProductPairs([
+      order('coat', 'scarf'),
+      order('coat', 'scarf', 'scarf'),
+      order('coat', 'boots'),
+      order('coat')
+    ]);
+
+    expect(pairs).toEqual([
+      { productId: 'coat', relatedProductId: 'scarf', support: 2, confidence: 0.5 },
+      { productId: 'scarf', relatedProductId: 'coat', support: 2, confidence: 1 }
+    ]);
+  });
+
+  it('caps pairs per product, strongest first', () => {
+    const pairs = countProductPairs([
+      order('coat', 'scarf'),
+      order('coat', 'scarf'),
+      order('coat', 'boots')
+    ], { minSupport: 1, maxPerProduct: 1 });
+
+    expect(pairs.filter(p => p.productId === 'coat')).toEqual([
+      { productId: 'coat', relatedProductId: 'scarf', support: 2, confidence: 0.67 }
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { isRestock, normalizeEmail, buildRestockMessage } = require('../src/lib/restock');
+const { createFileTransport, getNotifier, setNotifier } = require('../src/lib/notifier');
+
+describe('isRestock', () => {
+  it('only fires when a sold-out variant becomes available', () => {
+    expect(isRestock(0, 5)).toBe(true);
+    expect(isRestock(undefined, 1)).toBe(true);
+    expect(isRestock(2, 5)).toBe(false);
+    expect(isRestock(0, 0)).toBe(false);
+  });
+});
+
+describe('normalizeEmail', () => {
+  it('lowercases valid emails and rejects invalid ones', () => {
+    expect(normalizeEmail('  Ada@Example.com ')).toBe('ada@example.com');
+    expect(normalizeEmail('not-an-email')).toBeNull();
+    expect(normalizeEmail(undefined)).toBeNull();
+  });
+});
+
+describe('buildRestockMessage', () => {
+  it('names the product, variant and link', () => {
+    const product = { _id: new ObjectId(), name: 'Linen Shirt', slug: 'linen-shirt' };
+    const message = buildRestockMessage(
+      { email: 'ada@example.com', sku: 'LS-M-WHT', size: 'M', color: 'White' },
+      product
+    );
+
+    expect(message).toMatchObject({
+      to: 'ada@example.com',
+      subject: 'Linen Shirt is back in stock',
+      data: { type: 'back-in-stock', slug: 'linen-shirt', sku: 'LS-M-WHT' }
+    });
+    expect(message.text).toContain('White, size M');
+  });
+});
+
+describe('notifier', () => {
+  afterEach(() => setNotifier(null));
+
+  it('appends messages to a file with the file transport', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-')), 'out.log');
+    setNotifier(createFileTransport(file));
+
+    await getNotifier().send({ to: 'a@b.co', subject: 'Hi', text: 'One' });
+    await getNotifier().send({ to: 'a@b.co', subject: 'Hi', text: 'Two' });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+    expect(lines.map(l => l.text)).toEqual(['One', 'Two']);
+  });
+
+  it('rejects transports without send()', () => {
+    expect(() => setNotifier({ name: 'broken' })).toThrow();
+    expect(getNotifier().name).toBe('console');
+  });
+});
@@ -0,0 +1,35 @@
+const { validateReview, summarizeRatings } = require('../src/lib/reviews');
+
+describe('validateReview', () => {
+  it('accepts a rating, text and optional fit', () => {
+    expect(validateReview({ rating: 4, title: '  Great  ', body: ' Lovely fabric, fits well. ', fit: 'true' })).toEqual({
+      review: { rating: 4, title: 'Great', body: 'Lovely fabric, fits well.', fit: 'true' }
+    });
+    expect(validateReview({ rating: 5, body: 'Exactly as pictured.' }).review).toMatchObject({
+      title: null,
+      fit: null
+    });
+  });
+
+  it('rejects bad ratings, short text and unknown fits', () => {
+    expect(validateReview({ rating: 0, body: 'Exactly as pictured.' }).error).toMatch(/rating/);
+    expect(validateReview({ rating: 4.5, body: 'Exactly as pictured.' }).error).toMatch(/rating/);
+    expect(validateReview({ rating: 4, body: 'Nice' }).error).toMatch(/characters/);
+    expect(validateReview({ rating: 4, body: 'Exactly as pictured.', fit: 'huge' }).error).toMatch(/fit/);
+  });
+});
+
+describe('summarizeRatings', () => {
+  it('averages to one decimal and tallies fit feedback', () => {
+    expect(summarizeRatings([
+      { rating: 5, fit: 'small' },
+      { rating: 4, fit: 'small' },
+      { rating: 4, fit: null }
+    ])).toEqual({
+      ratingAverage: 4.3,
+      ratingCount: 3,
+      fitFeedback: { small: 2, true: 0, large: 0 }
+    });
+    expect(summarizeRatings([])).toMatchObject({ ratingAverage: 0, ratingCount: 0 });
+  });
+});
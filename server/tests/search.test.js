@@ -0,0 +1,38 @@
+const {
+  tokenize,
+  buildTermPattern,
+  highlight,
+  buildHighlights
+} = require('../src/lib/search');
+
+describe('Search highlighting', () => {
+  it('tokenizes queries into unique lowercase terms', () => {
+    expect(tokenize('  Wool, wool COAT a ')).toEqual(['wool', 'coat']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  it('highlights whole words that start with a term or its singular', () => {
+    const pattern = buildTermPattern(tokenize('coats wool'));
+
+    expect(highlight('Oversized Wool Coat', pattern)).toEqual([
+      { text: 'Oversized ', match: false },
+      { text: 'Wool', match: true },
+      { text: ' ', match: false },
+      { text: 'Coat', match: true }
+    ]);
+    expect(highlight('Raincoat', pattern)).toEqual([{ text: 'Raincoat', match: false }]);
+  });
+
+  it('falls back to the matching detail line and reports matched fields', () => {
+    const pattern = buildTermPattern(tokenize('silk'));
+    const { description, matchedFields } = buildHighlights({
+      name: 'Oversized Wool Coat',
+      description: 'A masterfully tailored coat.',
+      details: ['100% Italian virgin wool outer', '100% silk lining'],
+      metadata: { fabric: 'Silk' }
+    }, pattern);
+
+    expect(matchedFields).toEqual(['fabric', 'details']);
+    expect(description.map(s => s.text).join('')).toBe('100% silk lining');
+  });
+});
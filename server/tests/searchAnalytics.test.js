@@ -0,0 +1,28 @@
+const { normalizeTerm, isRefinement, buildSessionKey } = require('../src/lib/searchAnalytics');
+
+describe('normalizeTerm', () => {
+  it('groups queries regardless of case and spacing', () => {
+    expect(normalizeTerm('  Linen   Shirt ')).toBe('linen shirt');
+    expect(normalizeTerm('')).toBe('');
+    expect(normalizeTerm('x'.repeat(300))).toHaveLength(100);
+  });
+});
+
+describe('isRefinement', () => {
+  it('treats typing on or backspacing as the same search', () => {
+    expect(isRefinement('cash', 'cashmere')).toBe(true);
+    expect(isRefinement('cashmere', 'cashm')).toBe(true);
+    expect(isRefinement('cashmere', 'linen')).toBe(false);
+  });
+});
+
+describe('buildSessionKey', () => {
+  it('scopes a client session to the user or IP that sent it', () => {
+    expect(buildSessionKey('s1', { _id: 'abc' }, '10.0.0.1')).toBe('user:abc:s1');
+    expect(buildSessionKey('s1', null, '10.0.0.1')).toMatch(/^ip:[0-9a-f]{16}:s1$/);
+    expect(buildSessionKey('s1', null, '10.0.0.1')).toBe(buildSessionKey('s1', null, '10.0.0.1'));
+    expect(buildSessionKey('s1', null, '10.0.0.2')).not.toBe(buildSessionKey('s1', null, '10.0.0.1'));
+    expect(buildSessionKey('s1', { _id: 'other' })).not.toBe(buildSessionKey('s1', { _id: 'abc' }));
+    expect(buildSessionKey('', null, '10.0.0.1')).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+const { sizeFromMeasurements, fitConsensus, recommendSize } = require('../src/lib/sizing');
+
+const LETTERS = ['XS', 'S', 'M', 'L', 'XL'];
+
+describe('sizeFromMeasurements', () => {
+  it('matches letter sizes against the chart', () => {
+    expect(sizeFromMeasurements(LETTERS, 'Tops', { chest: 39, waist: 33 })).toEqual({ size: 'M', exact: true });
+    expect(sizeFromMeasurements(LETTERS, 'Tops', { chest: 50 })).toEqual({ size: 'XL', exact: false });
+  });
+
+  it('uses waist for numeric bottoms and chest for numeric jackets', () => {
+    expect(sizeFromMeasurements(['28', '30', '32', '34'], 'Bottoms', { waist: 31, chest: 40 }).size).toBe('32');
+    expect(sizeFromMeasurements(['36', '38', '40', '42'], 'Outerwear', { waist: 31, chest: 40 }).size).toBe('40');
+  });
+
+  it('returns null without usable measurements', () => {
+    expect(sizeFromMeasurements(LETTERS, 'Tops', {})).toBeNull();
+    expect(sizeFromMeasurements(['One Size'], 'Accessories', { waist: 32 })).toBeNull();
+  });
+});
+
+describe('fitConsensus', () => {
+  it('needs enough votes and a majority', () => {
+    expect(fitConsensus({ small: 2, true: 0, large: 0 }).verdict).toBeNull();
+    expect(fitConsensus({ small: 3, true: 1, large: 0 })).toEqual({ verdict: 'small', share: 0.75, votes: 4 });
+    expect(fitConsensus({ small: 2, true: 2, large: 2 }).verdict).toBeNull();
+  });
+});
+
+describe('recommendSize', () => {
+  const product = { category: 'Tops', sizes: LETTERS, fitFeedback: { small: 4, true: 1, large: 0 } };
+
+  it('sizes up from measurements when the product runs small', () => {
+    const result = recommendSize(product, { measurements: { chest: 97, waist: 84, unit: 'cm' } });
+    expect(result).toMatchObject({ size: 'L', baseSize: 'M', source: 'measurements', confidence: 'high' });
+    expect(result.message).toBe('Most customers say this runs small — we recommend L');
+  });
+
+  it('falls back to the preferred size for the category', () => {
+    const result = recommendSize({ ...product, fitFeedback: null }, { preferredSizes: { Tops: 'S' } });
+    expect(result).toMatchObject({ size: 'S', source: 'preferredSize', confidence: 'medium' });
+  });
+
+  it('gives fit advice alone without preferences', () => {
+    expect(recommendSize(product, null)).toMatchObject({
+      size: null,
+      confidence: null,
+      message: 'Most customers say this runs small — consider sizing up'
+    });
+  });
+});
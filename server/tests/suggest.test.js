@@ -0,0 +1,43 @@
+const { ObjectId } = require('mongodb');
+const { editDistance, buildEntries, rankSuggestions } = require('../src/lib/suggest');
+
+const product = (fields) => ({ _id: new ObjectId(), isActive: true, styles: [], ...fields });
+
+const entries = buildEntries([
+  product({ name: 'Cashmere Knit Sweater', slug: 'cashmere-knit-sweater', category: 'Knitwear', styles: ['Elegant'] }),
+  product({ name: 'Linen Shirt', slug: 'linen-shirt', category: 'Tops', styles: ['Minimalist'] }),
+  product({ name: 'Secret Drop Coat', slug: 'secret-drop-coat', category: 'Outerwear', publishAt: new Date(Date.now() + 86400000) }),
+  product({ name: 'Retired Tee', slug: 'retired-tee', category: 'Tops', isActive: false })
+]);
+
+describe('editDistance', () => {
+  it('counts adjacent transpositions as one edit', () => {
+    expect(editDistance('kint', 'knit')).toBe(1);
+    expect(editDistance('cashmire', 'cashmere')).toBe(1);
+    expect(editDistance('abc', 'xyz', 1)).toBe(2);
+  });
+});
+
+describe('rankSuggestions', () => {
+  it('tolerates typos in products, categories and styles', () => {
+    expect(rankSuggestions(entries, 'cashmire')[0]).toMatchObject({
+      type: 'product',
+      text: 'Cashmere Knit Sweater',
+      slug: 'cashmere-knit-sweater'
+    });
+    expect(rankSuggestions(entries, 'kint')[0]).toMatchObject({ type: 'category', text: 'Knitwear' });
+    expect(rankSuggestions(entries, 'elgant')).toEqual([{ type: 'style', text: 'Elegant' }]);
+  });
+
+  it('hides scheduled products from non-VIPs and skips inactive ones', () => {
+    expect(rankSuggestions(entries, 'secret')).toEqual([]);
+    expect(rankSuggestions(entries, 'secret', {
+      shopper: { isVIP: true, publishCutoff: new Date(Date.now() + 2 * 86400000) }
+    }).map(s => s.text)).toEqual(['Secret Drop Coat']);
+    expect(rankSuggestions(entries, 'retired')).toEqual([]);
+  });
+
+  it('caps results at the limit', () => {
+    expect(rankSuggestions(entries, 'l', { limit: 1 })).toHaveLength(1);
+  });
+});
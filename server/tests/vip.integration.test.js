@@ -0,0 +1,46 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { connectDB, closeDB, getDB } = require('../src/lib/mongodb');
+const { getLifetimeSpend, refreshVipStatus } = require('../src/lib/vip');
+
+describe('Integration: VIP status + MongoDB', () => {
+  let mongod;
+
+  jest.setTimeout(60000);
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.DATABASE_URL = mongod.getUri();
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await closeDB();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    const db = getDB();
+    await Promise.all(['users', 'orders', 'site_config'].map(name => db.collection(name).deleteMany({})));
+  });
+
+  it('computes spend and promotes when given an ObjectId (order.userId)', async () => {
+    const db = getDB();
+    const { insertedId: userId } = await db.collection('users').insertOne({ email: 'vip@example.com', role: 'USER' });
+    await db.collection('orders').insertMany([
+      { userId, status: 'delivered', totalAmount: 700 },
+      { userId, status: 'shipped', totalAmount: 350.5 },
+      { userId, status: 'cancelled', totalAmount: 900 }
+    ]);
+
+    expect(await getLifetimeSpend(userId)).toBe(1050.5);
+
+    const status = await refreshVipStatus(userId);
+    expect(status).toMatchObject({ role: 'VIP', changed: true, lifetimeSpend: 1050.5, spendThreshold: 1000 });
+
+    const user = await db.collection('users').findOne({ _id: userId });
+    expect(user).toMatchObject({ role: 'VIP', vipSource: 'spend' });
+
+    // req.user._id is a string: the same user keeps VIP
+    expect(await refreshVipStatus(userId.toString())).toMatchObject({ role: 'VIP', changed: false });
+  });
+});
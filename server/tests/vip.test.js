@@ -0,0 +1,74 @@
+const { resolveVipRole, validateVipConfig } = require('../src/lib/vip');
+const { getVariantPrice, isProductPurchasable, hideVipPricing } = require('../src/lib/orders');
+
+describe('resolveVipRole', () => {
+  it('promotes customers who reach the spend threshold', () => {
+    expect(resolveVipRole({ role: 'USER' }, 1000, 1000)).toBe('VIP');
+    expect(resolveVipRole({ role: 'USER' }, 999.99, 1000)).toBeNull();
+  });
+
+  it('only demotes VIP that was earned from spend', () => {
+    expect(resolveVipRole({ role: 'VIP', vipSource: 'spend' }, 200, 1000)).toBe('USER');
+    expect(resolveVipRole({ role: 'VIP', vipSource: 'admin' }, 0, 1000)).toBeNull();
+    expect(resolveVipRole({ role: 'ADMIN' }, 0, 1000)).toBeNull();
+  });
+});
+
+describe('VIP pricing and early access', () => {
+  const product = {
+    price: 580,
+    vipPrice: 520,
+    variants: [
+      { size: 'M', price: null },
+      { size: 'L', price: 620, vipPrice: 540 },
+      { size: 'XL', price: 500 }
+    ]
+  };
+
+  it('uses the VIP tier only for VIP shoppers and only when it is lower', () => {
+    expect(getVariantPrice(product, product.variants[0])).toBe(580);
+    expect(getVariantPrice(product, product.variants[0], { isVIP: true })).toBe(520);
+    expect(getVariantPrice(product, product.variants[1], { isVIP: true })).toBe(540);
+    expect(getVariantPrice(product, product.variants[2], { isVIP: true })).toBe(500);
+  });
+
+  it('lets a later publish cutoff buy scheduled products', () => {
+    const scheduled = { isActive: true, publishAt: new Date(Date.now() + 60 * 60 * 1000) };
+    const cutoff = new Date(Date.now() + 48 * 60 * 60 * 1000);
+
+    expect(isProductPurchasable(scheduled)).toBe(false);
+    expect(isProductPurchasable(scheduled, { publishCutoff: cutoff })).toBe(true);
+    expect(isProductPurchasable({ ...scheduled, isActive: false }, { publishCutoff: cutoff })).toBe(false);
+  });
+});
+
+describe('hideVipPricing', () => {
+  const product = {
+    price: 580,
+    vipPrice: 520,
+    variants: [{ size: 'M', stock: 2, vipPrice: 500 }]
+  };
+
+  it('strips product and variant VIP prices for everyone but VIPs', () => {
+    expect(hideVipPricing(product)).toEqual({ price: 580, variants: [{ size: 'M', stock: 2 }] });
+    expect(hideVipPricing(product, { isVIP: false, publishCutoff: new Date() }).vipPrice).toBeUndefined();
+    expect(hideVipPricing(product, { isVIP: true })).toBe(product);
+    expect(product.variants[0].vipPrice).toBe(500);
+  });
+});
+
+describe('validateVipConfig', () => {
+  it('rejects blank, null and zero thresholds instead of reading them as 0', () => {
+    expect(validateVipConfig({ spendThreshold: '' }).error).toMatch(/spendThreshold/);
+    expect(validateVipConfig({ spendThreshold: '  ' }).error).toMatch(/spendThreshold/);
+    expect(validateVipConfig({ spendThreshold: null }).error).toMatch(/spendThreshold/);
+    expect(validateVipConfig({ spendThreshold: 0 }).error).toMatch(/spendThreshold/);
+    expect(validateVipConfig({ earlyAccessHours: null }).error).toMatch(/earlyAccessHours/);
+  });
+
+  it('accepts numbers and numeric strings', () => {
+    expect(validateVipConfig({ spendThreshold: '750', earlyAccessHours: 0 }))
+      .toEqual({ config: { spendThreshold: 750, earlyAccessHours: 0 } });
+    expect(validateVipConfig({})).toEqual({ config: {} });
+  });
+});